@@ -0,0 +1,10 @@
+// Error carrying the HTTP status to respond with; the message is sent back as { error }
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,35 @@
+const Storage = require('../utils/storage');
+const { loadProject } = require('./projects');
+const { requireAdministrator } = require('./auth');
+const { templateLogId } = require('./templates');
+const { REPORT_CONFIG_LOG_ID } = require('./reports');
+
+// GET /projects/:id/audit - The project's change history, oldest first
+// (only changes to one task with ?taskId=)
+async function projectAudit({ params, query, user }) {
+    await loadProject(params.id, user);
+
+    const entries = await Storage.readAuditLog(params.id);
+    const taskId = query.taskId;
+    return {
+        body: taskId
+            ? entries.filter(entry => entry.target && entry.target.type === 'task' && entry.target.id === taskId)
+            : entries
+    };
+}
+
+// GET /templates/:id/audit - The template's change history, oldest first;
+// administrators only. Kept after the template is deleted.
+async function templateAudit({ params, user }) {
+    await requireAdministrator(user, 'Only administrators can view template changes');
+    return { body: await Storage.readAuditLog(templateLogId(params.id)) };
+}
+
+// GET /reports/config/audit - Changes to the server-wide report configuration,
+// oldest first; administrators only
+async function reportConfigAudit({ user }) {
+    await requireAdministrator(user, 'Only administrators can view report settings changes');
+    return { body: await Storage.readAuditLog(REPORT_CONFIG_LOG_ID) };
+}
+
+module.exports = { projectAudit, templateAudit, reportConfigAudit };
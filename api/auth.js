@@ -0,0 +1,255 @@
+const User = require('../models/User');
+const Storage = require('../utils/storage');
+const { hashToken } = require('../utils/passwords');
+const { assignProjectOwners } = require('../utils/projectOwners');
+const {
+    SESSION_COOKIE,
+    createSessionToken,
+    verifySessionToken,
+    parseCookies,
+    sessionCookie,
+    clearedSessionCookie
+} = require('../utils/sessions');
+const HttpError = require('./HttpError');
+const { requireJsonBody } = require('./projects');
+
+// Resolve the user behind a request from an "Authorization: Bearer" API token
+// or the session cookie. Returns null when neither identifies a user.
+async function authenticate(headers = {}) {
+    const authorization = headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        const token = authorization.slice('Bearer '.length).trim();
+        return (await Storage.getUserByTokenHash(hashToken(token))) || null;
+    }
+
+    return sessionUser(headers);
+}
+
+// The user whose session cookie a request carries, or null when it carries no
+// valid session or the user has since ended their sessions
+async function sessionUser(headers) {
+    const session = verifySessionToken(parseCookies(headers.cookie)[SESSION_COOKIE]);
+    if (!session) {
+        return null;
+    }
+    const user = await Storage.getUserById(session.userId);
+    if (!user || (user.sessionVersion || 0) !== session.version) {
+        return null;
+    }
+    return user;
+}
+
+// Throw a 403 unless user is an administrator
+async function requireAdministrator(user, message = 'Only administrators can do this') {
+    if (!User.isAdministrator(user, await Storage.readUsers())) {
+        throw new HttpError(403, message);
+    }
+}
+
+async function loadUser(userId) {
+    const userData = await Storage.getUserById(userId);
+    if (!userData) {
+        throw new HttpError(404, 'User not found');
+    }
+    return Object.assign(new User(), userData);
+}
+
+function isSecureRequest(headers) {
+    return headers['x-forwarded-proto'] === 'https';
+}
+
+function loggedIn(user, headers, status = 200) {
+    return {
+        status,
+        headers: { 'Set-Cookie': sessionCookie(createSessionToken(user.id, user.sessionVersion || 0), isSecureRequest(headers)) },
+        body: User.toPublic(user)
+    };
+}
+
+// Create and save an account. The password is hashed first, as that is slow;
+// the username check, and checkUsers if given, then run together with the
+// save so concurrent requests cannot both pass them.
+async function createUserFromBody(body, admin, checkUsers = () => {}) {
+    requireJsonBody(body);
+    const { username, password } = body;
+
+    try {
+        User.validate({ username, password });
+    } catch (validationError) {
+        throw new HttpError(400, validationError.message);
+    }
+
+    const user = await User.create(username, password);
+    user.admin = admin;
+    const saved = await Storage.createUser(user, users => {
+        checkUsers(users);
+        if (users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+            throw new HttpError(409, 'Username is already taken');
+        }
+    });
+    if (!saved) {
+        throw new HttpError(500, 'Failed to save user');
+    }
+    return user;
+}
+
+// POST /auth/login - Start a session with a username and password
+async function login({ body, headers }) {
+    requireJsonBody(body);
+    const { username, password } = body;
+
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        throw new HttpError(400, 'Username and password are required');
+    }
+
+    const userData = await Storage.getUserByUsername(username);
+    const user = userData && Object.assign(new User(), userData);
+    if (!user || !(await user.checkPassword(password))) {
+        throw new HttpError(401, 'Invalid username or password');
+    }
+
+    return loggedIn(user, headers);
+}
+
+// POST /auth/logout - End the session. Sessions are signed rather than
+// stored, so this ends every session of the user, on every device.
+async function logout({ headers = {} }) {
+    const userData = await sessionUser(headers);
+    if (userData) {
+        const user = Object.assign(new User(), userData);
+        user.endSessions();
+        if (!(await Storage.saveUser(user))) {
+            throw new HttpError(500, 'Failed to save user');
+        }
+    }
+
+    return {
+        headers: { 'Set-Cookie': clearedSessionCookie() },
+        body: { message: 'Logged out' }
+    };
+}
+
+// GET /auth/setup - Whether the first account still has to be created
+async function setupStatus() {
+    const users = await Storage.readUsers();
+    return { body: { setupRequired: users.length === 0 } };
+}
+
+// POST /auth/setup - Create the first account, an administrator, and log it
+// in. Only allowed while no accounts exist; later accounts are created by
+// administrators. Projects saved before there were accounts become its own.
+async function setup({ body, headers }) {
+    if ((await Storage.readUsers()).length > 0) {
+        throw new HttpError(403, 'Setup has already been completed');
+    }
+
+    const user = await createUserFromBody(body, true, users => {
+        if (users.length > 0) {
+            throw new HttpError(403, 'Setup has already been completed');
+        }
+    });
+    await assignProjectOwners();
+    return loggedIn(user, headers, 201);
+}
+
+// GET /auth/me - The signed-in user
+async function me({ user }) {
+    return { body: User.toPublic(user) };
+}
+
+// PUT /auth/password - Change the signed-in user's password. Every session of
+// the user ends; the one that made the change gets a new session.
+async function changePassword({ body, headers = {}, user: currentUser }) {
+    requireJsonBody(body);
+    const { currentPassword, newPassword } = body;
+
+    const user = await loadUser(currentUser.id);
+    if (typeof currentPassword !== 'string' || !(await user.checkPassword(currentPassword))) {
+        throw new HttpError(400, 'Current password is incorrect');
+    }
+
+    try {
+        await user.setPassword(newPassword);
+    } catch (validationError) {
+        throw new HttpError(400, validationError.message);
+    }
+    user.endSessions();
+
+    if (!(await Storage.saveUser(user))) {
+        throw new HttpError(500, 'Failed to save user');
+    }
+    return { ...loggedIn(user, headers), body: { message: 'Password changed' } };
+}
+
+// GET /auth/tokens - List the signed-in user's API tokens
+async function listTokens({ user }) {
+    return { body: User.toPublic(user).apiTokens };
+}
+
+// POST /auth/tokens - Create an API token; the token itself is only returned here
+async function createToken({ body, user: currentUser }) {
+    requireJsonBody(body);
+    const user = await loadUser(currentUser.id);
+
+    let created;
+    try {
+        created = user.createApiToken(body.name);
+    } catch (validationError) {
+        throw new HttpError(400, validationError.message);
+    }
+
+    if (!(await Storage.saveUser(user))) {
+        throw new HttpError(500, 'Failed to save user');
+    }
+
+    const { id, name, createdDate } = created.record;
+    return { status: 201, body: { id, name, createdDate, token: created.token } };
+}
+
+// DELETE /auth/tokens/:tokenId - Revoke an API token
+async function revokeToken({ params, user: currentUser }) {
+    const user = await loadUser(currentUser.id);
+    if (!user.revokeApiToken(params.tokenId)) {
+        throw new HttpError(404, 'Token not found');
+    }
+
+    if (!(await Storage.saveUser(user))) {
+        throw new HttpError(500, 'Failed to save user');
+    }
+    return { body: { message: 'Token revoked' } };
+}
+
+// GET /users - List accounts
+async function listUsers() {
+    const users = await Storage.readUsers();
+    return { body: users.map(User.toPublic) };
+}
+
+// POST /users - Create another account; administrators only. admin: true
+// makes it an administrator too.
+async function createUser({ body, user: currentUser }) {
+    await requireAdministrator(currentUser, 'Only administrators can create accounts');
+    requireJsonBody(body);
+    if (body.admin !== undefined && typeof body.admin !== 'boolean') {
+        throw new HttpError(400, 'admin must be true or false');
+    }
+
+    const user = await createUserFromBody(body, body.admin === true);
+    return { status: 201, body: User.toPublic(user) };
+}
+
+module.exports = {
+    authenticate,
+    requireAdministrator,
+    login,
+    logout,
+    setupStatus,
+    setup,
+    me,
+    changePassword,
+    listTokens,
+    createToken,
+    revokeToken,
+    listUsers,
+    createUser
+};
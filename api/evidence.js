@@ -0,0 +1,576 @@
+const Evidence = require('../models/Evidence');
+const Project = require('../models/Project');
+const Storage = require('../utils/storage');
+const { storedFilename, hashData, hashStream } = require('../utils/uploads');
+const { resolveDeclaredType, verifyFileType, previewType } = require('../utils/fileTypes');
+const {
+    formatSize,
+    allowedExtensions,
+    getGlobalLimits,
+    getProjectLimits,
+    normalizeProjectLimits,
+    describeLimits
+} = require('../utils/evidenceLimits');
+const Scanner = require('../utils/scanner');
+const { createEvidenceArchive } = require('../utils/evidenceArchive');
+const { getSigningKey, describeSigningKey } = require('../utils/signing');
+const { recordAudit } = require('../utils/audit');
+const HttpError = require('./HttpError');
+const { requireJsonBody, loadProject, changeProject } = require('./projects');
+
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// Inline previews may display a file but nothing in it may run: no scripts,
+// plugins, forms or requests of its own, and only this site may frame it.
+// PDFs are not sandboxed because browsers refuse to show them in sandboxed
+// documents; default-src still keeps scripts out of them.
+const PREVIEW_POLICY = "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; form-action 'none'; base-uri 'none'; frame-ancestors 'self'";
+
+function findTask(allTasks, taskId) {
+    for (const phase in allTasks) {
+        const task = allTasks[phase].find(t => t.id === taskId);
+        if (task) {
+            return task;
+        }
+    }
+    throw new HttpError(404, 'Task not found');
+}
+
+// Legacy path entries carry no size or hash; read them from the stored file
+// when it is still there
+async function describeEvidence(projectId, taskId, entry) {
+    const evidence = Evidence.normalize(entry);
+    if (typeof entry !== 'string') {
+        return evidence;
+    }
+
+    const file = await Storage.openEvidenceFile(projectId, taskId, evidence.filename);
+    if (file) {
+        evidence.size = file.size;
+        evidence.sha256 = await hashStream(file.stream);
+    }
+    return evidence;
+}
+
+// Scan stored evidence files and save each one's result in its metadata.
+// Returns the updated task and the new scan records by file name. audit, if
+// given, records the change before it is saved; it is called with the task,
+// its evidence before the scan and the scan records.
+async function scanEvidence(projectId, taskId, filenames, audit) {
+    const scans = {};
+    for (const filename of filenames) {
+        scans[filename] = await Scanner.scanEvidenceFile(projectId, taskId, filename);
+    }
+
+    const task = await Storage.updateTasksForProject(projectId, async allTasks => {
+        const task = findTask(allTasks, taskId);
+        const previousEvidence = task.evidenceFiles;
+        task.evidenceFiles = previousEvidence.map(entry => {
+            const evidence = Evidence.normalize(entry);
+            return scans[evidence.filename] ? { ...evidence, scan: scans[evidence.filename] } : entry;
+        });
+        if (audit) {
+            await audit(task, previousEvidence, scans);
+        }
+        return task;
+    });
+    return { task, scans };
+}
+
+// Only files the scanner reported clean may be downloaded
+function requireClean(evidence) {
+    const status = Evidence.scanStatus(evidence);
+    if (status === 'infected') {
+        throw new HttpError(403, 'Evidence file failed the malware scan');
+    }
+    if (status !== 'clean') {
+        throw new HttpError(409, 'Evidence file has not passed a malware scan yet');
+    }
+}
+
+// Headers for serving an evidence file, as an attachment to save or, with
+// disposition=inline, for previewing in the browser. Only files whose content
+// was verified as an image, PDF or text type can be previewed.
+function downloadHeaders(evidence, filename, disposition = 'attachment') {
+    if (disposition === 'attachment') {
+        return {
+            'Content-Type': evidence.mimeType || 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'X-Content-Type-Options': 'nosniff'
+        };
+    }
+    if (disposition !== 'inline') {
+        throw new HttpError(400, 'disposition must be attachment or inline');
+    }
+
+    const type = evidence.verifiedType ? previewType(evidence.verifiedType) : null;
+    if (!type) {
+        throw new HttpError(415, 'This evidence file cannot be previewed');
+    }
+    return {
+        'Content-Type': type,
+        'Content-Disposition': `inline; filename="${filename}"`,
+        'Content-Security-Policy': type === 'application/pdf' ? PREVIEW_POLICY : `${PREVIEW_POLICY}; sandbox`,
+        'X-Content-Type-Options': 'nosniff'
+    };
+}
+
+// Upload error messages for a project's limits
+function fileTypeError(limits) {
+    return `File type not allowed. Allowed types: ${allowedExtensions(limits.allowedTypes).join(', ')}`;
+}
+
+function fileSizeError(limits) {
+    return `File size too large. Maximum size is ${formatSize(limits.maxFileSize)} per file.`;
+}
+
+function fileCountError(limits) {
+    return `Too many files. Maximum ${limits.maxFilesPerUpload} files per upload.`;
+}
+
+// Total size and number of the evidence files listed by a project's tasks.
+// Entries saved before sizes were recorded count as files but add no size.
+function evidenceUsage(allTasks) {
+    const usage = { size: 0, files: 0 };
+    for (const phase in allTasks) {
+        for (const task of allTasks[phase]) {
+            for (const entry of task.evidenceFiles || []) {
+                usage.size += Evidence.normalize(entry).size || 0;
+                usage.files++;
+            }
+        }
+    }
+    return usage;
+}
+
+// Fail with 413 if adding records would take the project past its evidence
+// quota or its file limit
+function checkQuota(limits, allTasks, records) {
+    const usage = evidenceUsage(allTasks);
+    const added = records.reduce((total, evidence) => total + evidence.size, 0);
+
+    if (limits.projectQuota !== null && usage.size + added > limits.projectQuota) {
+        const left = Math.max(0, limits.projectQuota - usage.size);
+        throw new HttpError(413, `Evidence quota exceeded: the upload needs ${formatSize(added)} but only ${formatSize(left)} of the project's ${formatSize(limits.projectQuota)} quota is left`);
+    }
+    if (limits.maxFilesPerProject !== null && usage.files + records.length > limits.maxFilesPerProject) {
+        throw new HttpError(413, `Evidence file limit exceeded: the project can hold ${limits.maxFilesPerProject} files and already has ${usage.files}`);
+    }
+}
+
+// Add stored files to a task's evidence, record the upload and scan them.
+// Used by both upload routes once the files are in place; the caller removes
+// them again if this throws. The files are listed as pending until their scan
+// finishes, so they cannot be downloaded before.
+async function attachEvidence(request, projectId, taskId, records) {
+    // ?versionOf=<filename> uploads a new version of that file's item
+    const versionOf = request.query && request.query.versionOf;
+
+    // The quota is checked against the evidence listed when the files are added
+    await Storage.updateProject(projectId, async (project, allTasks) => {
+        if (!project) {
+            throw new HttpError(404, 'Project not found');
+        }
+        const task = findTask(allTasks, taskId);
+        checkQuota(getProjectLimits(project), allTasks, records);
+        const previousEvidence = [...task.evidenceFiles];
+
+        if (versionOf !== undefined) {
+            if (records.length !== 1) {
+                throw new HttpError(400, 'Upload exactly one file as the new version');
+            }
+            const evidenceFiles = Evidence.addVersion(task.evidenceFiles, versionOf, records[0]);
+            if (!evidenceFiles) {
+                throw new HttpError(404, 'Evidence file not found');
+            }
+            task.evidenceFiles = evidenceFiles;
+        } else {
+            records.forEach(evidence => {
+                if (!Evidence.find(task.evidenceFiles, evidence.filename)) {
+                    task.evidenceFiles.push(evidence);
+                }
+            });
+        }
+
+        await recordAudit(request, projectId, versionOf === undefined ? 'evidence.upload' : 'evidence.version', {
+            target: { type: 'task', id: task.id, phase: task.phase, title: task.title },
+            before: { evidenceFiles: previousEvidence },
+            after: { evidenceFiles: task.evidenceFiles }
+        });
+        return { tasks: allTasks };
+    });
+
+    const scanned = await scanEvidence(projectId, taskId, records.map(evidence => evidence.filename));
+    records.forEach(evidence => {
+        evidence.scan = scanned.scans[evidence.filename];
+    });
+    return scanned.task;
+}
+
+// The verified type of an uploaded file, or a 400 naming the file and what
+// about it disagrees
+function checkFileType(originalName, declaredType, header, allowedTypes) {
+    try {
+        return verifyFileType(originalName, declaredType, header, allowedTypes);
+    } catch (error) {
+        throw new HttpError(400, `${originalName}: ${error.message}`);
+    }
+}
+
+// Check one { name, type, content } entry of a JSON upload against the
+// project's limits and decode it
+function decodeUpload(file, limits) {
+    if (!file || typeof file.name !== 'string' || file.name.trim().length === 0) {
+        throw new HttpError(400, 'Each file needs a name');
+    }
+    const originalName = file.name.trim();
+    const mimeType = resolveDeclaredType(originalName, file.type);
+    if (!limits.allowedTypes.includes(mimeType)) {
+        throw new HttpError(400, fileTypeError(limits));
+    }
+    if (typeof file.content !== 'string' || !BASE64.test(file.content)) {
+        throw new HttpError(400, 'File content must be base64 encoded');
+    }
+
+    const data = Buffer.from(file.content, 'base64');
+    if (limits.maxFileSize !== null && data.length > limits.maxFileSize) {
+        throw new HttpError(400, fileSizeError(limits));
+    }
+
+    return {
+        originalName,
+        mimeType,
+        verifiedType: checkFileType(originalName, mimeType, data, limits.allowedTypes),
+        data
+    };
+}
+
+// POST /projects/:id/tasks/:taskId/evidence - Upload evidence sent as JSON,
+// { files: [{ name, type, content }] } with base64 content. The Express
+// server also accepts multipart uploads on this path; the Netlify function
+// only accepts this form.
+async function uploadEvidence(request) {
+    const { params, body, headers, user } = request;
+    const { id: projectId, taskId } = params;
+
+    const project = await loadProject(projectId, user, 'edit');
+    findTask(await Storage.getTasksForProject(projectId), taskId);
+    const limits = getProjectLimits(project);
+
+    if (!String(headers['content-type'] || '').includes('application/json')) {
+        throw new HttpError(415, 'Evidence must be uploaded as JSON with base64 file content');
+    }
+    requireJsonBody(body);
+    if (!Array.isArray(body.files) || body.files.length === 0) {
+        throw new HttpError(400, 'No files to upload');
+    }
+    if (limits.maxFilesPerUpload !== null && body.files.length > limits.maxFilesPerUpload) {
+        throw new HttpError(400, fileCountError(limits));
+    }
+
+    const uploads = body.files.map(file => decodeUpload(file, limits));
+    const records = [];
+
+    try {
+        for (const upload of uploads) {
+            const evidence = new Evidence({
+                filename: storedFilename(upload.originalName),
+                originalName: upload.originalName,
+                size: upload.data.length,
+                mimeType: upload.mimeType,
+                verifiedType: upload.verifiedType,
+                sha256: hashData(upload.data),
+                uploadedBy: user
+            });
+            records.push(evidence);
+            await Storage.writeEvidenceFile(projectId, taskId, evidence.filename, upload.data);
+        }
+
+        const task = await attachEvidence(request, projectId, taskId, records);
+        return {
+            body: {
+                message: 'Evidence uploaded successfully',
+                task,
+                uploadedFiles: records
+            }
+        };
+    } catch (error) {
+        await Promise.all(records.map(evidence => Storage.deleteEvidenceFile(projectId, taskId, evidence.filename)));
+        throw error;
+    }
+}
+
+// GET /projects/:id/tasks/:taskId/evidence - List a task's evidence with its metadata
+async function listEvidence({ params, user }) {
+    const { id: projectId, taskId } = params;
+    await loadProject(projectId, user);
+
+    const task = findTask(await Storage.getTasksForProject(projectId), taskId);
+    const evidence = await Promise.all(
+        (task.evidenceFiles || []).map(entry => describeEvidence(projectId, taskId, entry))
+    );
+    return { body: evidence };
+}
+
+// GET /projects/:id/tasks/:taskId/evidence/:filename - Download an evidence
+// file, or preview it with ?disposition=inline. The Express server streams it
+// from the evidence store with its own route instead.
+async function downloadEvidence({ params, query, user }) {
+    const { id: projectId, taskId, filename } = params;
+    await loadProject(projectId, user);
+
+    const task = findTask(await Storage.getTasksForProject(projectId), taskId);
+    const evidence = Evidence.find(task.evidenceFiles, filename);
+    if (!evidence) {
+        throw new HttpError(403, 'File not authorized for this task');
+    }
+
+    // Checked first so infected or unscanned files are never read
+    requireClean(evidence);
+    const data = await Storage.readEvidenceFile(projectId, taskId, filename);
+    if (!data) {
+        throw new HttpError(404, 'File not found');
+    }
+
+    return {
+        headers: downloadHeaders(evidence, filename, query.disposition),
+        body: data
+    };
+}
+
+// POST /projects/:id/tasks/:taskId/evidence/:filename/scan - Scan an evidence
+// file again, for files that are still pending or were uploaded before
+// scanning was introduced
+async function rescanEvidence(request) {
+    const { params, user } = request;
+    const { id: projectId, taskId, filename } = params;
+    await loadProject(projectId, user, 'edit');
+
+    const task = findTask(await Storage.getTasksForProject(projectId), taskId);
+    const evidence = Evidence.find(task.evidenceFiles, filename);
+    if (!evidence) {
+        throw new HttpError(404, 'Evidence file not found');
+    }
+
+    const { scans } = await scanEvidence(projectId, taskId, [filename], (task, previousEvidence, scans) => {
+        const previous = Evidence.find(previousEvidence, filename) || evidence;
+        return recordAudit(request, projectId, 'evidence.scan', {
+            target: { type: 'task', id: task.id, phase: task.phase, title: task.title },
+            before: { filename, scan: previous.scan || null },
+            after: { filename, scan: scans[filename] }
+        });
+    });
+
+    return { body: { ...evidence, scan: scans[filename] } };
+}
+
+// GET /projects/:id/evidence/verify - Rehash every stored evidence file of a
+// project and compare it with the hash recorded at upload. Each listed file
+// is 'verified', 'modified', 'missing' or 'unhashed' (saved before hashes were
+// recorded); stored files no task lists are reported as orphaned.
+async function verifyEvidence({ params, user }) {
+    const { id: projectId } = params;
+    await loadProject(projectId, user);
+
+    const allTasks = await Storage.getTasksForProject(projectId);
+    const files = [];
+    const listed = new Set();
+
+    for (const phase in allTasks) {
+        for (const task of allTasks[phase]) {
+            for (const entry of task.evidenceFiles || []) {
+                const evidence = Evidence.normalize(entry);
+                listed.add(`${task.id}/${evidence.filename}`);
+
+                const file = await Storage.openEvidenceFile(projectId, task.id, evidence.filename);
+                const actualSha256 = file ? await hashStream(file.stream) : null;
+                let status = 'verified';
+                if (!file) {
+                    status = 'missing';
+                } else if (!evidence.sha256) {
+                    status = 'unhashed';
+                } else if (actualSha256 !== evidence.sha256) {
+                    status = 'modified';
+                }
+
+                files.push({
+                    phase,
+                    taskId: task.id,
+                    taskTitle: task.title,
+                    filename: evidence.filename,
+                    originalName: evidence.originalName,
+                    status,
+                    expectedSha256: evidence.sha256 || null,
+                    actualSha256
+                });
+            }
+        }
+    }
+
+    const orphaned = [];
+    for (const stored of await Storage.listEvidenceFiles(projectId)) {
+        if (!listed.has(`${stored.taskId}/${stored.filename}`)) {
+            const file = await Storage.openEvidenceFile(projectId, stored.taskId, stored.filename);
+            orphaned.push({ ...stored, sha256: file ? await hashStream(file.stream) : null });
+        }
+    }
+
+    const count = status => files.filter(file => file.status === status).length;
+    return {
+        body: {
+            projectId,
+            checkedAt: new Date().toISOString(),
+            intact: files.every(file => file.status === 'verified') && orphaned.length === 0,
+            summary: {
+                verified: count('verified'),
+                modified: count('modified'),
+                missing: count('missing'),
+                unhashed: count('unhashed'),
+                orphaned: orphaned.length
+            },
+            files,
+            orphaned
+        }
+    };
+}
+
+// GET /projects/:id/evidence/export - Stream a ZIP of the project's evidence
+// with a manifest, signed when EVIDENCE_SIGNING_KEY is set
+async function exportEvidence({ params, user }) {
+    const { id: projectId } = params;
+    const project = await loadProject(projectId, user);
+    const signingKey = getSigningKey();
+
+    const tasks = await Storage.getTasksForProject(projectId);
+    const stored = new Set((await Storage.listEvidenceFiles(projectId)).map(file => `${file.taskId}/${file.filename}`));
+
+    // When each task last changed, from the audit log
+    const updatedAt = {};
+    for (const entry of await Storage.readAuditLog(projectId)) {
+        if (entry.target && entry.target.type === 'task') {
+            updatedAt[entry.target.id] = entry.timestamp;
+        }
+    }
+
+    return {
+        headers: {
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="SSDLC_Evidence_${project.name.replace(/[^a-zA-Z0-9]/g, '_')}_${new Date().toISOString().split('T')[0]}.zip"`
+        },
+        body: createEvidenceArchive({
+            project,
+            phases: Project.getPhaseList(project),
+            tasks,
+            stored,
+            updatedAt,
+            exportedBy: user,
+            signingKey
+        })
+    };
+}
+
+// GET /evidence/signing-key - The public key evidence exports are signed with
+async function evidenceSigningKey() {
+    const signingKey = getSigningKey();
+    if (!signingKey) {
+        throw new HttpError(404, 'Evidence exports are not signed on this server');
+    }
+    return { body: describeSigningKey(signingKey) };
+}
+
+// DELETE /projects/:id/tasks/:taskId/evidence/:filename - Remove an evidence file
+async function deleteEvidence(request) {
+    const { params, user } = request;
+    const { id: projectId, taskId, filename } = params;
+    await loadProject(projectId, user, 'edit');
+
+    const { task, removed } = await Storage.updateTasksForProject(projectId, async allTasks => {
+        const task = findTask(allTasks, taskId);
+
+        const removed = Evidence.find(task.evidenceFiles, filename);
+        if (!removed) {
+            throw new HttpError(404, 'Evidence file not found');
+        }
+
+        const previousEvidence = task.evidenceFiles;
+        task.evidenceFiles = Evidence.remove(previousEvidence, filename);
+
+        await recordAudit(request, projectId, 'evidence.delete', {
+            target: { type: 'task', id: task.id, phase: task.phase, title: task.title },
+            before: { evidenceFiles: previousEvidence },
+            after: { evidenceFiles: task.evidenceFiles }
+        });
+        return { task, removed };
+    });
+
+    await Storage.deleteEvidenceFile(projectId, taskId, filename);
+
+    return { body: { message: 'Evidence deleted successfully', evidence: removed, evidenceFiles: task.evidenceFiles } };
+}
+
+// The evidence limits of a project as the API reports them, with its usage
+async function describeProjectLimits(project) {
+    const globalLimits = getGlobalLimits();
+    return {
+        limits: describeLimits(getProjectLimits(project, globalLimits)),
+        projectLimits: project.evidenceLimits || {},
+        serverLimits: describeLimits(globalLimits),
+        usage: evidenceUsage(await Storage.getTasksForProject(project.id))
+    };
+}
+
+// GET /projects/:id/evidence/limits - The upload limits that apply to a
+// project, its own settings, the server-wide limits and its current usage
+async function getEvidenceLimits({ params, user }) {
+    const project = await loadProject(params.id, user);
+    return { body: await describeProjectLimits(project) };
+}
+
+// PUT /projects/:id/evidence/limits - Set a project's own upload limits:
+// { maxFileSize, maxFilesPerUpload, maxFilesPerProject, projectQuota,
+// allowedTypes }. Each may only narrow the server-wide limit; one left out or
+// null follows it.
+async function updateEvidenceLimits(request) {
+    const { params, body, user } = request;
+    await loadProject(params.id, user, 'manage');
+    requireJsonBody(body);
+
+    let evidenceLimits;
+    try {
+        evidenceLimits = normalizeProjectLimits(body);
+    } catch (error) {
+        throw new HttpError(400, error.message);
+    }
+
+    const project = await changeProject(params.id, user, 'manage', async project => {
+        await recordAudit(request, project.id, 'evidence.limits', {
+            target: { type: 'project', id: project.id },
+            before: { evidenceLimits: project.evidenceLimits || {} },
+            after: { evidenceLimits }
+        });
+        project.evidenceLimits = evidenceLimits;
+        return project;
+    });
+
+    return { body: await describeProjectLimits(project) };
+}
+
+module.exports = {
+    fileTypeError,
+    fileSizeError,
+    fileCountError,
+    checkFileType,
+    requireClean,
+    downloadHeaders,
+    attachEvidence,
+    uploadEvidence,
+    listEvidence,
+    downloadEvidence,
+    rescanEvidence,
+    verifyEvidence,
+    exportEvidence,
+    evidenceSigningKey,
+    getEvidenceLimits,
+    updateEvidenceLimits,
+    deleteEvidence
+};
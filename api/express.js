@@ -0,0 +1,82 @@
+const { Readable } = require('stream');
+const { runHandler, getRequestId } = require('./router');
+const { authenticate } = require('./auth');
+const { loadProject } = require('./projects');
+const HttpError = require('./HttpError');
+
+// Tag every API request with an ID before the shared and Express-only routes
+function assignRequestId(req, res, next) {
+    req.requestId = getRequestId(req.headers);
+    res.set('X-Request-Id', req.requestId);
+    next();
+}
+
+// For Express-only routes outside the shared table: reject unauthenticated
+// requests the same way runHandler does and expose the user as req.user
+async function requireAuthentication(req, res, next) {
+    try {
+        const user = await authenticate(req.headers);
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('Authentication failed:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+}
+
+// For Express-only project routes: after requireAuthentication, reject users
+// whose role on req.params.projectId lacks permission
+function requireProjectPermission(permission) {
+    return async (req, res, next) => {
+        try {
+            req.project = await loadProject(req.params.projectId, req.user, permission);
+            next();
+        } catch (error) {
+            if (error instanceof HttpError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('Permission check failed:', error);
+            res.status(500).json({ error: 'Permission check failed' });
+        }
+    };
+}
+
+function toExpressHandler(route) {
+    return async (req, res) => {
+        const result = await runHandler(route, {
+            params: req.params,
+            query: req.query,
+            body: req.body,
+            headers: req.headers,
+            requestId: req.requestId
+        });
+
+        res.status(result.status);
+        res.set(result.headers);
+        if (result.body instanceof Readable) {
+            // The status is sent by now, so a failure part way through can
+            // only cut the response short
+            result.body.on('error', error => {
+                console.error(`${route.failure}:`, error);
+                res.destroy(error);
+            });
+            result.body.pipe(res);
+        } else if (Buffer.isBuffer(result.body)) {
+            res.send(result.body);
+        } else {
+            res.json(result.body);
+        }
+    };
+}
+
+// Register every route of the shared API on an Express app under prefix
+function mountRoutes(app, routes, prefix = '/api') {
+    routes.forEach(route => {
+        app[route.method.toLowerCase()](prefix + route.path, toExpressHandler(route));
+    });
+}
+
+module.exports = { mountRoutes, toExpressHandler, assignRequestId, requireAuthentication, requireProjectPermission };
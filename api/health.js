@@ -0,0 +1,12 @@
+// GET /health - Health check
+async function health() {
+    return {
+        body: {
+            status: 'OK',
+            message: 'SSDLC Automation Tool is running',
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
+module.exports = { health };
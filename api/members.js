@@ -0,0 +1,118 @@
+const Project = require('../models/Project');
+const Storage = require('../utils/storage');
+const { recordAudit } = require('../utils/audit');
+const HttpError = require('./HttpError');
+const { requireJsonBody, loadProject, changeProject } = require('./projects');
+
+async function describeMembers(project) {
+    return Promise.all((project.members || []).map(async member => {
+        const user = await Storage.getUserById(member.userId);
+        return {
+            userId: member.userId,
+            username: user ? user.username : null,
+            role: member.role
+        };
+    }));
+}
+
+// Apply change to the project's members under the storage lock and record
+// it. change returns the before and after roles recorded in the audit log.
+async function saveMembers(request, action, userId, change) {
+    const member = await Storage.getUserById(userId);
+    const project = await changeProject(request.params.id, request.user, 'manage', async project => {
+        const roles = change(project);
+        await recordAudit(request, project.id, action, {
+            target: { type: 'member', id: userId, username: member ? member.username : null },
+            ...roles
+        });
+        return project;
+    });
+
+    return { body: await describeMembers(project) };
+}
+
+function validateRole(role) {
+    try {
+        Project.validateRole(role);
+    } catch (validationError) {
+        throw new HttpError(400, validationError.message);
+    }
+}
+
+// GET /projects/:id/members - List the project's members and their roles
+async function listMembers({ params, user }) {
+    const project = await loadProject(params.id, user);
+    return { body: await describeMembers(project) };
+}
+
+// POST /projects/:id/members - Add a user to the project by username
+async function addMember(request) {
+    const { params, body, user } = request;
+    requireJsonBody(body);
+    const { username, role } = body;
+
+    await loadProject(params.id, user, 'manage');
+    validateRole(role);
+
+    const member = typeof username === 'string' ? await Storage.getUserByUsername(username) : null;
+    if (!member) {
+        throw new HttpError(404, 'User not found');
+    }
+
+    const result = await saveMembers(request, 'member.add', member.id, project => {
+        if ((project.members || []).some(m => m.userId === member.id)) {
+            throw new HttpError(409, 'User is already a member of this project');
+        }
+        project.setMember(member.id, role);
+        return { after: { role } };
+    });
+    return { ...result, status: 201 };
+}
+
+// PUT /projects/:id/members/:userId - Change a member's role
+async function updateMember(request) {
+    const { params, body, user } = request;
+    requireJsonBody(body);
+    await loadProject(params.id, user, 'manage');
+    validateRole(body.role);
+
+    return saveMembers(request, 'member.update', params.userId, project => {
+        const existing = (project.members || []).find(m => m.userId === params.userId);
+        if (!existing) {
+            throw new HttpError(404, 'Member not found');
+        }
+        const previousRole = existing.role;
+
+        try {
+            project.setMember(params.userId, body.role);
+        } catch (error) {
+            throw new HttpError(400, error.message);
+        }
+        return { before: { role: previousRole }, after: { role: body.role } };
+    });
+}
+
+// DELETE /projects/:id/members/:userId - Remove a member from the project
+async function removeMember(request) {
+    return saveMembers(request, 'member.remove', request.params.userId, project => {
+        const existing = (project.members || []).find(m => m.userId === request.params.userId);
+
+        let removed;
+        try {
+            removed = project.removeMember(request.params.userId);
+        } catch (error) {
+            throw new HttpError(400, error.message);
+        }
+        if (!removed) {
+            throw new HttpError(404, 'Member not found');
+        }
+        return { before: { role: existing.role } };
+    });
+}
+
+module.exports = {
+    listMembers,
+    addMember,
+    updateMember,
+    removeMember
+};
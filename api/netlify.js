@@ -0,0 +1,107 @@
+const { Readable } = require('stream');
+const { matchRoute, runHandler } = require('./router');
+const HttpError = require('./HttpError');
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Request-Id',
+    'Access-Control-Expose-Headers': 'X-Request-Id',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS'
+};
+
+// Requests arrive either on the function URL or rewritten from /api/*
+const PATH_PREFIX = /^\/(?:\.netlify\/functions\/api|api)(?=\/|$)/;
+
+function jsonResponse(statusCode, body) {
+    return {
+        statusCode,
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// Like express.json, only JSON bodies are parsed; anything else arrives as {}
+function parseBody(event) {
+    const headers = event.headers || {};
+    const contentType = headers['content-type'] || headers['Content-Type'] || '';
+    if (!event.body || (contentType && !contentType.includes('application/json'))) {
+        return {};
+    }
+    const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+    return JSON.parse(raw);
+}
+
+// Build a Lambda-style Netlify Function handler serving the shared API routes
+function createNetlifyHandler(routes) {
+    return async (event) => {
+        // Handle CORS preflight
+        if (event.httpMethod === 'OPTIONS') {
+            return { statusCode: 200, headers: CORS_HEADERS, body: '' };
+        }
+
+        const requestPath = event.path.replace(PATH_PREFIX, '') || '/';
+        let match;
+        try {
+            match = matchRoute(routes, event.httpMethod, requestPath);
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                throw error;
+            }
+            return jsonResponse(error.status, { error: error.message });
+        }
+        if (!match) {
+            return jsonResponse(404, { error: 'Not found' });
+        }
+        if (!match.route) {
+            return jsonResponse(405, { error: 'Method not allowed' });
+        }
+
+        let body;
+        try {
+            body = parseBody(event);
+        } catch (error) {
+            return jsonResponse(400, { error: 'Invalid JSON format in request body' });
+        }
+
+        let result = await runHandler(match.route, {
+            params: match.params,
+            query: event.queryStringParameters || {},
+            body,
+            headers: event.headers || {}
+        });
+
+        // Functions cannot stream their response, so streamed bodies are
+        // collected first
+        if (result.body instanceof Readable) {
+            try {
+                result.body = await collect(result.body);
+            } catch (error) {
+                console.error(`${match.route.failure}:`, error);
+                result = { status: 500, headers: { 'X-Request-Id': result.headers['X-Request-Id'] }, body: { error: match.route.failure } };
+            }
+        }
+
+        if (Buffer.isBuffer(result.body)) {
+            return {
+                statusCode: result.status,
+                headers: { ...CORS_HEADERS, ...result.headers },
+                body: result.body.toString('base64'),
+                isBase64Encoded: true
+            };
+        }
+
+        const response = jsonResponse(result.status, result.body);
+        response.headers = { ...response.headers, ...result.headers };
+        return response;
+    };
+}
+
+module.exports = { createNetlifyHandler };
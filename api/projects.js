@@ -0,0 +1,251 @@
+const AuditEntry = require('../models/AuditEntry');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const Template = require('../models/Template');
+const Storage = require('../utils/storage');
+const { recordAudit } = require('../utils/audit');
+const HttpError = require('./HttpError');
+
+function requireJsonBody(body) {
+    if (!body || typeof body !== 'object') {
+        throw new HttpError(400, 'Request body must be a valid JSON object');
+    }
+}
+
+const PERMISSION_ERRORS = {
+    edit: 'Viewers cannot change this project',
+    complete: 'Only security reviewers can mark tasks complete',
+    manage: 'Only project owners can do this'
+};
+
+// Fail with 403 unless the user's role on the project grants permission
+function requirePermission(project, user, permission, message = PERMISSION_ERRORS[permission]) {
+    if (!Project.can(Project.getRole(project, user.id), permission)) {
+        throw new HttpError(403, message);
+    }
+}
+
+// A stored project as a Project instance, if the user holds permission on it.
+// Non-members get 404 so they cannot tell which project IDs exist.
+function checkProject(projectData, user, permission) {
+    if (!projectData || !Project.getRole(projectData, user.id)) {
+        throw new HttpError(404, 'Project not found');
+    }
+    requirePermission(projectData, user, permission);
+    return Object.assign(new Project(), projectData);
+}
+
+// Load a stored project as a Project instance for a user holding permission
+async function loadProject(projectId, user, permission = 'view') {
+    return checkProject(await Storage.getProjectById(projectId), user, permission);
+}
+
+// Change a project and its tasks as one step, so overlapping requests cannot
+// drop each other's changes. fn gets the project, checked as by loadProject,
+// and its tasks by phase, changes both in place and returns the handler's
+// result; both are saved once it resolves.
+function changeProject(projectId, user, permission, fn) {
+    return Storage.updateProject(projectId, async (projectData, tasks) => {
+        const project = checkProject(projectData, user, permission);
+        const result = await fn(project, tasks);
+        return { project, tasks, result };
+    });
+}
+
+// GET /projects - List the user's projects (archived ones only with ?includeArchived=true)
+async function listProjects({ query, user }) {
+    const includeArchived = query.includeArchived === 'true';
+    const projects = (await Storage.readProjects())
+        .filter(project => includeArchived || !project.archived)
+        .map(project => ({ ...project, role: Project.getRole(project, user.id) }))
+        .filter(project => project.role);
+    return { body: projects };
+}
+
+// POST /projects - Create new project with phases and tasks from a template (or the defaults)
+async function createProject(request) {
+    const { body, user } = request;
+    requireJsonBody(body);
+    const { name, templateId, phases } = body;
+
+    try {
+        Project.validate({ name });
+    } catch (validationError) {
+        throw new HttpError(400, validationError.message);
+    }
+
+    let template = null;
+    if (templateId !== undefined && templateId !== null && templateId !== '') {
+        template = await Storage.getTemplateById(templateId);
+        if (!template) {
+            throw new HttpError(400, 'Template not found');
+        }
+    }
+
+    // An explicit phase list overrides the template's
+    const projectPhases = phases !== undefined ? phases : Template.getPhases(template || {});
+    try {
+        Project.validatePhases(projectPhases);
+    } catch (validationError) {
+        throw new HttpError(400, validationError.message);
+    }
+
+    // A chosen template must fit the phase list; the default checklist only fills matching phases
+    const phaseKeys = projectPhases.map(phase => phase.key);
+    const taskDefinitions = template ? template.tasks : Task.getDefaultTasks();
+    const unknownPhase = template && Object.keys(taskDefinitions)
+        .find(phase => !phaseKeys.includes(phase) && taskDefinitions[phase].length > 0);
+    if (unknownPhase) {
+        throw new HttpError(400, `Tasks for phase ${unknownPhase} have no matching project phase`);
+    }
+
+    const project = new Project(name, Project.normalizePhases(projectPhases));
+    project.templateId = template ? template.id : null;
+    project.setMember(user.id, 'owner');
+
+    // Create the project's tasks from its template, or the default tasks
+    const initialTasks = Template.createTasks({ phases: projectPhases, tasks: taskDefinitions });
+    await Storage.updateProject(project.id, async () => {
+        await recordAudit(request, project.id, 'project.create', {
+            target: { type: 'project', id: project.id },
+            after: { name: project.name, templateId: project.templateId, phases: Project.getPhaseList(project) }
+        });
+        return { project, tasks: initialTasks };
+    });
+
+    return { status: 201, body: project };
+}
+
+// GET /projects/:id - Get specific project details with its tasks and the user's role
+async function getProject({ params, user }) {
+    const { id } = params;
+
+    if (!id || typeof id !== 'string' || id.trim().length === 0) {
+        throw new HttpError(400, 'Invalid project ID');
+    }
+
+    const project = await loadProject(id, user);
+    const tasks = await Storage.getTasksForProject(id);
+    return { body: { ...project, tasks, role: Project.getRole(project, user.id) } };
+}
+
+// PATCH /projects/:id - Rename project and/or replace its phase list
+async function updateProject(request) {
+    const { params, body, user } = request;
+    requireJsonBody(body);
+    const { id } = params;
+    const { name, phases } = body;
+
+    if (name === undefined && phases === undefined) {
+        throw new HttpError(400, 'Project name or phases are required');
+    }
+
+    const project = await changeProject(id, user, 'manage', async (project, allTasks) => {
+        const previous = { name: project.name, phases: Project.getPhaseList(project) };
+
+        try {
+            if (name !== undefined) {
+                project.rename(name);
+            }
+
+            if (phases !== undefined) {
+                Project.validatePhases(phases);
+
+                // Dropping a phase would orphan its tasks, so it has to be emptied first
+                const keptKeys = phases.map(phase => phase.key);
+                const nonEmptyDropped = Object.keys(allTasks)
+                    .find(phase => !keptKeys.includes(phase) && allTasks[phase].length > 0);
+                if (nonEmptyDropped) {
+                    throw new Error(`Phase ${nonEmptyDropped} still has tasks`);
+                }
+
+                project.setPhases(phases);
+            }
+        } catch (validationError) {
+            throw new HttpError(400, validationError.message);
+        }
+
+        // Keep the task lists in the new phase order
+        if (phases !== undefined) {
+            const reorderedTasks = {};
+            phases.forEach(phase => {
+                reorderedTasks[phase.key] = allTasks[phase.key] || [];
+            });
+            Object.keys(allTasks).forEach(phase => delete allTasks[phase]);
+            Object.assign(allTasks, reorderedTasks);
+        }
+
+        const changes = AuditEntry.changes(previous, { name: project.name, phases: Project.getPhaseList(project) }, ['name', 'phases']);
+        if (changes) {
+            await recordAudit(request, id, 'project.update', { target: { type: 'project', id }, ...changes });
+        }
+        return project;
+    });
+
+    return { body: project };
+}
+
+async function setArchived(request, archived) {
+    const project = await changeProject(request.params.id, request.user, 'manage', async project => {
+        await recordAudit(request, project.id, archived ? 'project.archive' : 'project.restore', {
+            target: { type: 'project', id: project.id },
+            before: { archived: Boolean(project.archived) },
+            after: { archived }
+        });
+
+        if (archived) {
+            project.archive();
+        } else {
+            project.restore();
+        }
+        return project;
+    });
+
+    return { body: project };
+}
+
+// POST /projects/:id/archive - Archive project
+function archiveProject(request) {
+    return setArchived(request, true);
+}
+
+// POST /projects/:id/restore - Restore archived project
+function restoreProject(request) {
+    return setArchived(request, false);
+}
+
+// DELETE /projects/:id - Delete project, its tasks and its evidence files.
+// The project's audit log is kept.
+async function deleteProject(request) {
+    const { id } = request.params;
+
+    const project = await loadProject(id, request.user, 'manage');
+
+    // Recorded first, so the project is never gone without a record of it
+    await recordAudit(request, id, 'project.delete', {
+        target: { type: 'project', id },
+        before: { name: project.name }
+    });
+
+    if (!(await Storage.deleteProject(id))) {
+        throw new HttpError(500, 'Failed to delete project');
+    }
+
+    await Storage.deleteEvidence(id);
+
+    return { body: { message: 'Project deleted successfully' } };
+}
+
+module.exports = {
+    requireJsonBody,
+    requirePermission,
+    loadProject,
+    changeProject,
+    listProjects,
+    createProject,
+    getProject,
+    updateProject,
+    archiveProject,
+    restoreProject,
+    deleteProject
+};
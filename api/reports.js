@@ -0,0 +1,262 @@
+const Project = require('../models/Project');
+const Storage = require('../utils/storage');
+const { buildReportData, applyReportSections, auditTrail, portfolioFocusPhases, buildPortfolioData } = require('../utils/reportData');
+const {
+    SETTING_NAME,
+    normalizeReportConfig,
+    resolveReportConfig,
+    summarizeReportConfig
+} = require('../utils/reportConfig');
+const { recordAudit } = require('../utils/audit');
+const renderPdf = require('../utils/reportFormats/pdf');
+const renderPortfolioPdf = require('../utils/reportFormats/portfolioPdf');
+const renderCsv = require('../utils/reportFormats/csv');
+const renderHtml = require('../utils/reportFormats/html');
+const renderMarkdown = require('../utils/reportFormats/markdown');
+const HttpError = require('./HttpError');
+const { requireJsonBody, loadProject, changeProject } = require('./projects');
+const { requireAdministrator } = require('./auth');
+
+// Report formats in order of preference when the client accepts several.
+// Formats without a renderer are returned as the JSON report data.
+const REPORT_FORMATS = {
+    pdf: { contentType: 'application/pdf', extension: 'pdf', render: renderPdf },
+    json: { contentType: 'application/json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: renderCsv },
+    html: {
+        contentType: 'text/html; charset=utf-8',
+        extension: 'html',
+        render: renderHtml,
+        // Should the page be opened from this origin, it can only use its
+        // own inline styles
+        headers: { 'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'" }
+    },
+    markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: renderMarkdown }
+};
+
+const PORTFOLIO_FORMATS = {
+    pdf: { contentType: 'application/pdf', extension: 'pdf', render: renderPortfolioPdf },
+    json: { contentType: 'application/json' }
+};
+
+// How an Accept header matches a media type: the quality of the most
+// specific range matching it and how specific that range is (2 for the exact
+// type, 1 for type/*, 0 for */*), or null if none does
+function acceptMatch(ranges, contentType) {
+    const [type, subtype] = contentType.split(';')[0].split('/');
+    let best = null;
+    ranges.forEach(range => {
+        let specificity;
+        if (range.type === type && range.subtype === subtype) {
+            specificity = 2;
+        } else if (range.type === type && range.subtype === '*') {
+            specificity = 1;
+        } else if (range.type === '*' && range.subtype === '*') {
+            specificity = 0;
+        } else {
+            return;
+        }
+        if (!best || specificity > best.specificity) {
+            best = { specificity, quality: range.quality };
+        }
+    });
+    return best;
+}
+
+// The format of formats to render: the format parameter if given, otherwise
+// the best match for the Accept header, defaulting to the PDF
+function reportFormat(query, headers, formats) {
+    if (query.format !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(formats, query.format)) {
+            throw new HttpError(400, `format must be one of: ${Object.keys(formats).join(', ')}`);
+        }
+        return query.format;
+    }
+
+    const accept = headers.accept || headers.Accept;
+    if (!accept || accept.trim() === '') {
+        return 'pdf';
+    }
+    const ranges = accept.split(',').map(part => {
+        const [mediaRange, ...params] = part.trim().toLowerCase().split(';');
+        const [type, subtype = ''] = mediaRange.trim().split('/');
+        const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        const quality = q ? parseFloat(q.slice(2)) : 1;
+        return { type, subtype, quality: isNaN(quality) ? 0 : quality };
+    });
+
+    // The highest quality wins; on a tie, a type the client named beats one
+    // it only accepts through a wildcard, then the order of formats
+    let chosen = null;
+    let chosenMatch = null;
+    Object.keys(formats).forEach(format => {
+        const match = acceptMatch(ranges, formats[format].contentType);
+        if (!match || match.quality <= 0) {
+            return;
+        }
+        if (!chosenMatch || match.quality > chosenMatch.quality ||
+            (match.quality === chosenMatch.quality && match.specificity > chosenMatch.specificity)) {
+            chosen = format;
+            chosenMatch = match;
+        }
+    });
+    if (!chosen) {
+        throw new HttpError(406, `Reports are available as ${Object.values(formats).map(format => format.contentType.split(';')[0]).join(', ')}`);
+    }
+    return chosen;
+}
+
+// The response for report data in a format: the data itself as JSON, or the
+// rendered report as a download named <name>_<date>.<extension>. config is
+// passed to the renderer.
+function reportResponse(data, format, name, config) {
+    const { contentType, extension, render, headers: formatHeaders } = format;
+    if (!render) {
+        return { headers: { Vary: 'Accept' }, body: data };
+    }
+
+    const report = render(data, config);
+    return {
+        headers: {
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${name}_${new Date().toISOString().split('T')[0]}.${extension}"`,
+            'Content-Length': report.length,
+            'X-Content-Type-Options': 'nosniff',
+            Vary: 'Accept',
+            ...formatHeaders
+        },
+        body: report
+    };
+}
+
+// GET /projects/:id/report - Generate project report as a PDF, JSON, CSV,
+// HTML or Markdown, chosen by the format parameter or the Accept header
+async function projectReport({ params, query = {}, headers = {}, user }) {
+    const { id } = params;
+    const format = reportFormat(query, headers, REPORT_FORMATS);
+    const project = await loadProject(id, user);
+
+    // Get tasks for this project, in the order of its phase list
+    const phaseList = Project.getPhaseList(project);
+    const tasks = await Storage.getTasksForProject(id);
+    const config = resolveReportConfig(await loadGlobalReportConfig(), project.reportConfig);
+    const data = applyReportSections(buildReportData(project, phaseList, tasks), config.sections);
+    if (config.sections.auditTrail) {
+        data.auditTrail = auditTrail(await Storage.readAuditLog(id));
+    }
+
+    return reportResponse(data, REPORT_FORMATS[format], `SSDLC_Report_${project.name.replace(/[^a-zA-Z0-9]/g, '_')}`, config);
+}
+
+// GET /reports/portfolio - Security posture across every project the user is
+// a member of (archived ones only with ?includeArchived=true), as a PDF or JSON.
+// ?focusPhases= overrides the server's focus phases for this report.
+async function portfolioReport({ query = {}, headers = {}, user }) {
+    const format = reportFormat(query, headers, PORTFOLIO_FORMATS);
+    const includeArchived = query.includeArchived === 'true';
+    const projects = (await Storage.readProjects())
+        .filter(project => (includeArchived || !project.archived) && Project.getRole(project, user.id));
+
+    const reports = [];
+    for (const project of projects) {
+        const tasks = await Storage.getTasksForProject(project.id);
+        reports.push(buildReportData(project, Project.getPhaseList(project), tasks));
+    }
+
+    const focusPhases = portfolioFocusPhases(query.focusPhases || process.env.PORTFOLIO_FOCUS_PHASES);
+    return reportResponse(buildPortfolioData(reports, focusPhases), PORTFOLIO_FORMATS[format], 'SSDLC_Portfolio_Report');
+}
+
+// Changes to the server-wide report configuration are kept in the audit log
+// under this key, as a project's are under its ID
+const REPORT_CONFIG_LOG_ID = `setting:${SETTING_NAME}`;
+
+// The server-wide report configuration as stored
+async function loadGlobalReportConfig() {
+    return (await Storage.getSetting(SETTING_NAME)) || {};
+}
+
+function parseReportConfig(body) {
+    requireJsonBody(body);
+    try {
+        return normalizeReportConfig(body);
+    } catch (error) {
+        throw new HttpError(400, error.message);
+    }
+}
+
+// GET /reports/config - The report configuration every project starts from:
+// the server-wide settings and, with the defaults filled in, what applies
+async function getReportConfig() {
+    const globalConfig = await loadGlobalReportConfig();
+    return { body: { config: resolveReportConfig(globalConfig), globalConfig } };
+}
+
+// PUT /reports/config - Set the server-wide report configuration:
+// { organisationName, logo, theme: { primary, accent }, sections:
+// { outstandingTasks, notes, evidenceList, auditTrail } }. A setting left
+// out or null follows the default. Administrators only.
+async function updateReportConfig(request) {
+    const { body, user } = request;
+    await requireAdministrator(user, 'Only administrators can change the report settings for every project');
+    const globalConfig = parseReportConfig(body);
+
+    await recordAudit(request, REPORT_CONFIG_LOG_ID, 'report.config', {
+        target: { type: 'setting', id: SETTING_NAME },
+        before: { reportConfig: summarizeReportConfig(await loadGlobalReportConfig()) },
+        after: { reportConfig: summarizeReportConfig(globalConfig) }
+    });
+
+    if (!(await Storage.saveSetting(SETTING_NAME, Object.keys(globalConfig).length > 0 ? globalConfig : null))) {
+        throw new HttpError(500, 'Failed to save report configuration');
+    }
+    return { body: { config: resolveReportConfig(globalConfig), globalConfig } };
+}
+
+// The report configuration of a project as the API reports it
+async function describeProjectReportConfig(project) {
+    const globalConfig = await loadGlobalReportConfig();
+    return {
+        config: resolveReportConfig(globalConfig, project.reportConfig),
+        projectConfig: project.reportConfig || {},
+        globalConfig
+    };
+}
+
+// GET /projects/:id/report/config - The report configuration that applies to
+// a project, its own settings and the server-wide ones
+async function getProjectReportConfig({ params, user }) {
+    const project = await loadProject(params.id, user);
+    return { body: await describeProjectReportConfig(project) };
+}
+
+// PUT /projects/:id/report/config - Set a project's own report configuration,
+// in the same shape as the server-wide one. A setting left out or null
+// follows the server-wide configuration.
+async function updateProjectReportConfig(request) {
+    const { params, body, user } = request;
+    await loadProject(params.id, user, 'manage');
+    const reportConfig = parseReportConfig(body);
+
+    const project = await changeProject(params.id, user, 'manage', async project => {
+        await recordAudit(request, project.id, 'report.config', {
+            target: { type: 'project', id: project.id },
+            before: { reportConfig: summarizeReportConfig(project.reportConfig || {}) },
+            after: { reportConfig: summarizeReportConfig(reportConfig) }
+        });
+        project.reportConfig = reportConfig;
+        return project;
+    });
+
+    return { body: await describeProjectReportConfig(project) };
+}
+
+module.exports = {
+    REPORT_CONFIG_LOG_ID,
+    projectReport,
+    portfolioReport,
+    getReportConfig,
+    updateReportConfig,
+    getProjectReportConfig,
+    updateProjectReportConfig
+};
@@ -0,0 +1,88 @@
+const { v4: uuidv4 } = require('uuid');
+const HttpError = require('./HttpError');
+const { authenticate } = require('./auth');
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Use the caller's X-Request-Id when it looks like one, otherwise make one up,
+// so audit entries can be matched to proxy and client logs
+function getRequestId(headers = {}) {
+    const incoming = headers['x-request-id'];
+    return typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+}
+
+// Turn '/projects/:id/tasks' into a regular expression capturing each parameter
+function compilePath(routePath) {
+    const paramNames = [];
+    const pattern = routePath.replace(/:(\w+)/g, (match, name) => {
+        paramNames.push(name);
+        return '([^/]+)';
+    });
+    return { regex: new RegExp(`^${pattern}$`), paramNames };
+}
+
+// Find the route for a method and path. Returns null when no route has the
+// path, or { route: null } when the path exists but not for this method.
+// Throws a 400 HttpError when a parameter is not validly percent-encoded.
+function matchRoute(routes, method, requestPath) {
+    let pathMatched = false;
+
+    for (const route of routes) {
+        if (!route.compiled) {
+            route.compiled = compilePath(route.path);
+        }
+
+        const match = route.compiled.regex.exec(requestPath);
+        if (!match) {
+            continue;
+        }
+
+        pathMatched = true;
+        if (route.method === method) {
+            const params = {};
+            route.compiled.paramNames.forEach((name, index) => {
+                try {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                } catch (error) {
+                    throw new HttpError(400, `Invalid ${name} in the request path`);
+                }
+            });
+            return { route, params };
+        }
+    }
+
+    return pathMatched ? { route: null } : null;
+}
+
+// Run a route's handler and turn the outcome into { status, headers, body }.
+// Unless the route is marked public, the request must carry a session or API
+// token and the handler receives the signed-in user as request.user. Every
+// response carries the request ID the handler saw as request.requestId.
+// HttpErrors become their status; anything else is logged and reported with
+// the route's failure message.
+async function runHandler(route, request) {
+    const requestId = request.requestId || getRequestId(request.headers);
+    request = { ...request, requestId };
+    const headers = { 'X-Request-Id': requestId };
+
+    try {
+        if (!route.public) {
+            const user = await authenticate(request.headers);
+            if (!user) {
+                throw new HttpError(401, 'Authentication required');
+            }
+            request = { ...request, user };
+        }
+
+        const result = await route.handler(request);
+        return { status: 200, ...result, headers: { ...headers, ...result.headers } };
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return { status: error.status, headers, body: { error: error.message } };
+        }
+        console.error(`${route.failure}:`, error);
+        return { status: 500, headers, body: { error: route.failure } };
+    }
+}
+
+module.exports = { matchRoute, runHandler, getRequestId };
@@ -0,0 +1,77 @@
+// Route table for the API shared by server.js and the Netlify function.
+// Paths are relative to /api. `failure` is the error reported when a handler
+// throws anything other than an HttpError. Every route requires a signed-in
+// user unless it is marked `public`.
+const { health } = require('./health');
+const audit = require('./audit');
+const auth = require('./auth');
+const projects = require('./projects');
+const members = require('./members');
+const tasks = require('./tasks');
+const evidence = require('./evidence');
+const templates = require('./templates');
+const reports = require('./reports');
+
+module.exports = [
+    { method: 'GET', path: '/health', handler: health, failure: 'Health check failed' },
+
+    { method: 'POST', path: '/auth/login', handler: auth.login, failure: 'Failed to log in', public: true },
+    { method: 'POST', path: '/auth/logout', handler: auth.logout, failure: 'Failed to log out', public: true },
+    { method: 'GET', path: '/auth/setup', handler: auth.setupStatus, failure: 'Failed to check setup status', public: true },
+    { method: 'POST', path: '/auth/setup', handler: auth.setup, failure: 'Failed to create first user', public: true },
+    { method: 'GET', path: '/auth/me', handler: auth.me, failure: 'Failed to fetch current user' },
+    { method: 'PUT', path: '/auth/password', handler: auth.changePassword, failure: 'Failed to change password' },
+    { method: 'GET', path: '/auth/tokens', handler: auth.listTokens, failure: 'Failed to fetch API tokens' },
+    { method: 'POST', path: '/auth/tokens', handler: auth.createToken, failure: 'Failed to create API token' },
+    { method: 'DELETE', path: '/auth/tokens/:tokenId', handler: auth.revokeToken, failure: 'Failed to revoke API token' },
+
+    { method: 'GET', path: '/users', handler: auth.listUsers, failure: 'Failed to fetch users' },
+    { method: 'POST', path: '/users', handler: auth.createUser, failure: 'Failed to create user' },
+
+    { method: 'GET', path: '/projects', handler: projects.listProjects, failure: 'Failed to fetch projects' },
+    { method: 'POST', path: '/projects', handler: projects.createProject, failure: 'Failed to create project' },
+    { method: 'GET', path: '/projects/:id', handler: projects.getProject, failure: 'Failed to fetch project' },
+    { method: 'PATCH', path: '/projects/:id', handler: projects.updateProject, failure: 'Failed to update project' },
+    { method: 'DELETE', path: '/projects/:id', handler: projects.deleteProject, failure: 'Failed to delete project' },
+    { method: 'POST', path: '/projects/:id/archive', handler: projects.archiveProject, failure: 'Failed to archive project' },
+    { method: 'POST', path: '/projects/:id/restore', handler: projects.restoreProject, failure: 'Failed to restore project' },
+
+    { method: 'GET', path: '/projects/:id/audit', handler: audit.projectAudit, failure: 'Failed to fetch audit log' },
+
+    { method: 'GET', path: '/projects/:id/members', handler: members.listMembers, failure: 'Failed to fetch project members' },
+    { method: 'POST', path: '/projects/:id/members', handler: members.addMember, failure: 'Failed to add project member' },
+    { method: 'PUT', path: '/projects/:id/members/:userId', handler: members.updateMember, failure: 'Failed to update project member' },
+    { method: 'DELETE', path: '/projects/:id/members/:userId', handler: members.removeMember, failure: 'Failed to remove project member' },
+
+    { method: 'POST', path: '/projects/:id/tasks', handler: tasks.createTask, failure: 'Failed to create task' },
+    { method: 'POST', path: '/projects/:id/tasks/reorder', handler: tasks.reorderTasks, failure: 'Failed to reorder tasks' },
+    { method: 'PUT', path: '/projects/:id/tasks/:taskId', handler: tasks.updateTask, failure: 'Failed to update task' },
+    { method: 'DELETE', path: '/projects/:id/tasks/:taskId', handler: tasks.deleteTask, failure: 'Failed to delete task' },
+
+    { method: 'GET', path: '/projects/:id/evidence/limits', handler: evidence.getEvidenceLimits, failure: 'Failed to load evidence limits' },
+    { method: 'PUT', path: '/projects/:id/evidence/limits', handler: evidence.updateEvidenceLimits, failure: 'Failed to update evidence limits' },
+    { method: 'GET', path: '/projects/:id/evidence/verify', handler: evidence.verifyEvidence, failure: 'Failed to verify evidence' },
+    { method: 'GET', path: '/projects/:id/evidence/export', handler: evidence.exportEvidence, failure: 'Failed to export evidence' },
+    { method: 'GET', path: '/projects/:id/tasks/:taskId/evidence', handler: evidence.listEvidence, failure: 'Failed to fetch evidence' },
+    { method: 'POST', path: '/projects/:id/tasks/:taskId/evidence', handler: evidence.uploadEvidence, failure: 'Failed to upload evidence' },
+    { method: 'GET', path: '/projects/:id/tasks/:taskId/evidence/:filename', handler: evidence.downloadEvidence, failure: 'Failed to download evidence' },
+    { method: 'POST', path: '/projects/:id/tasks/:taskId/evidence/:filename/scan', handler: evidence.rescanEvidence, failure: 'Failed to scan evidence' },
+    { method: 'DELETE', path: '/projects/:id/tasks/:taskId/evidence/:filename', handler: evidence.deleteEvidence, failure: 'Failed to delete evidence' },
+
+    { method: 'GET', path: '/evidence/signing-key', handler: evidence.evidenceSigningKey, failure: 'Failed to fetch evidence signing key' },
+
+    { method: 'GET', path: '/projects/:id/report', handler: reports.projectReport, failure: 'Failed to generate report' },
+    { method: 'GET', path: '/projects/:id/report/config', handler: reports.getProjectReportConfig, failure: 'Failed to load report configuration' },
+    { method: 'PUT', path: '/projects/:id/report/config', handler: reports.updateProjectReportConfig, failure: 'Failed to update report configuration' },
+    { method: 'GET', path: '/reports/portfolio', handler: reports.portfolioReport, failure: 'Failed to generate portfolio report' },
+    { method: 'GET', path: '/reports/config', handler: reports.getReportConfig, failure: 'Failed to load report configuration' },
+    { method: 'PUT', path: '/reports/config', handler: reports.updateReportConfig, failure: 'Failed to update report configuration' },
+    { method: 'GET', path: '/reports/config/audit', handler: audit.reportConfigAudit, failure: 'Failed to fetch audit log' },
+
+    { method: 'GET', path: '/templates', handler: templates.listTemplates, failure: 'Failed to fetch templates' },
+    { method: 'POST', path: '/templates', handler: templates.createTemplate, failure: 'Failed to create template' },
+    { method: 'GET', path: '/templates/:id', handler: templates.getTemplate, failure: 'Failed to fetch template' },
+    { method: 'PUT', path: '/templates/:id', handler: templates.updateTemplate, failure: 'Failed to update template' },
+    { method: 'DELETE', path: '/templates/:id', handler: templates.deleteTemplate, failure: 'Failed to delete template' },
+    { method: 'GET', path: '/templates/:id/audit', handler: audit.templateAudit, failure: 'Failed to fetch audit log' }
+];
@@ -0,0 +1,235 @@
+const AuditEntry = require('../models/AuditEntry');
+const Task = require('../models/Task');
+const Storage = require('../utils/storage');
+const { recordAudit } = require('../utils/audit');
+const HttpError = require('./HttpError');
+const { requireJsonBody, requirePermission, loadProject, changeProject } = require('./projects');
+
+// Recalculate a phase's completion after its task list changed.
+// An empty phase has nothing done yet, so it is never reported as complete.
+function recalculatePhaseStatus(project, allTasks, phase) {
+    const phaseTasks = allTasks[phase] || [];
+    const allPhaseTasksCompleted = phaseTasks.length > 0 && phaseTasks.every(t => t.completed);
+    project.updatePhaseStatus(phase, allPhaseTasksCompleted);
+}
+
+const AUDITED_TASK_FIELDS = ['completed', 'completedDate', 'notes', 'title', 'description'];
+
+function taskTarget(task) {
+    return { type: 'task', id: task.id, phase: task.phase, title: task.title };
+}
+
+function projectStatus(project) {
+    return {
+        phases: project.phases,
+        overallStatus: project.overallStatus
+    };
+}
+
+// POST /projects/:id/tasks - Add a custom task to a phase
+async function createTask(request) {
+    const { params, body, user } = request;
+    requireJsonBody(body);
+    const { phase, title, description } = body;
+
+    const { project, task } = await changeProject(params.id, user, 'edit', async (project, allTasks) => {
+        if (!phase || !project.phases[phase]) {
+            throw new HttpError(400, `Invalid phase: ${phase}`);
+        }
+
+        try {
+            Task.validate({ title, description });
+        } catch (validationError) {
+            throw new HttpError(400, validationError.message);
+        }
+
+        const task = new Task(phase, title.trim(), (description || '').trim());
+        allTasks[phase] = allTasks[phase] || [];
+        allTasks[phase].push(task);
+
+        // A new open task reopens a completed phase
+        recalculatePhaseStatus(project, allTasks, phase);
+
+        await recordAudit(request, project.id, 'task.create', {
+            target: taskTarget(task),
+            after: { phase, title: task.title, description: task.description }
+        });
+        return { project, task };
+    });
+
+    return { status: 201, body: { task, project: projectStatus(project) } };
+}
+
+// POST /projects/:id/tasks/reorder - Reorder the tasks within a phase
+async function reorderTasks(request) {
+    const { params, body, user } = request;
+    requireJsonBody(body);
+    const { id: projectId } = params;
+    const { phase, taskIds } = body;
+
+    await loadProject(projectId, user, 'edit');
+
+    const reordered = await Storage.updateTasksForProject(projectId, async allTasks => {
+        const phaseTasks = allTasks[phase];
+
+        if (!phase || !phaseTasks) {
+            throw new HttpError(400, `Invalid phase: ${phase}`);
+        }
+
+        // The new order must name every task in the phase exactly once
+        const isSamePhaseTaskSet = Array.isArray(taskIds) &&
+            taskIds.length === phaseTasks.length &&
+            new Set(taskIds).size === taskIds.length &&
+            taskIds.every(taskId => phaseTasks.some(task => task.id === taskId));
+
+        if (!isSamePhaseTaskSet) {
+            throw new HttpError(400, 'taskIds must list every task in the phase exactly once');
+        }
+
+        const changes = AuditEntry.changes({ taskIds: phaseTasks.map(task => task.id) }, { taskIds }, ['taskIds']);
+        if (changes) {
+            await recordAudit(request, projectId, 'task.reorder', { target: { type: 'phase', id: phase }, ...changes });
+        }
+
+        allTasks[phase] = taskIds.map(taskId => phaseTasks.find(task => task.id === taskId));
+        return allTasks[phase];
+    });
+
+    return { body: { phase, tasks: reordered } };
+}
+
+// PUT /projects/:id/tasks/:taskId - Update task status, notes or details.
+// Changing whether a task is complete, or what a completed task asks for, is
+// reserved for security reviewers.
+async function updateTask(request) {
+    const { params, body, user } = request;
+    const { id: projectId, taskId } = params;
+
+    if (!projectId || typeof projectId !== 'string' || projectId.trim().length === 0) {
+        throw new HttpError(400, 'Invalid project ID');
+    }
+
+    if (!taskId || typeof taskId !== 'string' || taskId.trim().length === 0) {
+        throw new HttpError(400, 'Invalid task ID');
+    }
+
+    requireJsonBody(body);
+    const { completed, notes, title, description } = body;
+
+    if (completed !== undefined && typeof completed !== 'boolean') {
+        throw new HttpError(400, 'Completed field must be a boolean value');
+    }
+
+    if (notes !== undefined && typeof notes !== 'string') {
+        throw new HttpError(400, 'Notes field must be a string');
+    }
+
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0)) {
+        throw new HttpError(400, 'Title field must be a non-empty string');
+    }
+
+    if (description !== undefined && typeof description !== 'string') {
+        throw new HttpError(400, 'Description field must be a string');
+    }
+
+    const { project, task } = await changeProject(projectId, user, 'edit', async (project, allTasks) => {
+        const phase = Object.keys(allTasks).find(p => allTasks[p].some(task => task.id === taskId));
+        if (!phase) {
+            throw new HttpError(404, 'Task not found');
+        }
+
+        const task = allTasks[phase].find(t => t.id === taskId);
+
+        if (typeof completed === 'boolean' && completed !== Boolean(task.completed)) {
+            requirePermission(project, user, 'complete');
+        }
+
+        // A reviewer signed off on the task as it reads now
+        const rewritten = (title !== undefined && title.trim() !== task.title) ||
+            (description !== undefined && description.trim() !== task.description);
+        if (task.completed && rewritten) {
+            requirePermission(project, user, 'complete', 'Only security reviewers can change a completed task');
+        }
+
+        const previous = { ...task };
+
+        if (typeof completed === 'boolean') {
+            task.completed = completed;
+            task.completedDate = completed ? new Date().toISOString() : null;
+        }
+
+        if (notes !== undefined) {
+            task.notes = notes || '';
+        }
+
+        if (title !== undefined) {
+            task.title = title.trim();
+        }
+
+        if (description !== undefined) {
+            task.description = description.trim();
+        }
+
+        recalculatePhaseStatus(project, allTasks, phase);
+
+        // Saving an unchanged value is not a change worth recording
+        const changes = AuditEntry.changes(previous, task, AUDITED_TASK_FIELDS);
+        if (changes) {
+            await recordAudit(request, projectId, 'task.update', { target: taskTarget(previous), ...changes });
+        }
+        return { project, task };
+    });
+
+    return { body: { task, project: projectStatus(project) } };
+}
+
+// DELETE /projects/:id/tasks/:taskId - Remove a task and its evidence files.
+// Removing a completed task, or the last open task of a phase, which would
+// complete the phase, is reserved for security reviewers.
+async function deleteTask(request) {
+    const { params, user } = request;
+    const { id: projectId, taskId } = params;
+
+    const project = await changeProject(projectId, user, 'edit', async (project, allTasks) => {
+        const phase = Object.keys(allTasks).find(p => allTasks[p].some(task => task.id === taskId));
+        if (!phase) {
+            throw new HttpError(404, 'Task not found');
+        }
+
+        const task = allTasks[phase].find(t => t.id === taskId);
+        const wasPhaseCompleted = project.phases[phase].completed;
+        allTasks[phase] = allTasks[phase].filter(t => t.id !== taskId);
+        recalculatePhaseStatus(project, allTasks, phase);
+
+        if (task.completed || (!wasPhaseCompleted && project.phases[phase].completed)) {
+            requirePermission(project, user, 'complete', 'Only security reviewers can delete completed tasks or complete a phase');
+        }
+
+        await recordAudit(request, projectId, 'task.delete', {
+            target: taskTarget(task),
+            before: {
+                completed: task.completed,
+                notes: task.notes,
+                description: task.description,
+                evidenceFiles: task.evidenceFiles
+            }
+        });
+        return project;
+    });
+
+    await Storage.deleteEvidence(projectId, taskId);
+
+    return {
+        body: {
+            message: 'Task deleted successfully',
+            project: projectStatus(project)
+        }
+    };
+}
+
+module.exports = {
+    createTask,
+    reorderTasks,
+    updateTask,
+    deleteTask
+};
@@ -0,0 +1,143 @@
+const AuditEntry = require('../models/AuditEntry');
+const Project = require('../models/Project');
+const Template = require('../models/Template');
+const Storage = require('../utils/storage');
+const { recordAudit } = require('../utils/audit');
+const HttpError = require('./HttpError');
+const { requireJsonBody } = require('./projects');
+const { requireAdministrator } = require('./auth');
+
+// Templates are shared by every project, built-in ones included, so only
+// administrators change them
+const TEMPLATE_PERMISSION_ERROR = 'Only administrators can change templates';
+
+const AUDITED_TEMPLATE_FIELDS = ['name', 'description', 'phases', 'tasks'];
+
+// Changes to a template are kept in the audit log under this key, as a
+// project's are under its ID
+function templateLogId(templateId) {
+    return `template:${templateId}`;
+}
+
+function auditedFields(template) {
+    const fields = {};
+    AUDITED_TEMPLATE_FIELDS.forEach(field => {
+        fields[field] = template[field];
+    });
+    return fields;
+}
+
+function validateTemplate({ name, description, tasks, phases }) {
+    try {
+        Template.validate({ name, description, tasks, phases });
+    } catch (validationError) {
+        throw new HttpError(400, validationError.message);
+    }
+}
+
+async function loadTemplate(templateId) {
+    const template = await Storage.getTemplateById(templateId);
+    if (!template) {
+        throw new HttpError(404, 'Template not found');
+    }
+    return template;
+}
+
+// GET /templates - List checklist templates
+async function listTemplates() {
+    return { body: await Storage.readTemplates() };
+}
+
+// GET /templates/:id - Get a checklist template
+async function getTemplate({ params }) {
+    return { body: await loadTemplate(params.id) };
+}
+
+// POST /templates - Create a checklist template
+async function createTemplate(request) {
+    const { body, user } = request;
+    await requireAdministrator(user, TEMPLATE_PERMISSION_ERROR);
+    requireJsonBody(body);
+    const { name, description, tasks, phases } = body;
+    validateTemplate({ name, description, tasks, phases });
+
+    const template = new Template(
+        name.trim(),
+        (description || '').trim(),
+        Template.normalizeTasks(tasks),
+        Project.normalizePhases(phases || Project.DEFAULT_PHASES)
+    );
+
+    await recordAudit(request, templateLogId(template.id), 'template.create', {
+        target: { type: 'template', id: template.id },
+        after: auditedFields(template)
+    });
+
+    if (!(await Storage.saveTemplate(template))) {
+        throw new HttpError(500, 'Failed to save template');
+    }
+
+    return { status: 201, body: template };
+}
+
+// PUT /templates/:id - Replace a checklist template's name, description and tasks
+// Projects created from the template keep their tasks.
+async function updateTemplate(request) {
+    const { params, body, user } = request;
+    await requireAdministrator(user, TEMPLATE_PERMISSION_ERROR);
+    const existing = await loadTemplate(params.id);
+
+    requireJsonBody(body);
+    const { name, description, tasks, phases } = body;
+    validateTemplate({ name, description, tasks, phases });
+
+    const template = {
+        ...existing,
+        name: name.trim(),
+        description: (description || '').trim(),
+        phases: Project.normalizePhases(phases || Project.DEFAULT_PHASES),
+        tasks: Template.normalizeTasks(tasks),
+        updatedDate: new Date().toISOString()
+    };
+
+    const changes = AuditEntry.changes(existing, template, AUDITED_TEMPLATE_FIELDS);
+    if (changes) {
+        await recordAudit(request, templateLogId(template.id), 'template.update', {
+            target: { type: 'template', id: template.id },
+            ...changes
+        });
+    }
+
+    if (!(await Storage.saveTemplate(template))) {
+        throw new HttpError(500, 'Failed to save template');
+    }
+
+    return { body: template };
+}
+
+// DELETE /templates/:id - Delete a checklist template
+async function deleteTemplate(request) {
+    const { params, user } = request;
+    await requireAdministrator(user, TEMPLATE_PERMISSION_ERROR);
+    const existing = await loadTemplate(params.id);
+
+    await recordAudit(request, templateLogId(existing.id), 'template.delete', {
+        target: { type: 'template', id: existing.id },
+        before: auditedFields(existing)
+    });
+
+    if (!(await Storage.deleteTemplate(params.id))) {
+        throw new HttpError(500, 'Failed to delete template');
+    }
+
+    return { body: { message: 'Template deleted successfully' } };
+}
+
+module.exports = {
+    templateLogId,
+    listTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate
+};
@@ -0,0 +1,33 @@
+const { v4: uuidv4 } = require('uuid');
+
+// One change to a project: who made it, when, in which request, and the
+// values before and after. Entries are only ever appended, never edited.
+class AuditEntry {
+    constructor({ projectId, action, actor, requestId = null, target = null, before = null, after = null } = {}) {
+        this.id = uuidv4();
+        this.projectId = projectId;
+        this.timestamp = new Date().toISOString();
+        this.requestId = requestId;
+        this.actor = actor ? { userId: actor.id, username: actor.username } : null;
+        this.action = action;
+        this.target = target;
+        this.before = before;
+        this.after = after;
+    }
+
+    // The listed fields whose value differs between two versions of a record,
+    // as { before, after }, or null when nothing changed
+    static changes(previous, current, fields) {
+        const before = {};
+        const after = {};
+        fields.forEach(field => {
+            if (JSON.stringify(previous[field]) !== JSON.stringify(current[field])) {
+                before[field] = previous[field] === undefined ? null : previous[field];
+                after[field] = current[field] === undefined ? null : current[field];
+            }
+        });
+        return Object.keys(after).length > 0 ? { before, after } : null;
+    }
+}
+
+module.exports = AuditEntry;
@@ -0,0 +1,120 @@
+const path = require('path');
+
+// Stored file names look like 2024-01-31T12-00-00-000Z_1a2b3c4d_report.pdf
+const STORED_FILENAME = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z_[0-9a-f]{8}_(.+)$/;
+
+// Metadata for one evidence file attached to a task. `filename` is the name
+// the file is stored under and identifies it within the task. `mimeType` is
+// what the uploader declared; `verifiedType` is set once the file's content
+// has been checked to match it. `scan` records the malware scan: its status
+// is 'pending' until a scanner has reported the file 'clean' or 'infected'.
+//
+// Files can be versions of one evidence item, such as the reports of a
+// pentest that was run again. Versions share an `itemId` (the filename of the
+// first version), are numbered from 1 by `version`, and only the newest is
+// `current`. Every version stays downloadable.
+class Evidence {
+    constructor({ filename, originalName, size, mimeType, verifiedType = null, sha256, uploadedBy = null, uploadedAt = new Date().toISOString(), scan = { status: 'pending' }, itemId = null, version = 1, current = true } = {}) {
+        this.filename = filename;
+        this.originalName = originalName;
+        this.size = size;
+        this.mimeType = mimeType;
+        this.verifiedType = verifiedType;
+        this.sha256 = sha256;
+        this.uploadedBy = uploadedBy ? { userId: uploadedBy.id, username: uploadedBy.username } : null;
+        this.uploadedAt = uploadedAt;
+        this.scan = scan;
+        this.itemId = itemId || filename;
+        this.version = version;
+        this.current = current;
+    }
+
+    // Tasks saved before evidence metadata existed list bare relative paths
+    // ("<projectId>/<taskId>/<filename>"). Recover what the stored name tells
+    // us; the rest is unknown.
+    static fromLegacyPath(relativePath) {
+        const filename = path.basename(relativePath);
+        const match = filename.match(STORED_FILENAME);
+        return new Evidence({
+            filename,
+            originalName: match ? match[6] : filename,
+            size: null,
+            mimeType: null,
+            sha256: null,
+            uploadedAt: match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null
+        });
+    }
+
+    // An entry of task.evidenceFiles as metadata, whichever form it was saved in
+    static normalize(entry) {
+        return typeof entry === 'string' ? Evidence.fromLegacyPath(entry) : entry;
+    }
+
+    // Evidence saved before scanning existed has never been scanned
+    static scanStatus(evidence) {
+        return evidence.scan ? evidence.scan.status : 'pending';
+    }
+
+    static find(evidenceFiles, filename) {
+        return (evidenceFiles || []).map(Evidence.normalize).find(evidence => evidence.filename === filename);
+    }
+
+    // Evidence saved before versioning is the only version of its own item
+    static itemId(evidence) {
+        return evidence.itemId || evidence.filename;
+    }
+
+    static versionNumber(evidence) {
+        return evidence.version || 1;
+    }
+
+    static isCurrent(evidence) {
+        return evidence.current !== false;
+    }
+
+    // The versions of an item, oldest first
+    static versions(evidenceFiles, itemId) {
+        return (evidenceFiles || []).map(Evidence.normalize)
+            .filter(evidence => Evidence.itemId(evidence) === itemId)
+            .sort((a, b) => Evidence.versionNumber(a) - Evidence.versionNumber(b));
+    }
+
+    // A copy of evidenceFiles with evidence added as the newest version of the
+    // item the file `filename` belongs to, and marked current in its place.
+    // Returns null when no such file is listed.
+    static addVersion(evidenceFiles, filename, evidence) {
+        const previous = Evidence.find(evidenceFiles, filename);
+        if (!previous) {
+            return null;
+        }
+        const itemId = Evidence.itemId(previous);
+        const versions = Evidence.versions(evidenceFiles, itemId);
+
+        evidence.itemId = itemId;
+        evidence.version = Evidence.versionNumber(versions[versions.length - 1]) + 1;
+        evidence.current = true;
+        return [
+            ...evidenceFiles.map(entry => {
+                const existing = Evidence.normalize(entry);
+                return Evidence.itemId(existing) === itemId ? { ...existing, current: false } : entry;
+            }),
+            evidence
+        ];
+    }
+
+    // A copy of evidenceFiles without the file `filename`. When that was its
+    // item's current version, the newest remaining version becomes current.
+    static remove(evidenceFiles, filename) {
+        const removed = Evidence.find(evidenceFiles, filename);
+        const remaining = (evidenceFiles || []).filter(entry => Evidence.normalize(entry).filename !== filename);
+        if (!removed || !Evidence.isCurrent(removed)) {
+            return remaining;
+        }
+        const newest = Evidence.versions(remaining, Evidence.itemId(removed)).pop();
+        return newest
+            ? remaining.map(entry => Evidence.normalize(entry).filename === newest.filename ? { ...newest, current: true } : entry)
+            : remaining;
+    }
+}
+
+module.exports = Evidence;
@@ -1,18 +1,36 @@
 const { v4: uuidv4 } = require('uuid');
 
+const PHASE_KEY_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// What each project role may do: view the checklist and reports, edit tasks
+// (notes, custom tasks, evidence), mark tasks complete, and manage the
+// project itself and its members.
+const ROLE_PERMISSIONS = {
+    owner: ['view', 'edit', 'complete', 'manage'],
+    reviewer: ['view', 'edit', 'complete'],
+    contributor: ['view', 'edit'],
+    viewer: ['view']
+};
+
 class Project {
-    constructor(name) {
+    constructor(name, phases = Project.DEFAULT_PHASES) {
         this.id = uuidv4();
         this.name = name;
         this.createdDate = new Date().toISOString();
-        this.phases = {
-            planning: { completed: false, completedDate: null },
-            design: { completed: false, completedDate: null },
-            implementation: { completed: false, completedDate: null },
-            testing: { completed: false, completedDate: null },
-            deployment: { completed: false, completedDate: null }
-        };
+        this.templateId = null;
+        // Phases are kept in workflow order and carry their display name
+        this.phases = {};
+        phases.forEach(phase => {
+            this.phases[phase.key] = { name: phase.name, completed: false, completedDate: null };
+        });
         this.overallStatus = 'In Progress';
+        this.archived = false;
+        this.archivedDate = null;
+        this.members = [];
+        // Upload limits narrower than the server's, see utils/evidenceLimits.js
+        this.evidenceLimits = {};
+        // Report branding and sections for this project, see utils/reportConfig.js
+        this.reportConfig = {};
     }
 
     static validate(projectData) {
@@ -22,6 +40,96 @@ class Project {
         return true;
     }
 
+    static validatePhases(phases) {
+        if (!Array.isArray(phases) || phases.length === 0) {
+            throw new Error('Phases are required and must be a non-empty array');
+        }
+        
+        const keys = new Set();
+        phases.forEach(phase => {
+            if (!phase || typeof phase.key !== 'string' || !PHASE_KEY_PATTERN.test(phase.key)) {
+                throw new Error('Phase key is required and may only contain lowercase letters, digits and dashes');
+            }
+            if (typeof phase.name !== 'string' || phase.name.trim().length === 0) {
+                throw new Error(`Phase name is required for phase: ${phase.key}`);
+            }
+            if (keys.has(phase.key)) {
+                throw new Error(`Duplicate phase: ${phase.key}`);
+            }
+            keys.add(phase.key);
+        });
+        return true;
+    }
+
+    static normalizePhases(phases) {
+        return phases.map(phase => ({ key: phase.key, name: phase.name.trim() }));
+    }
+
+    // Ordered [{ key, name }] list of a stored project's phases. Projects saved
+    // before phases had names fall back to the capitalised key.
+    static getPhaseList(project) {
+        return Object.keys(project.phases || {}).map(key => ({
+            key,
+            name: project.phases[key].name || key.charAt(0).toUpperCase() + key.slice(1)
+        }));
+    }
+
+    static validateRole(role) {
+        if (!Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role)) {
+            throw new Error(`Role must be one of: ${Project.ROLES.join(', ')}`);
+        }
+        return true;
+    }
+
+    // The role a user holds on a stored project, or null for non-members.
+    // Projects saved before memberships existed are given an owner by
+    // assignProjectOwners (utils/projectOwners.js); until then nobody has one.
+    static getRole(project, userId) {
+        const members = project.members || [];
+        const member = members.find(m => m.userId === userId);
+        return member ? member.role : null;
+    }
+
+    static can(role, permission) {
+        return Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+    }
+
+    // Add a member or change their role
+    setMember(userId, role) {
+        Project.validateRole(role);
+        this.members = this.members || [];
+
+        const existing = this.members.find(m => m.userId === userId);
+        if (existing) {
+            if (existing.role === 'owner' && role !== 'owner') {
+                this.requireAnotherOwner(userId);
+            }
+            existing.role = role;
+        } else {
+            this.members.push({ userId, role });
+        }
+    }
+
+    removeMember(userId) {
+        const members = this.members || [];
+        const existing = members.find(m => m.userId === userId);
+        if (!existing) {
+            return false;
+        }
+        if (existing.role === 'owner') {
+            this.requireAnotherOwner(userId);
+        }
+        this.members = members.filter(m => m.userId !== userId);
+        return true;
+    }
+
+    // A project must always keep at least one owner
+    requireAnotherOwner(userId) {
+        if (!this.members.some(m => m.role === 'owner' && m.userId !== userId)) {
+            throw new Error('A project must keep at least one owner');
+        }
+    }
+
     updatePhaseStatus(phase, completed) {
         if (!this.phases[phase]) {
             throw new Error(`Invalid phase: ${phase}`);
@@ -30,10 +138,53 @@ class Project {
         this.phases[phase].completed = completed;
         this.phases[phase].completedDate = completed ? new Date().toISOString() : null;
         
-        // Update overall status
+        this.updateOverallStatus();
+    }
+
+    updateOverallStatus() {
         const allPhasesCompleted = Object.values(this.phases).every(p => p.completed);
         this.overallStatus = allPhasesCompleted ? 'Completed' : 'In Progress';
     }
+
+    // Replace the phase list, keeping the status of phases that remain.
+    // Callers are responsible for moving or removing tasks of dropped phases.
+    setPhases(phases) {
+        Project.validatePhases(phases);
+        
+        const previousPhases = this.phases;
+        this.phases = {};
+        phases.forEach(phase => {
+            const existing = previousPhases[phase.key] || { completed: false, completedDate: null };
+            this.phases[phase.key] = { ...existing, name: phase.name.trim() };
+        });
+        
+        this.updateOverallStatus();
+    }
+
+    rename(name) {
+        Project.validate({ name });
+        this.name = name.trim();
+    }
+
+    archive() {
+        this.archived = true;
+        this.archivedDate = new Date().toISOString();
+    }
+
+    restore() {
+        this.archived = false;
+        this.archivedDate = null;
+    }
 }
 
+Project.DEFAULT_PHASES = [
+    { key: 'planning', name: 'Planning' },
+    { key: 'design', name: 'Design' },
+    { key: 'implementation', name: 'Implementation' },
+    { key: 'testing', name: 'Testing' },
+    { key: 'deployment', name: 'Deployment' }
+];
+
+Project.ROLES = Object.keys(ROLE_PERMISSIONS);
+
 module.exports = Project;
\ No newline at end of file
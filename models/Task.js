@@ -1,4 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
+const defaultTemplates = require('./defaultTemplates');
+const Evidence = require('./Evidence');
 
 class Task {
     constructor(phase, title, description) {
@@ -13,28 +15,28 @@ class Task {
     }
 
     static getDefaultTasks() {
-        return {
-            planning: [
-                new Task('planning', 'Threat Modeling', 'Conduct threat modeling exercise to identify potential security risks'),
-                new Task('planning', 'Security Requirements Gathering', 'Define security requirements and acceptance criteria')
-            ],
-            design: [
-                new Task('design', 'Security Architecture Review', 'Review system architecture for security considerations'),
-                new Task('design', 'Data Flow Analysis', 'Analyze data flows and identify sensitive data handling')
-            ],
-            implementation: [
-                new Task('implementation', 'Secure Coding Review', 'Review code for secure coding practices'),
-                new Task('implementation', 'Dependency Scanning', 'Scan dependencies for known vulnerabilities')
-            ],
-            testing: [
-                new Task('testing', 'Security Testing', 'Perform security-focused testing scenarios'),
-                new Task('testing', 'Penetration Testing', 'Conduct penetration testing on the application')
-            ],
-            deployment: [
-                new Task('deployment', 'Security Configuration Review', 'Review deployment configuration for security'),
-                new Task('deployment', 'Access Control Setup', 'Configure proper access controls and permissions')
-            ]
-        };
+        const defaultTemplate = defaultTemplates.find(template => template.id === 'web-app');
+        return Task.fromDefinitions(defaultTemplate.tasks);
+    }
+
+    // Build fresh Task instances from { phase: [{ title, description }] } definitions
+    static fromDefinitions(taskDefinitions) {
+        const tasks = {};
+        for (const phase in taskDefinitions) {
+            tasks[phase] = taskDefinitions[phase].map(definition =>
+                new Task(phase, definition.title, definition.description || ''));
+        }
+        return tasks;
+    }
+
+    static validate(taskData) {
+        if (!taskData.title || typeof taskData.title !== 'string' || taskData.title.trim().length === 0) {
+            throw new Error('Task title is required and must be a non-empty string');
+        }
+        if (taskData.description !== undefined && typeof taskData.description !== 'string') {
+            throw new Error('Task description must be a string');
+        }
+        return true;
     }
 
     complete(notes = '') {
@@ -43,9 +45,10 @@ class Task {
         this.notes = notes;
     }
 
-    addEvidence(filename) {
-        if (!this.evidenceFiles.includes(filename)) {
-            this.evidenceFiles.push(filename);
+    // evidence is an Evidence record; a file already listed is not added twice
+    addEvidence(evidence) {
+        if (!Evidence.find(this.evidenceFiles, evidence.filename)) {
+            this.evidenceFiles.push(evidence);
         }
     }
 }
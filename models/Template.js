@@ -0,0 +1,84 @@
+const { v4: uuidv4 } = require('uuid');
+const Project = require('./Project');
+const Task = require('./Task');
+const defaultTemplates = require('./defaultTemplates');
+
+class Template {
+    constructor(name, description = '', tasks = {}, phases = Project.DEFAULT_PHASES) {
+        this.id = uuidv4();
+        this.name = name;
+        this.description = description;
+        this.phases = phases;
+        this.tasks = tasks;
+        this.createdDate = new Date().toISOString();
+    }
+
+    static validate(templateData) {
+        if (!templateData.name || typeof templateData.name !== 'string' || templateData.name.trim().length === 0) {
+            throw new Error('Template name is required and must be a non-empty string');
+        }
+
+        if (templateData.description !== undefined && typeof templateData.description !== 'string') {
+            throw new Error('Template description must be a string');
+        }
+
+        if (templateData.phases !== undefined) {
+            Project.validatePhases(templateData.phases);
+        }
+
+        const tasks = templateData.tasks;
+        if (!tasks || typeof tasks !== 'object' || Array.isArray(tasks)) {
+            throw new Error('Template tasks are required and must map phases to task lists');
+        }
+
+        const phaseKeys = Template.getPhases(templateData).map(phase => phase.key);
+        for (const phase in tasks) {
+            if (!phaseKeys.includes(phase)) {
+                throw new Error(`Invalid phase: ${phase}`);
+            }
+            if (!Array.isArray(tasks[phase])) {
+                throw new Error(`Template tasks for phase ${phase} must be an array`);
+            }
+            tasks[phase].forEach(definition => Task.validate(definition || {}));
+        }
+
+        return true;
+    }
+
+    // Templates without their own phase list use the default SDLC phases
+    static getPhases(template) {
+        return template.phases || Project.DEFAULT_PHASES;
+    }
+
+    static getBuiltInTemplates() {
+        return defaultTemplates.map(definition => ({
+            ...definition,
+            builtIn: true,
+            phases: Template.getPhases(definition).map(phase => ({ ...phase })),
+            tasks: JSON.parse(JSON.stringify(definition.tasks))
+        }));
+    }
+
+    // Only keep the fields a template stores, with titles and descriptions trimmed
+    static normalizeTasks(tasks) {
+        const normalized = {};
+        for (const phase in tasks) {
+            normalized[phase] = tasks[phase].map(definition => ({
+                title: definition.title.trim(),
+                description: (definition.description || '').trim()
+            }));
+        }
+        return normalized;
+    }
+
+    static createTasks(template) {
+        const createdTasks = Task.fromDefinitions(template.tasks);
+        const tasks = {};
+        Template.getPhases(template).forEach(phase => {
+            tasks[phase.key] = createdTasks[phase.key] || [];
+        });
+        return tasks;
+    }
+}
+
+module.exports = Template;
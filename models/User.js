@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { hashPassword, verifyPassword, hashToken } = require('../utils/passwords');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+class User {
+    constructor(username) {
+        this.id = uuidv4();
+        this.username = username;
+        this.passwordHash = null;
+        this.createdDate = new Date().toISOString();
+        this.apiTokens = [];
+        this.sessionVersion = 0;
+        this.admin = false;
+    }
+
+    static validate({ username, password }) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new Error('Username is required and must be 3-32 letters, digits, dots, dashes or underscores');
+        }
+        User.validatePassword(password);
+        return true;
+    }
+
+    static validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password is required and must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        return true;
+    }
+
+    static async create(username, password) {
+        User.validate({ username, password });
+        const user = new User(username);
+        await user.setPassword(password);
+        return user;
+    }
+
+    // Administrators create accounts and change server-wide settings. The
+    // account created at setup is one. When no account is marked as one, as
+    // with data saved before administrators existed, the oldest account is.
+    static isAdministrator(user, users) {
+        if (user.admin) {
+            return true;
+        }
+        return !users.some(u => u.admin) && users.length > 0 && users[0].id === user.id;
+    }
+
+    // The fields that are safe to send to clients
+    static toPublic(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            admin: Boolean(user.admin),
+            createdDate: user.createdDate,
+            apiTokens: (user.apiTokens || []).map(token => ({
+                id: token.id,
+                name: token.name,
+                createdDate: token.createdDate
+            }))
+        };
+    }
+
+    async setPassword(password) {
+        User.validatePassword(password);
+        this.passwordHash = await hashPassword(password);
+    }
+
+    checkPassword(password) {
+        return verifyPassword(password, this.passwordHash);
+    }
+
+    // Sessions carry the version they were started under, so raising it ends
+    // every session started before
+    endSessions() {
+        this.sessionVersion = (this.sessionVersion || 0) + 1;
+    }
+
+    // Returns the plain token, which is only shown once; the user keeps its hash
+    createApiToken(name) {
+        if (typeof name !== 'string' || name.trim().length === 0) {
+            throw new Error('Token name is required and must be a non-empty string');
+        }
+
+        const token = `ssdlc_${crypto.randomBytes(32).toString('base64url')}`;
+        const record = {
+            id: uuidv4(),
+            name: name.trim(),
+            tokenHash: hashToken(token),
+            createdDate: new Date().toISOString()
+        };
+        this.apiTokens.push(record);
+
+        return { token, record };
+    }
+
+    revokeApiToken(tokenId) {
+        const remaining = this.apiTokens.filter(token => token.id !== tokenId);
+        if (remaining.length === this.apiTokens.length) {
+            return false;
+        }
+        this.apiTokens = remaining;
+        return true;
+    }
+}
+
+module.exports = User;
@@ -0,0 +1,107 @@
+// Built-in checklist templates. Projects are seeded from these until
+// templates are customised through /api/templates, after which the stored
+// copies in data/templates.json take over.
+module.exports = [
+    {
+        id: 'web-app',
+        name: 'Web app',
+        description: 'Baseline security checklist for customer-facing web applications',
+        tasks: {
+            planning: [
+                { title: 'Threat Modeling', description: 'Conduct threat modeling exercise to identify potential security risks' },
+                { title: 'Security Requirements Gathering', description: 'Define security requirements and acceptance criteria' }
+            ],
+            design: [
+                { title: 'Security Architecture Review', description: 'Review system architecture for security considerations' },
+                { title: 'Data Flow Analysis', description: 'Analyze data flows and identify sensitive data handling' }
+            ],
+            implementation: [
+                { title: 'Secure Coding Review', description: 'Review code for secure coding practices' },
+                { title: 'Dependency Scanning', description: 'Scan dependencies for known vulnerabilities' }
+            ],
+            testing: [
+                { title: 'Security Testing', description: 'Perform security-focused testing scenarios' },
+                { title: 'Penetration Testing', description: 'Conduct penetration testing on the application' }
+            ],
+            deployment: [
+                { title: 'Security Configuration Review', description: 'Review deployment configuration for security' },
+                { title: 'Access Control Setup', description: 'Configure proper access controls and permissions' }
+            ]
+        }
+    },
+    {
+        id: 'mobile',
+        name: 'Mobile',
+        description: 'Checklist for iOS and Android applications, based on the OWASP MASVS',
+        tasks: {
+            planning: [
+                { title: 'Threat Modeling', description: 'Identify threats to the app, its backend APIs and on-device data' },
+                { title: 'Privacy Requirements', description: 'Define which personal data is collected and how consent is obtained' }
+            ],
+            design: [
+                { title: 'Local Data Storage Review', description: 'Decide which data may be stored on the device and how it is protected' },
+                { title: 'API Authentication Design', description: 'Review token handling, session lifetime and certificate pinning' }
+            ],
+            implementation: [
+                { title: 'Secure Coding Review', description: 'Review code for secure coding practices' },
+                { title: 'Dependency Scanning', description: 'Scan SDKs and libraries for known vulnerabilities' }
+            ],
+            testing: [
+                { title: 'Mobile Application Security Testing', description: 'Test the app against the OWASP MASVS requirements' },
+                { title: 'Binary Hardening Check', description: 'Verify obfuscation, debug flags and tamper detection in release builds' }
+            ],
+            deployment: [
+                { title: 'Store Release Review', description: 'Review permissions, entitlements and signing before store submission' }
+            ]
+        }
+    },
+    {
+        id: 'internal-tool',
+        name: 'Internal tool',
+        description: 'Lightweight checklist for tools that are only reachable from the internal network',
+        tasks: {
+            planning: [
+                { title: 'Data Classification', description: 'Classify the data the tool reads and writes' }
+            ],
+            design: [
+                { title: 'Access Control Design', description: 'Define who may use the tool and how access is granted' }
+            ],
+            implementation: [
+                { title: 'Dependency Scanning', description: 'Scan dependencies for known vulnerabilities' }
+            ],
+            testing: [
+                { title: 'Security Testing', description: 'Perform security-focused testing scenarios' }
+            ],
+            deployment: [
+                { title: 'Access Control Setup', description: 'Configure proper access controls and permissions' }
+            ]
+        }
+    },
+    {
+        id: 'pci-scope',
+        name: 'PCI scope',
+        description: 'Checklist for systems that store, process or transmit cardholder data',
+        tasks: {
+            planning: [
+                { title: 'Cardholder Data Flow Mapping', description: 'Document where cardholder data enters, moves through and leaves the system' },
+                { title: 'PCI DSS Scoping', description: 'Confirm which components are in scope for PCI DSS' }
+            ],
+            design: [
+                { title: 'Network Segmentation Review', description: 'Verify the cardholder data environment is segmented from other networks' },
+                { title: 'Encryption Design Review', description: 'Review encryption of cardholder data at rest and in transit' }
+            ],
+            implementation: [
+                { title: 'Secure Coding Review', description: 'Review code against PCI DSS secure development requirements' },
+                { title: 'Dependency Scanning', description: 'Scan dependencies for known vulnerabilities' }
+            ],
+            testing: [
+                { title: 'Penetration Testing', description: 'Conduct internal and external penetration testing of the cardholder data environment' },
+                { title: 'ASV Vulnerability Scan', description: 'Run a quarterly scan by an Approved Scanning Vendor' }
+            ],
+            deployment: [
+                { title: 'Security Configuration Review', description: 'Review system hardening against configuration standards' },
+                { title: 'Logging and Monitoring Setup', description: 'Ensure access to cardholder data is logged and monitored' }
+            ]
+        }
+    }
+];
@@ -0,0 +1,30 @@
+const { connectLambda } = require('@netlify/blobs');
+const routes = require('../../api/routes');
+const { createNetlifyHandler } = require('../../api/netlify');
+const Storage = require('../../utils/storage');
+const { assignProjectOwners } = require('../../utils/projectOwners');
+
+// Function instances share no writable filesystem, so data lives in Netlify
+// Blobs unless STORAGE_BACKEND picks another adapter
+Storage.setAdapter(Storage.createAdapter(process.env.STORAGE_BACKEND || 'blobs'));
+
+const handleRequest = createNetlifyHandler(routes);
+
+// Projects saved before memberships existed get an owner once per instance,
+// before its first request is handled
+let ownersAssigned = null;
+
+exports.handler = async (event, context) => {
+    // Lambda-style functions receive the Blobs credentials with each event
+    if (event.blobs) {
+        connectLambda(event);
+    }
+    if (!ownersAssigned) {
+        ownersAssigned = assignProjectOwners().catch(error => {
+            ownersAssigned = null;
+            console.error('Failed to assign owners to projects without members:', error);
+        });
+    }
+    await ownersAssigned;
+    return handleRequest(event, context);
+};
@@ -1,35 +0,0 @@
-exports.handler = async (event, context) => {
-    const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'GET, OPTIONS',
-        'Content-Type': 'application/json'
-    };
-
-    // Handle CORS preflight
-    if (event.httpMethod === 'OPTIONS') {
-        return {
-            statusCode: 200,
-            headers,
-            body: ''
-        };
-    }
-
-    if (event.httpMethod === 'GET') {
-        return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify({
-                status: 'OK',
-                message: 'SSDLC Automation Tool is running on Netlify',
-                timestamp: new Date().toISOString()
-            })
-        };
-    }
-
-    return {
-        statusCode: 405,
-        headers,
-        body: JSON.stringify({ error: 'Method not allowed' })
-    };
-};
\ No newline at end of file
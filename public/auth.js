@@ -0,0 +1,58 @@
+// Shared by the signed-in pages: sends the browser to the sign-in page when
+// the API reports a missing or expired session, and shows the current user
+// with a sign-out button in the navigation.
+
+(function () {
+    const originalFetch = window.fetch.bind(window);
+
+    function redirectToLogin() {
+        const next = window.location.pathname + window.location.search;
+        window.location.href = `/login.html?next=${encodeURIComponent(next)}`;
+    }
+
+    // For requests made without fetch, such as uploads that report progress
+    window.redirectToLogin = redirectToLogin;
+
+    window.fetch = async (input, init) => {
+        const response = await originalFetch(input, init);
+        const url = typeof input === 'string' ? input : input.url;
+        if (response.status === 401 && url.startsWith('/api/') && !url.startsWith('/api/auth/login')) {
+            redirectToLogin();
+        }
+        return response;
+    };
+
+    async function logout() {
+        await originalFetch('/api/auth/logout', { method: 'POST' });
+        window.location.href = '/login.html';
+    }
+
+    async function showCurrentUser() {
+        const nav = document.querySelector('.main-nav');
+        const response = await window.fetch('/api/auth/me');
+        if (!response.ok || !nav) {
+            return;
+        }
+        const user = await response.json();
+
+        const userInfo = document.createElement('div');
+        userInfo.className = 'user-info';
+
+        const name = document.createElement('span');
+        name.className = 'user-name';
+        name.textContent = user.username;
+
+        const logoutButton = document.createElement('button');
+        logoutButton.type = 'button';
+        logoutButton.className = 'nav-link logout-button';
+        logoutButton.textContent = 'Sign Out';
+        logoutButton.addEventListener('click', logout);
+
+        userInfo.append(name, logoutButton);
+        nav.appendChild(userInfo);
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        showCurrentUser().catch(error => console.error('Error loading current user:', error));
+    });
+})();
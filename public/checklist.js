@@ -1,11 +1,29 @@
 // Checklist functionality for SSDLC Automation Tool
 
+// How files of each verified type can be previewed, as the download route
+// allows with ?disposition=inline (see `preview` in utils/fileTypes.js)
+const PREVIEW_KINDS = {
+    'image/jpeg': 'image',
+    'image/png': 'image',
+    'image/gif': 'image',
+    'image/webp': 'image',
+    'application/pdf': 'pdf',
+    'text/plain': 'text',
+    'text/csv': 'text',
+    'application/json': 'text',
+    'application/har+json': 'text'
+};
+
+// Longer text previews are cut short; the download has the rest
+const PREVIEW_TEXT_LIMIT = 200 * 1024;
+
 class Checklist {
     constructor() {
         this.projectId = null;
         this.project = null;
         this.tasks = {};
-        this.currentPhase = 'planning';
+        this.currentPhase = null;
+        this.evidenceLimits = null;
         this.init();
     }
 
@@ -71,18 +89,138 @@ class Checklist {
         document.addEventListener('click', (e) => {
             if (e.target.classList.contains('upload-btn')) {
                 const taskId = e.target.getAttribute('data-task-id');
-                this.uploadEvidence(taskId);
+                const input = document.getElementById(`evidence-input-${taskId}`);
+                this.uploadEvidence(taskId, input.files);
+                input.value = '';
+            }
+        });
+
+        // New versions of an evidence file
+        document.addEventListener('change', (e) => {
+            if (e.target.classList.contains('evidence-version-input')) {
+                const taskId = e.target.getAttribute('data-task-id');
+                this.uploadEvidence(taskId, e.target.files, e.target.getAttribute('data-filename'));
+            }
+        });
+
+        // Files dragged onto a task's upload area
+        document.addEventListener('dragover', (e) => {
+            const dropzone = e.target.closest && e.target.closest('.evidence-dropzone');
+            if (dropzone) {
+                e.preventDefault();
+                dropzone.classList.add('drag-over');
+            }
+        });
+
+        document.addEventListener('dragleave', (e) => {
+            const dropzone = e.target.closest && e.target.closest('.evidence-dropzone');
+            if (dropzone && !dropzone.contains(e.relatedTarget)) {
+                dropzone.classList.remove('drag-over');
+            }
+        });
+
+        document.addEventListener('drop', (e) => {
+            const dropzone = e.target.closest && e.target.closest('.evidence-dropzone');
+            if (dropzone) {
+                e.preventDefault();
+                dropzone.classList.remove('drag-over');
+                this.uploadEvidence(dropzone.getAttribute('data-task-id'), e.dataTransfer.files);
+            }
+        });
+
+        // Task edit, delete and reorder clicks
+        document.addEventListener('click', (e) => {
+            const taskId = e.target.getAttribute('data-task-id');
+            if (e.target.classList.contains('task-edit')) {
+                this.editTask(taskId);
+            } else if (e.target.classList.contains('task-delete')) {
+                this.deleteTask(taskId);
+            } else if (e.target.classList.contains('task-move-up')) {
+                this.moveTask(taskId, -1);
+            } else if (e.target.classList.contains('task-move-down')) {
+                this.moveTask(taskId, 1);
             }
         });
 
-        // Evidence file download clicks
+        // New task form submission
+        document.addEventListener('submit', (e) => {
+            if (e.target.id === 'add-task-form') {
+                e.preventDefault();
+                this.addTask(e.target);
+            }
+        });
+
+        // Member form submission, role changes and removal
+        document.addEventListener('submit', (e) => {
+            if (e.target.id === 'add-member-form') {
+                e.preventDefault();
+                this.addMember(e.target);
+            }
+        });
+
+        // Evidence limits form submission
+        document.addEventListener('submit', (e) => {
+            if (e.target.id === 'evidence-limits-form') {
+                e.preventDefault();
+                this.saveEvidenceLimits(e.target);
+            }
+        });
+
+        document.addEventListener('change', (e) => {
+            if (e.target.classList.contains('member-role-select')) {
+                this.updateMemberRole(e.target.getAttribute('data-user-id'), e.target.value);
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('member-remove')) {
+                this.removeMember(e.target.getAttribute('data-user-id'));
+            }
+        });
+
+        // Load the change history when its panel is opened
+        const historySection = document.getElementById('history-section');
+        if (historySection) {
+            historySection.addEventListener('toggle', () => {
+                if (historySection.open) {
+                    this.loadHistory();
+                }
+            });
+        }
+
+        // Evidence file download and delete clicks
         document.addEventListener('click', (e) => {
+            const taskId = e.target.getAttribute('data-task-id');
+            const filename = e.target.getAttribute('data-filename');
             if (e.target.classList.contains('evidence-download')) {
-                const taskId = e.target.getAttribute('data-task-id');
-                const filename = e.target.getAttribute('data-filename');
                 this.downloadEvidence(taskId, filename);
+            } else if (e.target.classList.contains('evidence-preview-open')) {
+                this.previewEvidence(taskId, filename);
+            } else if (e.target.classList.contains('evidence-delete')) {
+                this.deleteEvidence(taskId, filename);
+            } else if (e.target.classList.contains('evidence-scan-again')) {
+                this.rescanEvidence(taskId, filename);
             }
         });
+
+        // Evidence preview dialog
+        const previewDialog = document.getElementById('evidence-preview');
+        if (previewDialog) {
+            document.getElementById('evidence-preview-close').addEventListener('click', () => previewDialog.close());
+            document.getElementById('evidence-preview-download').addEventListener('click', () => {
+                this.downloadEvidence(previewDialog.dataset.taskId, previewDialog.dataset.filename);
+            });
+            // Clicks on the backdrop land on the dialog itself
+            previewDialog.addEventListener('click', (e) => {
+                if (e.target === previewDialog) {
+                    previewDialog.close();
+                }
+            });
+            // Stop loading the previewed file once the dialog is closed
+            previewDialog.addEventListener('close', () => {
+                document.getElementById('evidence-preview-body').replaceChildren();
+            });
+        }
     }
 
     async loadProject() {
@@ -95,7 +233,7 @@ class Checklist {
             this.hideElement(errorEl);
 
             // Fetch project data from API
-            const response = await fetch(`/.netlify/functions/projects/${this.projectId}`);
+            const response = await fetch(`/api/projects/${this.projectId}`);
             
             if (!response.ok) {
                 if (response.status === 404) {
@@ -112,10 +250,20 @@ class Checklist {
             // Hide loading
             this.hideElement(loadingEl);
 
-            // Render the project
+            // Start on the project's first phase
+            const phaseKeys = Object.keys(this.project.phases || {});
+            if (!phaseKeys.includes(this.currentPhase)) {
+                this.currentPhase = phaseKeys[0];
+            }
+
+            // Render the project. Upload limits shape the evidence controls,
+            // so they are loaded first.
+            await this.loadEvidenceLimits();
             this.renderProject();
             this.renderPhaseNavigation();
             this.switchPhase(this.currentPhase);
+            this.loadMembers();
+            this.showElement(document.getElementById('history-section'));
 
         } catch (error) {
             console.error('Error loading project:', error);
@@ -145,9 +293,20 @@ class Checklist {
     }
 
     renderPhaseNavigation() {
-        const phaseTabs = document.querySelectorAll('.phase-tab');
+        const tabsContainer = document.getElementById('phase-tabs');
+        const phaseKeys = Object.keys(this.project.phases);
+        const renderedKeys = Array.from(tabsContainer.querySelectorAll('.phase-tab'))
+            .map(tab => tab.getAttribute('data-phase'));
+        
+        // Build one tab per phase in the project's phase list; keep existing tabs
+        // (and keyboard focus) when the list has not changed
+        if (renderedKeys.join('\n') !== phaseKeys.join('\n')) {
+            tabsContainer.innerHTML = phaseKeys.map(phase => `
+                <button class="phase-tab" data-phase="${this.escapeHtml(phase)}" role="tab" aria-selected="false" tabindex="-1">${this.escapeHtml(this.getPhaseName(phase))}</button>
+            `).join('');
+        }
         
-        phaseTabs.forEach(tab => {
+        tabsContainer.querySelectorAll('.phase-tab').forEach(tab => {
             const phase = tab.getAttribute('data-phase');
             const phaseData = this.project.phases[phase];
             
@@ -178,15 +337,7 @@ class Checklist {
         this.renderPhaseNavigation();
         
         // Update phase header
-        const phaseNames = {
-            planning: 'Planning Phase',
-            design: 'Design Phase',
-            implementation: 'Implementation Phase',
-            testing: 'Testing Phase',
-            deployment: 'Deployment Phase'
-        };
-        
-        document.getElementById('current-phase-title').textContent = phaseNames[phase] || 'Phase Tasks';
+        document.getElementById('current-phase-title').textContent = phase ? `${this.getPhaseName(phase)} Phase` : 'Phase Tasks';
         
         // Render tasks for this phase
         this.renderTasks(phase);
@@ -195,6 +346,29 @@ class Checklist {
         this.showElement(document.getElementById('tasks-section'));
     }
 
+    // What the signed-in user's role on this project allows; the server
+    // enforces the same rules
+    canEdit() {
+        return this.project.role !== 'viewer';
+    }
+
+    canComplete() {
+        return this.project.role === 'owner' || this.project.role === 'reviewer';
+    }
+
+    isOwner() {
+        return this.project.role === 'owner';
+    }
+
+    getPhaseName(phase) {
+        const phaseData = this.project.phases[phase];
+        if (phaseData && phaseData.name) {
+            return phaseData.name;
+        }
+        // Projects saved before phases had names
+        return phase.charAt(0).toUpperCase() + phase.slice(1);
+    }
+
     renderTasks(phase) {
         const tasksListEl = document.getElementById('tasks-list');
         const phaseTasks = this.tasks[phase] || [];
@@ -220,17 +394,39 @@ class Checklist {
                     <p>No security tasks defined for this phase.</p>
                 </div>
             `;
-            return;
         }
         
         // Render each task
-        phaseTasks.forEach(task => {
-            const taskElement = this.createTaskElement(task);
+        phaseTasks.forEach((task, index) => {
+            const taskElement = this.createTaskElement(task, index, phaseTasks.length);
             tasksListEl.appendChild(taskElement);
         });
+
+        if (this.canEdit()) {
+            tasksListEl.appendChild(this.createAddTaskForm());
+        }
+    }
+
+    createAddTaskForm() {
+        const form = document.createElement('form');
+        form.id = 'add-task-form';
+        form.className = 'add-task-form';
+        form.innerHTML = `
+            <h4>Add a custom task</h4>
+            <div class="form-group">
+                <label for="new-task-title">Title:</label>
+                <input type="text" id="new-task-title" name="title" required placeholder="e.g. Secret Scanning">
+            </div>
+            <div class="form-group">
+                <label for="new-task-description">Description:</label>
+                <input type="text" id="new-task-description" name="description" placeholder="What needs to be done?">
+            </div>
+            <button type="submit" class="btn btn-primary btn-task">Add Task</button>
+        `;
+        return form;
     }
 
-    createTaskElement(task) {
+    createTaskElement(task, index = 0, phaseTaskCount = 1) {
         const taskDiv = document.createElement('div');
         taskDiv.className = `task-item ${task.completed ? 'completed' : ''}`;
         taskDiv.setAttribute('data-task-id', task.id);
@@ -244,38 +440,53 @@ class Checklist {
                 <input type="checkbox" 
                        class="task-checkbox" 
                        data-task-id="${task.id}"
-                       ${task.completed ? 'checked' : ''}>
+                       ${task.completed ? 'checked' : ''}
+                       ${this.canComplete() ? '' : 'disabled title="Only security reviewers can mark tasks complete"'}>
                 <div class="task-content">
                     <div class="task-title">${this.escapeHtml(task.title)}</div>
                     <div class="task-description">${this.escapeHtml(task.description)}</div>
                     <div class="task-meta">
-                        <span>Phase: ${task.phase}</span>
+                        <span>Phase: ${this.escapeHtml(this.getPhaseName(task.phase))}</span>
                         <span>${completedDate}</span>
                     </div>
                 </div>
             </div>
             
+            ${this.canEdit() ? `
+            <div class="task-actions">
+                <button type="button" class="btn btn-secondary btn-task task-move-up" data-task-id="${task.id}"
+                        ${index === 0 ? 'disabled' : ''} title="Move task up">↑</button>
+                <button type="button" class="btn btn-secondary btn-task task-move-down" data-task-id="${task.id}"
+                        ${index === phaseTaskCount - 1 ? 'disabled' : ''} title="Move task down">↓</button>
+                <button type="button" class="btn btn-secondary btn-task task-edit" data-task-id="${task.id}">Edit</button>
+                <button type="button" class="btn btn-danger btn-task task-delete" data-task-id="${task.id}">Delete</button>
+            </div>` : ''}
+            
             <div class="task-notes">
                 <label for="notes-${task.id}">Notes:</label>
                 <textarea id="notes-${task.id}" 
                          class="task-notes-input"
                          data-task-id="${task.id}"
+                         ${this.canEdit() ? '' : 'readonly'}
                          placeholder="Add notes about this task completion...">${this.escapeHtml(task.notes || '')}</textarea>
             </div>
             
             <div class="task-evidence">
-                <label>Evidence Files:</label>
-                <div class="evidence-upload">
-                    <p class="evidence-note">📎 Evidence files can be attached locally or referenced in task notes</p>
+                <label for="evidence-input-${task.id}">Evidence Files:</label>
+                ${this.canEdit() ? `
+                <div class="evidence-upload evidence-dropzone" data-task-id="${task.id}">
+                    <input type="file" id="evidence-input-${task.id}" class="evidence-input" multiple
+                           accept="${this.escapeHtml(this.getUploadLimits().allowedExtensions.join(','))}">
+                    <button type="button" class="btn btn-primary upload-btn" data-task-id="${task.id}">Upload</button>
+                    <p class="evidence-note">📎 Or drop files here. ${this.escapeHtml(this.describeUploadLimits())}</p>
                 </div>
+                <ul class="evidence-uploads" id="evidence-uploads-${task.id}"></ul>` : ''}
                 <div class="evidence-list" id="evidence-list-${task.id}">
-                    <!-- Evidence files will be listed here -->
+                    ${this.getEvidenceListHtml(task.id, task.evidenceFiles)}
                 </div>
             </div>
         `;
 
-        // Evidence files display removed for Netlify compatibility
-
         return taskDiv;
     }
 
@@ -292,7 +503,7 @@ class Checklist {
             }
 
             // Send update to server
-            const response = await fetch(`/.netlify/functions/projects/${this.projectId}/tasks/${taskId}`, {
+            const response = await fetch(`/api/projects/${this.projectId}/tasks/${taskId}`, {
                 method: 'PUT',
                 headers: {
                     'Content-Type': 'application/json',
@@ -319,6 +530,7 @@ class Checklist {
             this.updateProgress();
             this.renderPhaseNavigation();
             this.updatePhaseStatus();
+            this.refreshHistory();
             
             // Show success message
             const action = completed ? 'completed' : 'marked as incomplete';
@@ -349,7 +561,7 @@ class Checklist {
             }
 
             // Send update to server
-            const response = await fetch(`/.netlify/functions/projects/${this.projectId}/tasks/${taskId}`, {
+            const response = await fetch(`/api/projects/${this.projectId}/tasks/${taskId}`, {
                 method: 'PUT',
                 headers: {
                     'Content-Type': 'application/json',
@@ -368,6 +580,7 @@ class Checklist {
             
             // Update local data
             this.updateLocalTaskData(result.task);
+            this.refreshHistory();
 
         } catch (error) {
             console.error('Error updating task notes:', error);
@@ -405,7 +618,7 @@ class Checklist {
                 'Not completed';
             
             metaEl.innerHTML = `
-                <span>Phase: ${task.phase}</span>
+                <span>Phase: ${this.escapeHtml(this.getPhaseName(task.phase))}</span>
                 <span>${completedDate}</span>
             `;
         }
@@ -457,27 +670,611 @@ class Checklist {
         phaseBadge.className = `phase-badge ${isPhaseCompleted ? 'completed' : 'in-progress'}`;
     }
 
-    // Evidence upload functionality removed for Netlify compatibility
-    // Users can reference evidence files in task notes
-            
+    async addTask(form) {
+        const formData = new FormData(form);
+        const title = formData.get('title').trim();
+        const description = formData.get('description').trim();
+
+        if (!title) {
+            this.showError('Task title is required');
+            return;
+        }
+
+        try {
+            const result = await this.sendTaskRequest('tasks', 'POST', {
+                phase: this.currentPhase,
+                title,
+                description
+            });
+
+            this.tasks[this.currentPhase] = this.tasks[this.currentPhase] || [];
+            this.tasks[this.currentPhase].push(result.task);
+            this.applyProjectStatus(result.project);
+
+            this.showSuccess(`Task "${title}" added successfully!`);
+
+        } catch (error) {
+            console.error('Error adding task:', error);
+            this.showError(`Failed to add task: ${error.message}`);
+        }
+    }
+
+    async editTask(taskId) {
+        const task = this.findTask(taskId);
+        if (!task) return;
+
+        const title = prompt('Task title:', task.title);
+        if (title === null) return;
+
+        if (!title.trim()) {
+            this.showError('Task title is required');
+            return;
+        }
+
+        const description = prompt('Task description:', task.description || '');
+        if (description === null) return;
+
+        try {
+            const result = await this.sendTaskRequest(`tasks/${taskId}`, 'PUT', {
+                title: title.trim(),
+                description: description.trim()
+            });
+
+            this.updateLocalTaskData(result.task);
+            this.renderTasks(this.currentPhase);
+            this.showSuccess('Task updated successfully!');
+
+        } catch (error) {
+            console.error('Error editing task:', error);
+            this.showError(`Failed to update task: ${error.message}`);
+        }
+    }
+
+    async deleteTask(taskId) {
+        const task = this.findTask(taskId);
+        if (!task) return;
+
+        if (!confirm(`Delete "${task.title}"? Its notes and evidence files will be permanently removed.`)) {
+            return;
+        }
+
+        try {
+            const result = await this.sendTaskRequest(`tasks/${taskId}`, 'DELETE');
+
+            this.tasks[task.phase] = this.tasks[task.phase].filter(t => t.id !== taskId);
+            this.applyProjectStatus(result.project);
+
+            this.showSuccess('Task deleted successfully!');
+
+        } catch (error) {
+            console.error('Error deleting task:', error);
+            this.showError(`Failed to delete task: ${error.message}`);
+        }
+    }
+
+    async moveTask(taskId, direction) {
+        const phaseTasks = this.tasks[this.currentPhase] || [];
+        const index = phaseTasks.findIndex(t => t.id === taskId);
+        const targetIndex = index + direction;
+
+        if (index === -1 || targetIndex < 0 || targetIndex >= phaseTasks.length) {
+            return;
+        }
+
+        const taskIds = phaseTasks.map(t => t.id);
+        [taskIds[index], taskIds[targetIndex]] = [taskIds[targetIndex], taskIds[index]];
+
+        try {
+            const result = await this.sendTaskRequest('tasks/reorder', 'POST', {
+                phase: this.currentPhase,
+                taskIds
+            });
+
+            this.tasks[this.currentPhase] = result.tasks;
+            this.renderTasks(this.currentPhase);
+
         } catch (error) {
-            console.error('Error uploading evidence:', error);
-            this.showError(`Failed to upload evidence: ${error.message}`);
-        } finally {
-            // Reset upload button
-            const uploadBtn = document.querySelector(`button[data-task-id="${taskId}"]`);
-            if (uploadBtn) {
-                uploadBtn.textContent = 'Upload Evidence';
-                uploadBtn.disabled = false;
-                uploadBtn.classList.remove('loading');
+            console.error('Error reordering tasks:', error);
+            this.showError(`Failed to reorder tasks: ${error.message}`);
+        }
+    }
+
+    async sendTaskRequest(path, method, body) {
+        const options = { method };
+        if (body) {
+            options.headers = { 'Content-Type': 'application/json' };
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(`/api/projects/${this.projectId}/${path}`, options);
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        }
+
+        this.refreshHistory();
+        return response.json();
+    }
+
+    async loadMembers() {
+        try {
+            const response = await fetch(`/api/projects/${this.projectId}/members`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
             }
+            this.renderMembers(await response.json());
+        } catch (error) {
+            console.error('Error loading members:', error);
         }
     }
 
+    renderMembers(members) {
+        const roleNames = {
+            owner: 'Owner',
+            reviewer: 'Security reviewer',
+            contributor: 'Contributor',
+            viewer: 'Viewer'
+        };
+        const listEl = document.getElementById('members-list');
+        listEl.innerHTML = members.map(member => {
+            const name = this.escapeHtml(member.username || 'Deleted user');
+            if (!this.isOwner()) {
+                return `<li class="member-item"><span>${name}</span><span class="member-role">${roleNames[member.role]}</span></li>`;
+            }
+            const options = Object.keys(roleNames).map(role =>
+                `<option value="${role}" ${role === member.role ? 'selected' : ''}>${roleNames[role]}</option>`
+            ).join('');
+            return `
+                <li class="member-item">
+                    <span>${name}</span>
+                    <select class="member-role-select" data-user-id="${member.userId}" aria-label="Role of ${name}">${options}</select>
+                    <button type="button" class="btn btn-danger btn-small member-remove" data-user-id="${member.userId}">Remove</button>
+                </li>
+            `;
+        }).join('');
+
+        document.getElementById('add-member-form').style.display = this.isOwner() ? 'flex' : 'none';
+        this.showElement(document.getElementById('members-section'));
+    }
+
+    async addMember(form) {
+        const formData = new FormData(form);
+
+        try {
+            const members = await this.sendTaskRequest('members', 'POST', {
+                username: formData.get('username').trim(),
+                role: formData.get('role')
+            });
+            form.reset();
+            this.renderMembers(members);
+            this.showSuccess('Member added successfully!');
+        } catch (error) {
+            console.error('Error adding member:', error);
+            this.showError(`Failed to add member: ${error.message}`);
+        }
+    }
+
+    async updateMemberRole(userId, role) {
+        try {
+            this.renderMembers(await this.sendTaskRequest(`members/${userId}`, 'PUT', { role }));
+            this.showSuccess('Role updated successfully!');
+        } catch (error) {
+            console.error('Error updating member role:', error);
+            this.showError(`Failed to update role: ${error.message}`);
+            this.loadMembers();
+        }
+    }
+
+    async removeMember(userId) {
+        if (!confirm('Remove this member from the project?')) {
+            return;
+        }
+
+        try {
+            this.renderMembers(await this.sendTaskRequest(`members/${userId}`, 'DELETE'));
+            this.showSuccess('Member removed successfully!');
+        } catch (error) {
+            console.error('Error removing member:', error);
+            this.showError(`Failed to remove member: ${error.message}`);
+        }
+    }
+
+    async loadEvidenceLimits() {
+        try {
+            const response = await fetch(`/api/projects/${this.projectId}/evidence/limits`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.evidenceLimits = await response.json();
+            this.renderEvidenceLimits();
+        } catch (error) {
+            console.error('Error loading evidence limits:', error);
+        }
+    }
+
+    // The limits uploads are checked against, or the server's defaults until
+    // they have loaded
+    getUploadLimits() {
+        if (this.evidenceLimits) {
+            return this.evidenceLimits.limits;
+        }
+        return {
+            maxFileSize: 10 * 1024 * 1024,
+            maxFilesPerUpload: 5,
+            maxFilesPerProject: null,
+            projectQuota: null,
+            allowedExtensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.pdf', '.txt', '.csv', '.doc', '.docx', '.xls', '.xlsx']
+        };
+    }
+
+    describeUploadLimits() {
+        const limits = this.getUploadLimits();
+        const size = limits.maxFileSize === null ? '' : ` up to ${this.formatFileSize(limits.maxFileSize)} each`;
+        return `Allowed: ${limits.allowedExtensions.join(', ')}${size}.`;
+    }
+
+    renderEvidenceLimits() {
+        const { limits, projectLimits, usage } = this.evidenceLimits;
+        const orUnlimited = (value, format) => value === null ? 'Unlimited' : format(value);
+        const count = value => String(value);
+
+        document.getElementById('evidence-usage').textContent = limits.projectQuota === null
+            ? `(${this.formatFileSize(usage.size)} in ${usage.files} files)`
+            : `(${this.formatFileSize(usage.size)} of ${this.formatFileSize(limits.projectQuota)} used)`;
+
+        const rows = [
+            ['Project quota', orUnlimited(limits.projectQuota, bytes => this.formatFileSize(bytes))],
+            ['Largest file', orUnlimited(limits.maxFileSize, bytes => this.formatFileSize(bytes))],
+            ['Files per upload', orUnlimited(limits.maxFilesPerUpload, count)],
+            ['Files in project', `${usage.files} of ${orUnlimited(limits.maxFilesPerProject, count)}`],
+            ['Allowed types', limits.allowedExtensions.join(', ')]
+        ];
+        document.getElementById('evidence-limits-list').innerHTML = rows.map(([name, value]) =>
+            `<li><span>${this.escapeHtml(name)}</span><span>${this.escapeHtml(value)}</span></li>`
+        ).join('');
+
+        const form = document.getElementById('evidence-limits-form');
+        if (this.isOwner()) {
+            const megabytes = bytes => bytes === undefined ? '' : Math.round(bytes / (1024 * 1024) * 10) / 10;
+            form.elements.projectQuota.value = megabytes(projectLimits.projectQuota);
+            form.elements.maxFileSize.value = megabytes(projectLimits.maxFileSize);
+            form.elements.maxFilesPerUpload.value = projectLimits.maxFilesPerUpload || '';
+            form.elements.maxFilesPerProject.value = projectLimits.maxFilesPerProject || '';
+            form.elements.allowedTypes.value = projectLimits.allowedTypes ? limits.allowedExtensions.join(', ') : '';
+            form.style.display = 'flex';
+        } else {
+            form.style.display = 'none';
+        }
+
+        this.showElement(document.getElementById('evidence-limits-section'));
+    }
+
+    async saveEvidenceLimits(form) {
+        const values = new FormData(form);
+        const number = name => values.get(name).trim() === '' ? null : Number(values.get(name));
+        const megabytes = name => number(name) === null ? null : Math.round(number(name) * 1024 * 1024);
+        const types = values.get('allowedTypes').split(',').map(type => type.trim()).filter(Boolean);
+
+        try {
+            this.evidenceLimits = await this.sendTaskRequest('evidence/limits', 'PUT', {
+                projectQuota: megabytes('projectQuota'),
+                maxFileSize: megabytes('maxFileSize'),
+                maxFilesPerUpload: number('maxFilesPerUpload'),
+                maxFilesPerProject: number('maxFilesPerProject'),
+                allowedTypes: types.length > 0 ? types : null
+            });
+            this.renderEvidenceLimits();
+            this.renderTasks(this.currentPhase);
+            this.showSuccess('Evidence limits saved.');
+        } catch (error) {
+            console.error('Error saving evidence limits:', error);
+            this.showError(`Failed to save evidence limits: ${error.message}`);
+        }
+    }
+
+    // Reload the history panel after a change, if it is open
+    refreshHistory() {
+        const historySection = document.getElementById('history-section');
+        if (historySection && historySection.open) {
+            this.loadHistory();
+        }
+    }
+
+    async loadHistory() {
+        const listEl = document.getElementById('history-list');
+
+        try {
+            const response = await fetch(`/api/projects/${this.projectId}/audit`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.renderHistory(await response.json());
+        } catch (error) {
+            console.error('Error loading history:', error);
+            listEl.innerHTML = '<p class="no-history">Failed to load change history.</p>';
+        }
+    }
+
+    renderHistory(entries) {
+        const listEl = document.getElementById('history-list');
+        const actionNames = {
+            'project.create': 'Created the project',
+            'project.update': 'Changed the project',
+            'project.archive': 'Archived the project',
+            'project.restore': 'Restored the project',
+            'member.add': 'Added a member',
+            'member.update': 'Changed a member\'s role',
+            'member.remove': 'Removed a member',
+            'task.create': 'Added a task',
+            'task.update': 'Updated a task',
+            'task.reorder': 'Reordered tasks',
+            'task.delete': 'Deleted a task',
+            'evidence.upload': 'Attached evidence',
+            'evidence.version': 'Uploaded a new evidence version',
+            'evidence.scan': 'Scanned evidence',
+            'evidence.delete': 'Removed evidence',
+            'evidence.limits': 'Changed evidence limits',
+            'report.config': 'Changed the report settings'
+        };
+
+        if (entries.length === 0) {
+            listEl.innerHTML = '<p class="no-history">No changes recorded yet.</p>';
+            return;
+        }
+
+        // Newest first
+        listEl.innerHTML = entries.slice().reverse().map(entry => {
+            const target = entry.target || {};
+            const targetName = target.title || target.username || '';
+            const fields = Object.keys(entry.after || entry.before || {})
+                .filter(field => field !== 'completedDate')
+                .map(field => `
+                    <li>
+                        <span class="history-field">${this.escapeHtml(field)}:</span>
+                        ${entry.before ? `<span class="history-before">${this.escapeHtml(this.formatHistoryValue(entry.before[field]))}</span> →` : ''}
+                        ${entry.after ? `<span class="history-after">${this.escapeHtml(this.formatHistoryValue(entry.after[field]))}</span>` : '<em>removed</em>'}
+                    </li>
+                `).join('');
+
+            return `
+                <div class="history-entry">
+                    <div class="history-summary">
+                        <strong>${this.escapeHtml(entry.actor ? entry.actor.username : 'Unknown user')}</strong>
+                        ${this.escapeHtml(actionNames[entry.action] || entry.action)}
+                        ${targetName ? `<span class="history-target">“${this.escapeHtml(targetName)}”</span>` : ''}
+                    </div>
+                    <div class="history-meta">
+                        <time datetime="${this.escapeHtml(entry.timestamp)}">${new Date(entry.timestamp).toLocaleString()}</time>
+                        <span title="Request ID">${this.escapeHtml(entry.requestId || '')}</span>
+                    </div>
+                    ${fields ? `<ul class="history-changes">${fields}</ul>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    formatHistoryValue(value) {
+        if (value === null || value === undefined || value === '') {
+            return '(empty)';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => (item && typeof item === 'object') ? (item.originalName || item.name || item.key) : String(item).split('/').pop()).join(', ') || '(none)';
+        }
+        // Scan results
+        if (typeof value === 'object' && 'status' in value) {
+            return [value.status, value.signature].filter(Boolean).join(': ');
+        }
+        // Evidence limits
+        if (typeof value === 'object') {
+            return Object.keys(value).map(key => `${key} ${[].concat(value[key]).join(', ')}`).join('; ') || '(server limits)';
+        }
+        return String(value);
+    }
+
+    applyProjectStatus(projectStatus) {
+        this.project.phases = projectStatus.phases;
+        this.project.overallStatus = projectStatus.overallStatus;
+
+        this.renderTasks(this.currentPhase);
+        this.updateProgress();
+        this.renderPhaseNavigation();
+    }
+
+    findTask(taskId) {
+        for (const phase in this.tasks) {
+            const task = this.tasks[phase].find(t => t.id === taskId);
+            if (task) {
+                return task;
+            }
+        }
+        return null;
+    }
+
+    // Upload each file in its own request so every file gets its own progress
+    // bar and error message. With versionOf, the file is uploaded as a new
+    // version of that evidence file.
+    async uploadEvidence(taskId, fileList, versionOf = null) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0) {
+            this.showError('Choose one or more files to upload.');
+            return;
+        }
+
+        const uploadsEl = document.getElementById(`evidence-uploads-${taskId}`);
+        let uploadedCount = 0;
+
+        for (const file of files) {
+            const itemEl = document.createElement('li');
+            itemEl.className = 'evidence-upload-item';
+            itemEl.innerHTML = `
+                <span class="evidence-filename">${this.escapeHtml(file.name)}</span>
+                <progress max="100" value="0"></progress>
+                <span class="upload-status">Waiting…</span>
+            `;
+            uploadsEl.appendChild(itemEl);
+
+            const progressEl = itemEl.querySelector('progress');
+            const statusEl = itemEl.querySelector('.upload-status');
+
+            try {
+                const { maxFileSize } = this.getUploadLimits();
+                if (maxFileSize !== null && file.size > maxFileSize) {
+                    throw new Error(`File size too large. Maximum size is ${this.formatFileSize(maxFileSize)} per file.`);
+                }
+
+                const result = await this.uploadEvidenceFile(taskId, file, percent => {
+                    progressEl.value = percent;
+                    statusEl.textContent = `${percent}%`;
+                }, versionOf);
+
+                this.updateLocalTaskData(result.task);
+                this.renderEvidenceList(taskId, result.task.evidenceFiles);
+
+                // Files the scanner flagged stay listed but cannot be downloaded
+                const scan = result.uploadedFiles[0].scan;
+                if (scan && scan.status === 'infected') {
+                    throw new Error(`Malware found (${scan.signature}). The file has been blocked.`);
+                }
+                uploadedCount++;
+                itemEl.remove();
+            } catch (error) {
+                console.error('Error uploading evidence:', error);
+                itemEl.classList.add('upload-failed');
+                progressEl.remove();
+                statusEl.textContent = error.message;
+            }
+        }
+
+        if (uploadedCount > 0) {
+            this.refreshHistory();
+            this.loadEvidenceLimits();
+            this.showSuccess(versionOf
+                ? 'New evidence version uploaded successfully!'
+                : `${uploadedCount} evidence file${uploadedCount === 1 ? '' : 's'} uploaded successfully!`);
+        }
+    }
+
+    // The Express server takes multipart uploads. The Netlify function answers
+    // 415 to those, after which files are sent as base64 JSON instead.
+    async uploadEvidenceFile(taskId, file, onProgress, versionOf = null) {
+        const url = `/api/projects/${this.projectId}/tasks/${taskId}/evidence` +
+            (versionOf ? `?versionOf=${encodeURIComponent(versionOf)}` : '');
+
+        if (!this.uploadAsJson) {
+            const formData = new FormData();
+            formData.append('evidence', file);
+
+            const response = await this.sendUpload(url, formData, null, onProgress);
+            if (response.status !== 415) {
+                return this.readUploadResponse(response);
+            }
+            this.uploadAsJson = true;
+        }
+
+        const content = await this.readFileAsBase64(file);
+        const body = JSON.stringify({ files: [{ name: file.name, type: file.type, content }] });
+        return this.readUploadResponse(await this.sendUpload(url, body, 'application/json', onProgress));
+    }
+
+    // fetch cannot report upload progress, so uploads use XMLHttpRequest
+    sendUpload(url, body, contentType, onProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', url);
+            if (contentType) {
+                xhr.setRequestHeader('Content-Type', contentType);
+            }
+            xhr.upload.addEventListener('progress', (e) => {
+                if (e.lengthComputable) {
+                    onProgress(Math.round((e.loaded / e.total) * 100));
+                }
+            });
+            xhr.addEventListener('load', () => resolve({ status: xhr.status, text: xhr.responseText }));
+            xhr.addEventListener('error', () => reject(new Error('Network error while uploading')));
+            xhr.send(body);
+        });
+    }
+
+    readUploadResponse({ status, text }) {
+        let data = {};
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            // Proxies can answer with an HTML error page
+        }
+
+        if (status === 401) {
+            window.redirectToLogin();
+        }
+        // The server explains a 413 (file size or quota); a proxy only sends its own page
+        if (status === 413 && !data.error) {
+            throw new Error('File is too large for this server.');
+        }
+        if (status < 200 || status >= 300) {
+            throw new Error(data.error || `Upload failed with status ${status}`);
+        }
+        return data;
+    }
+
+    readFileAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.addEventListener('load', () => resolve(reader.result.split(',')[1] || ''));
+            reader.addEventListener('error', () => reject(new Error('Could not read the file')));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    async rescanEvidence(taskId, filename) {
+        try {
+            const evidence = await this.sendTaskRequest(`tasks/${taskId}/evidence/${encodeURIComponent(filename)}/scan`, 'POST');
+
+            const task = this.findTask(taskId);
+            task.evidenceFiles = task.evidenceFiles.map(entry => this.toEvidence(entry).filename === filename ? evidence : entry);
+            this.renderEvidenceList(taskId, task.evidenceFiles);
+
+            if (evidence.scan.status === 'clean') {
+                this.showSuccess('Evidence file scanned clean.');
+            } else if (evidence.scan.status === 'infected') {
+                this.showError(`Malware found (${evidence.scan.signature}). The file has been blocked.`);
+            } else {
+                this.showError(`The evidence file could not be scanned: ${evidence.scan.error}`);
+            }
+        } catch (error) {
+            console.error('Error scanning evidence:', error);
+            this.showError(error.message || 'Failed to scan evidence file');
+        }
+    }
+
+    async deleteEvidence(taskId, filename) {
+        if (!confirm('Delete this evidence file? It will be permanently removed.')) {
+            return;
+        }
+
+        try {
+            const result = await this.sendTaskRequest(`tasks/${taskId}/evidence/${encodeURIComponent(filename)}`, 'DELETE');
+
+            // Deleting a current version makes the one before it current
+            const task = this.findTask(taskId);
+            task.evidenceFiles = result.evidenceFiles;
+            this.renderEvidenceList(taskId, task.evidenceFiles);
+            this.loadEvidenceLimits();
+            this.showSuccess('Evidence file deleted.');
+        } catch (error) {
+            console.error('Error deleting evidence:', error);
+            this.showError(error.message || 'Failed to delete evidence file');
+        }
+    }
+
+    getEvidenceUrl(taskId, filename) {
+        return `/api/projects/${this.projectId}/tasks/${taskId}/evidence/${encodeURIComponent(filename)}`;
+    }
+
     downloadEvidence(taskId, filename) {
         try {
             // Create download URL
-            const downloadUrl = `/api/projects/${this.projectId}/tasks/${taskId}/evidence/${encodeURIComponent(filename)}`;
+            const downloadUrl = this.getEvidenceUrl(taskId, filename);
             
             // Create temporary link and trigger download
             const link = document.createElement('a');
@@ -493,35 +1290,177 @@ class Checklist {
         }
     }
 
+    // Show an image, PDF or text file in the preview dialog. The server sends
+    // previews with a policy that keeps anything in them from running; text is
+    // fetched and shown as text rather than loaded as a page.
+    async previewEvidence(taskId, filename) {
+        const evidence = this.toEvidence(this.findTask(taskId).evidenceFiles
+            .find(entry => this.toEvidence(entry).filename === filename));
+        const kind = PREVIEW_KINDS[evidence.verifiedType];
+        const previewUrl = `${this.getEvidenceUrl(taskId, filename)}?disposition=inline`;
+        const displayName = evidence.originalName || this.getDisplayFilename(filename);
+
+        const dialog = document.getElementById('evidence-preview');
+        const body = document.getElementById('evidence-preview-body');
+        document.getElementById('evidence-preview-title').textContent = displayName;
+        dialog.dataset.taskId = taskId;
+        dialog.dataset.filename = filename;
+        body.replaceChildren();
+
+        if (kind === 'image') {
+            const image = document.createElement('img');
+            image.src = previewUrl;
+            image.alt = displayName;
+            body.appendChild(image);
+        } else if (kind === 'pdf') {
+            const frame = document.createElement('iframe');
+            frame.src = previewUrl;
+            frame.title = displayName;
+            body.appendChild(frame);
+        } else {
+            const text = document.createElement('pre');
+            text.textContent = 'Loading...';
+            body.appendChild(text);
+        }
+        dialog.showModal();
+
+        if (kind !== 'text') {
+            return;
+        }
+        const text = body.querySelector('pre');
+        try {
+            const response = await fetch(previewUrl);
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.error || 'Failed to load preview');
+            }
+            const content = await response.text();
+            text.textContent = content.length > PREVIEW_TEXT_LIMIT
+                ? `${content.slice(0, PREVIEW_TEXT_LIMIT)}\n\n... (preview cut short, download the file to see all of it)`
+                : content;
+        } catch (error) {
+            console.error('Error previewing evidence:', error);
+            text.textContent = error.message;
+        }
+    }
+
     renderEvidenceList(taskId, evidenceFiles) {
         const evidenceListEl = document.getElementById(`evidence-list-${taskId}`);
         if (!evidenceListEl) return;
-        
+
+        evidenceListEl.innerHTML = this.getEvidenceListHtml(taskId, evidenceFiles);
+    }
+
+    // Tasks saved before evidence metadata existed list bare paths
+    toEvidence(entry) {
+        return typeof entry === 'string' ? { filename: entry.split('/').pop() } : entry;
+    }
+
+    // Versions of an item are grouped: the current version is listed with its
+    // version number, and earlier ones under its version history
+    getEvidenceListHtml(taskId, evidenceFiles) {
         if (!evidenceFiles || evidenceFiles.length === 0) {
-            evidenceListEl.innerHTML = '<p class="no-evidence">No evidence files uploaded</p>';
-            return;
+            return '<p class="no-evidence">No evidence files uploaded</p>';
         }
-        
-        const evidenceHtml = evidenceFiles.map(filePath => {
-            // Extract filename from path (last part after /)
-            const filename = filePath.split('/').pop();
-            const displayName = this.getDisplayFilename(filename);
-            
+
+        const items = new Map();
+        evidenceFiles.map(entry => this.toEvidence(entry)).forEach(evidence => {
+            const itemId = evidence.itemId || evidence.filename;
+            if (!items.has(itemId)) {
+                items.set(itemId, []);
+            }
+            items.get(itemId).push(evidence);
+        });
+
+        return Array.from(items.values()).map(versions => {
+            // Newest first
+            versions.sort((a, b) => (b.version || 1) - (a.version || 1));
+            const current = versions.find(evidence => evidence.current !== false) || versions[0];
+            const earlier = versions.filter(evidence => evidence !== current);
+
             return `
-                <div class="evidence-item">
-                    <span class="evidence-filename" title="${this.escapeHtml(filename)}">${this.escapeHtml(displayName)}</span>
-                    <button type="button" 
-                            class="btn btn-small evidence-download" 
-                            data-task-id="${taskId}" 
-                            data-filename="${this.escapeHtml(filename)}"
-                            title="Download ${this.escapeHtml(filename)}">
-                        Download
-                    </button>
-                </div>
+                ${this.getEvidenceItemHtml(taskId, current, versions.length > 1)}
+                ${earlier.length > 0 ? `
+                <details class="evidence-versions">
+                    <summary>Version history (${earlier.length} earlier version${earlier.length === 1 ? '' : 's'})</summary>
+                    ${earlier.map(evidence => this.getEvidenceItemHtml(taskId, evidence, true)).join('')}
+                </details>` : ''}
             `;
         }).join('');
+    }
+
+    getEvidenceItemHtml(taskId, evidence, versioned) {
+        const filename = evidence.filename;
+        const displayName = evidence.originalName || this.getDisplayFilename(filename);
+        const isCurrent = evidence.current !== false;
         
-        evidenceListEl.innerHTML = evidenceHtml;
+        const size = typeof evidence.size === 'number' ? ` (${this.formatFileSize(evidence.size)})` : '';
+        const scanStatus = evidence.scan ? evidence.scan.status : 'pending';
+        const scanLabels = {
+            pending: 'Not scanned yet',
+            infected: `Malware found: ${evidence.scan && evidence.scan.signature}`
+        };
+        const uploaded = [
+            evidence.uploadedAt ? new Date(evidence.uploadedAt).toLocaleString() : '',
+            evidence.uploadedBy ? `by ${evidence.uploadedBy.username}` : ''
+        ].filter(Boolean).join(' ');
+        
+        return `
+            <div class="evidence-item ${isCurrent ? '' : 'evidence-earlier-version'}">
+                <span class="evidence-filename" title="${this.escapeHtml(filename)}">${this.escapeHtml(displayName)}${size}</span>
+                ${versioned ? `<span class="evidence-version ${isCurrent ? 'version-current' : ''}" title="${this.escapeHtml(uploaded)}">v${evidence.version || 1}${isCurrent ? ' · Current' : ''}</span>` : ''}
+                ${scanLabels[scanStatus] ? `<span class="evidence-scan scan-${scanStatus}">${this.escapeHtml(scanLabels[scanStatus])}</span>` : ''}
+                ${scanStatus === 'clean' && PREVIEW_KINDS[evidence.verifiedType] ? `
+                <button type="button"
+                        class="btn btn-small btn-secondary evidence-preview-open"
+                        data-task-id="${taskId}"
+                        data-filename="${this.escapeHtml(filename)}"
+                        title="Preview ${this.escapeHtml(filename)}">
+                    Preview
+                </button>` : ''}
+                <button type="button" 
+                        class="btn btn-small evidence-download" 
+                        data-task-id="${taskId}" 
+                        data-filename="${this.escapeHtml(filename)}"
+                        ${scanStatus === 'clean' ? '' : 'disabled'}
+                        title="Download ${this.escapeHtml(filename)}">
+                    Download
+                </button>
+                ${isCurrent && this.canEdit() ? `
+                <label class="btn btn-small btn-secondary evidence-new-version" title="Upload a new version of ${this.escapeHtml(displayName)}">
+                    New version
+                    <input type="file" class="evidence-version-input" hidden
+                           data-task-id="${taskId}"
+                           data-filename="${this.escapeHtml(filename)}"
+                           accept="${this.escapeHtml(this.getUploadLimits().allowedExtensions.join(','))}">
+                </label>` : ''}
+                ${scanStatus === 'pending' && this.canEdit() ? `
+                <button type="button"
+                        class="btn btn-small btn-secondary evidence-scan-again"
+                        data-task-id="${taskId}"
+                        data-filename="${this.escapeHtml(filename)}">
+                    Scan
+                </button>` : ''}
+                ${this.canEdit() ? `
+                <button type="button"
+                        class="btn btn-small btn-danger evidence-delete"
+                        data-task-id="${taskId}"
+                        data-filename="${this.escapeHtml(filename)}"
+                        title="Delete ${this.escapeHtml(filename)}">
+                    Delete
+                </button>` : ''}
+            </div>
+        `;
+    }
+
+    formatFileSize(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(1)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
     }
 
     getDisplayFilename(filename) {
@@ -3,6 +3,7 @@
 class Dashboard {
     constructor() {
         this.projects = [];
+        this.showArchived = false;
         this.init();
     }
 
@@ -10,8 +11,9 @@ class Dashboard {
         // Bind event listeners
         this.bindEvents();
         
-        // Load projects on page load
+        // Load projects and checklist templates on page load
         this.loadProjects();
+        this.loadTemplates();
     }
 
     bindEvents() {
@@ -20,6 +22,15 @@ class Dashboard {
         if (newProjectForm) {
             newProjectForm.addEventListener('submit', (e) => this.handleNewProject(e));
         }
+
+        // Archived projects toggle
+        const showArchivedToggle = document.getElementById('show-archived');
+        if (showArchivedToggle) {
+            showArchivedToggle.addEventListener('change', (e) => {
+                this.showArchived = e.target.checked;
+                this.loadProjects();
+            });
+        }
     }
 
     async loadProjects() {
@@ -34,8 +45,9 @@ class Dashboard {
             this.hideElement(errorEl);
             this.hideElement(noProjectsEl);
 
-            // Fetch projects from API
-            const response = await fetch('/.netlify/functions/projects');
+            // Fetch projects from API (archived projects are only included on request)
+            const query = this.showArchived ? '?includeArchived=true' : '';
+            const response = await fetch(`/api/projects${query}`);
             
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
@@ -65,6 +77,34 @@ class Dashboard {
         }
     }
 
+    async loadTemplates() {
+        const templateSelect = document.getElementById('project-template');
+        if (!templateSelect) return;
+
+        try {
+            const response = await fetch('/api/templates');
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const templates = await response.json();
+
+            templateSelect.innerHTML = '<option value="">Default checklist</option>';
+            templates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.name;
+                option.title = template.description || '';
+                templateSelect.appendChild(option);
+            });
+
+        } catch (error) {
+            // The default checklist is still available, so only log the failure
+            console.error('Error loading templates:', error);
+        }
+    }
+
     renderProjects(projects) {
         const projectsListEl = document.getElementById('projects-list');
         
@@ -85,7 +125,7 @@ class Dashboard {
 
     createProjectCard(project) {
         const card = document.createElement('div');
-        card.className = 'project-card';
+        card.className = `project-card ${project.archived ? 'archived' : ''}`;
         card.setAttribute('data-project-id', project.id);
 
         // Calculate completion status
@@ -96,17 +136,22 @@ class Dashboard {
         // Format creation date
         const createdDate = new Date(project.createdDate).toLocaleDateString();
 
+        // Renaming, archiving and deleting are reserved for project owners
+        const isOwner = project.role === 'owner';
+        const roleNames = { owner: 'Owner', reviewer: 'Security reviewer', contributor: 'Contributor', viewer: 'Viewer' };
+
         card.innerHTML = `
             <div class="project-header">
                 <h3 class="project-name">${this.escapeHtml(project.name)}</h3>
-                <span class="project-status ${isCompleted ? 'status-completed' : 'status-in-progress'}">
-                    ${isCompleted ? 'Completed' : 'In Progress'}
+                <span class="project-status ${project.archived ? 'status-archived' : (isCompleted ? 'status-completed' : 'status-in-progress')}">
+                    ${project.archived ? 'Archived' : (isCompleted ? 'Completed' : 'In Progress')}
                 </span>
             </div>
             
             <div class="project-meta">
                 <span>Created: ${createdDate}</span>
                 <span>Progress: ${completedPhases}/${totalPhases} phases</span>
+                <span>Your role: ${roleNames[project.role] || project.role}</span>
             </div>
             
             <div class="project-phases">
@@ -120,6 +165,20 @@ class Dashboard {
                 <button class="btn btn-secondary btn-small" onclick="dashboard.manageProject('${project.id}')">
                     Manage Tasks
                 </button>
+                ${isOwner ? `
+                <button class="btn btn-secondary btn-small" onclick="dashboard.renameProject('${project.id}')">
+                    Rename
+                </button>
+                ${project.archived ? `
+                <button class="btn btn-secondary btn-small" onclick="dashboard.restoreProject('${project.id}')">
+                    Restore
+                </button>` : `
+                <button class="btn btn-secondary btn-small" onclick="dashboard.archiveProject('${project.id}')">
+                    Archive
+                </button>`}
+                <button class="btn btn-danger btn-small" onclick="dashboard.deleteProject('${project.id}')">
+                    Delete
+                </button>` : ''}
             </div>
         `;
 
@@ -127,22 +186,15 @@ class Dashboard {
     }
 
     renderPhases(phases) {
-        const phaseNames = {
-            planning: 'Planning',
-            design: 'Design',
-            implementation: 'Implementation',
-            testing: 'Testing',
-            deployment: 'Deployment'
-        };
-
-        return Object.entries(phaseNames).map(([key, name]) => {
-            const phase = phases[key] || { completed: false };
+        // Render the project's own phase list, in order
+        return Object.entries(phases).map(([key, phase]) => {
+            const name = phase.name || key.charAt(0).toUpperCase() + key.slice(1);
             const statusClass = phase.completed ? 'phase-completed' : 'phase-pending';
             
             return `
                 <div class="phase-item">
                     <div class="phase-status ${statusClass}"></div>
-                    <span>${name}</span>
+                    <span>${this.escapeHtml(name)}</span>
                 </div>
             `;
         }).join('');
@@ -154,6 +206,7 @@ class Dashboard {
         const form = event.target;
         const formData = new FormData(form);
         const projectName = formData.get('name').trim();
+        const templateId = formData.get('templateId') || undefined;
 
         if (!projectName) {
             this.showError('Project name is required');
@@ -169,12 +222,12 @@ class Dashboard {
             submitButton.classList.add('loading');
 
             // Send request to create project
-            const response = await fetch('/.netlify/functions/projects', {
+            const response = await fetch('/api/projects', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ name: projectName })
+                body: JSON.stringify({ name: projectName, templateId })
             });
 
             if (!response.ok) {
@@ -215,6 +268,86 @@ class Dashboard {
         window.location.href = `checklist.html?project=${projectId}`;
     }
 
+    async renameProject(projectId) {
+        const project = this.projects.find(p => p.id === projectId);
+        const newName = prompt('Enter a new project name:', project ? project.name : '');
+
+        if (newName === null) {
+            return;
+        }
+
+        if (!newName.trim()) {
+            this.showError('Project name is required');
+            return;
+        }
+
+        try {
+            await this.sendProjectRequest(projectId, 'PATCH', { name: newName.trim() });
+            this.showSuccess(`Project renamed to "${newName.trim()}"`);
+            await this.loadProjects();
+        } catch (error) {
+            console.error('Error renaming project:', error);
+            this.showError(`Failed to rename project: ${error.message}`);
+        }
+    }
+
+    async archiveProject(projectId) {
+        try {
+            await this.sendProjectRequest(`${projectId}/archive`, 'POST');
+            this.showSuccess('Project archived successfully!');
+            await this.loadProjects();
+        } catch (error) {
+            console.error('Error archiving project:', error);
+            this.showError(`Failed to archive project: ${error.message}`);
+        }
+    }
+
+    async restoreProject(projectId) {
+        try {
+            await this.sendProjectRequest(`${projectId}/restore`, 'POST');
+            this.showSuccess('Project restored successfully!');
+            await this.loadProjects();
+        } catch (error) {
+            console.error('Error restoring project:', error);
+            this.showError(`Failed to restore project: ${error.message}`);
+        }
+    }
+
+    async deleteProject(projectId) {
+        const project = this.projects.find(p => p.id === projectId);
+        const projectName = project ? project.name : 'this project';
+
+        if (!confirm(`Delete "${projectName}"? All of its tasks and evidence files will be permanently removed.`)) {
+            return;
+        }
+
+        try {
+            await this.sendProjectRequest(projectId, 'DELETE');
+            this.showSuccess(`Project "${projectName}" deleted successfully!`);
+            await this.loadProjects();
+        } catch (error) {
+            console.error('Error deleting project:', error);
+            this.showError(`Failed to delete project: ${error.message}`);
+        }
+    }
+
+    async sendProjectRequest(path, method, body) {
+        const options = { method };
+        if (body) {
+            options.headers = { 'Content-Type': 'application/json' };
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(`/api/projects/${path}`, options);
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        }
+
+        return response.json();
+    }
+
     showError(message) {
         const errorEl = document.getElementById('error-message');
         if (errorEl) {
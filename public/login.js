@@ -0,0 +1,68 @@
+// Sign-in page. When no accounts exist yet, the same form creates the first one.
+
+class LoginPage {
+    constructor() {
+        this.setupRequired = false;
+        this.init();
+    }
+
+    async init() {
+        document.getElementById('login-form').addEventListener('submit', (e) => this.handleSubmit(e));
+
+        try {
+            const response = await fetch('/api/auth/setup');
+            const data = await response.json();
+            this.setupRequired = Boolean(data.setupRequired);
+        } catch (error) {
+            console.error('Error checking setup status:', error);
+        }
+
+        if (this.setupRequired) {
+            document.getElementById('login-title').textContent = 'Create First Account';
+            document.getElementById('setup-intro').style.display = 'block';
+            document.getElementById('password').setAttribute('autocomplete', 'new-password');
+            document.getElementById('login-submit').textContent = 'Create Account';
+        }
+    }
+
+    // Only same-site paths are followed after signing in
+    getNextUrl() {
+        const next = new URLSearchParams(window.location.search).get('next');
+        return next && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        const submitButton = document.getElementById('login-submit');
+        const errorEl = document.getElementById('login-error');
+        errorEl.style.display = 'none';
+        submitButton.disabled = true;
+
+        try {
+            const response = await fetch(this.setupRequired ? '/api/auth/setup' : '/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: document.getElementById('username').value.trim(),
+                    password: document.getElementById('password').value
+                })
+            });
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || 'Sign in failed');
+            }
+
+            window.location.href = this.getNextUrl();
+        } catch (error) {
+            errorEl.textContent = error.message;
+            errorEl.style.display = 'flex';
+            submitButton.disabled = false;
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new LoginPage();
+});
@@ -3,19 +3,29 @@ class ReportsManager {
     constructor() {
         this.projects = [];
         this.selectedProject = null;
+        this.portfolio = null;
+        // The all-project report configuration and the selected project's, as
+        // the API returns them
+        this.reportConfigs = { global: null, project: null };
+        this.configLogo = null;
         this.init();
     }
 
     init() {
         this.bindEvents();
         this.loadProjects();
+        this.loadReportConfig();
     }
 
     bindEvents() {
         const projectSelect = document.getElementById('projectSelect');
         const generateReportBtn = document.getElementById('generateReportBtn');
         const downloadReportBtn = document.getElementById('downloadReportBtn');
+        const reportFormatSelect = document.getElementById('reportFormatSelect');
+        const exportEvidenceBtn = document.getElementById('exportEvidenceBtn');
         const refreshPreviewBtn = document.getElementById('refreshPreviewBtn');
+        const loadPortfolioBtn = document.getElementById('loadPortfolioBtn');
+        const downloadPortfolioBtn = document.getElementById('downloadPortfolioBtn');
 
         projectSelect.addEventListener('change', (e) => {
             this.onProjectSelect(e.target.value);
@@ -29,14 +39,51 @@ class ReportsManager {
             this.downloadReport();
         });
 
+        reportFormatSelect.addEventListener('change', () => {
+            downloadReportBtn.textContent = `Download ${this.getReportFormat().label} Report`;
+        });
+
+        exportEvidenceBtn.addEventListener('click', () => {
+            this.exportEvidence();
+        });
+
         refreshPreviewBtn.addEventListener('click', () => {
             this.generateReportPreview();
         });
+
+        loadPortfolioBtn.addEventListener('click', () => {
+            this.loadPortfolio();
+        });
+
+        downloadPortfolioBtn.addEventListener('click', () => {
+            this.downloadPortfolioReport();
+        });
+
+        document.getElementById('reportConfigScope').addEventListener('change', () => {
+            this.fillReportConfigForm();
+        });
+
+        document.getElementById('configLogo').addEventListener('change', (e) => {
+            this.readLogo(e.target.files[0]);
+        });
+
+        document.getElementById('removeLogoBtn').addEventListener('click', () => {
+            this.setConfigLogo(null);
+        });
+
+        document.getElementById('reportConfigForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveReportConfig();
+        });
+
+        document.getElementById('resetReportConfigBtn').addEventListener('click', () => {
+            this.saveReportConfig({});
+        });
     }
 
     async loadProjects() {
         try {
-            const response = await fetch('/.netlify/functions/projects');
+            const response = await fetch('/api/projects');
             if (!response.ok) {
                 throw new Error('Failed to fetch projects');
             }
@@ -79,6 +126,12 @@ class ReportsManager {
             generateReportBtn.disabled = true;
             reportPreview.style.display = 'none';
         }
+
+        // Settings apply to the selected project by default
+        const scope = document.getElementById('reportConfigScope');
+        scope.querySelector('option[value="project"]').disabled = !this.selectedProject;
+        scope.value = this.selectedProject ? 'project' : 'global';
+        this.loadReportConfig();
     }
 
     async generateReportPreview() {
@@ -91,14 +144,21 @@ class ReportsManager {
         this.hideError();
 
         try {
-            // Fetch detailed project data including tasks
-            const response = await fetch(`/.netlify/functions/projects/${this.selectedProject.id}`);
-            if (!response.ok) {
+            // The report data the server renders every format from, and the
+            // report configuration that applies to the project
+            const projectId = this.selectedProject.id;
+            const [reportResponse, configResponse] = await Promise.all([
+                fetch(`/api/projects/${projectId}/report?format=json`),
+                fetch(`/api/projects/${projectId}/report/config`)
+            ]);
+            if (!reportResponse.ok || !configResponse.ok) {
                 throw new Error('Failed to fetch project details');
             }
 
-            const projectData = await response.json();
-            this.displayReportPreview(projectData);
+            const reportData = await reportResponse.json();
+            const { config } = await configResponse.json();
+
+            this.displayReportPreview(reportData, config);
             
         } catch (error) {
             console.error('Error generating report preview:', error);
@@ -108,76 +168,38 @@ class ReportsManager {
         }
     }
 
-    displayReportPreview(projectData) {
-        // Calculate statistics
-        const stats = this.calculateProjectStats(projectData);
-        
+    displayReportPreview(reportData, config) {
         // Update preview elements
-        document.getElementById('previewProjectName').textContent = projectData.name;
-        document.getElementById('previewSecurityScore').textContent = `${stats.overallScore}%`;
-        document.getElementById('previewStatus').textContent = projectData.overallStatus;
+        document.getElementById('previewProjectName').textContent = reportData.project.name;
+        document.getElementById('previewSecurityScore').textContent = `${reportData.securityScore}%`;
+        document.getElementById('previewStatus').textContent = reportData.project.overallStatus;
+
+        this.displayBranding(config);
 
         // Display phase summary
-        this.displayPhaseSummary(stats.phaseStats, projectData.phases);
+        this.displayPhaseSummary(reportData.phases);
         
         // Display task summary
-        this.displayTaskSummary(stats.taskStats);
+        this.displayTaskSummary(reportData, config.sections);
+
+        // The evidence of every task the report lists, as in the PDF
+        const listedTasks = [
+            ...reportData.completedTasks,
+            ...(config.sections.outstandingTasks ? reportData.outstandingTasks : [])
+        ];
+        this.displayEvidenceList(config.sections.evidenceList ? listedTasks : null);
+        this.displayAuditTrail(config.sections.auditTrail ? reportData.auditTrail || [] : null);
 
         // Show the preview section
         document.getElementById('reportPreview').style.display = 'block';
     }
 
-    calculateProjectStats(projectData) {
-        let totalTasks = 0;
-        let completedTasks = 0;
-        const phaseStats = {};
-        const taskStats = {
-            completed: [],
-            outstanding: []
-        };
-
-        for (const phase in projectData.tasks) {
-            const phaseTasks = projectData.tasks[phase];
-            const phaseCompleted = phaseTasks.filter(task => task.completed);
-            
-            phaseStats[phase] = {
-                total: phaseTasks.length,
-                completed: phaseCompleted.length,
-                percentage: phaseTasks.length > 0 ? Math.round((phaseCompleted.length / phaseTasks.length) * 100) : 0
-            };
-            
-            totalTasks += phaseTasks.length;
-            completedTasks += phaseCompleted.length;
-
-            // Collect completed and outstanding tasks
-            phaseCompleted.forEach(task => {
-                taskStats.completed.push({ ...task, phase });
-            });
-
-            phaseTasks.filter(task => !task.completed).forEach(task => {
-                taskStats.outstanding.push({ ...task, phase });
-            });
-        }
-
-        const overallScore = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
-
-        return {
-            overallScore,
-            phaseStats,
-            taskStats,
-            totalTasks,
-            completedTasks
-        };
-    }
-
-    displayPhaseSummary(phaseStats, projectPhases) {
+    displayPhaseSummary(phases) {
         const container = document.getElementById('phaseSummaryList');
         container.innerHTML = '';
 
-        for (const phase in phaseStats) {
-            const stats = phaseStats[phase];
-            const phaseTitle = phase.charAt(0).toUpperCase() + phase.slice(1);
-            const isPhaseComplete = projectPhases[phase] && projectPhases[phase].completed;
+        phases.forEach(phase => {
+            const isPhaseComplete = phase.status === 'complete';
             
             const phaseDiv = document.createElement('div');
             phaseDiv.className = 'phase-summary-item';
@@ -188,7 +210,7 @@ class ReportsManager {
             if (isPhaseComplete) {
                 statusIcon = '✓';
                 statusClass = 'completed';
-            } else if (stats.completed > 0) {
+            } else if (phase.status === 'in-progress') {
                 statusIcon = '⚠';
                 statusClass = 'in-progress';
             }
@@ -196,119 +218,478 @@ class ReportsManager {
             phaseDiv.innerHTML = `
                 <div class="phase-header">
                     <span class="status-icon ${statusClass}">${statusIcon}</span>
-                    <strong>${phaseTitle} Phase</strong>
+                    <strong></strong>
                 </div>
                 <div class="phase-details">
-                    <span>${stats.completed}/${stats.total} tasks completed (${stats.percentage}%)</span>
+                    <span>${phase.completed}/${phase.total} tasks completed (${phase.percentage}%)</span>
                     ${isPhaseComplete ? '<span class="phase-complete-badge">Phase Complete</span>' : ''}
                 </div>
             `;
+            phaseDiv.querySelector('.phase-header strong').textContent = `${phase.name} Phase`;
             
             container.appendChild(phaseDiv);
+        });
+    }
+
+    // The organisation name, logo and colours the report is branded with
+    displayBranding(config) {
+        const preview = document.getElementById('reportPreview');
+        preview.style.setProperty('--report-primary', config.theme.primary);
+        preview.style.setProperty('--report-accent', config.theme.accent);
+
+        const logo = document.getElementById('previewLogo');
+        if (config.logo) {
+            logo.src = config.logo;
+            logo.style.display = 'block';
+        } else {
+            logo.removeAttribute('src');
+            logo.style.display = 'none';
+        }
+        document.getElementById('previewOrganisation').textContent = config.organisationName || '';
+        document.getElementById('previewBranding').style.display = config.logo || config.organisationName ? 'flex' : 'none';
+    }
+
+    // A task's notes under its title in the task summary
+    appendNotes(taskDiv, task) {
+        if (task.notes && task.notes.trim()) {
+            const notes = document.createElement('span');
+            notes.className = 'task-note';
+            notes.textContent = task.notes.trim();
+            taskDiv.appendChild(notes);
         }
     }
 
-    displayTaskSummary(taskStats) {
+    displayTaskSummary(reportData, sections) {
         const container = document.getElementById('taskSummaryList');
         container.innerHTML = '';
 
         // Completed tasks section
-        if (taskStats.completed.length > 0) {
+        if (reportData.completedTasks.length > 0) {
             const completedSection = document.createElement('div');
             completedSection.className = 'task-section';
             completedSection.innerHTML = `
-                <h5>Completed Tasks (${taskStats.completed.length})</h5>
+                <h5>Completed Tasks (${reportData.completedTasks.length})</h5>
                 <div class="task-list completed-tasks"></div>
             `;
             
             const completedList = completedSection.querySelector('.task-list');
-            taskStats.completed.slice(0, 5).forEach(task => { // Show first 5
+            reportData.completedTasks.slice(0, 5).forEach(task => { // Show first 5
                 const taskDiv = document.createElement('div');
                 taskDiv.className = 'task-item';
                 taskDiv.innerHTML = `
-                    <span class="task-title">✓ ${task.title}</span>
-                    <span class="task-phase">${task.phase.charAt(0).toUpperCase() + task.phase.slice(1)}</span>
+                    <span class="task-title"></span>
+                    <span class="task-phase"></span>
                 `;
+                taskDiv.querySelector('.task-title').textContent = `✓ ${task.title}`;
+                taskDiv.querySelector('.task-phase').textContent = task.phaseName;
+                if (sections.notes) {
+                    this.appendNotes(taskDiv, task);
+                }
                 completedList.appendChild(taskDiv);
             });
 
-            if (taskStats.completed.length > 5) {
+            if (reportData.completedTasks.length > 5) {
                 const moreDiv = document.createElement('div');
                 moreDiv.className = 'task-item more-tasks';
-                moreDiv.textContent = `... and ${taskStats.completed.length - 5} more completed tasks`;
+                moreDiv.textContent = `... and ${reportData.completedTasks.length - 5} more completed tasks`;
                 completedList.appendChild(moreDiv);
             }
 
             container.appendChild(completedSection);
         }
 
-        // Outstanding tasks section
-        if (taskStats.outstanding.length > 0) {
+        // Outstanding tasks section, unless the report leaves it out
+        if (sections.outstandingTasks && reportData.outstandingTasks.length > 0) {
             const outstandingSection = document.createElement('div');
             outstandingSection.className = 'task-section';
             outstandingSection.innerHTML = `
-                <h5>Outstanding Tasks (${taskStats.outstanding.length})</h5>
+                <h5>Outstanding Tasks (${reportData.outstandingTasks.length})</h5>
                 <div class="task-list outstanding-tasks"></div>
             `;
             
             const outstandingList = outstandingSection.querySelector('.task-list');
-            taskStats.outstanding.slice(0, 5).forEach(task => { // Show first 5
+            reportData.outstandingTasks.slice(0, 5).forEach(task => { // Show first 5
                 const taskDiv = document.createElement('div');
                 taskDiv.className = 'task-item';
                 taskDiv.innerHTML = `
-                    <span class="task-title">○ ${task.title}</span>
-                    <span class="task-phase">${task.phase.charAt(0).toUpperCase() + task.phase.slice(1)}</span>
+                    <span class="task-title"></span>
+                    <span class="task-phase"></span>
                 `;
+                taskDiv.querySelector('.task-title').textContent = `○ ${task.title}`;
+                taskDiv.querySelector('.task-phase').textContent = task.phaseName;
+                if (sections.notes) {
+                    this.appendNotes(taskDiv, task);
+                }
                 outstandingList.appendChild(taskDiv);
             });
 
-            if (taskStats.outstanding.length > 5) {
+            if (reportData.outstandingTasks.length > 5) {
                 const moreDiv = document.createElement('div');
                 moreDiv.className = 'task-item more-tasks';
-                moreDiv.textContent = `... and ${taskStats.outstanding.length - 5} more outstanding tasks`;
+                moreDiv.textContent = `... and ${reportData.outstandingTasks.length - 5} more outstanding tasks`;
                 outstandingList.appendChild(moreDiv);
             }
 
             container.appendChild(outstandingSection);
         }
 
-        if (taskStats.completed.length === 0 && taskStats.outstanding.length === 0) {
+        if (reportData.completedTasks.length === 0 && reportData.outstandingTasks.length === 0) {
             container.innerHTML = '<p>No tasks found for this project.</p>';
         }
     }
 
+    // The evidence files of the tasks the report lists, or nothing when the
+    // report leaves the evidence list out (tasks is null)
+    displayEvidenceList(tasks) {
+        const section = document.getElementById('previewEvidence');
+        const list = document.getElementById('previewEvidenceList');
+        list.innerHTML = '';
+        if (!tasks) {
+            section.style.display = 'none';
+            return;
+        }
+
+        const withEvidence = tasks.filter(task => task.evidence.length > 0);
+        withEvidence.forEach(task => {
+            const item = document.createElement('div');
+            item.className = 'task-item';
+            const title = document.createElement('span');
+            title.className = 'task-title';
+            title.textContent = task.title;
+            const files = document.createElement('span');
+            files.className = 'task-phase';
+            files.textContent = task.evidence.map(file => file.originalName).join(', ');
+            item.append(title, files);
+            list.appendChild(item);
+        });
+        if (withEvidence.length === 0) {
+            list.textContent = 'No evidence files are attached to the tasks in this report.';
+        }
+        section.style.display = 'block';
+    }
+
+    // The latest changes in the audit trail, or nothing when the report
+    // leaves it out (entries is null)
+    displayAuditTrail(entries) {
+        const section = document.getElementById('previewAuditTrail');
+        const list = document.getElementById('previewAuditTrailList');
+        list.innerHTML = '';
+        if (!entries) {
+            section.style.display = 'none';
+            return;
+        }
+
+        // Newest first, as the history on the checklist page shows them
+        entries.slice(-10).reverse().forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'task-item';
+            const description = document.createElement('span');
+            description.className = 'task-title';
+            description.textContent = entry.description;
+            const details = document.createElement('span');
+            details.className = 'task-phase';
+            details.textContent = `${entry.actor || 'Unknown user'}, ${new Date(entry.timestamp).toLocaleString()}`;
+            item.append(description, details);
+            list.appendChild(item);
+        });
+        if (entries.length > 10) {
+            const more = document.createElement('div');
+            more.className = 'task-item more-tasks';
+            more.textContent = `... and ${entries.length - 10} earlier changes in the report`;
+            list.appendChild(more);
+        } else if (entries.length === 0) {
+            list.textContent = 'No changes have been recorded.';
+        }
+        section.style.display = 'block';
+    }
+
+    // Load the all-project report configuration and the selected project's
+    async loadReportConfig() {
+        try {
+            const requests = [fetch('/api/reports/config')];
+            if (this.selectedProject) {
+                requests.push(fetch(`/api/projects/${this.selectedProject.id}/report/config`));
+            }
+            const responses = await Promise.all(requests);
+            if (responses.some(response => !response.ok)) {
+                throw new Error('Failed to fetch report settings');
+            }
+            const [global, project = null] = await Promise.all(responses.map(response => response.json()));
+            this.reportConfigs = { global, project };
+            this.fillReportConfigForm();
+        } catch (error) {
+            console.error('Error loading report settings:', error);
+            this.showError('Failed to load report settings. Please try again.');
+        }
+    }
+
+    getReportConfigScope() {
+        return document.getElementById('reportConfigScope').value;
+    }
+
+    // Show the configuration that applies at the chosen scope in the form
+    fillReportConfigForm() {
+        const scope = this.getReportConfigScope();
+        const current = this.reportConfigs[scope];
+        if (!current) {
+            return;
+        }
+        const { config } = current;
+
+        document.getElementById('configOrganisationName').value = config.organisationName || '';
+        document.getElementById('configPrimaryColor').value = config.theme.primary;
+        document.getElementById('configAccentColor').value = config.theme.accent;
+        document.querySelectorAll('.config-sections input[data-section]').forEach(input => {
+            input.checked = Boolean(config.sections[input.dataset.section]);
+        });
+        this.setConfigLogo(config.logo);
+
+        const ownSettings = scope === 'project' && Object.keys(current.projectConfig).length > 0;
+        document.getElementById('resetReportConfigBtn').style.display = ownSettings ? 'inline-block' : 'none';
+        let note = 'These settings apply to every project without its own.';
+        if (scope === 'project') {
+            note = ownSettings
+                ? `${this.selectedProject.name} has its own report settings.`
+                : `${this.selectedProject.name} uses the all-project settings. Saving gives it its own.`;
+        }
+        document.getElementById('reportConfigNote').textContent = note;
+    }
+
+    setConfigLogo(dataUrl) {
+        this.configLogo = dataUrl || null;
+        const image = document.getElementById('configLogoImage');
+        if (this.configLogo) {
+            image.src = this.configLogo;
+        } else {
+            image.removeAttribute('src');
+            document.getElementById('configLogo').value = '';
+        }
+        document.getElementById('configLogoPreview').style.display = this.configLogo ? 'flex' : 'none';
+    }
+
+    // Read a chosen logo file as the data: URL the API takes
+    readLogo(file) {
+        if (!file) {
+            return;
+        }
+        if (!['image/png', 'image/jpeg'].includes(file.type) || file.size > 256 * 1024) {
+            this.showError('The logo must be a PNG or JPEG image of up to 256KB.');
+            document.getElementById('configLogo').value = '';
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => this.setConfigLogo(reader.result);
+        reader.onerror = () => this.showError('Failed to read the logo file.');
+        reader.readAsDataURL(file);
+    }
+
+    readReportConfigForm() {
+        const sections = {};
+        document.querySelectorAll('.config-sections input[data-section]').forEach(input => {
+            sections[input.dataset.section] = input.checked;
+        });
+        return {
+            organisationName: document.getElementById('configOrganisationName').value.trim() || null,
+            logo: this.configLogo,
+            theme: {
+                primary: document.getElementById('configPrimaryColor').value,
+                accent: document.getElementById('configAccentColor').value
+            },
+            sections
+        };
+    }
+
+    // Save the form at the chosen scope, or the given configuration ({} to
+    // clear a project's own settings)
+    async saveReportConfig(config = this.readReportConfigForm()) {
+        const scope = this.getReportConfigScope();
+        const url = scope === 'project'
+            ? `/api/projects/${this.selectedProject.id}/report/config`
+            : '/api/reports/config';
+        this.hideError();
+
+        try {
+            const response = await fetch(url, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(config)
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+            }
+
+            await this.loadReportConfig();
+            if (document.getElementById('reportPreview').style.display !== 'none') {
+                await this.generateReportPreview();
+            }
+            this.showSuccess('Report settings saved.');
+        } catch (error) {
+            console.error('Error saving report settings:', error);
+            this.showError(`Failed to save report settings: ${error.message}`);
+        }
+    }
+
+    getReportFormat() {
+        const select = document.getElementById('reportFormatSelect');
+        const format = select.value;
+        return {
+            format,
+            label: select.options[select.selectedIndex].textContent,
+            extension: format === 'markdown' ? 'md' : format
+        };
+    }
+
     async downloadReport() {
-        if (!this.selectedProject) {
+        const { format, label, extension } = this.getReportFormat();
+        await this.downloadFile({
+            buttonId: 'downloadReportBtn',
+            busyText: `Generating ${label}...`,
+            url: `/api/projects/${this.selectedProject && this.selectedProject.id}/report?format=${format}`,
+            extension,
+            prefix: 'SSDLC_Report',
+            name: 'report'
+        });
+    }
+
+    // Zip of every evidence file with a manifest of task status and hashes
+    async exportEvidence() {
+        await this.downloadFile({
+            buttonId: 'exportEvidenceBtn',
+            busyText: 'Preparing ZIP...',
+            url: `/api/projects/${this.selectedProject && this.selectedProject.id}/evidence/export`,
+            extension: 'zip',
+            prefix: 'SSDLC_Evidence',
+            name: 'evidence export'
+        });
+    }
+
+    // Cross-project report of everything the user can see
+    async downloadPortfolioReport() {
+        await this.downloadFile({
+            buttonId: 'downloadPortfolioBtn',
+            busyText: 'Generating PDF...',
+            url: '/api/reports/portfolio?format=pdf',
+            extension: 'pdf',
+            prefix: 'SSDLC_Portfolio_Report',
+            name: 'portfolio report',
+            requiresProject: false
+        });
+    }
+
+    async loadPortfolio() {
+        this.showLoading(true);
+        this.hideError();
+
+        try {
+            const response = await fetch('/api/reports/portfolio?format=json');
+            if (!response.ok) {
+                throw new Error('Failed to fetch portfolio report');
+            }
+
+            this.portfolio = await response.json();
+            this.displayPortfolio(this.portfolio);
+        } catch (error) {
+            console.error('Error loading portfolio report:', error);
+            this.showError('Failed to load the portfolio report. Please try again.');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    displayPortfolio(portfolio) {
+        document.getElementById('portfolioProjectCount').textContent = portfolio.totals.projects;
+        document.getElementById('portfolioAverageScore').textContent = `${portfolio.averageScore}%`;
+        document.getElementById('portfolioTaskCount').textContent = `${portfolio.totals.completed} of ${portfolio.totals.tasks}`;
+
+        // Score distribution as bars scaled to the largest band
+        const distribution = document.getElementById('portfolioDistribution');
+        distribution.innerHTML = '';
+        const largest = Math.max(1, ...portfolio.scoreDistribution.map(band => band.projects));
+        portfolio.scoreDistribution.forEach(band => {
+            const row = document.createElement('div');
+            row.className = 'distribution-row';
+            row.innerHTML = `
+                <span class="distribution-label"></span>
+                <span class="distribution-bar"><span class="distribution-fill"></span></span>
+                <span class="distribution-count"></span>
+            `;
+            row.querySelector('.distribution-label').textContent = band.label;
+            row.querySelector('.distribution-fill').style.width = `${(band.projects / largest) * 100}%`;
+            row.querySelector('.distribution-count').textContent = `${band.projects} project${band.projects === 1 ? '' : 's'}`;
+            distribution.appendChild(row);
+        });
+
+        document.getElementById('portfolioFocusPhases').textContent = portfolio.focusPhases.join(', ');
+        const outstanding = document.getElementById('portfolioOutstanding');
+        outstanding.innerHTML = '';
+        if (portfolio.projectsWithOutstandingTasks.length === 0) {
+            outstanding.innerHTML = '<p>No project has outstanding tasks in these phases.</p>';
+        }
+        portfolio.projectsWithOutstandingTasks.forEach(project => {
+            const item = document.createElement('div');
+            item.className = 'task-item';
+            item.innerHTML = '<span class="task-title"></span><span class="task-phase"></span>';
+            item.querySelector('.task-title').textContent = `${project.name} (${project.securityScore}%)`;
+            item.querySelector('.task-phase').textContent = project.phases
+                .map(phase => `${phase.name}: ${phase.outstanding} outstanding`)
+                .join(', ');
+            item.title = project.phases.map(phase => phase.tasks.join('\n')).join('\n');
+            outstanding.appendChild(item);
+        });
+
+        const skipped = document.getElementById('portfolioSkipped');
+        skipped.innerHTML = '';
+        if (portfolio.mostSkippedTasks.length === 0) {
+            skipped.innerHTML = '<p>No project has skipped a task.</p>';
+        }
+        portfolio.mostSkippedTasks.forEach(task => {
+            const item = document.createElement('div');
+            item.className = 'task-item';
+            item.innerHTML = '<span class="task-title"></span><span class="task-phase"></span>';
+            item.querySelector('.task-title').textContent = `${task.title} (${task.phaseName})`;
+            item.querySelector('.task-phase').textContent = `Skipped in ${task.skippedIn} project${task.skippedIn === 1 ? '' : 's'}`;
+            item.title = task.projects.map(project => project.name).join('\n');
+            skipped.appendChild(item);
+        });
+
+        document.getElementById('portfolioView').style.display = 'block';
+    }
+
+    async downloadFile({ buttonId, busyText, url, extension, prefix, name, requiresProject = true }) {
+        if (requiresProject && !this.selectedProject) {
             this.showError('Please select a project first.');
             return;
         }
 
-        const downloadBtn = document.getElementById('downloadReportBtn');
+        const downloadBtn = document.getElementById(buttonId);
         const originalText = downloadBtn.textContent;
+        const title = name.charAt(0).toUpperCase() + name.slice(1);
         
         this.showLoading(true);
         this.hideError();
         
         // Update button state
-        downloadBtn.innerHTML = '<span class="loading-spinner"></span> Generating PDF...';
+        downloadBtn.innerHTML = `<span class="loading-spinner"></span> ${busyText}`;
         downloadBtn.disabled = true;
         downloadBtn.classList.add('loading');
 
         try {
-            const response = await fetch(`/.netlify/functions/reports/${this.selectedProject.id}`);
+            const response = await fetch(url);
             
             if (!response.ok) {
-                throw new Error('Failed to generate report');
+                throw new Error(`Failed to generate ${name}`);
             }
 
-            // Get the PDF blob
+            // Get the file blob
             const blob = await response.blob();
             
             // Create download link
-            const url = window.URL.createObjectURL(blob);
+            const blobUrl = window.URL.createObjectURL(blob);
             const a = document.createElement('a');
-            a.href = url;
-            a.download = `SSDLC_Report_${this.selectedProject.name.replace(/[^a-zA-Z0-9]/g, '_')}_${new Date().toISOString().split('T')[0]}.pdf`;
+            a.href = blobUrl;
+            const projectName = requiresProject ? `_${this.selectedProject.name.replace(/[^a-zA-Z0-9]/g, '_')}` : '';
+            a.download = `${prefix}${projectName}_${new Date().toISOString().split('T')[0]}.${extension}`;
             
             // Trigger download
             document.body.appendChild(a);
@@ -316,13 +697,13 @@ class ReportsManager {
             document.body.removeChild(a);
             
             // Clean up
-            window.URL.revokeObjectURL(url);
+            window.URL.revokeObjectURL(blobUrl);
             
-            this.showSuccess('Report downloaded successfully!');
+            this.showSuccess(`${title} downloaded successfully!`);
             
         } catch (error) {
-            console.error('Error downloading report:', error);
-            this.showError('Failed to download report. Please try again.');
+            console.error(`Error downloading ${name}:`, error);
+            this.showError(`Failed to download ${name}. Please try again.`);
         } finally {
             this.showLoading(false);
             
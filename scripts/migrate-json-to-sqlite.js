@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// Import data/projects.json, tasks.json, templates.json, users.json and
+// settings.json into the SQLite database used by STORAGE_BACKEND=sqlite.
+// Existing rows are replaced, except the append-only audit log, which is only
+// imported into an empty one.
+//
+// Usage: npm run migrate:sqlite -- [--data-dir <dir>] [--sqlite-file <file>]
+const Storage = require('../utils/storage');
+const JsonFileAdapter = require('../utils/storageAdapters/JsonFileAdapter');
+const SqliteAdapter = require('../utils/storageAdapters/SqliteAdapter');
+
+async function migrate({ dataDir = Storage.DATA_DIR, sqliteFile = process.env.SQLITE_FILE || Storage.DEFAULT_SQLITE_FILE } = {}) {
+    const source = new JsonFileAdapter(dataDir);
+    const target = new SqliteAdapter(sqliteFile);
+
+    try {
+        const projects = await source.readProjects();
+        const tasks = await source.readTasks();
+        const users = await source.readUsers();
+        const settings = await source.readSettings();
+
+        if (!(await target.writeProjects(projects)) || !(await target.writeTasks(tasks)) || !(await target.writeUsers(users)) || !(await target.writeSettings(settings))) {
+            throw new Error('Failed to write projects, tasks, users and settings to the SQLite database');
+        }
+
+        // Without templates.json the app is still serving the built-ins, so leave them be
+        let templateCount = 0;
+        if (await source.hasSavedTemplates()) {
+            const templates = await source.readTemplates();
+            if (!(await target.writeTemplates(templates))) {
+                throw new Error('Failed to write templates to the SQLite database');
+            }
+            templateCount = templates.length;
+        }
+
+        // Audit entries cannot be replaced, so a second run must not add them again
+        const auditEntries = await source.readAllAuditEntries();
+        const auditEmpty = !(await target.hasAuditEntries());
+        if (auditEmpty) {
+            for (const entry of auditEntries) {
+                if (!(await target.appendAuditEntry(entry))) {
+                    throw new Error('Failed to write audit entries to the SQLite database');
+                }
+            }
+        }
+
+        return {
+            projects: projects.length,
+            taskLists: Object.keys(tasks).length,
+            templates: templateCount,
+            users: users.length,
+            settings: Object.keys(settings).length,
+            auditEntries: auditEmpty ? auditEntries.length : 0
+        };
+    } finally {
+        await target.close();
+    }
+}
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--data-dir') {
+            options.dataDir = argv[++i];
+        } else if (argv[i] === '--sqlite-file') {
+            options.sqliteFile = argv[++i];
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    Promise.resolve()
+        .then(() => migrate(parseArgs(process.argv.slice(2))))
+        .then(result => {
+            console.log(`Migrated ${result.projects} projects, ${result.taskLists} task lists, ${result.templates} templates, ${result.users} users, ${result.settings} settings and ${result.auditEntries} audit entries`);
+        })
+        .catch(error => {
+            console.error('Migration failed:', error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const app = require('../server');
+const { loginAs } = require('./helpers/auth');
+const Storage = require('../utils/storage');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { assignProjectOwners } = require('../utils/projectOwners');
+
+const TEST_DATA_DIR = path.join(__dirname, '..', 'data');
+const TEST_PROJECTS_FILE = path.join(TEST_DATA_DIR, 'projects.json');
+const TEST_TASKS_FILE = path.join(TEST_DATA_DIR, 'tasks.json');
+
+const cleanUp = () => {
+    [TEST_PROJECTS_FILE, TEST_TASKS_FILE].forEach(file => {
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    });
+};
+
+describe('Project Access Control', () => {
+    let owner;
+    let reviewer;
+    let contributor;
+    let viewer;
+    let outsider;
+    let projectId;
+    let taskId;
+
+    beforeAll(async () => {
+        owner = await loginAs(app, 'owner-user');
+        reviewer = await loginAs(app, 'reviewer-user');
+        contributor = await loginAs(app, 'contributor-user');
+        viewer = await loginAs(app, 'viewer-user');
+        outsider = await loginAs(app, 'outsider-user');
+    });
+
+    beforeEach(async () => {
+        cleanUp();
+
+        const projectResponse = await owner
+            .post('/api/projects')
+            .send({ name: 'Access Controlled Project' })
+            .expect(201);
+        projectId = projectResponse.body.id;
+
+        for (const [username, role] of [['reviewer-user', 'reviewer'], ['contributor-user', 'contributor'], ['viewer-user', 'viewer']]) {
+            await owner
+                .post(`/api/projects/${projectId}/members`)
+                .send({ username, role })
+                .expect(201);
+        }
+
+        const details = await owner.get(`/api/projects/${projectId}`);
+        taskId = details.body.tasks.planning[0].id;
+    });
+
+    afterAll(() => {
+        cleanUp();
+        const uploadsDir = path.join(__dirname, '..', 'uploads', projectId);
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+    });
+
+    describe('Membership', () => {
+        test('should make the creator the owner', async () => {
+            const response = await owner.get(`/api/projects/${projectId}/members`).expect(200);
+
+            expect(response.body).toEqual([
+                expect.objectContaining({ username: 'owner-user', role: 'owner' }),
+                expect.objectContaining({ username: 'reviewer-user', role: 'reviewer' }),
+                expect.objectContaining({ username: 'contributor-user', role: 'contributor' }),
+                expect.objectContaining({ username: 'viewer-user', role: 'viewer' })
+            ]);
+        });
+
+        test('should only list projects the user belongs to', async () => {
+            const viewerList = await viewer.get('/api/projects').expect(200);
+            expect(viewerList.body).toHaveLength(1);
+            expect(viewerList.body[0].role).toBe('viewer');
+
+            const outsiderList = await outsider.get('/api/projects').expect(200);
+            expect(outsiderList.body).toEqual([]);
+        });
+
+        test('should hide projects from non-members', async () => {
+            await outsider.get(`/api/projects/${projectId}`).expect(404);
+            await outsider.get(`/api/projects/${projectId}/report`).expect(404);
+            await outsider
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ completed: true })
+                .expect(404);
+        });
+
+        test('should only let owners manage members and the project', async () => {
+            const response = await reviewer
+                .post(`/api/projects/${projectId}/members`)
+                .send({ username: 'outsider-user', role: 'viewer' })
+                .expect(403);
+            expect(response.body.error).toBe('Only project owners can do this');
+
+            await contributor.patch(`/api/projects/${projectId}`).send({ name: 'Renamed' }).expect(403);
+            await reviewer.delete(`/api/projects/${projectId}`).expect(403);
+            await owner.patch(`/api/projects/${projectId}`).send({ name: 'Renamed' }).expect(200);
+        });
+
+        test('should reject unknown roles and users', async () => {
+            await owner
+                .post(`/api/projects/${projectId}/members`)
+                .send({ username: 'outsider-user', role: 'admin' })
+                .expect(400);
+            await owner
+                .post(`/api/projects/${projectId}/members`)
+                .send({ username: 'nobody', role: 'viewer' })
+                .expect(404);
+        });
+
+        test('should change and remove members but keep an owner', async () => {
+            const reviewerDetails = await reviewer.get(`/api/projects/${projectId}`).expect(200);
+            expect(reviewerDetails.body.role).toBe('reviewer');
+
+            const ownerId = (await owner.get('/api/auth/me')).body.id;
+            const viewerId = (await viewer.get('/api/auth/me')).body.id;
+
+            const demote = await owner
+                .put(`/api/projects/${projectId}/members/${ownerId}`)
+                .send({ role: 'viewer' })
+                .expect(400);
+            expect(demote.body.error).toBe('A project must keep at least one owner');
+            await owner.delete(`/api/projects/${projectId}/members/${ownerId}`).expect(400);
+
+            await owner
+                .put(`/api/projects/${projectId}/members/${viewerId}`)
+                .send({ role: 'contributor' })
+                .expect(200);
+            await owner.delete(`/api/projects/${projectId}/members/${viewerId}`).expect(200);
+            await viewer.get(`/api/projects/${projectId}`).expect(404);
+        });
+    });
+
+    describe('Task completion', () => {
+        test('should only let reviewers and owners tick tasks complete', async () => {
+            const contributorResponse = await contributor
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ completed: true })
+                .expect(403);
+            expect(contributorResponse.body.error).toBe('Only security reviewers can mark tasks complete');
+
+            const reviewerResponse = await reviewer
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ completed: true })
+                .expect(200);
+            expect(reviewerResponse.body.task.completed).toBe(true);
+
+            await contributor
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ completed: false })
+                .expect(403);
+        });
+
+        test('should let contributors edit notes while sending the unchanged status', async () => {
+            const response = await contributor
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ completed: false, notes: 'Threat model drafted' })
+                .expect(200);
+
+            expect(response.body.task.notes).toBe('Threat model drafted');
+        });
+
+        test('should only let reviewers and owners change what a completed task asks for', async () => {
+            await reviewer
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ completed: true })
+                .expect(200);
+
+            const response = await contributor
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ title: 'Something easier' })
+                .expect(403);
+            expect(response.body.error).toBe('Only security reviewers can change a completed task');
+            await contributor
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ description: 'Nothing to do' })
+                .expect(403);
+
+            await contributor
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ notes: 'Reviewed with the team' })
+                .expect(200);
+            const reviewerResponse = await reviewer
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ title: 'Threat model, revised' })
+                .expect(200);
+            expect(reviewerResponse.body.task).toMatchObject({ title: 'Threat model, revised', completed: true });
+        });
+
+        test('should only let reviewers and owners delete completed tasks or the last open task of a phase', async () => {
+            const planning = (await owner.get(`/api/projects/${projectId}`)).body.tasks.planning;
+            for (const task of planning.filter(task => task.id !== taskId)) {
+                await reviewer
+                    .put(`/api/projects/${projectId}/tasks/${task.id}`)
+                    .send({ completed: true })
+                    .expect(200);
+            }
+
+            const response = await contributor
+                .delete(`/api/projects/${projectId}/tasks/${taskId}`)
+                .expect(403);
+            expect(response.body.error).toBe('Only security reviewers can delete completed tasks or complete a phase');
+            await contributor
+                .delete(`/api/projects/${projectId}/tasks/${planning.find(task => task.id !== taskId).id}`)
+                .expect(403);
+
+            let details = await owner.get(`/api/projects/${projectId}`);
+            expect(details.body.tasks.planning).toHaveLength(planning.length);
+            expect(details.body.phases.planning.completed).toBe(false);
+
+            await reviewer
+                .delete(`/api/projects/${projectId}/tasks/${taskId}`)
+                .expect(200);
+            details = await owner.get(`/api/projects/${projectId}`);
+            expect(details.body.phases.planning.completed).toBe(true);
+        });
+
+        test('should let contributors delete an open task that leaves the phase open', async () => {
+            const planning = (await owner.get(`/api/projects/${projectId}`)).body.tasks.planning;
+            expect(planning.length).toBeGreaterThan(1);
+
+            await contributor
+                .delete(`/api/projects/${projectId}/tasks/${taskId}`)
+                .expect(200);
+        });
+    });
+
+    describe('Viewers', () => {
+        test('should read the checklist and download reports', async () => {
+            const details = await viewer.get(`/api/projects/${projectId}`).expect(200);
+            expect(details.body.tasks.planning.length).toBeGreaterThan(0);
+
+            const report = await viewer.get(`/api/projects/${projectId}/report`).expect(200);
+            expect(report.headers['content-type']).toBe('application/pdf');
+        });
+
+        test('should not change tasks or upload evidence', async () => {
+            await viewer
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ notes: 'Viewer notes' })
+                .expect(403);
+            await viewer
+                .post(`/api/projects/${projectId}/tasks`)
+                .send({ phase: 'planning', title: 'Viewer task' })
+                .expect(403);
+
+            const response = await viewer
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .attach('evidence', Buffer.from('evidence'), 'evidence.txt')
+                .expect(403);
+            expect(response.body.error).toBe('Viewers cannot change this project');
+            expect(fs.existsSync(path.join(__dirname, '..', 'uploads', projectId, taskId))).toBe(false);
+        });
+
+        test('should download evidence uploaded by a contributor', async () => {
+            const upload = await contributor
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .attach('evidence', Buffer.from('evidence'), 'evidence.txt')
+                .expect(200);
+            const filename = upload.body.uploadedFiles[0].filename;
+
+            await viewer
+                .get(`/api/projects/${projectId}/tasks/${taskId}/evidence/${filename}`)
+                .expect(200);
+            await outsider
+                .get(`/api/projects/${projectId}/tasks/${taskId}/evidence/${filename}`)
+                .expect(404);
+            await viewer
+                .delete(`/api/projects/${projectId}/tasks/${taskId}/evidence/${filename}`)
+                .expect(403);
+        });
+    });
+
+    describe('Projects without members', () => {
+        test('should be closed until they are given an owner, the first administrator', async () => {
+            const legacyProject = new Project('Legacy Project');
+            delete legacyProject.members;
+            await Storage.saveProject(legacyProject);
+            await Storage.saveTasksForProject(legacyProject.id, Task.getDefaultTasks());
+
+            await owner.get(`/api/projects/${legacyProject.id}`).expect(404);
+            await outsider.get(`/api/projects/${legacyProject.id}`).expect(404);
+
+            expect(await assignProjectOwners()).toBe(1);
+            expect(await assignProjectOwners()).toBe(0);
+
+            const users = await Storage.readUsers();
+            const admin = users.find(user => User.isAdministrator(user, users));
+            const project = await Storage.getProjectById(legacyProject.id);
+            expect(project.members).toEqual([{ userId: admin.id, role: 'owner' }]);
+
+            const auditLog = await Storage.readAuditLog(legacyProject.id);
+            expect(auditLog.map(entry => [entry.action, entry.actor, entry.after])).toEqual([
+                ['member.add', null, { role: 'owner' }]
+            ]);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const app = require('../server');
+const Storage = require('../utils/storage');
+const { loginAs } = require('./helpers/auth');
+
+const TEST_DATA_DIR = path.join(__dirname, '..', 'data');
+const TEST_FILES = ['projects.json', 'tasks.json', 'audit.jsonl'].map(file => path.join(TEST_DATA_DIR, file));
+
+const cleanUp = () => {
+    TEST_FILES.forEach(file => {
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    });
+};
+
+describe('Audit Log', () => {
+    let reviewer;
+    let viewer;
+    let outsider;
+    let projectId;
+    let taskId;
+
+    beforeAll(async () => {
+        reviewer = await loginAs(app, 'audit-reviewer');
+        viewer = await loginAs(app, 'audit-viewer');
+        outsider = await loginAs(app, 'audit-outsider');
+    });
+
+    beforeEach(async () => {
+        cleanUp();
+
+        const projectResponse = await reviewer
+            .post('/api/projects')
+            .send({ name: 'Audited Project' })
+            .expect(201);
+        projectId = projectResponse.body.id;
+
+        await reviewer
+            .post(`/api/projects/${projectId}/members`)
+            .send({ username: 'audit-viewer', role: 'viewer' })
+            .expect(201);
+
+        const details = await reviewer.get(`/api/projects/${projectId}`);
+        taskId = details.body.tasks.planning[0].id;
+    });
+
+    afterAll(() => {
+        cleanUp();
+        fs.rmSync(path.join(__dirname, '..', 'uploads', projectId), { recursive: true, force: true });
+    });
+
+    test('should record who changed a task, when, and the values before and after', async () => {
+        const updateResponse = await reviewer
+            .put(`/api/projects/${projectId}/tasks/${taskId}`)
+            .set('X-Request-Id', 'client-request-42')
+            .send({ completed: true, notes: 'Reviewed threat model' })
+            .expect(200);
+        expect(updateResponse.headers['x-request-id']).toBe('client-request-42');
+
+        const response = await viewer.get(`/api/projects/${projectId}/audit`).expect(200);
+        const entry = response.body[response.body.length - 1];
+
+        expect(entry.action).toBe('task.update');
+        expect(entry.requestId).toBe('client-request-42');
+        expect(entry.actor).toEqual({ userId: expect.any(String), username: 'audit-reviewer' });
+        expect(entry.target).toEqual(expect.objectContaining({ type: 'task', id: taskId, phase: 'planning' }));
+        expect(entry.before).toEqual({ completed: false, completedDate: null, notes: '' });
+        expect(entry.after).toEqual({
+            completed: true,
+            completedDate: updateResponse.body.task.completedDate,
+            notes: 'Reviewed threat model'
+        });
+        expect(new Date(entry.timestamp).toString()).not.toBe('Invalid Date');
+    });
+
+    test('should record project and member changes in order', async () => {
+        const response = await reviewer.get(`/api/projects/${projectId}/audit`).expect(200);
+
+        expect(response.body.map(entry => entry.action)).toEqual(['project.create', 'member.add']);
+        expect(response.body[1].target.username).toBe('audit-viewer');
+        expect(response.body[1].after).toEqual({ role: 'viewer' });
+    });
+
+    test('should skip updates that change nothing', async () => {
+        await reviewer
+            .put(`/api/projects/${projectId}/tasks/${taskId}`)
+            .send({ completed: false, notes: '' })
+            .expect(200);
+
+        const response = await reviewer.get(`/api/projects/${projectId}/audit?taskId=${taskId}`).expect(200);
+        expect(response.body).toEqual([]);
+    });
+
+    test('should record attached evidence', async () => {
+        await reviewer
+            .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+            .attach('evidence', Buffer.from('scan output'), 'scan.txt')
+            .expect(200);
+
+        const response = await reviewer.get(`/api/projects/${projectId}/audit?taskId=${taskId}`).expect(200);
+
+        expect(response.body).toHaveLength(1);
+        expect(response.body[0].action).toBe('evidence.upload');
+        expect(response.body[0].before).toEqual({ evidenceFiles: [] });
+        expect(response.body[0].after.evidenceFiles).toHaveLength(1);
+        expect(response.body[0].requestId).toEqual(expect.any(String));
+    });
+
+    test('should leave a change unsaved when its entry cannot be written', async () => {
+        const appendSpy = jest.spyOn(Storage, 'appendAuditEntry').mockResolvedValue(false);
+        try {
+            await reviewer
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ notes: 'Unrecorded note' })
+                .expect(500);
+            await reviewer
+                .patch(`/api/projects/${projectId}`)
+                .send({ name: 'Unrecorded name' })
+                .expect(500);
+        } finally {
+            appendSpy.mockRestore();
+        }
+
+        const details = await reviewer.get(`/api/projects/${projectId}`).expect(200);
+        expect(details.body.name).toBe('Audited Project');
+        expect(details.body.tasks.planning[0].notes).toBe('');
+    });
+
+    test('should only be readable by project members', async () => {
+        await outsider.get(`/api/projects/${projectId}/audit`).expect(404);
+    });
+
+    test('should offer no way to change or delete entries', async () => {
+        await reviewer.delete(`/api/projects/${projectId}/audit`).expect(404);
+        await reviewer.put(`/api/projects/${projectId}/audit`).send([]).expect(404);
+    });
+});
@@ -1,22 +1,29 @@
-const request = require('supertest');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const app = require('../server');
+const { loginAs } = require('./helpers/auth');
 
 describe('Evidence Management API', () => {
+    let api;
+
+    beforeAll(async () => {
+        api = await loginAs(app);
+    });
+
     let projectId;
     let taskId;
 
     beforeEach(async () => {
         // Create a test project
-        const projectResponse = await request(app)
+        const projectResponse = await api
             .post('/api/projects')
             .send({ name: 'Test Evidence Project' });
         
         projectId = projectResponse.body.id;
 
         // Get project details to find a task
-        const projectDetails = await request(app)
+        const projectDetails = await api
             .get(`/api/projects/${projectId}`);
         
         taskId = projectDetails.body.tasks.planning[0].id;
@@ -36,7 +43,7 @@ describe('Evidence Management API', () => {
             const testFilePath = path.join(__dirname, 'test-evidence.txt');
             fs.writeFileSync(testFilePath, 'This is test evidence content');
 
-            const response = await request(app)
+            const response = await api
                 .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
                 .attach('evidence', testFilePath);
 
@@ -57,7 +64,7 @@ describe('Evidence Management API', () => {
             fs.writeFileSync(testFile1, 'Test evidence 1');
             fs.writeFileSync(testFile2, 'Test evidence 2');
 
-            const response = await request(app)
+            const response = await api
                 .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
                 .attach('evidence', testFile1)
                 .attach('evidence', testFile2);
@@ -77,7 +84,7 @@ describe('Evidence Management API', () => {
             const largeContent = 'x'.repeat(11 * 1024 * 1024); // 11MB
             fs.writeFileSync(testFilePath, largeContent);
 
-            const response = await request(app)
+            const response = await api
                 .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
                 .attach('evidence', testFilePath);
 
@@ -94,7 +101,7 @@ describe('Evidence Management API', () => {
             fs.writeFileSync(testFilePath, 'This is an executable file');
 
             try {
-                const response = await request(app)
+                const response = await api
                     .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
                     .attach('evidence', testFilePath)
                     .timeout(5000);
@@ -118,11 +125,35 @@ describe('Evidence Management API', () => {
             }
         });
 
+        it('should accept files sent as JSON with base64 content', async () => {
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .send({ files: [{ name: 'zap-report.csv', type: 'text/csv', content: Buffer.from('a,b').toString('base64') }] })
+                .expect(200);
+
+            expect(response.body.uploadedFiles[0]).toMatchObject({ originalName: 'zap-report.csv', size: 3, mimeType: 'text/csv' });
+
+            const download = await api
+                .get(`/api/projects/${projectId}/tasks/${taskId}/evidence/${response.body.uploadedFiles[0].filename}`)
+                .expect(200);
+            expect(download.text).toBe('a,b');
+        });
+
+        it('should reject JSON uploads of unsupported file types', async () => {
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .send({ files: [{ name: 'setup.exe', type: 'application/x-msdownload', content: 'TVo=' }] })
+                .expect(400);
+
+            expect(response.body.error).toContain('File type not allowed');
+            expect(fs.existsSync(path.join(__dirname, '..', 'uploads', projectId, taskId))).toBe(false);
+        });
+
         it('should return 404 when project does not exist', async () => {
             const testFilePath = path.join(__dirname, 'test-evidence.txt');
             fs.writeFileSync(testFilePath, 'Test content');
 
-            const response = await request(app)
+            const response = await api
                 .post(`/api/projects/nonexistent/tasks/${taskId}/evidence`)
                 .attach('evidence', testFilePath);
 
@@ -137,7 +168,7 @@ describe('Evidence Management API', () => {
             const testFilePath = path.join(__dirname, 'test-evidence.txt');
             fs.writeFileSync(testFilePath, 'Test content');
 
-            const response = await request(app)
+            const response = await api
                 .post(`/api/projects/${projectId}/tasks/nonexistent/evidence`)
                 .attach('evidence', testFilePath);
 
@@ -157,7 +188,7 @@ describe('Evidence Management API', () => {
             const testFilePath = path.join(__dirname, 'test-download.txt');
             fs.writeFileSync(testFilePath, 'This is test download content');
 
-            const uploadResponse = await request(app)
+            const uploadResponse = await api
                 .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
                 .attach('evidence', testFilePath);
 
@@ -168,7 +199,7 @@ describe('Evidence Management API', () => {
         });
 
         it('should download evidence file successfully', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/projects/${projectId}/tasks/${taskId}/evidence/${uploadedFilename}`);
 
             expect(response.status).toBe(200);
@@ -177,7 +208,7 @@ describe('Evidence Management API', () => {
         });
 
         it('should return 404 when project does not exist', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/projects/nonexistent/tasks/${taskId}/evidence/${uploadedFilename}`);
 
             expect(response.status).toBe(404);
@@ -185,7 +216,7 @@ describe('Evidence Management API', () => {
         });
 
         it('should return 404 when task does not exist', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/projects/${projectId}/tasks/nonexistent/evidence/${uploadedFilename}`);
 
             expect(response.status).toBe(404);
@@ -193,7 +224,7 @@ describe('Evidence Management API', () => {
         });
 
         it('should return 403 when file is not authorized for task', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/projects/${projectId}/tasks/${taskId}/evidence/unauthorized-file.txt`);
 
             expect(response.status).toBe(403);
@@ -203,26 +234,357 @@ describe('Evidence Management API', () => {
         it('should return 404 when file does not exist on disk', async () => {
             // Create a filename that would be authorized but doesn't exist on disk
             const fakeFilename = 'fake-authorized-file.txt';
-            const fakeRelativePath = path.join(projectId, taskId, fakeFilename);
             
             // Get current tasks
-            const projectDetails = await request(app)
+            const projectDetails = await api
                 .get(`/api/projects/${projectId}`);
             
-            // Manually add fake file to task (this simulates a corrupted state)
+            // Manually add a fake file that passed its scan to the task (this
+            // simulates a corrupted state)
             const tasks = projectDetails.body.tasks;
             const task = tasks.planning.find(t => t.id === taskId);
-            task.evidenceFiles.push(fakeRelativePath);
+            task.evidenceFiles.push({ filename: fakeFilename, originalName: fakeFilename, scan: { status: 'clean', scanner: 'none' } });
             
             // Save the corrupted task data
             const Storage = require('../utils/storage');
-            Storage.saveTasksForProject(projectId, tasks);
+            await Storage.saveTasksForProject(projectId, tasks);
 
-            const response = await request(app)
+            const response = await api
                 .get(`/api/projects/${projectId}/tasks/${taskId}/evidence/${fakeFilename}`);
 
             expect(response.status).toBe(404);
             expect(response.body.error).toBe('File not found');
         });
     });
-});
\ No newline at end of file
+
+    describe('GET /api/projects/:projectId/tasks/:taskId/evidence/:filename?disposition=inline', () => {
+        const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+        async function upload(content, filename, contentType) {
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .attach('evidence', content, { filename, contentType })
+                .expect(200);
+            return response.body.uploadedFiles[0].filename;
+        }
+
+        it('should serve images inline with a sandboxing content security policy', async () => {
+            const filename = await upload(PNG, 'screenshot.png', 'image/png');
+
+            const response = await api
+                .get(`/api/projects/${projectId}/tasks/${taskId}/evidence/${filename}?disposition=inline`)
+                .expect(200);
+
+            expect(response.headers['content-type']).toBe('image/png');
+            expect(response.headers['content-disposition']).toBe(`inline; filename="${filename}"`);
+            expect(response.headers['x-content-type-options']).toBe('nosniff');
+            expect(response.headers['content-security-policy']).toContain("default-src 'none'");
+            expect(response.headers['content-security-policy']).toMatch(/; sandbox$/);
+        });
+
+        it('should serve text and CSV inline as plain text', async () => {
+            const filename = await upload(Buffer.from('host,finding\nweb,none\n'), 'scan.csv', 'text/csv');
+
+            const response = await api
+                .get(`/api/projects/${projectId}/tasks/${taskId}/evidence/${filename}?disposition=inline`)
+                .expect(200);
+
+            expect(response.headers['content-type']).toBe('text/plain; charset=utf-8');
+            expect(response.text).toBe('host,finding\nweb,none\n');
+        });
+
+        it('should keep attachments from being sniffed', async () => {
+            const filename = await upload(Buffer.from('plain'), 'notes.txt', 'text/plain');
+
+            const response = await api
+                .get(`/api/projects/${projectId}/tasks/${taskId}/evidence/${filename}`)
+                .expect(200);
+
+            expect(response.headers['content-disposition']).toBe(`attachment; filename="${filename}"`);
+            expect(response.headers['x-content-type-options']).toBe('nosniff');
+            expect(response.headers['content-security-policy']).toBeUndefined();
+        });
+
+        it('should refuse to preview types that cannot be shown safely', async () => {
+            const docx = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00]);
+            const filename = await upload(docx, 'report.docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+
+            const response = await api
+                .get(`/api/projects/${projectId}/tasks/${taskId}/evidence/${filename}?disposition=inline`)
+                .expect(415);
+
+            expect(response.body.error).toBe('This evidence file cannot be previewed');
+        });
+
+        it('should reject unknown dispositions', async () => {
+            const filename = await upload(PNG, 'screenshot.png', 'image/png');
+
+            const response = await api
+                .get(`/api/projects/${projectId}/tasks/${taskId}/evidence/${filename}?disposition=execute`)
+                .expect(400);
+
+            expect(response.body.error).toBe('disposition must be attachment or inline');
+        });
+    });
+
+    describe('File content verification', () => {
+        const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+        it('should record the verified type of a file whose content matches', async () => {
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .attach('evidence', PNG, { filename: 'screenshot.png', contentType: 'image/png' })
+                .expect(200);
+
+            expect(response.body.uploadedFiles[0].verifiedType).toBe('image/png');
+        });
+
+        it('should reject HTML renamed to .png and remove it', async () => {
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .attach('evidence', Buffer.from('<html><script>alert(1)</script></html>'), { filename: 'screenshot.png', contentType: 'image/png' })
+                .expect(400);
+
+            expect(response.body.error).toBe('screenshot.png: File content does not match file type image/png');
+            const uploadDir = path.join(__dirname, '..', 'uploads', projectId, taskId);
+            expect(fs.existsSync(uploadDir) ? fs.readdirSync(uploadDir) : []).toEqual([]);
+        });
+
+        it('should reject HTML uploaded as plain text', async () => {
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .attach('evidence', Buffer.from('<!DOCTYPE html><p>hi</p>'), { filename: 'notes.txt', contentType: 'text/plain' })
+                .expect(400);
+
+            expect(response.body.error).toContain('File content does not match file type text/plain');
+        });
+
+        it('should reject an extension that does not match the declared type', async () => {
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .attach('evidence', Buffer.from('plain text'), { filename: 'report.pdf', contentType: 'text/plain' })
+                .expect(400);
+
+            expect(response.body.error).toBe('report.pdf: File extension .pdf does not match file type text/plain');
+        });
+
+        it('should check JSON uploads the same way', async () => {
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .send({ files: [{ name: 'scan.pdf', type: 'application/pdf', content: Buffer.from('MZ\0\0').toString('base64') }] })
+                .expect(400);
+
+            expect(response.body.error).toBe('scan.pdf: File content does not match file type application/pdf');
+        });
+    });
+
+    describe('GET /api/projects/:projectId/tasks/:taskId/evidence', () => {
+        it('should list uploaded evidence with its metadata', async () => {
+            await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .attach('evidence', Buffer.from('scan output'), 'scan.txt')
+                .expect(200);
+
+            const response = await api
+                .get(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .expect(200);
+
+            expect(response.body).toHaveLength(1);
+            expect(response.body[0]).toMatchObject({
+                originalName: 'scan.txt',
+                size: 11,
+                mimeType: 'text/plain',
+                sha256: crypto.createHash('sha256').update('scan output').digest('hex'),
+                uploadedBy: { username: 'tester' }
+            });
+            expect(response.body[0].uploadedAt).toBeDefined();
+        });
+
+        it('should describe evidence saved as a bare path', async () => {
+            const filename = '2024-01-31T12-05-09-123Z_1a2b3c4d_legacy.txt';
+            const uploadDir = path.join(__dirname, '..', 'uploads', projectId, taskId);
+            fs.mkdirSync(uploadDir, { recursive: true });
+            fs.writeFileSync(path.join(uploadDir, filename), 'old evidence');
+
+            const Storage = require('../utils/storage');
+            const tasks = await Storage.getTasksForProject(projectId);
+            tasks.planning.find(t => t.id === taskId).evidenceFiles.push(path.join(projectId, taskId, filename));
+            await Storage.saveTasksForProject(projectId, tasks);
+
+            const response = await api
+                .get(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .expect(200);
+
+            expect(response.body[0]).toMatchObject({
+                filename,
+                originalName: 'legacy.txt',
+                size: 12,
+                sha256: crypto.createHash('sha256').update('old evidence').digest('hex'),
+                uploadedAt: '2024-01-31T12:05:09.123Z',
+                uploadedBy: null
+            });
+        });
+
+        it('should return 404 when task does not exist', async () => {
+            const response = await api
+                .get(`/api/projects/${projectId}/tasks/nonexistent/evidence`)
+                .expect(404);
+            expect(response.body.error).toBe('Task not found');
+        });
+    });
+
+    describe('DELETE /api/projects/:projectId/tasks/:taskId/evidence/:filename', () => {
+        it('should remove the evidence entry and its file', async () => {
+            const upload = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .attach('evidence', Buffer.from('wrong notes'), 'wrong.txt')
+                .expect(200);
+            const filename = upload.body.uploadedFiles[0].filename;
+
+            const response = await api
+                .delete(`/api/projects/${projectId}/tasks/${taskId}/evidence/${filename}`)
+                .expect(200);
+            expect(response.body.evidence.originalName).toBe('wrong.txt');
+
+            const listing = await api.get(`/api/projects/${projectId}/tasks/${taskId}/evidence`);
+            expect(listing.body).toEqual([]);
+            expect(fs.existsSync(path.join(__dirname, '..', 'uploads', projectId, taskId, filename))).toBe(false);
+
+            await api
+                .get(`/api/projects/${projectId}/tasks/${taskId}/evidence/${filename}`)
+                .expect(403);
+        });
+
+        it('should return 404 for evidence the task does not list', async () => {
+            const response = await api
+                .delete(`/api/projects/${projectId}/tasks/${taskId}/evidence/missing.txt`)
+                .expect(404);
+            expect(response.body.error).toBe('Evidence file not found');
+        });
+    });
+
+    describe('Evidence versions', () => {
+        async function upload(content, query = '') {
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence${query}`)
+                .attach('evidence', Buffer.from(content), 'pentest.txt')
+                .expect(200);
+            return response.body.uploadedFiles[0];
+        }
+
+        it('should upload a new version and keep the earlier one downloadable', async () => {
+            const first = await upload('first run');
+            const second = await upload('second run', `?versionOf=${first.filename}`);
+
+            expect(second).toMatchObject({ itemId: first.filename, version: 2, current: true });
+
+            const listing = await api.get(`/api/projects/${projectId}/tasks/${taskId}/evidence`).expect(200);
+            expect(listing.body.map(evidence => [evidence.filename, evidence.version, evidence.current])).toEqual([
+                [first.filename, 1, false],
+                [second.filename, 2, true]
+            ]);
+
+            const earlier = await api.get(`/api/projects/${projectId}/tasks/${taskId}/evidence/${first.filename}`).expect(200);
+            expect(earlier.text).toBe('first run');
+
+            const history = await api.get(`/api/projects/${projectId}/audit?taskId=${taskId}`).expect(200);
+            expect(history.body[history.body.length - 1].action).toBe('evidence.version');
+        });
+
+        it('should accept new versions sent as JSON', async () => {
+            const first = await upload('first run');
+
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence?versionOf=${first.filename}`)
+                .send({ files: [{ name: 'pentest.txt', type: 'text/plain', content: Buffer.from('second run').toString('base64') }] })
+                .expect(200);
+
+            expect(response.body.uploadedFiles[0]).toMatchObject({ itemId: first.filename, version: 2, current: true });
+        });
+
+        it('should make the earlier version current again when the current one is deleted', async () => {
+            const first = await upload('first run');
+            const second = await upload('second run', `?versionOf=${first.filename}`);
+
+            const response = await api
+                .delete(`/api/projects/${projectId}/tasks/${taskId}/evidence/${second.filename}`)
+                .expect(200);
+
+            expect(response.body.evidenceFiles).toEqual([expect.objectContaining({ filename: first.filename, current: true })]);
+        });
+
+        it('should reject new versions of unknown files and of more than one file', async () => {
+            const first = await upload('first run');
+
+            const unknown = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence?versionOf=missing.txt`)
+                .attach('evidence', Buffer.from('second run'), 'pentest.txt')
+                .expect(404);
+            expect(unknown.body.error).toBe('Evidence file not found');
+
+            const several = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence?versionOf=${first.filename}`)
+                .attach('evidence', Buffer.from('second run'), 'pentest.txt')
+                .attach('evidence', Buffer.from('third run'), 'pentest.txt')
+                .expect(400);
+            expect(several.body.error).toBe('Upload exactly one file as the new version');
+
+            const listing = await api.get(`/api/projects/${projectId}/tasks/${taskId}/evidence`).expect(200);
+            expect(listing.body).toHaveLength(1);
+        });
+    });
+
+    describe('GET /api/projects/:projectId/evidence/verify', () => {
+        const uploadText = async (name, content) => {
+            const upload = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .attach('evidence', Buffer.from(content), name)
+                .expect(200);
+            return upload.body.uploadedFiles[0].filename;
+        };
+
+        it('should report intact evidence as verified', async () => {
+            await uploadText('scan.txt', 'clean scan output');
+
+            const response = await api.get(`/api/projects/${projectId}/evidence/verify`).expect(200);
+
+            expect(response.body.intact).toBe(true);
+            expect(response.body.summary).toEqual({ verified: 1, modified: 0, missing: 0, unhashed: 0, orphaned: 0 });
+            expect(response.body.files[0]).toMatchObject({
+                taskId,
+                originalName: 'scan.txt',
+                status: 'verified',
+                expectedSha256: crypto.createHash('sha256').update('clean scan output').digest('hex')
+            });
+        });
+
+        it('should report modified, missing and orphaned files', async () => {
+            const modified = await uploadText('modified.txt', 'original content');
+            const missing = await uploadText('missing.txt', 'soon gone');
+            const taskDir = path.join(__dirname, '..', 'uploads', projectId, taskId);
+            fs.writeFileSync(path.join(taskDir, modified), 'tampered content');
+            fs.unlinkSync(path.join(taskDir, missing));
+            fs.writeFileSync(path.join(taskDir, 'stray.txt'), 'nobody lists me');
+
+            const response = await api.get(`/api/projects/${projectId}/evidence/verify`).expect(200);
+
+            expect(response.body.intact).toBe(false);
+            expect(response.body.summary).toEqual({ verified: 0, modified: 1, missing: 1, unhashed: 0, orphaned: 1 });
+            const byName = Object.fromEntries(response.body.files.map(file => [file.filename, file]));
+            expect(byName[modified]).toMatchObject({
+                status: 'modified',
+                actualSha256: crypto.createHash('sha256').update('tampered content').digest('hex')
+            });
+            expect(byName[missing]).toMatchObject({ status: 'missing', actualSha256: null });
+            expect(response.body.orphaned).toEqual([{
+                taskId,
+                filename: 'stray.txt',
+                sha256: crypto.createHash('sha256').update('nobody lists me').digest('hex')
+            }]);
+        });
+
+        it('should return 404 for a non-existent project', async () => {
+            await api.get('/api/projects/non-existent/evidence/verify').expect(404);
+        });
+    });
+});
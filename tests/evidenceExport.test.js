@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const app = require('../server');
+const Storage = require('../utils/storage');
+const { safeName } = require('../utils/evidenceArchive');
+const { getSigningKey, sign, describeSigningKey } = require('../utils/signing');
+const { loginAs } = require('./helpers/auth');
+const { readZip, binaryParser } = require('./helpers/zip');
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+describe('Evidence signing keys', () => {
+    test('should be unset without EVIDENCE_SIGNING_KEY', () => {
+        expect(getSigningKey({})).toBeNull();
+        expect(() => getSigningKey({ EVIDENCE_SIGNING_KEY: 'not a key' })).toThrow(/^EVIDENCE_SIGNING_KEY: /);
+    });
+
+    test('should sign with Ed25519 keys directly and RSA keys over SHA-256', () => {
+        const data = Buffer.from('manifest');
+        const ed25519 = crypto.generateKeyPairSync('ed25519');
+        const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+        expect(crypto.verify(null, data, ed25519.publicKey, sign(data, ed25519.privateKey))).toBe(true);
+        expect(crypto.verify('sha256', data, rsa.publicKey, sign(data, rsa.privateKey))).toBe(true);
+        expect(describeSigningKey(rsa.privateKey)).toMatchObject({ keyType: 'rsa', digest: 'sha256' });
+    });
+
+    test('should accept a PEM key with escaped newlines', () => {
+        const { privateKey } = crypto.generateKeyPairSync('ed25519');
+        const pem = privateKey.export({ type: 'pkcs8', format: 'pem' }).replace(/\n/g, '\\n');
+
+        expect(getSigningKey({ EVIDENCE_SIGNING_KEY: pem }).asymmetricKeyType).toBe('ed25519');
+    });
+});
+
+describe('Evidence archive names', () => {
+    test('should make names safe to extract anywhere', () => {
+        expect(safeName('../../etc/passwd', 'file')).toBe('_.._etc_passwd');
+        expect(safeName('Review: auth/session?', 'Task')).toBe('Review_ auth_session_');
+        expect(safeName(' .. ', 'Task')).toBe('Task');
+    });
+});
+
+describe('Evidence export API', () => {
+    let api;
+    let projectId;
+    let tasks;
+
+    function exportArchive(agent = api) {
+        return agent
+            .get(`/api/projects/${projectId}/evidence/export`)
+            .buffer(true)
+            .parse(binaryParser);
+    }
+
+    async function upload(taskId, files) {
+        let request = api.post(`/api/projects/${projectId}/tasks/${taskId}/evidence`);
+        files.forEach(([content, name]) => {
+            request = request.attach('evidence', Buffer.from(content), name);
+        });
+        return (await request.expect(200)).body.uploadedFiles;
+    }
+
+    beforeAll(async () => {
+        api = await loginAs(app);
+    });
+
+    beforeEach(async () => {
+        projectId = (await api.post('/api/projects').send({ name: 'Export Project' })).body.id;
+        tasks = (await api.get(`/api/projects/${projectId}`)).body.tasks;
+    });
+
+    afterEach(async () => {
+        delete process.env.EVIDENCE_SIGNING_KEY;
+        await api.delete(`/api/projects/${projectId}`);
+    });
+
+    test('should stream a ZIP of the evidence arranged by phase and task', async () => {
+        const planning = tasks.planning[0];
+        const design = tasks.design[1];
+        await api.put(`/api/projects/${projectId}/tasks/${planning.id}`).send({ completed: true, notes: 'Reviewed by the team' }).expect(200);
+        await upload(planning.id, [['first report', 'report.txt'], ['second report', 'report.txt']]);
+        await upload(design.id, [['threat model', 'model.txt']]);
+
+        const response = await exportArchive().expect(200);
+
+        expect(response.headers['content-type']).toBe('application/zip');
+        expect(response.headers['content-disposition']).toMatch(/^attachment; filename="SSDLC_Evidence_Export_Project_\d{4}-\d{2}-\d{2}\.zip"$/);
+
+        const files = await readZip(response.body);
+        const planningFolder = `evidence/01 Planning/01 ${safeName(planning.title)}`;
+        const designFolder = `evidence/02 Design/02 ${safeName(design.title)}`;
+        expect(Object.keys(files).sort()).toEqual([
+            `${planningFolder}/report (2).txt`,
+            `${planningFolder}/report.txt`,
+            `${designFolder}/model.txt`,
+            'manifest.json'
+        ].sort());
+        expect(files[`${planningFolder}/report (2).txt`].toString()).toBe('second report');
+        // The manifest comes last, once every file has been hashed
+        expect(Object.keys(files).pop()).toBe('manifest.json');
+    });
+
+    test('should describe tasks and files with their hashes in the manifest', async () => {
+        const task = tasks.planning[0];
+        await api.put(`/api/projects/${projectId}/tasks/${task.id}`).send({ completed: true, notes: 'Reviewed by the team' }).expect(200);
+        const [uploaded] = await upload(task.id, [['first report', 'report.txt']]);
+
+        const response = await exportArchive().expect(200);
+        const files = await readZip(response.body);
+        const manifest = JSON.parse(files['manifest.json']);
+
+        expect(manifest).toMatchObject({
+            format: 'ssdlc-evidence-export',
+            version: 1,
+            exportedBy: { username: 'tester' },
+            signing: null,
+            project: { id: projectId, name: 'Export Project' },
+            summary: { completedTasks: 1, files: 1, archivedFiles: 1, excludedFiles: 0 }
+        });
+        expect(manifest.phases.map(phase => phase.key)).toEqual(Object.keys(tasks));
+
+        const taskEntry = manifest.phases[0].tasks[0];
+        expect(taskEntry).toMatchObject({
+            id: task.id,
+            title: task.title,
+            status: 'completed',
+            completedDate: expect.any(String),
+            updatedAt: expect.any(String),
+            notes: 'Reviewed by the team'
+        });
+        expect(manifest.phases[0].tasks[1]).toMatchObject({ status: 'open', completedDate: null, updatedAt: null, evidence: [] });
+
+        const [file] = taskEntry.evidence;
+        expect(file).toMatchObject({
+            filename: uploaded.filename,
+            originalName: 'report.txt',
+            size: 12,
+            uploadedAt: uploaded.uploadedAt,
+            uploadedBy: { username: 'tester' },
+            scan: 'clean',
+            uploadSha256: sha256('first report'),
+            sha256: sha256('first report'),
+            integrity: 'verified',
+            excluded: null
+        });
+        expect(sha256(files[file.path])).toBe(file.sha256);
+    });
+
+    test('should list files it leaves out and flag files changed since upload', async () => {
+        const task = tasks.planning[0];
+        const [infected, missing, modified] = await upload(task.id, [['bad', 'infected.txt'], ['gone', 'missing.txt'], ['original', 'modified.txt']]);
+
+        const stored = await Storage.getTasksForProject(projectId);
+        stored.planning[0].evidenceFiles.find(evidence => evidence.filename === infected.filename).scan = { status: 'infected' };
+        await Storage.saveTasksForProject(projectId, stored);
+        await Storage.deleteEvidenceFile(projectId, task.id, missing.filename);
+        await Storage.writeEvidenceFile(projectId, task.id, modified.filename, Buffer.from('tampered'));
+
+        const files = await readZip((await exportArchive().expect(200)).body);
+        const manifest = JSON.parse(files['manifest.json']);
+        const evidence = manifest.phases[0].tasks[0].evidence;
+
+        expect(manifest.summary).toMatchObject({ files: 3, archivedFiles: 1, excludedFiles: 2 });
+        expect(evidence.map(file => [file.originalName, file.excluded, file.path === null])).toEqual([
+            ['infected.txt', 'failed the malware scan', true],
+            ['missing.txt', 'missing from storage', true],
+            ['modified.txt', null, false]
+        ]);
+        expect(evidence[2]).toMatchObject({ sha256: sha256('tampered'), uploadSha256: sha256('original'), integrity: 'modified' });
+        expect(files[evidence[2].path].toString()).toBe('tampered');
+        expect(Object.keys(files)).toHaveLength(2);
+    });
+
+    test('should name versions of an evidence item apart', async () => {
+        const task = tasks.planning[0];
+        const [first] = await upload(task.id, [['first run', 'pentest.txt']]);
+        await api
+            .post(`/api/projects/${projectId}/tasks/${task.id}/evidence?versionOf=${first.filename}`)
+            .attach('evidence', Buffer.from('second run'), 'pentest.txt')
+            .expect(200);
+
+        const files = await readZip((await exportArchive().expect(200)).body);
+        const evidence = JSON.parse(files['manifest.json']).phases[0].tasks[0].evidence;
+
+        expect(evidence.map(file => [file.path.split('/').pop(), file.itemId, file.version, file.current])).toEqual([
+            ['pentest (v1).txt', first.filename, 1, false],
+            ['pentest (v2).txt', first.filename, 2, true]
+        ]);
+        expect(files[evidence[1].path].toString()).toBe('second run');
+    });
+
+    test('should sign the manifest when a signing key is configured', async () => {
+        const { privateKey } = crypto.generateKeyPairSync('ed25519');
+        process.env.EVIDENCE_SIGNING_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+        await upload(tasks.planning[0].id, [['signed report', 'report.txt']]);
+
+        const files = await readZip((await exportArchive().expect(200)).body);
+        const key = (await api.get('/api/evidence/signing-key').expect(200)).body;
+        const manifest = JSON.parse(files['manifest.json']);
+
+        expect(manifest.signing).toEqual({ signature: 'manifest.json.sig', keyType: 'ed25519', digest: null, fingerprint: key.fingerprint });
+        expect(crypto.verify(null, files['manifest.json'], key.publicKey, files['manifest.json.sig'])).toBe(true);
+        expect(crypto.verify(null, Buffer.from(files['manifest.json'].toString().replace('Export Project', 'Forged Project')), key.publicKey, files['manifest.json.sig'])).toBe(false);
+    });
+
+    test('should report that exports are unsigned without a signing key', async () => {
+        const response = await api.get('/api/evidence/signing-key').expect(404);
+
+        expect(response.body.error).toBe('Evidence exports are not signed on this server');
+    });
+
+    test('should let viewers export but not other users', async () => {
+        const viewer = await loginAs(app, 'export-viewer');
+        const outsider = await loginAs(app, 'export-outsider');
+        await api.post(`/api/projects/${projectId}/members`).send({ username: 'export-viewer', role: 'viewer' }).expect(201);
+
+        await exportArchive(viewer).expect(200);
+        const response = await outsider.get(`/api/projects/${projectId}/evidence/export`);
+        expect([403, 404]).toContain(response.status);
+    });
+});
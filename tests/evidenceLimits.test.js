@@ -0,0 +1,234 @@
+const app = require('../server');
+const { loginAs } = require('./helpers/auth');
+const {
+    DEFAULT_LIMITS,
+    parseSize,
+    formatSize,
+    getGlobalLimits,
+    getProjectLimits,
+    normalizeProjectLimits
+} = require('../utils/evidenceLimits');
+
+const ENV_NAMES = [
+    'EVIDENCE_MAX_FILE_SIZE',
+    'EVIDENCE_MAX_FILES_PER_UPLOAD',
+    'EVIDENCE_MAX_FILES_PER_PROJECT',
+    'EVIDENCE_PROJECT_QUOTA',
+    'EVIDENCE_ALLOWED_TYPES'
+];
+
+function clearLimitEnv() {
+    ENV_NAMES.forEach(name => delete process.env[name]);
+}
+
+describe('Evidence limits', () => {
+    afterEach(clearLimitEnv);
+
+    test('should parse and format sizes', () => {
+        expect(parseSize('10MB')).toBe(10 * 1024 * 1024);
+        expect(parseSize('1.5 gb')).toBe(1.5 * 1024 * 1024 * 1024);
+        expect(parseSize('2048')).toBe(2048);
+        expect(() => parseSize('lots')).toThrow('Invalid size: lots');
+        expect(formatSize(10 * 1024 * 1024)).toBe('10MB');
+        expect(formatSize(1536)).toBe('1.5KB');
+    });
+
+    test('should default to 10MB files, 5 files per upload and no quota', () => {
+        expect(getGlobalLimits({})).toEqual(DEFAULT_LIMITS);
+        expect(DEFAULT_LIMITS).toMatchObject({ maxFileSize: 10 * 1024 * 1024, maxFilesPerUpload: 5, projectQuota: null });
+        expect(DEFAULT_LIMITS.allowedTypes).not.toContain('application/zip');
+    });
+
+    test('should read server-wide limits from the environment', () => {
+        const limits = getGlobalLimits({
+            EVIDENCE_MAX_FILE_SIZE: '25MB',
+            EVIDENCE_MAX_FILES_PER_UPLOAD: '10',
+            EVIDENCE_MAX_FILES_PER_PROJECT: 'unlimited',
+            EVIDENCE_PROJECT_QUOTA: '1GB',
+            EVIDENCE_ALLOWED_TYPES: '.pdf, .har, .json, .zip'
+        });
+
+        expect(limits).toEqual({
+            maxFileSize: 25 * 1024 * 1024,
+            maxFilesPerUpload: 10,
+            maxFilesPerProject: null,
+            projectQuota: 1024 * 1024 * 1024,
+            allowedTypes: ['application/pdf', 'application/har+json', 'application/json', 'application/zip', 'application/x-zip-compressed']
+        });
+    });
+
+    test('should name the variable holding an invalid limit', () => {
+        expect(() => getGlobalLimits({ EVIDENCE_MAX_FILES_PER_UPLOAD: '-1' })).toThrow('EVIDENCE_MAX_FILES_PER_UPLOAD: maxFilesPerUpload must be a positive whole number');
+        expect(() => getGlobalLimits({ EVIDENCE_ALLOWED_TYPES: '.exe' })).toThrow('EVIDENCE_ALLOWED_TYPES: Unknown file type: .exe');
+    });
+
+    test('should only let projects narrow the server-wide limits', () => {
+        const server = { ...DEFAULT_LIMITS, projectQuota: 100 * 1024 * 1024 };
+
+        expect(normalizeProjectLimits({ projectQuota: '20MB', allowedTypes: ['.pdf', 'text/plain'] }, server))
+            .toEqual({ projectQuota: 20 * 1024 * 1024, allowedTypes: ['application/pdf', 'text/plain'] });
+        expect(() => normalizeProjectLimits({ projectQuota: '1GB' }, server)).toThrow('projectQuota cannot be more than the server limit of 100MB');
+        expect(() => normalizeProjectLimits({ maxFilesPerUpload: 6 }, server)).toThrow('maxFilesPerUpload cannot be more than the server limit of 5');
+        expect(() => normalizeProjectLimits({ allowedTypes: ['.zip'] }, server)).toThrow('File type application/zip is not allowed on this server');
+        expect(() => normalizeProjectLimits({ maxSize: 1 }, server)).toThrow('Unknown evidence limit: maxSize');
+    });
+
+    test('should apply a project\'s own limits within the server-wide ones', () => {
+        const server = { ...DEFAULT_LIMITS, projectQuota: 100 };
+        const project = { evidenceLimits: { projectQuota: 50, maxFilesPerProject: 3, allowedTypes: ['application/pdf', 'application/zip'] } };
+
+        expect(getProjectLimits(project, server)).toEqual({
+            ...server,
+            projectQuota: 50,
+            maxFilesPerProject: 3,
+            allowedTypes: ['application/pdf']
+        });
+        expect(getProjectLimits({}, server)).toEqual(server);
+    });
+});
+
+describe('Evidence limits API', () => {
+    let api;
+    let projectId;
+    let taskId;
+
+    beforeAll(async () => {
+        api = await loginAs(app);
+    });
+
+    beforeEach(async () => {
+        projectId = (await api.post('/api/projects').send({ name: 'Evidence Limits Project' })).body.id;
+        taskId = (await api.get(`/api/projects/${projectId}`)).body.tasks.planning[0].id;
+    });
+
+    afterEach(async () => {
+        clearLimitEnv();
+        await api.delete(`/api/projects/${projectId}`);
+    });
+
+    test('should report the project\'s limits and usage', async () => {
+        await api
+            .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+            .attach('evidence', Buffer.from('0123456789'), 'ten.txt')
+            .expect(200);
+
+        const response = await api.get(`/api/projects/${projectId}/evidence/limits`).expect(200);
+
+        expect(response.body.limits).toMatchObject({ maxFileSize: 10 * 1024 * 1024, maxFilesPerUpload: 5, projectQuota: null });
+        expect(response.body.limits.allowedExtensions).toContain('.pdf');
+        expect(response.body.projectLimits).toEqual({});
+        expect(response.body.usage).toEqual({ size: 10, files: 1 });
+    });
+
+    test('should save a project\'s limits and audit the change', async () => {
+        const response = await api
+            .put(`/api/projects/${projectId}/evidence/limits`)
+            .send({ projectQuota: '1MB', maxFilesPerProject: 20 })
+            .expect(200);
+
+        expect(response.body.projectLimits).toEqual({ projectQuota: 1024 * 1024, maxFilesPerProject: 20 });
+        expect(response.body.limits).toMatchObject({ projectQuota: 1024 * 1024, maxFilesPerProject: 20 });
+
+        const history = await api.get(`/api/projects/${projectId}/audit`).expect(200);
+        expect(history.body[history.body.length - 1]).toMatchObject({
+            action: 'evidence.limits',
+            after: { evidenceLimits: { projectQuota: 1024 * 1024, maxFilesPerProject: 20 } }
+        });
+    });
+
+    test('should reject limits wider than the server allows', async () => {
+        const response = await api
+            .put(`/api/projects/${projectId}/evidence/limits`)
+            .send({ maxFileSize: '50MB' })
+            .expect(400);
+
+        expect(response.body.error).toBe('maxFileSize cannot be more than the server limit of 10MB');
+    });
+
+    test('should reject uploads that would exceed the project quota with 413', async () => {
+        await api.put(`/api/projects/${projectId}/evidence/limits`).send({ projectQuota: 16 }).expect(200);
+        await api
+            .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+            .attach('evidence', Buffer.from('0123456789'), 'first.txt')
+            .expect(200);
+
+        const response = await api
+            .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+            .attach('evidence', Buffer.from('0123456789'), 'second.txt')
+            .expect(413);
+
+        expect(response.body.error).toBe('Evidence quota exceeded: the upload needs 10B but only 6B of the project\'s 16B quota is left');
+        const listing = await api.get(`/api/projects/${projectId}/tasks/${taskId}/evidence`);
+        expect(listing.body.map(evidence => evidence.originalName)).toEqual(['first.txt']);
+    });
+
+    test('should apply the quota to JSON uploads', async () => {
+        await api.put(`/api/projects/${projectId}/evidence/limits`).send({ projectQuota: 4 }).expect(200);
+
+        const response = await api
+            .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+            .send({ files: [{ name: 'notes.txt', type: 'text/plain', content: Buffer.from('too long').toString('base64') }] })
+            .expect(413);
+
+        expect(response.body.error).toContain('Evidence quota exceeded');
+    });
+
+    test('should reject uploads past the project\'s file limit with 413', async () => {
+        await api.put(`/api/projects/${projectId}/evidence/limits`).send({ maxFilesPerProject: 1 }).expect(200);
+
+        const response = await api
+            .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+            .attach('evidence', Buffer.from('one'), 'one.txt')
+            .attach('evidence', Buffer.from('two'), 'two.txt')
+            .expect(413);
+
+        expect(response.body.error).toBe('Evidence file limit exceeded: the project can hold 1 files and already has 0');
+    });
+
+    test('should apply configured per-file and per-upload limits', async () => {
+        process.env.EVIDENCE_MAX_FILE_SIZE = '8';
+        process.env.EVIDENCE_MAX_FILES_PER_UPLOAD = '1';
+
+        const tooLarge = await api
+            .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+            .attach('evidence', Buffer.from('0123456789'), 'large.txt')
+            .expect(400);
+        expect(tooLarge.body.error).toBe('File size too large. Maximum size is 8B per file.');
+
+        const tooMany = await api
+            .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+            .attach('evidence', Buffer.from('one'), 'one.txt')
+            .attach('evidence', Buffer.from('two'), 'two.txt')
+            .expect(400);
+        expect(tooMany.body.error).toBe('Too many files. Maximum 1 files per upload.');
+    });
+
+    test('should accept HAR, JSON and ZIP scan outputs once allowed', async () => {
+        const har = Buffer.from(JSON.stringify({ log: { version: '1.2', entries: [] } }));
+
+        const refused = await api
+            .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+            .attach('evidence', har, { filename: 'session.har', contentType: 'application/octet-stream' })
+            .expect(400);
+        expect(refused.body.error).toContain('File type not allowed. Allowed types: .jpg');
+
+        process.env.EVIDENCE_ALLOWED_TYPES = '.pdf,.txt,.har,.json,.zip';
+
+        const response = await api
+            .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+            .attach('evidence', har, { filename: 'session.har', contentType: 'application/octet-stream' })
+            .attach('evidence', Buffer.from('{"site": []}'), { filename: 'zap.json', contentType: 'application/json' })
+            .attach('evidence', Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00]), { filename: 'results.zip', contentType: 'application/zip' })
+            .expect(200);
+
+        expect(response.body.uploadedFiles.map(evidence => evidence.verifiedType)).toEqual(['application/har+json', 'application/json', 'application/zip']);
+    });
+
+    test('should only let owners change the limits', async () => {
+        const viewer = await loginAs(app, 'limits-viewer');
+        await api.post(`/api/projects/${projectId}/members`).send({ username: 'limits-viewer', role: 'viewer' }).expect(201);
+
+        await viewer.get(`/api/projects/${projectId}/evidence/limits`).expect(200);
+        await viewer.put(`/api/projects/${projectId}/evidence/limits`).send({ projectQuota: 10 }).expect(403);
+    });
+});
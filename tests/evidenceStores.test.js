@@ -0,0 +1,218 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const app = require('../server');
+const Storage = require('../utils/storage');
+const LocalEvidenceStore = require('../utils/evidenceStores/LocalEvidenceStore');
+const BlobEvidenceStore = require('../utils/evidenceStores/BlobEvidenceStore');
+const S3EvidenceStore = require('../utils/evidenceStores/S3EvidenceStore');
+const { createMemoryStore } = require('./helpers/memoryBlobStore');
+const { loginAs } = require('./helpers/auth');
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// A stream that fails after its first chunk, like an aborted upload
+function failingStream() {
+    return new Readable({
+        read() {
+            if (!this.sent) {
+                this.sent = true;
+                this.push(Buffer.from('partial'));
+            } else {
+                this.destroy(new Error('Connection reset'));
+            }
+        }
+    });
+}
+
+async function createS3TestStore() {
+    const { CreateBucketCommand } = require('@aws-sdk/client-s3');
+    const store = new S3EvidenceStore({
+        bucket: process.env.S3_TEST_BUCKET || 'ssdlc-evidence-test',
+        endpoint: process.env.S3_TEST_ENDPOINT,
+        credentials: {
+            accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID || 'minioadmin',
+            secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY || 'minioadmin'
+        },
+        forcePathStyle: true
+    });
+    try {
+        await store.client.send(new CreateBucketCommand({ Bucket: store.bucket }));
+    } catch (error) {
+        if (!['BucketAlreadyOwnedByYou', 'BucketAlreadyExists'].includes(error.name)) {
+            throw error;
+        }
+    }
+    return store;
+}
+
+// The behaviour every evidence store shares
+function describeEvidenceStore(name, createStore) {
+    describe(name, () => {
+        let store;
+
+        beforeEach(async () => {
+            store = await createStore();
+        });
+
+        afterEach(async () => {
+            await store.removeAll('project-1');
+            await store.removeAll('project-2');
+        });
+
+        test('should write a Buffer and stream it back with its size', async () => {
+            await store.write('project-1', 'task-1', 'notes.txt', Buffer.from('threat model notes'));
+
+            const file = await store.open('project-1', 'task-1', 'notes.txt');
+            expect(file.size).toBe(18);
+            expect((await readAll(file.stream)).toString()).toBe('threat model notes');
+        });
+
+        test('should write from a stream', async () => {
+            await store.write('project-1', 'task-1', 'scan.txt', Readable.from([Buffer.from('part one, '), Buffer.from('part two')]));
+
+            expect((await store.read('project-1', 'task-1', 'scan.txt')).toString()).toBe('part one, part two');
+        });
+
+        test('should return null for files that are not stored', async () => {
+            expect(await store.open('project-1', 'task-1', 'missing.txt')).toBeNull();
+            expect(await store.read('project-1', 'task-1', 'missing.txt')).toBeNull();
+        });
+
+        test('should leave nothing behind when the source fails', async () => {
+            await expect(store.write('project-1', 'task-1', 'broken.txt', failingStream())).rejects.toThrow();
+
+            expect(await store.open('project-1', 'task-1', 'broken.txt')).toBeNull();
+        });
+
+        test('should list a project\'s files by task', async () => {
+            await store.write('project-1', 'task-1', 'a.txt', Buffer.from('a'));
+            await store.write('project-1', 'task-2', 'b.txt', Buffer.from('b'));
+            await store.write('project-2', 'task-1', 'c.txt', Buffer.from('c'));
+
+            const files = await store.list('project-1');
+            expect(files).toHaveLength(2);
+            expect(files).toEqual(expect.arrayContaining([
+                { taskId: 'task-1', filename: 'a.txt' },
+                { taskId: 'task-2', filename: 'b.txt' }
+            ]));
+        });
+
+        test('should remove one file, a task\'s files or a project\'s files', async () => {
+            await store.write('project-1', 'task-1', 'a.txt', Buffer.from('a'));
+            await store.write('project-1', 'task-1', 'b.txt', Buffer.from('b'));
+            await store.write('project-1', 'task-2', 'c.txt', Buffer.from('c'));
+            await store.write('project-2', 'task-1', 'd.txt', Buffer.from('d'));
+
+            await store.remove('project-1', 'task-1', 'a.txt');
+            expect(await store.list('project-1')).toHaveLength(2);
+
+            await store.removeAll('project-1', 'task-1');
+            expect(await store.list('project-1')).toEqual([{ taskId: 'task-2', filename: 'c.txt' }]);
+
+            await store.removeAll('project-1');
+            expect(await store.list('project-1')).toEqual([]);
+            expect(await store.list('project-2')).toHaveLength(1);
+        });
+
+        test('should keep path segments from escaping the project', async () => {
+            await store.write('project-1', '../task-1', '../../outside.txt', Buffer.from('contained'));
+
+            expect(await store.list('project-1')).toEqual([{ taskId: 'task-1', filename: 'outside.txt' }]);
+        });
+    });
+}
+
+describe('Evidence stores', () => {
+    let rootDir;
+
+    beforeAll(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-store-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    describeEvidenceStore('LocalEvidenceStore', () => new LocalEvidenceStore(rootDir));
+
+    describeEvidenceStore('BlobEvidenceStore', () => new BlobEvidenceStore(createMemoryStore()));
+
+    // Runs against MinIO or another S3-compatible service when one is given,
+    // e.g. S3_TEST_ENDPOINT=http://localhost:9000 with MinIO's default
+    // minioadmin credentials
+    if (process.env.S3_TEST_ENDPOINT) {
+        describeEvidenceStore('S3EvidenceStore', createS3TestStore);
+    } else {
+        test.skip('S3EvidenceStore (set S3_TEST_ENDPOINT to run it against MinIO)', () => {});
+    }
+
+    test('S3EvidenceStore should require a bucket', () => {
+        expect(() => new S3EvidenceStore({})).toThrow('S3 evidence storage needs a bucket (S3_BUCKET)');
+    });
+});
+
+describe('Storage evidence store selection', () => {
+    afterEach(() => {
+        Storage.setEvidenceStore(null);
+    });
+
+    test('should create the configured stores', () => {
+        expect(Storage.createEvidenceStore('local').name).toBe('local');
+        expect(Storage.createEvidenceStore('blobs').name).toBe('blobs');
+        expect(() => Storage.createEvidenceStore('ftp')).toThrow('Unknown evidence store: ftp');
+    });
+
+    test('should default to the storage backend\'s own store', () => {
+        expect(Storage.getEvidenceStore()).toBeInstanceOf(LocalEvidenceStore);
+    });
+
+    describe('through the API', () => {
+        let api;
+        let rootDir;
+        let projectId;
+        let taskId;
+
+        beforeAll(async () => {
+            api = await loginAs(app);
+        });
+
+        beforeEach(async () => {
+            rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-api-'));
+            Storage.setEvidenceStore(new LocalEvidenceStore(rootDir));
+
+            projectId = (await api.post('/api/projects').send({ name: 'Evidence Store Project' })).body.id;
+            taskId = (await api.get(`/api/projects/${projectId}`)).body.tasks.planning[0].id;
+        });
+
+        afterEach(async () => {
+            await api.delete(`/api/projects/${projectId}`);
+            fs.rmSync(rootDir, { recursive: true, force: true });
+        });
+
+        test('should stream multipart uploads into the selected store and back out', async () => {
+            const upload = await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .attach('evidence', Buffer.from('stored elsewhere'), 'elsewhere.txt')
+                .expect(200);
+            const { filename, size } = upload.body.uploadedFiles[0];
+
+            expect(size).toBe(16);
+            expect(fs.readFileSync(path.join(rootDir, projectId, taskId, filename), 'utf8')).toBe('stored elsewhere');
+            expect(fs.existsSync(path.join(__dirname, '..', 'uploads', projectId))).toBe(false);
+
+            const download = await api
+                .get(`/api/projects/${projectId}/tasks/${taskId}/evidence/${filename}`)
+                .expect(200);
+            expect(download.text).toBe('stored elsewhere');
+            expect(download.headers['content-length']).toBe('16');
+        });
+    });
+});
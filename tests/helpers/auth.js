@@ -0,0 +1,31 @@
+const request = require('supertest');
+const Storage = require('../../utils/storage');
+const User = require('../../models/User');
+
+const TEST_PASSWORD = 'correct-horse-battery';
+
+// Create the account if needed and return it. An existing account is made an
+// administrator when admin is set.
+async function ensureUser(username = 'tester', { admin = false } = {}) {
+    const existing = await Storage.getUserByUsername(username);
+    if (existing && (!admin || existing.admin)) {
+        return existing;
+    }
+    const user = existing ? Object.assign(new User(), existing) : await User.create(username, TEST_PASSWORD);
+    user.admin = user.admin || admin;
+    await Storage.saveUser(user);
+    return user;
+}
+
+// A supertest agent holding a session cookie for username
+async function loginAs(app, username = 'tester', options) {
+    await ensureUser(username, options);
+    const agent = request.agent(app);
+    await agent
+        .post('/api/auth/login')
+        .send({ username, password: TEST_PASSWORD })
+        .expect(200);
+    return agent;
+}
+
+module.exports = { TEST_PASSWORD, ensureUser, loginAs };
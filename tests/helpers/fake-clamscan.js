@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+// Stands in for ClamAV's clamscan in tests: reads a file from stdin and
+// answers like clamscan does for the EICAR test string, for a simulated
+// scanner error, or for a clean file. Like clamscan, it stops reading as soon
+// as it finds the EICAR string.
+let input = '';
+process.stdin.on('data', chunk => {
+    input += chunk;
+    if (input.includes('EICAR-STANDARD-ANTIVIRUS-TEST-FILE')) {
+        process.stdout.write('stdin: Win.Test.EICAR_HDB-1 FOUND\n');
+        process.exit(1);
+    }
+});
+process.stdin.on('end', () => {
+    if (input.includes('SCANNER-ERROR')) {
+        process.stdout.write('LibClamAV Error: cli_loaddbdir(): No supported database files found\n');
+        process.exit(2);
+    }
+    process.stdout.write('stdin: OK\n');
+    process.exit(0);
+});
@@ -0,0 +1,27 @@
+// In-memory stand-in for a Netlify Blobs store
+function createMemoryStore() {
+    const blobs = new Map();
+    return {
+        async get(key, options = {}) {
+            if (!blobs.has(key)) {
+                return null;
+            }
+            const value = blobs.get(key);
+            return options.type === 'json' ? JSON.parse(value) : value;
+        },
+        async set(key, value) {
+            blobs.set(key, value);
+        },
+        async setJSON(key, value) {
+            blobs.set(key, JSON.stringify(value));
+        },
+        async delete(key) {
+            blobs.delete(key);
+        },
+        async list({ prefix = '' } = {}) {
+            return { blobs: [...blobs.keys()].filter(key => key.startsWith(prefix)).map(key => ({ key })) };
+        }
+    };
+}
+
+module.exports = { createMemoryStore };
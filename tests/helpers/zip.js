@@ -0,0 +1,39 @@
+const yauzl = require('yauzl');
+
+// Every file in a ZIP archive held in a Buffer, as { path: Buffer }
+function readZip(buffer) {
+    return new Promise((resolve, reject) => {
+        yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zipfile) => {
+            if (error) {
+                return reject(error);
+            }
+            const files = {};
+            zipfile.on('error', reject);
+            zipfile.on('end', () => resolve(files));
+            zipfile.on('entry', entry => {
+                zipfile.openReadStream(entry, (streamError, stream) => {
+                    if (streamError) {
+                        return reject(streamError);
+                    }
+                    const chunks = [];
+                    stream.on('data', chunk => chunks.push(chunk));
+                    stream.on('error', reject);
+                    stream.on('end', () => {
+                        files[entry.fileName] = Buffer.concat(chunks);
+                        zipfile.readEntry();
+                    });
+                });
+            });
+            zipfile.readEntry();
+        });
+    });
+}
+
+// supertest parser collecting a binary response body into a Buffer
+function binaryParser(res, callback) {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+module.exports = { readZip, binaryParser };
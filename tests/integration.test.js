@@ -1,9 +1,15 @@
-const request = require('supertest');
 const fs = require('fs');
 const path = require('path');
 const app = require('../server');
+const { loginAs } = require('./helpers/auth');
 
 describe('Integration Tests - Complete User Workflows', () => {
+    let api;
+
+    beforeAll(async () => {
+        api = await loginAs(app);
+    });
+
     let projectId;
     let taskId;
 
@@ -34,7 +40,7 @@ describe('Integration Tests - Complete User Workflows', () => {
     describe('Complete Project Lifecycle', () => {
         test('should handle complete project creation to completion workflow', async () => {
             // Step 1: Create a new project
-            const createResponse = await request(app)
+            const createResponse = await api
                 .post('/api/projects')
                 .send({ name: 'Integration Test Project' })
                 .expect(201);
@@ -44,7 +50,7 @@ describe('Integration Tests - Complete User Workflows', () => {
             expect(createResponse.body.overallStatus).toBe('In Progress');
 
             // Step 2: Verify project appears in projects list
-            const listResponse = await request(app)
+            const listResponse = await api
                 .get('/api/projects')
                 .expect(200);
 
@@ -52,7 +58,7 @@ describe('Integration Tests - Complete User Workflows', () => {
             expect(listResponse.body[0].id).toBe(projectId);
 
             // Step 3: Get project details and verify default tasks were created
-            const detailsResponse = await request(app)
+            const detailsResponse = await api
                 .get(`/api/projects/${projectId}`)
                 .expect(200);
 
@@ -66,7 +72,7 @@ describe('Integration Tests - Complete User Workflows', () => {
             taskId = detailsResponse.body.tasks.planning[0].id;
 
             // Step 4: Complete first task with notes
-            const updateTaskResponse = await request(app)
+            const updateTaskResponse = await api
                 .put(`/api/projects/${projectId}/tasks/${taskId}`)
                 .send({ 
                     completed: true, 
@@ -80,9 +86,9 @@ describe('Integration Tests - Complete User Workflows', () => {
 
             // Step 5: Upload evidence for the completed task
             const testFilePath = path.join(__dirname, 'integration-test-evidence.pdf');
-            fs.writeFileSync(testFilePath, 'Mock PDF content for integration test');
+            fs.writeFileSync(testFilePath, '%PDF-1.4\nMock PDF content for integration test');
 
-            const uploadResponse = await request(app)
+            const uploadResponse = await api
                 .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
                 .attach('evidence', testFilePath)
                 .expect(200);
@@ -96,17 +102,19 @@ describe('Integration Tests - Complete User Workflows', () => {
 
             // Step 6: Download the uploaded evidence
             const uploadedFilename = uploadResponse.body.uploadedFiles[0].filename;
-            const downloadResponse = await request(app)
+            const downloadResponse = await api
                 .get(`/api/projects/${projectId}/tasks/${taskId}/evidence/${uploadedFilename}`)
+                .responseType('blob')
                 .expect(200);
 
-            expect(downloadResponse.text).toBe('Mock PDF content for integration test');
+            expect(downloadResponse.headers['content-type']).toBe('application/pdf');
+            expect(downloadResponse.body.toString()).toBe('%PDF-1.4\nMock PDF content for integration test');
 
             // Step 7: Complete all tasks in planning phase
             const planningTasks = detailsResponse.body.tasks.planning;
             for (const task of planningTasks) {
                 if (task.id !== taskId) { // Skip the already completed task
-                    await request(app)
+                    await api
                         .put(`/api/projects/${projectId}/tasks/${task.id}`)
                         .send({ completed: true, notes: 'Completed in integration test' })
                         .expect(200);
@@ -114,7 +122,7 @@ describe('Integration Tests - Complete User Workflows', () => {
             }
 
             // Step 8: Verify planning phase is now completed
-            const updatedProjectResponse = await request(app)
+            const updatedProjectResponse = await api
                 .get(`/api/projects/${projectId}`)
                 .expect(200);
 
@@ -122,7 +130,7 @@ describe('Integration Tests - Complete User Workflows', () => {
             expect(updatedProjectResponse.body.phases.planning.completedDate).toBeDefined();
 
             // Step 9: Generate and verify report
-            const reportResponse = await request(app)
+            const reportResponse = await api
                 .get(`/api/projects/${projectId}/report`)
                 .expect(200);
 
@@ -137,7 +145,7 @@ describe('Integration Tests - Complete User Workflows', () => {
 
         test('should handle project completion workflow', async () => {
             // Create project
-            const createResponse = await request(app)
+            const createResponse = await api
                 .post('/api/projects')
                 .send({ name: 'Complete Project Test' })
                 .expect(201);
@@ -145,7 +153,7 @@ describe('Integration Tests - Complete User Workflows', () => {
             projectId = createResponse.body.id;
 
             // Get all tasks
-            const projectResponse = await request(app)
+            const projectResponse = await api
                 .get(`/api/projects/${projectId}`)
                 .expect(200);
 
@@ -154,7 +162,7 @@ describe('Integration Tests - Complete User Workflows', () => {
             for (const phase of phases) {
                 const phaseTasks = projectResponse.body.tasks[phase];
                 for (const task of phaseTasks) {
-                    await request(app)
+                    await api
                         .put(`/api/projects/${projectId}/tasks/${task.id}`)
                         .send({ completed: true, notes: `Completed ${task.title}` })
                         .expect(200);
@@ -162,7 +170,7 @@ describe('Integration Tests - Complete User Workflows', () => {
             }
 
             // Verify project is now completed
-            const finalProjectResponse = await request(app)
+            const finalProjectResponse = await api
                 .get(`/api/projects/${projectId}`)
                 .expect(200);
 
@@ -175,7 +183,7 @@ describe('Integration Tests - Complete User Workflows', () => {
             });
 
             // Generate final report
-            const reportResponse = await request(app)
+            const reportResponse = await api
                 .get(`/api/projects/${projectId}/report`)
                 .expect(200);
 
@@ -186,7 +194,7 @@ describe('Integration Tests - Complete User Workflows', () => {
     describe('Error Handling Workflows', () => {
         test('should handle cascading errors gracefully', async () => {
             // Try to update task for non-existent project
-            const response1 = await request(app)
+            const response1 = await api
                 .put('/api/projects/nonexistent/tasks/also-nonexistent')
                 .send({ completed: true })
                 .expect(404);
@@ -197,7 +205,7 @@ describe('Integration Tests - Complete User Workflows', () => {
             const testFilePath = path.join(__dirname, 'error-test.txt');
             fs.writeFileSync(testFilePath, 'Error test content');
 
-            const response2 = await request(app)
+            const response2 = await api
                 .post('/api/projects/nonexistent/tasks/nonexistent/evidence')
                 .attach('evidence', testFilePath)
                 .expect(404);
@@ -205,7 +213,7 @@ describe('Integration Tests - Complete User Workflows', () => {
             expect(response2.body.error).toBe('Project not found');
 
             // Try to generate report for non-existent project
-            const response3 = await request(app)
+            const response3 = await api
                 .get('/api/projects/nonexistent/report')
                 .expect(404);
 
@@ -217,7 +225,7 @@ describe('Integration Tests - Complete User Workflows', () => {
 
         test('should handle partial task completion scenarios', async () => {
             // Create project
-            const createResponse = await request(app)
+            const createResponse = await api
                 .post('/api/projects')
                 .send({ name: 'Partial Completion Test' })
                 .expect(201);
@@ -225,20 +233,20 @@ describe('Integration Tests - Complete User Workflows', () => {
             projectId = createResponse.body.id;
 
             // Get project tasks
-            const projectResponse = await request(app)
+            const projectResponse = await api
                 .get(`/api/projects/${projectId}`)
                 .expect(200);
 
             const planningTasks = projectResponse.body.tasks.planning;
 
             // Complete only first task in planning phase
-            await request(app)
+            await api
                 .put(`/api/projects/${projectId}/tasks/${planningTasks[0].id}`)
                 .send({ completed: true })
                 .expect(200);
 
             // Verify phase is not completed yet
-            const updatedProjectResponse = await request(app)
+            const updatedProjectResponse = await api
                 .get(`/api/projects/${projectId}`)
                 .expect(200);
 
@@ -246,7 +254,7 @@ describe('Integration Tests - Complete User Workflows', () => {
             expect(updatedProjectResponse.body.overallStatus).toBe('In Progress');
 
             // Generate report with partial completion
-            const reportResponse = await request(app)
+            const reportResponse = await api
                 .get(`/api/projects/${projectId}/report`)
                 .expect(200);
 
@@ -257,7 +265,7 @@ describe('Integration Tests - Complete User Workflows', () => {
     describe('Multi-Project Workflows', () => {
         test('should handle multiple projects independently', async () => {
             // Create first project
-            const project1Response = await request(app)
+            const project1Response = await api
                 .post('/api/projects')
                 .send({ name: 'Project One' })
                 .expect(201);
@@ -265,7 +273,7 @@ describe('Integration Tests - Complete User Workflows', () => {
             const project1Id = project1Response.body.id;
 
             // Create second project
-            const project2Response = await request(app)
+            const project2Response = await api
                 .post('/api/projects')
                 .send({ name: 'Project Two' })
                 .expect(201);
@@ -273,41 +281,41 @@ describe('Integration Tests - Complete User Workflows', () => {
             const project2Id = project2Response.body.id;
 
             // Verify both projects exist
-            const listResponse = await request(app)
+            const listResponse = await api
                 .get('/api/projects')
                 .expect(200);
 
             expect(listResponse.body).toHaveLength(2);
 
             // Get tasks for both projects
-            const project1Details = await request(app)
+            const project1Details = await api
                 .get(`/api/projects/${project1Id}`)
                 .expect(200);
 
-            const project2Details = await request(app)
+            const project2Details = await api
                 .get(`/api/projects/${project2Id}`)
                 .expect(200);
 
             // Complete a task in project 1
             const task1Id = project1Details.body.tasks.planning[0].id;
-            await request(app)
+            await api
                 .put(`/api/projects/${project1Id}/tasks/${task1Id}`)
                 .send({ completed: true, notes: 'Project 1 task' })
                 .expect(200);
 
             // Complete a different task in project 2
             const task2Id = project2Details.body.tasks.design[0].id;
-            await request(app)
+            await api
                 .put(`/api/projects/${project2Id}/tasks/${task2Id}`)
                 .send({ completed: true, notes: 'Project 2 task' })
                 .expect(200);
 
             // Verify projects remain independent
-            const finalProject1 = await request(app)
+            const finalProject1 = await api
                 .get(`/api/projects/${project1Id}`)
                 .expect(200);
 
-            const finalProject2 = await request(app)
+            const finalProject2 = await api
                 .get(`/api/projects/${project2Id}`)
                 .expect(200);
 
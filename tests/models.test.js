@@ -1,5 +1,8 @@
 const Project = require('../models/Project');
 const Task = require('../models/Task');
+const Evidence = require('../models/Evidence');
+const Template = require('../models/Template');
+const User = require('../models/User');
 
 describe('Project Model', () => {
     describe('constructor', () => {
@@ -104,6 +107,124 @@ describe('Project Model', () => {
                 .toThrow('Invalid phase: invalid-phase');
         });
     });
+
+    describe('rename', () => {
+        test('should update the trimmed project name', () => {
+            const project = new Project('Old Name');
+            project.rename('  New Name  ');
+
+            expect(project.name).toBe('New Name');
+        });
+
+        test('should throw error for an invalid name', () => {
+            const project = new Project('Old Name');
+
+            expect(() => project.rename('   ')).toThrow('Project name is required');
+            expect(project.name).toBe('Old Name');
+        });
+    });
+
+    describe('archive and restore', () => {
+        test('should start unarchived', () => {
+            const project = new Project('Test Project');
+
+            expect(project.archived).toBe(false);
+            expect(project.archivedDate).toBeNull();
+        });
+
+        test('should archive and restore the project', () => {
+            const project = new Project('Test Project');
+
+            project.archive();
+            expect(project.archived).toBe(true);
+            expect(project.archivedDate).toBeDefined();
+
+            project.restore();
+            expect(project.archived).toBe(false);
+            expect(project.archivedDate).toBeNull();
+        });
+    });
+
+    describe('custom phases', () => {
+        const customPhases = [
+            { key: 'build', name: 'Build' },
+            { key: 'operate-monitor', name: 'Operate/Monitor' }
+        ];
+
+        test('should create project with the given phases in order', () => {
+            const project = new Project('Test Project', customPhases);
+
+            expect(Object.keys(project.phases)).toEqual(['build', 'operate-monitor']);
+            expect(project.phases['operate-monitor'].name).toBe('Operate/Monitor');
+        });
+
+        test('should reject invalid phase lists', () => {
+            expect(() => Project.validatePhases([])).toThrow('non-empty array');
+            expect(() => Project.validatePhases([{ key: 'Build Phase', name: 'Build' }])).toThrow('Phase key is required');
+            expect(() => Project.validatePhases([{ key: 'build', name: ' ' }])).toThrow('Phase name is required for phase: build');
+            expect(() => Project.validatePhases([...customPhases, { key: 'build', name: 'Again' }])).toThrow('Duplicate phase: build');
+            expect(() => Project.validatePhases(customPhases)).not.toThrow();
+        });
+
+        test('should keep the status of remaining phases when phases change', () => {
+            const project = new Project('Test Project', customPhases);
+            project.updatePhaseStatus('build', true);
+
+            project.setPhases([{ key: 'threat-model', name: 'Threat Model' }, { key: 'build', name: 'Build & Test' }]);
+
+            expect(Object.keys(project.phases)).toEqual(['threat-model', 'build']);
+            expect(project.phases.build.completed).toBe(true);
+            expect(project.phases.build.name).toBe('Build & Test');
+            expect(project.phases['threat-model'].completed).toBe(false);
+            expect(project.overallStatus).toBe('In Progress');
+        });
+
+        test('should fall back to capitalised keys for phases without a name', () => {
+            const storedProject = { phases: { planning: { completed: false }, build: { name: 'Build', completed: true } } };
+
+            expect(Project.getPhaseList(storedProject)).toEqual([
+                { key: 'planning', name: 'Planning' },
+                { key: 'build', name: 'Build' }
+            ]);
+        });
+    });
+
+    describe('members and roles', () => {
+        test('should grant permissions by role', () => {
+            expect(Project.can('owner', 'manage')).toBe(true);
+            expect(Project.can('reviewer', 'complete')).toBe(true);
+            expect(Project.can('reviewer', 'manage')).toBe(false);
+            expect(Project.can('contributor', 'edit')).toBe(true);
+            expect(Project.can('contributor', 'complete')).toBe(false);
+            expect(Project.can('viewer', 'view')).toBe(true);
+            expect(Project.can('viewer', 'edit')).toBe(false);
+            expect(Project.can(null, 'view')).toBe(false);
+        });
+
+        test('should report the role of members and null for others', () => {
+            const project = new Project('Test Project');
+            expect(Project.getRole(project, 'anyone')).toBeNull();
+
+            project.setMember('user-1', 'owner');
+            project.setMember('user-2', 'viewer');
+
+            expect(Project.getRole(project, 'user-2')).toBe('viewer');
+            expect(Project.getRole(project, 'anyone')).toBeNull();
+        });
+
+        test('should reject unknown roles and keep at least one owner', () => {
+            const project = new Project('Test Project');
+            project.setMember('user-1', 'owner');
+
+            expect(() => project.setMember('user-2', 'admin')).toThrow('Role must be one of');
+            expect(() => project.setMember('user-1', 'viewer')).toThrow('at least one owner');
+            expect(() => project.removeMember('user-1')).toThrow('at least one owner');
+
+            project.setMember('user-2', 'owner');
+            expect(project.removeMember('user-1')).toBe(true);
+            expect(project.removeMember('user-1')).toBe(false);
+        });
+    });
 });
 
 describe('Task Model', () => {
@@ -163,6 +284,21 @@ describe('Task Model', () => {
         });
     });
 
+    describe('validate', () => {
+        test('should pass validation with a title and description', () => {
+            expect(() => Task.validate({ title: 'Secret Scanning', description: 'Scan for secrets' })).not.toThrow();
+        });
+
+        test('should throw error when title is missing or blank', () => {
+            expect(() => Task.validate({})).toThrow('Task title is required');
+            expect(() => Task.validate({ title: '   ' })).toThrow('Task title is required');
+        });
+
+        test('should throw error when description is not a string', () => {
+            expect(() => Task.validate({ title: 'Task', description: 42 })).toThrow('Task description must be a string');
+        });
+    });
+
     describe('complete', () => {
         test('should mark task as completed with notes', () => {
             const task = new Task('planning', 'Test Task', 'Description');
@@ -187,35 +323,211 @@ describe('Task Model', () => {
     });
 
     describe('addEvidence', () => {
+        const record = filename => new Evidence({
+            filename,
+            originalName: filename,
+            size: 10,
+            mimeType: 'application/pdf',
+            sha256: 'a'.repeat(64)
+        });
+
         test('should add evidence file to task', () => {
             const task = new Task('planning', 'Test Task', 'Description');
-            const filename = 'evidence.pdf';
+            const evidence = record('evidence.pdf');
 
-            task.addEvidence(filename);
+            task.addEvidence(evidence);
 
-            expect(task.evidenceFiles).toContain(filename);
+            expect(task.evidenceFiles).toContain(evidence);
         });
 
         test('should not add duplicate evidence files', () => {
             const task = new Task('planning', 'Test Task', 'Description');
-            const filename = 'evidence.pdf';
 
-            task.addEvidence(filename);
-            task.addEvidence(filename);
+            task.addEvidence(record('evidence.pdf'));
+            task.addEvidence(record('evidence.pdf'));
 
             expect(task.evidenceFiles).toHaveLength(1);
-            expect(task.evidenceFiles[0]).toBe(filename);
+            expect(task.evidenceFiles[0].filename).toBe('evidence.pdf');
         });
 
         test('should add multiple different evidence files', () => {
             const task = new Task('planning', 'Test Task', 'Description');
 
-            task.addEvidence('evidence1.pdf');
-            task.addEvidence('evidence2.jpg');
+            task.addEvidence(record('evidence1.pdf'));
+            task.addEvidence(record('evidence2.jpg'));
+
+            expect(task.evidenceFiles.map(evidence => evidence.filename)).toEqual(['evidence1.pdf', 'evidence2.jpg']);
+        });
+    });
+});
+
+describe('Evidence Model', () => {
+    test('should record the uploader and upload time', () => {
+        const evidence = new Evidence({
+            filename: 'stored.txt',
+            originalName: 'scan.txt',
+            size: 4,
+            mimeType: 'text/plain',
+            sha256: 'b'.repeat(64),
+            uploadedBy: { id: 'user-1', username: 'alice', passwordHash: 'secret' }
+        });
+
+        expect(evidence.uploadedBy).toEqual({ userId: 'user-1', username: 'alice' });
+        expect(new Date(evidence.uploadedAt).toISOString()).toBe(evidence.uploadedAt);
+    });
+
+    test('should recover the original name and time from a legacy path', () => {
+        const evidence = Evidence.fromLegacyPath('project-1/task-1/2024-01-31T12-05-09-123Z_1a2b3c4d_threat_model.pdf');
+
+        expect(evidence.filename).toBe('2024-01-31T12-05-09-123Z_1a2b3c4d_threat_model.pdf');
+        expect(evidence.originalName).toBe('threat_model.pdf');
+        expect(evidence.uploadedAt).toBe('2024-01-31T12:05:09.123Z');
+        expect(evidence.sha256).toBeNull();
+        expect(evidence.uploadedBy).toBeNull();
+    });
+
+    test('should find entries saved as paths or as metadata', () => {
+        const evidenceFiles = ['p/t/legacy.txt', new Evidence({ filename: 'new.txt', originalName: 'new.txt' })];
+
+        expect(Evidence.find(evidenceFiles, 'legacy.txt').originalName).toBe('legacy.txt');
+        expect(Evidence.find(evidenceFiles, 'new.txt').originalName).toBe('new.txt');
+        expect(Evidence.find(evidenceFiles, 'missing.txt')).toBeUndefined();
+    });
+
+    describe('versions', () => {
+        const record = filename => new Evidence({ filename, originalName: 'pentest.pdf' });
+
+        test('should start each file as the current first version of its own item', () => {
+            expect(record('v1.pdf')).toMatchObject({ itemId: 'v1.pdf', version: 1, current: true });
+            expect(Evidence.isCurrent({ filename: 'old.pdf' })).toBe(true);
+            expect(Evidence.itemId(Evidence.normalize('p/t/legacy.pdf'))).toBe('legacy.pdf');
+        });
 
-            expect(task.evidenceFiles).toHaveLength(2);
-            expect(task.evidenceFiles).toContain('evidence1.pdf');
-            expect(task.evidenceFiles).toContain('evidence2.jpg');
+        test('should add a new current version and keep the earlier ones', () => {
+            const first = record('v1.pdf');
+            const evidenceFiles = [first, record('other.pdf')];
+
+            const withSecond = Evidence.addVersion(evidenceFiles, 'v1.pdf', record('v2.pdf'));
+            const withThird = Evidence.addVersion(withSecond, 'v1.pdf', record('v3.pdf'));
+
+            expect(withThird.map(evidence => [evidence.filename, evidence.itemId, evidence.version, evidence.current])).toEqual([
+                ['v1.pdf', 'v1.pdf', 1, false],
+                ['other.pdf', 'other.pdf', 1, true],
+                ['v2.pdf', 'v1.pdf', 2, false],
+                ['v3.pdf', 'v1.pdf', 3, true]
+            ]);
+            expect(first.current).toBe(true);
+            expect(Evidence.versions(withThird, 'v1.pdf').map(evidence => evidence.version)).toEqual([1, 2, 3]);
+            expect(Evidence.addVersion(evidenceFiles, 'missing.pdf', record('v2.pdf'))).toBeNull();
+        });
+
+        test('should turn a legacy path into a record when it gets a new version', () => {
+            const evidenceFiles = Evidence.addVersion(['p/t/legacy.pdf'], 'legacy.pdf', record('v2.pdf'));
+
+            expect(evidenceFiles[0]).toMatchObject({ filename: 'legacy.pdf', itemId: 'legacy.pdf', current: false });
+            expect(evidenceFiles[1]).toMatchObject({ itemId: 'legacy.pdf', version: 2, current: true });
+        });
+
+        test('should make the newest remaining version current when the current one is removed', () => {
+            let evidenceFiles = Evidence.addVersion([record('v1.pdf')], 'v1.pdf', record('v2.pdf'));
+            evidenceFiles = Evidence.addVersion(evidenceFiles, 'v2.pdf', record('v3.pdf'));
+
+            const withoutCurrent = Evidence.remove(evidenceFiles, 'v3.pdf');
+            expect(withoutCurrent.map(evidence => [evidence.filename, evidence.current])).toEqual([['v1.pdf', false], ['v2.pdf', true]]);
+
+            const withoutEarlier = Evidence.remove(evidenceFiles, 'v1.pdf');
+            expect(withoutEarlier.map(evidence => [evidence.filename, evidence.current])).toEqual([['v2.pdf', false], ['v3.pdf', true]]);
         });
     });
-});
\ No newline at end of file
+});
+
+describe('Template Model', () => {
+    describe('validate', () => {
+        test('should pass validation with valid template data', () => {
+            const validData = {
+                name: 'Data pipeline',
+                tasks: { planning: [{ title: 'Data Classification', description: 'Classify datasets' }] }
+            };
+            expect(() => Template.validate(validData)).not.toThrow();
+        });
+
+        test('should throw error when name is missing', () => {
+            expect(() => Template.validate({ tasks: {} })).toThrow('Template name is required');
+        });
+
+        test('should throw error when tasks are not a phase map', () => {
+            expect(() => Template.validate({ name: 'Template', tasks: [] })).toThrow('Template tasks are required');
+        });
+
+        test('should throw error for an unknown phase', () => {
+            expect(() => Template.validate({ name: 'Template', tasks: { operations: [] } }))
+                .toThrow('Invalid phase: operations');
+        });
+    });
+
+    describe('getBuiltInTemplates', () => {
+        test('should include the default web app checklist', () => {
+            const templates = Template.getBuiltInTemplates();
+            const webApp = templates.find(template => template.id === 'web-app');
+
+            expect(templates.map(template => template.name)).toEqual(['Web app', 'Mobile', 'Internal tool', 'PCI scope']);
+            expect(webApp.tasks.planning[0].title).toBe(Task.getDefaultTasks().planning[0].title);
+        });
+
+        test('should return copies that can be modified safely', () => {
+            Template.getBuiltInTemplates()[0].tasks.planning.push({ title: 'Extra' });
+
+            expect(Template.getBuiltInTemplates()[0].tasks.planning).toHaveLength(2);
+        });
+    });
+
+    describe('createTasks', () => {
+        test('should create fresh tasks for every project phase', () => {
+            const template = { tasks: { testing: [{ title: 'Fuzzing', description: 'Fuzz the parser' }] } };
+            const tasks = Template.createTasks(template);
+
+            expect(Object.keys(tasks)).toEqual(expect.arrayContaining(['planning', 'design', 'implementation', 'testing', 'deployment']));
+            expect(tasks.planning).toEqual([]);
+            expect(tasks.testing[0]).toBeInstanceOf(Task);
+            expect(tasks.testing[0].phase).toBe('testing');
+            expect(tasks.testing[0].title).toBe('Fuzzing');
+        });
+    });
+});
+
+describe('User Model', () => {
+    describe('create', () => {
+        test('should store a salted hash instead of the password', async () => {
+            const user = await User.create('alice', 'correct-horse-battery');
+            const other = await User.create('bob', 'correct-horse-battery');
+
+            expect(user.passwordHash).toMatch(/^scrypt\$/);
+            expect(user.passwordHash).not.toContain('correct-horse-battery');
+            expect(user.passwordHash).not.toBe(other.passwordHash);
+            expect(await user.checkPassword('correct-horse-battery')).toBe(true);
+            expect(await user.checkPassword('wrong-password')).toBe(false);
+        });
+
+        test('should reject invalid usernames and short passwords', async () => {
+            await expect(User.create('a', 'correct-horse-battery')).rejects.toThrow('Username');
+            await expect(User.create('has space', 'correct-horse-battery')).rejects.toThrow('Username');
+            await expect(User.create('alice', 'short')).rejects.toThrow('at least 8 characters');
+        });
+    });
+
+    describe('API tokens', () => {
+        test('should keep only the token hash and allow revoking', async () => {
+            const user = await User.create('alice', 'correct-horse-battery');
+            const { token, record } = user.createApiToken('CI');
+
+            expect(token).toMatch(/^ssdlc_/);
+            expect(JSON.stringify(user)).not.toContain(token);
+            expect(User.toPublic(user).apiTokens).toEqual([{ id: record.id, name: 'CI', createdDate: record.createdDate }]);
+            expect(User.toPublic(user)).not.toHaveProperty('passwordHash');
+
+            expect(user.revokeApiToken(record.id)).toBe(true);
+            expect(user.revokeApiToken(record.id)).toBe(false);
+            expect(user.apiTokens).toEqual([]);
+        });
+    });
+});
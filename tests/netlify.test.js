@@ -0,0 +1,216 @@
+const { handler } = require('../netlify/functions/api');
+const Storage = require('../utils/storage');
+const BlobStoreAdapter = require('../utils/storageAdapters/BlobStoreAdapter');
+const User = require('../models/User');
+const { createMemoryStore } = require('./helpers/memoryBlobStore');
+const { readZip } = require('./helpers/zip');
+
+let apiToken;
+
+function invoke(httpMethod, path, body, queryStringParameters = {}, headers = { authorization: `Bearer ${apiToken}` }) {
+    return handler({
+        httpMethod,
+        path,
+        headers: { 'content-type': 'application/json', ...headers },
+        queryStringParameters,
+        body: body === undefined ? null : JSON.stringify(body),
+        isBase64Encoded: false
+    }, {});
+}
+
+describe('Netlify API function', () => {
+    let store;
+
+    beforeEach(async () => {
+        store = createMemoryStore();
+        Storage.setAdapter(new BlobStoreAdapter(store));
+
+        const user = await User.create('deployer', 'correct-horse-battery');
+        apiToken = user.createApiToken('CI').token;
+        await Storage.saveUser(user);
+    });
+
+    afterAll(() => {
+        Storage.setAdapter(null);
+    });
+
+    test('should serve the same routes as the Express API', async () => {
+        const createResponse = await invoke('POST', '/api/projects', { name: 'Hosted Project', templateId: 'mobile' });
+        expect(createResponse.statusCode).toBe(201);
+
+        const project = JSON.parse(createResponse.body);
+
+        const detailsResponse = await invoke('GET', `/api/projects/${project.id}`);
+        expect(detailsResponse.statusCode).toBe(200);
+
+        const details = JSON.parse(detailsResponse.body);
+        expect(details.name).toBe('Hosted Project');
+        expect(details.tasks.planning.length).toBeGreaterThan(0);
+
+        const taskId = details.tasks.planning[0].id;
+        const updateResponse = await invoke('PUT', `/api/projects/${project.id}/tasks/${taskId}`, { completed: true });
+        expect(updateResponse.statusCode).toBe(200);
+        expect(JSON.parse(updateResponse.body).task.completed).toBe(true);
+    });
+
+    test('should require authentication', async () => {
+        const response = await invoke('GET', '/api/projects', undefined, {}, {});
+
+        expect(response.statusCode).toBe(401);
+        expect(JSON.parse(response.body).error).toBe('Authentication required');
+    });
+
+    test('should log in with a session cookie', async () => {
+        const loginResponse = await invoke('POST', '/api/auth/login', { username: 'deployer', password: 'correct-horse-battery' }, {}, {});
+        expect(loginResponse.statusCode).toBe(200);
+
+        const cookie = loginResponse.headers['Set-Cookie'].split(';')[0];
+        const meResponse = await invoke('GET', '/api/auth/me', undefined, {}, { cookie });
+
+        expect(meResponse.statusCode).toBe(200);
+        expect(JSON.parse(meResponse.body).username).toBe('deployer');
+    });
+
+    test('should keep the audit log in the blob store', async () => {
+        const createResponse = await invoke('POST', '/api/projects', { name: 'Audited Project' });
+        const project = JSON.parse(createResponse.body);
+        expect(createResponse.headers['X-Request-Id']).toEqual(expect.any(String));
+
+        await invoke('PATCH', `/api/projects/${project.id}`, { name: 'Renamed Project' });
+
+        const auditResponse = await invoke('GET', `/api/projects/${project.id}/audit`);
+        const entries = JSON.parse(auditResponse.body);
+
+        expect(entries.map(entry => entry.action)).toEqual(['project.create', 'project.update']);
+        expect(entries[1].before).toEqual({ name: 'Audited Project' });
+        expect(entries[1].actor.username).toBe('deployer');
+    });
+
+    test('should upload, list, download and delete evidence in the blob store', async () => {
+        const createResponse = await invoke('POST', '/api/projects', { name: 'Evidence Project' });
+        const project = JSON.parse(createResponse.body);
+        const details = JSON.parse((await invoke('GET', `/api/projects/${project.id}`)).body);
+        const taskId = details.tasks.planning[0].id;
+        const evidencePath = `/api/projects/${project.id}/tasks/${taskId}/evidence`;
+
+        const uploadResponse = await invoke('POST', evidencePath, {
+            files: [{ name: 'scan.txt', type: 'text/plain', content: Buffer.from('no findings').toString('base64') }]
+        });
+        expect(uploadResponse.statusCode).toBe(200);
+        const { filename } = JSON.parse(uploadResponse.body).uploadedFiles[0];
+
+        const listResponse = await invoke('GET', evidencePath);
+        expect(JSON.parse(listResponse.body)).toEqual([
+            expect.objectContaining({ filename, originalName: 'scan.txt', size: 11, uploadedBy: expect.objectContaining({ username: 'deployer' }) })
+        ]);
+
+        const downloadResponse = await invoke('GET', `${evidencePath}/${filename}`);
+        expect(downloadResponse.statusCode).toBe(200);
+        expect(downloadResponse.headers['Content-Disposition']).toContain('attachment');
+        expect(Buffer.from(downloadResponse.body, 'base64').toString()).toBe('no findings');
+
+        const previewResponse = await invoke('GET', `${evidencePath}/${filename}`, undefined, { disposition: 'inline' });
+        expect(previewResponse.headers['Content-Type']).toBe('text/plain; charset=utf-8');
+        expect(previewResponse.headers['Content-Security-Policy']).toMatch(/; sandbox$/);
+
+        const deleteResponse = await invoke('DELETE', `${evidencePath}/${filename}`);
+        expect(deleteResponse.statusCode).toBe(200);
+        expect(await store.list({ prefix: 'evidence/' })).toEqual({ blobs: [] });
+    });
+
+    test('should return the evidence export as a base64 ZIP', async () => {
+        const project = JSON.parse((await invoke('POST', '/api/projects', { name: 'Export Project' })).body);
+        const details = JSON.parse((await invoke('GET', `/api/projects/${project.id}`)).body);
+        await invoke('POST', `/api/projects/${project.id}/tasks/${details.tasks.planning[0].id}/evidence`, {
+            files: [{ name: 'scan.txt', type: 'text/plain', content: Buffer.from('no findings').toString('base64') }]
+        });
+
+        const response = await invoke('GET', `/api/projects/${project.id}/evidence/export`);
+
+        expect(response.statusCode).toBe(200);
+        expect(response.isBase64Encoded).toBe(true);
+        expect(response.headers['Content-Type']).toBe('application/zip');
+        const files = await readZip(Buffer.from(response.body, 'base64'));
+        const manifest = JSON.parse(files['manifest.json']);
+        expect(files[manifest.phases[0].tasks[0].evidence[0].path].toString()).toBe('no findings');
+    });
+
+    test('should ask for JSON when evidence is sent as multipart', async () => {
+        const createResponse = await invoke('POST', '/api/projects', { name: 'Multipart Project' });
+        const project = JSON.parse(createResponse.body);
+        const details = JSON.parse((await invoke('GET', `/api/projects/${project.id}`)).body);
+
+        const response = await handler({
+            httpMethod: 'POST',
+            path: `/api/projects/${project.id}/tasks/${details.tasks.planning[0].id}/evidence`,
+            headers: { 'content-type': 'multipart/form-data; boundary=x', authorization: `Bearer ${apiToken}` },
+            body: '--x--',
+            isBase64Encoded: false
+        }, {});
+
+        expect(response.statusCode).toBe(415);
+    });
+
+    test('should accept requests on the function URL', async () => {
+        const response = await invoke('GET', '/.netlify/functions/api/templates');
+
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body).map(template => template.id)).toContain('web-app');
+    });
+
+    test('should keep data in the blob store so reports find projects', async () => {
+        const createResponse = await invoke('POST', '/api/projects', { name: 'Reported Project' });
+        const project = JSON.parse(createResponse.body);
+
+        // A cold start gets a fresh adapter on the same store
+        Storage.setAdapter(new BlobStoreAdapter(store));
+
+        const reportResponse = await invoke('GET', `/api/projects/${project.id}/report`);
+
+        expect(reportResponse.statusCode).toBe(200);
+        expect(reportResponse.headers['Content-Type']).toBe('application/pdf');
+        expect(reportResponse.isBase64Encoded).toBe(true);
+        expect(Buffer.from(reportResponse.body, 'base64').slice(0, 4).toString()).toBe('%PDF');
+    });
+
+    test('should pass query parameters to the handlers', async () => {
+        const createResponse = await invoke('POST', '/api/projects', { name: 'Archived Project' });
+        const project = JSON.parse(createResponse.body);
+        await invoke('POST', `/api/projects/${project.id}/archive`);
+
+        const activeResponse = await invoke('GET', '/api/projects');
+        expect(JSON.parse(activeResponse.body)).toEqual([]);
+
+        const allResponse = await invoke('GET', '/api/projects', undefined, { includeArchived: 'true' });
+        expect(JSON.parse(allResponse.body)).toHaveLength(1);
+    });
+
+    test('should return handler errors as JSON', async () => {
+        const response = await invoke('POST', '/api/projects', { name: '' });
+
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).error).toContain('required');
+    });
+
+    test('should return 400 error for malformed JSON', async () => {
+        const response = await handler({ httpMethod: 'POST', path: '/api/projects', body: '{"name":', headers: {} }, {});
+
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).error).toBe('Invalid JSON format in request body');
+    });
+
+    test('should return 400 for a malformed percent-encoding in the path', async () => {
+        const response = await invoke('GET', '/api/projects/%E0%A4%A');
+
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).error).toBe('Invalid id in the request path');
+    });
+
+    test('should return 404 for unknown routes and 405 for unsupported methods', async () => {
+        const notFound = await invoke('GET', '/api/unknown');
+        expect(notFound.statusCode).toBe(404);
+
+        const notAllowed = await invoke('PUT', '/api/projects');
+        expect(notAllowed.statusCode).toBe(405);
+    });
+});
@@ -1,7 +1,7 @@
-const request = require('supertest');
 const fs = require('fs');
 const path = require('path');
 const app = require('../server');
+const { loginAs } = require('./helpers/auth');
 
 // Test data directory
 const TEST_DATA_DIR = path.join(__dirname, '..', 'data');
@@ -9,6 +9,12 @@ const TEST_PROJECTS_FILE = path.join(TEST_DATA_DIR, 'projects.json');
 const TEST_TASKS_FILE = path.join(TEST_DATA_DIR, 'tasks.json');
 
 describe('Project API Endpoints', () => {
+    let api;
+
+    beforeAll(async () => {
+        api = await loginAs(app);
+    });
+
     // Clean up test data before and after tests
     beforeEach(() => {
         // Ensure clean state for each test
@@ -32,7 +38,7 @@ describe('Project API Endpoints', () => {
 
     describe('GET /api/projects', () => {
         test('should return empty array when no projects exist', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/projects')
                 .expect(200);
 
@@ -41,13 +47,13 @@ describe('Project API Endpoints', () => {
 
         test('should return list of projects when projects exist', async () => {
             // First create a project
-            await request(app)
+            await api
                 .post('/api/projects')
                 .send({ name: 'Test Project' })
                 .expect(201);
 
             // Then get all projects
-            const response = await request(app)
+            const response = await api
                 .get('/api/projects')
                 .expect(200);
 
@@ -58,13 +64,31 @@ describe('Project API Endpoints', () => {
             expect(response.body[0]).toHaveProperty('phases');
             expect(response.body[0]).toHaveProperty('overallStatus', 'In Progress');
         });
+
+        test('should return 500 error instead of an empty list when the data file is corrupt', async () => {
+            fs.writeFileSync(TEST_PROJECTS_FILE, '[{"id": "truncated');
+
+            const response = await api
+                .get('/api/projects')
+                .expect(500);
+
+            expect(response.body.error).toBe('Failed to fetch projects');
+
+            // Creating a project must not replace the unreadable file
+            await api
+                .post('/api/projects')
+                .send({ name: 'New Project' })
+                .expect(500);
+
+            expect(fs.readFileSync(TEST_PROJECTS_FILE, 'utf8')).toBe('[{"id": "truncated');
+        });
     });
 
     describe('POST /api/projects', () => {
         test('should create a new project with valid data', async () => {
             const projectData = { name: 'New Test Project' };
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/projects')
                 .send(projectData)
                 .expect(201);
@@ -91,7 +115,7 @@ describe('Project API Endpoints', () => {
         });
 
         test('should return 400 error when name is missing', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/projects')
                 .send({})
                 .expect(400);
@@ -101,7 +125,7 @@ describe('Project API Endpoints', () => {
         });
 
         test('should return 400 error when name is empty string', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/projects')
                 .send({ name: '' })
                 .expect(400);
@@ -111,7 +135,7 @@ describe('Project API Endpoints', () => {
         });
 
         test('should return 400 error when name is only whitespace', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/projects')
                 .send({ name: '   ' })
                 .expect(400);
@@ -119,12 +143,42 @@ describe('Project API Endpoints', () => {
             expect(response.body).toHaveProperty('error');
             expect(response.body.error).toContain('required');
         });
+
+        test('should create a project with custom phases', async () => {
+            const phases = [
+                { key: 'build', name: 'Build' },
+                { key: 'operate-monitor', name: 'Operate/Monitor' }
+            ];
+
+            const response = await api
+                .post('/api/projects')
+                .send({ name: 'Custom Phase Project', phases })
+                .expect(201);
+
+            expect(Object.keys(response.body.phases)).toEqual(['build', 'operate-monitor']);
+            expect(response.body.phases['operate-monitor'].name).toBe('Operate/Monitor');
+
+            const detailsResponse = await api
+                .get(`/api/projects/${response.body.id}`)
+                .expect(200);
+
+            expect(detailsResponse.body.tasks).toEqual({ build: [], 'operate-monitor': [] });
+        });
+
+        test('should return 400 error for an invalid phase list', async () => {
+            const response = await api
+                .post('/api/projects')
+                .send({ name: 'Broken Phases', phases: [{ key: 'build', name: 'Build' }, { key: 'build', name: 'Again' }] })
+                .expect(400);
+
+            expect(response.body.error).toBe('Duplicate phase: build');
+        });
     });
 
     describe('GET /api/projects/:id', () => {
         test('should return project details with tasks when project exists', async () => {
             // First create a project
-            const createResponse = await request(app)
+            const createResponse = await api
                 .post('/api/projects')
                 .send({ name: 'Test Project for Details' })
                 .expect(201);
@@ -132,7 +186,7 @@ describe('Project API Endpoints', () => {
             const projectId = createResponse.body.id;
 
             // Then get project details
-            const response = await request(app)
+            const response = await api
                 .get(`/api/projects/${projectId}`)
                 .expect(200);
 
@@ -157,35 +211,237 @@ describe('Project API Endpoints', () => {
         });
 
         test('should return 404 error when project does not exist', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/projects/nonexistent-id')
                 .expect(404);
 
             expect(response.body).toHaveProperty('error', 'Project not found');
         });
     });
+
+    describe('PATCH /api/projects/:id', () => {
+        test('should rename an existing project', async () => {
+            const createResponse = await api
+                .post('/api/projects')
+                .send({ name: 'Original Name' })
+                .expect(201);
+
+            const response = await api
+                .patch(`/api/projects/${createResponse.body.id}`)
+                .send({ name: '  Renamed Project  ' })
+                .expect(200);
+
+            expect(response.body.name).toBe('Renamed Project');
+
+            const detailsResponse = await api
+                .get(`/api/projects/${createResponse.body.id}`)
+                .expect(200);
+
+            expect(detailsResponse.body.name).toBe('Renamed Project');
+        });
+
+        test('should return 400 error when name is empty', async () => {
+            const createResponse = await api
+                .post('/api/projects')
+                .send({ name: 'Original Name' });
+
+            const response = await api
+                .patch(`/api/projects/${createResponse.body.id}`)
+                .send({ name: '' })
+                .expect(400);
+
+            expect(response.body.error).toContain('required');
+        });
+
+        test('should add and reorder phases while keeping existing tasks', async () => {
+            const createResponse = await api
+                .post('/api/projects')
+                .send({ name: 'Phase Project' });
+
+            const phases = [
+                { key: 'operations', name: 'Operations' },
+                ...['planning', 'design', 'implementation', 'testing', 'deployment']
+                    .map(key => ({ key, name: createResponse.body.phases[key].name }))
+            ];
+
+            const response = await api
+                .patch(`/api/projects/${createResponse.body.id}`)
+                .send({ phases })
+                .expect(200);
+
+            expect(Object.keys(response.body.phases)[0]).toBe('operations');
+            expect(response.body.name).toBe('Phase Project');
+
+            const detailsResponse = await api
+                .get(`/api/projects/${createResponse.body.id}`)
+                .expect(200);
+
+            expect(Object.keys(detailsResponse.body.tasks)[0]).toBe('operations');
+            expect(detailsResponse.body.tasks.operations).toEqual([]);
+            expect(detailsResponse.body.tasks.planning).toHaveLength(2);
+        });
+
+        test('should return 400 error when a dropped phase still has tasks', async () => {
+            const createResponse = await api
+                .post('/api/projects')
+                .send({ name: 'Phase Project' });
+
+            const response = await api
+                .patch(`/api/projects/${createResponse.body.id}`)
+                .send({ phases: [{ key: 'planning', name: 'Planning' }] })
+                .expect(400);
+
+            expect(response.body.error).toBe('Phase design still has tasks');
+        });
+
+        test('should return 404 error when project does not exist', async () => {
+            const response = await api
+                .patch('/api/projects/nonexistent-id')
+                .send({ name: 'New Name' })
+                .expect(404);
+
+            expect(response.body.error).toBe('Project not found');
+        });
+    });
+
+    describe('POST /api/projects/:id/archive and /restore', () => {
+        test('should hide archived projects from the default project list', async () => {
+            const createResponse = await api
+                .post('/api/projects')
+                .send({ name: 'Project To Archive' });
+
+            const projectId = createResponse.body.id;
+
+            const archiveResponse = await api
+                .post(`/api/projects/${projectId}/archive`)
+                .expect(200);
+
+            expect(archiveResponse.body.archived).toBe(true);
+            expect(archiveResponse.body.archivedDate).toBeDefined();
+
+            const listResponse = await api
+                .get('/api/projects')
+                .expect(200);
+
+            expect(listResponse.body).toHaveLength(0);
+
+            const fullListResponse = await api
+                .get('/api/projects?includeArchived=true')
+                .expect(200);
+
+            expect(fullListResponse.body).toHaveLength(1);
+            expect(fullListResponse.body[0].id).toBe(projectId);
+        });
+
+        test('should restore an archived project', async () => {
+            const createResponse = await api
+                .post('/api/projects')
+                .send({ name: 'Project To Restore' });
+
+            const projectId = createResponse.body.id;
+
+            await api
+                .post(`/api/projects/${projectId}/archive`)
+                .expect(200);
+
+            const restoreResponse = await api
+                .post(`/api/projects/${projectId}/restore`)
+                .expect(200);
+
+            expect(restoreResponse.body.archived).toBe(false);
+            expect(restoreResponse.body.archivedDate).toBeNull();
+
+            const listResponse = await api
+                .get('/api/projects')
+                .expect(200);
+
+            expect(listResponse.body).toHaveLength(1);
+        });
+
+        test('should return 404 error when project does not exist', async () => {
+            const response = await api
+                .post('/api/projects/nonexistent-id/archive')
+                .expect(404);
+
+            expect(response.body.error).toBe('Project not found');
+        });
+    });
+
+    describe('DELETE /api/projects/:id', () => {
+        test('should delete project, its tasks and its evidence files', async () => {
+            const createResponse = await api
+                .post('/api/projects')
+                .send({ name: 'Project To Delete' });
+
+            const projectId = createResponse.body.id;
+
+            const detailsResponse = await api
+                .get(`/api/projects/${projectId}`);
+
+            const taskId = detailsResponse.body.tasks.planning[0].id;
+            const testFilePath = path.join(__dirname, 'test-delete-evidence.txt');
+            fs.writeFileSync(testFilePath, 'Evidence to be deleted');
+
+            await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .attach('evidence', testFilePath)
+                .expect(200);
+
+            fs.unlinkSync(testFilePath);
+
+            const projectUploadDir = path.join(__dirname, '..', 'uploads', projectId);
+            expect(fs.existsSync(projectUploadDir)).toBe(true);
+
+            const response = await api
+                .delete(`/api/projects/${projectId}`)
+                .expect(200);
+
+            expect(response.body.message).toBe('Project deleted successfully');
+            expect(fs.existsSync(projectUploadDir)).toBe(false);
+
+            await api
+                .get(`/api/projects/${projectId}`)
+                .expect(404);
+
+            const tasks = JSON.parse(fs.readFileSync(TEST_TASKS_FILE, 'utf8'));
+            expect(tasks[projectId]).toBeUndefined();
+        });
+
+        test('should return 404 error when project does not exist', async () => {
+            const response = await api
+                .delete('/api/projects/nonexistent-id')
+                .expect(404);
+
+            expect(response.body.error).toBe('Project not found');
+        });
+    });
 });   
  describe('PUT /api/projects/:id/tasks/:taskId', () => {
+        let api;
         let projectId;
         let taskId;
 
+        beforeAll(async () => {
+            api = await loginAs(app);
+        });
+
         beforeEach(async () => {
             // Create a project first
-            const response = await request(app)
+            const response = await api
                 .post('/api/projects')
                 .send({ name: 'Test Project for Task Updates' });
             
             projectId = response.body.id;
             
             // Get the project to find a task ID
-            const projectResponse = await request(app)
+            const projectResponse = await api
                 .get(`/api/projects/${projectId}`);
             
             taskId = projectResponse.body.tasks.planning[0].id;
         });
 
         it('should update task completion status', async () => {
-            const response = await request(app)
+            const response = await api
                 .put(`/api/projects/${projectId}/tasks/${taskId}`)
                 .send({ completed: true, notes: 'Task completed successfully' })
                 .expect(200);
@@ -197,7 +453,7 @@ describe('Project API Endpoints', () => {
         });
 
         it('should update task notes without changing completion status', async () => {
-            const response = await request(app)
+            const response = await api
                 .put(`/api/projects/${projectId}/tasks/${taskId}`)
                 .send({ completed: false, notes: 'Updated notes' })
                 .expect(200);
@@ -209,20 +465,20 @@ describe('Project API Endpoints', () => {
 
         it('should automatically complete phase when all tasks are completed', async () => {
             // Get all planning tasks
-            const projectResponse = await request(app)
+            const projectResponse = await api
                 .get(`/api/projects/${projectId}`);
             
             const planningTasks = projectResponse.body.tasks.planning;
             
             // Complete all planning tasks
             for (const task of planningTasks) {
-                await request(app)
+                await api
                     .put(`/api/projects/${projectId}/tasks/${task.id}`)
                     .send({ completed: true, notes: 'Completed' });
             }
             
             // Check that planning phase is completed
-            const updatedProjectResponse = await request(app)
+            const updatedProjectResponse = await api
                 .get(`/api/projects/${projectId}`);
             
             expect(updatedProjectResponse.body.phases.planning.completed).toBe(true);
@@ -230,7 +486,7 @@ describe('Project API Endpoints', () => {
         });
 
         it('should return 404 error when project does not exist', async () => {
-            const response = await request(app)
+            const response = await api
                 .put('/api/projects/nonexistent-id/tasks/some-task-id')
                 .send({ completed: true })
                 .expect(404);
@@ -239,7 +495,7 @@ describe('Project API Endpoints', () => {
         });
 
         it('should return 404 error when task does not exist', async () => {
-            const response = await request(app)
+            const response = await api
                 .put(`/api/projects/${projectId}/tasks/nonexistent-task-id`)
                 .send({ completed: true })
                 .expect(404);
@@ -1,18 +1,45 @@
-const request = require('supertest');
 const app = require('../server');
+const { ensureUser, loginAs } = require('./helpers/auth');
 const Storage = require('../utils/storage');
 const Project = require('../models/Project');
 const Task = require('../models/Task');
+const { buildReportData, auditTrail, buildPortfolioData, portfolioFocusPhases, skippedTasks } = require('../utils/reportData');
+const {
+    DEFAULT_REPORT_CONFIG,
+    normalizeReportConfig,
+    resolveReportConfig,
+    summarizeReportConfig
+} = require('../utils/reportConfig');
+const renderPdf = require('../utils/reportFormats/pdf');
+const renderCsv = require('../utils/reportFormats/csv');
+const renderHtml = require('../utils/reportFormats/html');
+const renderMarkdown = require('../utils/reportFormats/markdown');
+const { pdfText } = require('../utils/reportFormats/pdfLayout');
+
+// The text lines drawn in a PDF, in drawing order
+function pdfLines(buffer) {
+    return [...buffer.toString('latin1').matchAll(/\((.*)\) Tj/g)]
+        .map(match => match[1].replace(/\\([()\\])/g, '$1'));
+}
 
 describe('Report Generation API', () => {
+    let api;
+    let tester;
+
+    beforeAll(async () => {
+        api = await loginAs(app);
+        tester = await ensureUser();
+    });
+
     let testProject;
     
-    beforeEach(() => {
+    beforeEach(async () => {
         // Create a test project with some completed tasks
         testProject = new Project('Test Report Project');
+        testProject.setMember(tester.id, 'owner');
         
         // Save the project
-        Storage.saveProject(testProject);
+        await Storage.saveProject(testProject);
         
         // Create and save some test tasks
         const defaultTasks = Task.getDefaultTasks();
@@ -27,16 +54,16 @@ describe('Report Generation API', () => {
         
         // Update project phase status
         testProject.updatePhaseStatus('planning', true);
-        Storage.saveProject(testProject);
+        await Storage.saveProject(testProject);
         
-        Storage.saveTasksForProject(testProject.id, defaultTasks);
+        await Storage.saveTasksForProject(testProject.id, defaultTasks);
     });
     
-    afterEach(() => {
+    afterEach(async () => {
         // Clean up test data
-        const projects = Storage.readProjects();
+        const projects = await Storage.readProjects();
         const filteredProjects = projects.filter(p => p.id !== testProject.id);
-        Storage.writeProjects(filteredProjects);
+        await Storage.writeProjects(filteredProjects);
         
         // Clean up tasks
         try {
@@ -53,7 +80,7 @@ describe('Report Generation API', () => {
     
     describe('GET /api/projects/:id/report', () => {
         test('should generate PDF report for existing project', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/projects/${testProject.id}/report`)
                 .expect(200);
             
@@ -73,7 +100,7 @@ describe('Report Generation API', () => {
         });
         
         test('should return 404 for non-existent project', async () => {
-            const response = await request(app)
+            const response = await api
                 .get('/api/projects/non-existent-id/report')
                 .expect(404);
             
@@ -89,7 +116,7 @@ describe('Report Generation API', () => {
                 throw new Error('Database error');
             });
             
-            const response = await request(app)
+            const response = await api
                 .get(`/api/projects/${testProject.id}/report`)
                 .expect(500);
             
@@ -102,7 +129,7 @@ describe('Report Generation API', () => {
         });
         
         test('should include project information in report filename', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/projects/${testProject.id}/report`)
                 .expect(200);
             
@@ -112,7 +139,7 @@ describe('Report Generation API', () => {
         });
         
         test('should generate report with correct content structure', async () => {
-            const response = await request(app)
+            const response = await api
                 .get(`/api/projects/${testProject.id}/report`)
                 .expect(200);
             
@@ -127,10 +154,25 @@ describe('Report Generation API', () => {
     });
     
     describe('Report Content Validation', () => {
+        test('should list evidence hashes of completed tasks', async () => {
+            const tasks = await Storage.getTasksForProject(testProject.id);
+            const sha256 = 'a'.repeat(64);
+            tasks.planning[0].evidenceFiles = [{ filename: 'stored.txt', originalName: 'threat-model.txt', sha256 }];
+            await Storage.saveTasksForProject(testProject.id, tasks);
+
+            const response = await api
+                .get(`/api/projects/${testProject.id}/report`)
+                .expect(200);
+
+            const text = response.body.toString('latin1');
+            expect(text).toContain('threat-model.txt');
+            expect(text).toContain(`SHA-256: ${sha256}`);
+        });
+
         test('should calculate security score correctly', async () => {
             // This test verifies the report generation logic by checking the endpoint works
             // The actual PDF content validation would require PDF parsing libraries
-            const response = await request(app)
+            const response = await api
                 .get(`/api/projects/${testProject.id}/report`)
                 .expect(200);
             
@@ -141,12 +183,13 @@ describe('Report Generation API', () => {
         test('should handle projects with no completed tasks', async () => {
             // Create a project with no completed tasks
             const emptyProject = new Project('Empty Test Project');
-            Storage.saveProject(emptyProject);
+            emptyProject.setMember(tester.id, 'owner');
+            await Storage.saveProject(emptyProject);
             
             const defaultTasks = Task.getDefaultTasks();
-            Storage.saveTasksForProject(emptyProject.id, defaultTasks);
+            await Storage.saveTasksForProject(emptyProject.id, defaultTasks);
             
-            const response = await request(app)
+            const response = await api
                 .get(`/api/projects/${emptyProject.id}/report`)
                 .expect(200);
             
@@ -154,14 +197,14 @@ describe('Report Generation API', () => {
             expect(response.body.length).toBeGreaterThan(0);
             
             // Clean up
-            const projects = Storage.readProjects();
+            const projects = await Storage.readProjects();
             const filteredProjects = projects.filter(p => p.id !== emptyProject.id);
-            Storage.writeProjects(filteredProjects);
+            await Storage.writeProjects(filteredProjects);
         });
         
         test('should handle projects with all completed tasks', async () => {
             // Mark all tasks as completed
-            const allTasks = Storage.getTasksForProject(testProject.id);
+            const allTasks = await Storage.getTasksForProject(testProject.id);
             
             for (const phase in allTasks) {
                 allTasks[phase].forEach(task => {
@@ -171,10 +214,10 @@ describe('Report Generation API', () => {
                 testProject.updatePhaseStatus(phase, true);
             }
             
-            Storage.saveProject(testProject);
-            Storage.saveTasksForProject(testProject.id, allTasks);
+            await Storage.saveProject(testProject);
+            await Storage.saveTasksForProject(testProject.id, allTasks);
             
-            const response = await request(app)
+            const response = await api
                 .get(`/api/projects/${testProject.id}/report`)
                 .expect(200);
             
@@ -182,4 +225,789 @@ describe('Report Generation API', () => {
             expect(response.body.length).toBeGreaterThan(0);
         });
     });
-});
\ No newline at end of file
+    
+    describe('PDF layout', () => {
+        test('should open with a cover page and number the pages after it', async () => {
+            const response = await api
+                .get(`/api/projects/${testProject.id}/report`)
+                .expect(200);
+
+            const lines = pdfLines(response.body);
+            const today = new Date().toISOString().split('T')[0];
+            expect(lines.slice(0, 3)).toEqual(['SSDLC Security Report', 'Test Report Project', `Report date: ${today}`]);
+            expect(lines).toContain(`SSDLC Security Report: Test Report Project (${today})`);
+
+            const pages = lines.filter(line => /^Page \d+ of \d+$/.test(line));
+            const total = Number(pages[0].split(' of ')[1]);
+            expect(pages).toEqual(Array.from({ length: total - 1 }, (_, index) => `Page ${index + 2} of ${total}`));
+        });
+
+        test('should chart each phase\'s progress', async () => {
+            const response = await api
+                .get(`/api/projects/${testProject.id}/report`)
+                .expect(200);
+
+            const lines = pdfLines(response.body);
+            const planning = Task.getDefaultTasks().planning.length;
+            expect(lines).toContain('Phase Progress');
+            expect(lines).toContain(`1/${planning} (${Math.round(100 / planning)}%)`);
+            expect(lines).toEqual(expect.arrayContaining(['Complete', 'In progress', 'Not started']));
+            // Filled bars are drawn as rectangles
+            expect(response.body.toString('latin1')).toMatch(/ re\nf/);
+        });
+
+        test('should include full notes and keep to characters the PDF font can draw', async () => {
+            const tasks = await Storage.getTasksForProject(testProject.id);
+            tasks.planning[0].notes = `${'Reviewed the data flow diagrams with the team. '.repeat(5)}Sign-off “approved” ✓ by the architect.`;
+            await Storage.saveTasksForProject(testProject.id, tasks);
+
+            const response = await api
+                .get(`/api/projects/${testProject.id}/report`)
+                .expect(200);
+
+            const text = pdfLines(response.body).join(' ');
+            expect(text).toContain('Sign-off "approved" x by the architect.');
+            expect(text).not.toMatch(/[✓⚠○•]/);
+            expect(response.body.toString('latin1')).not.toContain('\u0000');
+        });
+
+        test('should list evidence files and hashes in an appendix', async () => {
+            const tasks = await Storage.getTasksForProject(testProject.id);
+            tasks.planning[0].evidenceFiles = [
+                { filename: 'v1.txt', originalName: 'scan.txt', itemId: 'v1.txt', version: 1, current: false, size: 10, sha256: 'd'.repeat(64) },
+                { filename: 'v2.txt', originalName: 'scan.txt', itemId: 'v1.txt', version: 2, current: true, size: 20, sha256: 'e'.repeat(64) }
+            ];
+            await Storage.saveTasksForProject(testProject.id, tasks);
+
+            const response = await api
+                .get(`/api/projects/${testProject.id}/report`)
+                .expect(200);
+
+            const lines = pdfLines(response.body);
+            const appendix = lines.slice(lines.indexOf('Appendix: Evidence Files'));
+            expect(lines).toContain('Evidence: 2 file(s), listed in the appendix');
+            expect(appendix).toEqual(expect.arrayContaining([
+                '- scan.txt',
+                'version 1 (superseded), 10B',
+                `SHA-256: ${'d'.repeat(64)}`,
+                'version 2, 20B',
+                `SHA-256: ${'e'.repeat(64)}`
+            ]));
+        });
+
+        test('should replace characters outside Latin-1', () => {
+            expect(pdfText('Café – “ok” ✓ 日本\tend')).toBe('Café - "ok" x ?? end');
+        });
+    });
+
+    describe('Report formats', () => {
+        test('should return the report data as JSON', async () => {
+            const response = await api
+                .get(`/api/projects/${testProject.id}/report?format=json`)
+                .expect('Content-Type', /application\/json/)
+                .expect(200);
+
+            const tasks = Task.getDefaultTasks();
+            const total = Object.values(tasks).reduce((sum, phaseTasks) => sum + phaseTasks.length, 0);
+            expect(response.body.project).toMatchObject({ id: testProject.id, name: 'Test Report Project' });
+            expect(response.body.totals).toEqual({ tasks: total, completed: 2, outstanding: total - 2 });
+            expect(response.body.securityScore).toBe(Math.round((2 / total) * 100));
+            expect(response.body.phases[0]).toMatchObject({
+                key: 'planning',
+                completed: 1,
+                total: tasks.planning.length,
+                status: 'complete'
+            });
+            expect(response.body.phases[1]).toMatchObject({ key: 'design', completed: 1, status: 'in-progress' });
+            expect(response.body.completedTasks.map(task => task.title)).toEqual([tasks.planning[0].title, tasks.design[0].title]);
+            expect(response.body.completedTasks[0].notes).toBe('Test notes for completed task');
+            expect(response.body.outstandingTasks).toHaveLength(total - 2);
+        });
+
+        test('should include the evidence of outstanding tasks', async () => {
+            const tasks = await Storage.getTasksForProject(testProject.id);
+            tasks.design[1].evidenceFiles = [{ filename: 'draft.txt', originalName: 'draft-review.txt', size: 12, sha256: 'f'.repeat(64) }];
+            await Storage.saveTasksForProject(testProject.id, tasks);
+
+            const json = await api.get(`/api/projects/${testProject.id}/report?format=json`).expect(200);
+            const outstanding = json.body.outstandingTasks.find(task => task.id === tasks.design[1].id);
+            expect(outstanding.evidence).toEqual([expect.objectContaining({ originalName: 'draft-review.txt', sha256: 'f'.repeat(64) })]);
+
+            const csv = await api.get(`/api/projects/${testProject.id}/report?format=csv`).expect(200);
+            expect(csv.text).toContain('draft-review.txt');
+            const markdown = await api.get(`/api/projects/${testProject.id}/report?format=markdown`).expect(200);
+            expect(markdown.text).toContain('draft-review.txt');
+
+            const pdf = await api.get(`/api/projects/${testProject.id}/report`).expect(200);
+            const appendix = pdfLines(pdf.body).slice(pdfLines(pdf.body).indexOf('Appendix: Evidence Files'));
+            expect(appendix).toEqual(expect.arrayContaining(['- draft-review.txt', `SHA-256: ${'f'.repeat(64)}`]));
+        });
+
+        test('should return the report as a CSV download', async () => {
+            const response = await api
+                .get(`/api/projects/${testProject.id}/report?format=csv`)
+                .expect(200);
+
+            expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+            expect(response.headers['content-disposition']).toContain('SSDLC_Report_Test_Report_Project_');
+            expect(response.headers['content-disposition']).toContain('.csv');
+
+            const lines = response.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+            expect(lines[0]).toBe('Record,Phase,Task,Status,Completed Tasks,Total Tasks,Percentage,Completed Date,Notes,Evidence Files');
+            expect(lines[1]).toMatch(/^project,,Test Report Project,/);
+            expect(lines).toContainEqual(expect.stringMatching(/^phase,Planning,,complete,1,/));
+            expect(lines).toContainEqual(expect.stringContaining('Test notes for completed task'));
+        });
+
+        test('should choose the format from the Accept header', async () => {
+            const json = await api
+                .get(`/api/projects/${testProject.id}/report`)
+                .set('Accept', 'application/json')
+                .expect(200);
+            expect(json.headers['content-type']).toMatch(/application\/json/);
+            expect(json.headers.vary).toContain('Accept');
+
+            const csv = await api
+                .get(`/api/projects/${testProject.id}/report`)
+                .set('Accept', 'application/pdf;q=0.5, text/csv')
+                .expect(200);
+            expect(csv.headers['content-type']).toBe('text/csv; charset=utf-8');
+
+            const html = await api
+                .get(`/api/projects/${testProject.id}/report`)
+                .set('Accept', 'text/html,application/xhtml+xml,*/*;q=0.8')
+                .expect(200);
+            expect(html.headers['content-type']).toBe('text/html; charset=utf-8');
+
+            const pdf = await api
+                .get(`/api/projects/${testProject.id}/report`)
+                .set('Accept', 'image/png, */*;q=0.8')
+                .expect(200);
+            expect(pdf.headers['content-type']).toBe('application/pdf');
+        });
+
+        test('should prefer a type the client names over one it accepts through a wildcard', async () => {
+            // What axios and many other HTTP clients send by default
+            const json = await api
+                .get(`/api/projects/${testProject.id}/report`)
+                .set('Accept', 'application/json, text/plain, */*')
+                .expect(200);
+            expect(json.headers['content-type']).toMatch(/application\/json/);
+
+            const text = await api
+                .get(`/api/projects/${testProject.id}/report`)
+                .set('Accept', 'text/*, */*')
+                .expect(200);
+            expect(text.headers['content-type']).toBe('text/csv; charset=utf-8');
+        });
+
+        test('should let the format parameter override the Accept header', async () => {
+            const response = await api
+                .get(`/api/projects/${testProject.id}/report?format=json`)
+                .set('Accept', 'application/pdf')
+                .expect(200);
+
+            expect(response.body.securityScore).toBeDefined();
+        });
+
+        test('should reject unknown formats', async () => {
+            const response = await api
+                .get(`/api/projects/${testProject.id}/report?format=docx`)
+                .expect(400);
+            expect(response.body.error).toBe('format must be one of: pdf, json, csv, html, markdown');
+
+            const unacceptable = await api
+                .get(`/api/projects/${testProject.id}/report`)
+                .set('Accept', 'image/png')
+                .expect(406);
+            expect(unacceptable.body.error).toBe('Reports are available as application/pdf, application/json, text/csv, text/html, text/markdown');
+        });
+
+        test('should return a self-contained HTML report', async () => {
+            const tasks = await Storage.getTasksForProject(testProject.id);
+            const sha256 = 'b'.repeat(64);
+            tasks.planning[0].evidenceFiles = [{ filename: 'stored.txt', originalName: 'threat-model.txt', size: 2048, sha256 }];
+            await Storage.saveTasksForProject(testProject.id, tasks);
+
+            const response = await api
+                .get(`/api/projects/${testProject.id}/report?format=html`)
+                .expect(200);
+
+            expect(response.headers['content-type']).toBe('text/html; charset=utf-8');
+            expect(response.headers['content-disposition']).toMatch(/SSDLC_Report_Test_Report_Project_\d{4}-\d{2}-\d{2}\.html/);
+            expect(response.headers['content-security-policy']).toContain("default-src 'none'");
+            expect(response.text).toContain('<title>SSDLC Security Report: Test Report Project</title>');
+            expect(response.text).toContain('<th>Phase</th><th>Completed</th><th>Total</th><th>Percentage</th><th>Status</th>');
+            expect(response.text).toContain('Test notes for completed task');
+            expect(response.text).toContain('threat-model.txt (v1, 2KB)');
+            expect(response.text).toContain(`SHA-256: ${sha256}`);
+            expect(response.text).not.toMatch(/<(link|script|img)\b/);
+        });
+
+        test('should return a Markdown report', async () => {
+            const response = await api
+                .get(`/api/projects/${testProject.id}/report?format=markdown`)
+                .expect(200);
+
+            const tasks = Task.getDefaultTasks();
+            expect(response.headers['content-type']).toBe('text/markdown; charset=utf-8');
+            expect(response.headers['content-disposition']).toMatch(/SSDLC_Report_Test_Report_Project_\d{4}-\d{2}-\d{2}\.md/);
+            expect(response.text).toMatch(/^# SSDLC Security Report: Test Report Project\n/);
+            expect(response.text).toContain('| Phase | Completed | Total | Percentage | Status |');
+            expect(response.text).toContain(`| Planning | 1 | ${tasks.planning.length} |`);
+            expect(response.text).toContain(`- [x] **${tasks.planning[0].title}**: Completed`);
+            expect(response.text).toContain('  - Notes: Test notes for completed task');
+            expect(response.text).toContain(`- [ ] **${tasks.planning[1].title}**: Outstanding`);
+        });
+    });
+
+    describe('Report data', () => {
+        const phases = [{ key: 'planning', name: 'Planning' }, { key: 'testing', name: 'Testing' }];
+
+        test('should share one calculation of the score and phase stats', () => {
+            const project = { id: 'p1', name: 'Data', phases: { planning: { completed: true } } };
+            const tasks = {
+                planning: [
+                    { id: 't1', title: 'Threat model', completed: true, evidenceFiles: ['legacy.pdf'] },
+                    { id: 't2', title: 'Requirements', completed: true }
+                ],
+                testing: [{ id: 't3', title: 'Pen test', completed: false, notes: 'Booked' }]
+            };
+
+            const data = buildReportData(project, phases, tasks);
+
+            expect(data.securityScore).toBe(67);
+            expect(data.totals).toEqual({ tasks: 3, completed: 2, outstanding: 1 });
+            expect(data.phases).toEqual([
+                { key: 'planning', name: 'Planning', total: 2, completed: 2, percentage: 100, status: 'complete' },
+                { key: 'testing', name: 'Testing', total: 1, completed: 0, percentage: 0, status: 'not-started' }
+            ]);
+            expect(data.completedTasks[0].evidence).toEqual([
+                expect.objectContaining({ filename: 'legacy.pdf', originalName: 'legacy.pdf', sha256: null, version: 1, current: true })
+            ]);
+            expect(data.outstandingTasks).toEqual([
+                { id: 't3', phase: 'testing', phaseName: 'Testing', title: 'Pen test', description: '', notes: 'Booked', evidence: [] }
+            ]);
+        });
+
+        test('should score a project without tasks as 0', () => {
+            const data = buildReportData({ id: 'p2', name: 'Empty' }, phases, {});
+
+            expect(data.securityScore).toBe(0);
+            expect(data.phases.map(phase => phase.status)).toEqual(['not-started', 'not-started']);
+        });
+
+        test('should quote CSV cells and keep spreadsheets from running them as formulas', () => {
+            const data = buildReportData({ id: 'p3', name: '=HYPERLINK("x")' }, phases, {
+                planning: [{ id: 't1', title: 'Review, "sign off"', completed: false, notes: '+1 line\nsecond' }]
+            });
+
+            const csv = renderCsv(data).toString('utf8');
+
+            expect(csv.startsWith('\uFEFF')).toBe(true);
+            expect(csv).toContain('project,,"\'=HYPERLINK(""x"")",');
+            expect(csv).toContain('task,Planning,"Review, ""sign off""",outstanding,,,,,"\'+1 line\nsecond",');
+        });
+
+        test('should escape task text in HTML reports', () => {
+            const data = buildReportData({ id: 'p4', name: '<script>alert(1)</script>' }, phases, {
+                planning: [{ id: 't1', title: 'Check <img src=x onerror=alert(1)>', completed: true, notes: '"quoted" & more' }]
+            });
+
+            const html = renderHtml(data).toString('utf8');
+
+            expect(html).not.toContain('<script>');
+            expect(html).not.toContain('<img');
+            expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+            expect(html).toContain('&quot;quoted&quot; &amp; more');
+        });
+
+        test('should keep task text from adding Markdown formatting or breaking tables', () => {
+            const data = buildReportData({ id: 'p5', name: 'Docs' }, [{ key: 'planning', name: 'Plan | Design' }], {
+                planning: [{ id: 't1', title: '[link](http://x) *bold*', completed: false, notes: 'line one\n# heading <b>' }]
+            });
+
+            const markdown = renderMarkdown(data).toString('utf8');
+
+            expect(markdown).toContain('| Plan \\| Design | 0 | 1 | 0% | Not started |');
+            expect(markdown).toContain('- [ ] **\\[link\\]\\(http://x\\) \\*bold\\***: Outstanding');
+            expect(markdown).toContain('  - Notes: line one<br>\\# heading \\<b\\>');
+        });
+    });
+});
+
+describe('Portfolio report', () => {
+    const phases = [
+        { key: 'planning', name: 'Planning' },
+        { key: 'testing', name: 'Testing' },
+        { key: 'deployment', name: 'Deployment' }
+    ];
+
+    function report(name, tasks) {
+        return buildReportData({ id: name.toLowerCase(), name }, phases, tasks);
+    }
+
+    describe('buildPortfolioData', () => {
+        const reports = [
+            report('Alpha', {
+                planning: [{ id: 'a1', title: 'Threat model', completed: false }, { id: 'a2', title: 'Requirements', completed: true }],
+                testing: [{ id: 'a3', title: 'Pen test', completed: true }],
+                deployment: [{ id: 'a4', title: 'Hardening', completed: false }]
+            }),
+            report('Beta', {
+                planning: [{ id: 'b1', title: 'Threat Model', completed: false }],
+                testing: [{ id: 'b2', title: 'Pen test', completed: false }],
+                deployment: [{ id: 'b3', title: 'Hardening', completed: true }]
+            }),
+            report('Gamma', {
+                planning: [{ id: 'c1', title: 'Threat model', completed: true }],
+                testing: [{ id: 'c2', title: 'Pen test', completed: true }],
+                deployment: [{ id: 'c3', title: 'Hardening', completed: true }]
+            })
+        ];
+
+        test('should summarise scores across projects', () => {
+            const portfolio = buildPortfolioData(reports);
+
+            expect(portfolio.totals).toEqual({ projects: 3, tasks: 10, completed: 6, outstanding: 4 });
+            expect(portfolio.averageScore).toBe(Math.round((50 + 33 + 100) / 3));
+            expect(portfolio.scoreDistribution.map(band => [band.label, band.projects])).toEqual([
+                ['0-19%', 0], ['20-39%', 1], ['40-59%', 1], ['60-79%', 0], ['80-100%', 1]
+            ]);
+            expect(portfolio.projects.map(project => [project.name, project.securityScore])).toEqual([
+                ['Beta', 33], ['Alpha', 50], ['Gamma', 100]
+            ]);
+        });
+
+        test('should list projects with outstanding testing or deployment tasks', () => {
+            const portfolio = buildPortfolioData(reports);
+
+            expect(portfolio.focusPhases).toEqual(['testing', 'deployment']);
+            expect(portfolio.projectsWithOutstandingTasks).toEqual([
+                {
+                    id: 'alpha',
+                    name: 'Alpha',
+                    securityScore: 50,
+                    outstanding: 1,
+                    phases: [{ key: 'deployment', name: 'Deployment', outstanding: 1, total: 1, tasks: ['Hardening'] }]
+                },
+                {
+                    id: 'beta',
+                    name: 'Beta',
+                    securityScore: 33,
+                    outstanding: 1,
+                    phases: [{ key: 'testing', name: 'Testing', outstanding: 1, total: 1, tasks: ['Pen test'] }]
+                }
+            ]);
+        });
+
+        test('should rank tasks left behind by projects that moved on', () => {
+            const portfolio = buildPortfolioData(reports);
+
+            // Alpha's open hardening task is in its last started phase, so it
+            // is outstanding rather than skipped
+            expect(skippedTasks(reports[0]).map(task => task.title)).toEqual(['Threat model']);
+            expect(portfolio.mostSkippedTasks).toEqual([
+                {
+                    phase: 'planning',
+                    phaseName: 'Planning',
+                    title: 'Threat model',
+                    skippedIn: 2,
+                    projects: [{ id: 'alpha', name: 'Alpha' }, { id: 'beta', name: 'Beta' }]
+                },
+                {
+                    phase: 'testing',
+                    phaseName: 'Testing',
+                    title: 'Pen test',
+                    skippedIn: 1,
+                    projects: [{ id: 'beta', name: 'Beta' }]
+                }
+            ]);
+        });
+
+        test('should match configured focus phases by key or name in projects with their own phases', () => {
+            const custom = buildReportData({ id: 'custom', name: 'Custom' }, [
+                { key: 'build', name: 'Build' },
+                { key: 'verify', name: 'Verification' },
+                { key: 'ship', name: 'Release' }
+            ], {
+                build: [{ id: 'd1', title: 'Code review', completed: true }],
+                verify: [{ id: 'd2', title: 'DAST scan', completed: false }],
+                ship: [{ id: 'd3', title: 'Sign artifacts', completed: false }]
+            });
+
+            expect(buildPortfolioData([custom], portfolioFocusPhases()).projectsWithOutstandingTasks).toEqual([]);
+
+            const portfolio = buildPortfolioData([custom], portfolioFocusPhases('verification, SHIP'));
+            expect(portfolio.focusPhases).toEqual(['verification', 'SHIP']);
+            expect(portfolio.projectsWithOutstandingTasks).toEqual([{
+                id: 'custom',
+                name: 'Custom',
+                securityScore: 33,
+                outstanding: 2,
+                phases: [
+                    { key: 'verify', name: 'Verification', outstanding: 1, total: 1, tasks: ['DAST scan'] },
+                    { key: 'ship', name: 'Release', outstanding: 1, total: 1, tasks: ['Sign artifacts'] }
+                ]
+            }]);
+        });
+
+        test('should fall back to the default focus phases when none are configured', () => {
+            expect(portfolioFocusPhases('')).toEqual(['testing', 'deployment']);
+            expect(portfolioFocusPhases(' , ')).toEqual(['testing', 'deployment']);
+            expect(portfolioFocusPhases(['verify', 'ship'])).toEqual(['verify', 'ship']);
+        });
+
+        test('should report an empty portfolio', () => {
+            const portfolio = buildPortfolioData([]);
+
+            expect(portfolio.averageScore).toBe(0);
+            expect(portfolio.projects).toEqual([]);
+            expect(portfolio.mostSkippedTasks).toEqual([]);
+        });
+    });
+
+    describe('GET /api/reports/portfolio', () => {
+        let api;
+        let projectIds;
+
+        beforeAll(async () => {
+            api = await loginAs(app, 'portfolio-owner');
+        });
+
+        beforeEach(async () => {
+            projectIds = [];
+            for (const name of ['Portfolio One', 'Portfolio Two']) {
+                projectIds.push((await api.post('/api/projects').send({ name })).body.id);
+            }
+            const project = (await api.get(`/api/projects/${projectIds[0]}`)).body;
+            await api.put(`/api/projects/${projectIds[0]}/tasks/${project.tasks.planning[0].id}`).send({ completed: true }).expect(200);
+        });
+
+        afterEach(async () => {
+            for (const id of projectIds) {
+                await api.delete(`/api/projects/${id}`);
+            }
+        });
+
+        test('should return the portfolio of the user\'s projects as JSON', async () => {
+            const response = await api
+                .get('/api/reports/portfolio')
+                .set('Accept', 'application/json')
+                .expect(200);
+
+            const names = response.body.projects.map(project => project.name);
+            expect(names).toEqual(expect.arrayContaining(['Portfolio One', 'Portfolio Two']));
+            expect(response.body.projects.find(project => project.name === 'Portfolio One').completed).toBe(1);
+            expect(response.body.scoreDistribution).toHaveLength(5);
+            expect(response.body.projectsWithOutstandingTasks.map(project => project.name)).toEqual(expect.arrayContaining(['Portfolio One', 'Portfolio Two']));
+        });
+
+        test('should only include projects the user is a member of', async () => {
+            const outsider = await loginAs(app, 'portfolio-outsider');
+
+            const response = await outsider.get('/api/reports/portfolio?format=json').expect(200);
+
+            expect(response.body.projects.map(project => project.id)).not.toEqual(expect.arrayContaining([projectIds[0]]));
+            expect(response.body.projects.map(project => project.id)).not.toEqual(expect.arrayContaining([projectIds[1]]));
+        });
+
+        test('should leave out archived projects unless asked', async () => {
+            await api.post(`/api/projects/${projectIds[1]}/archive`).expect(200);
+
+            const current = await api.get('/api/reports/portfolio?format=json').expect(200);
+            expect(current.body.projects.map(project => project.id)).not.toContain(projectIds[1]);
+
+            const all = await api.get('/api/reports/portfolio?format=json&includeArchived=true').expect(200);
+            expect(all.body.projects.find(project => project.id === projectIds[1])).toMatchObject({ archived: true });
+        });
+
+        test('should list outstanding tasks in the focus phases of projects with their own phases', async () => {
+            const created = await api
+                .post('/api/projects')
+                .send({ name: 'Portfolio Custom', phases: [{ key: 'verify', name: 'Verification' }, { key: 'ship', name: 'Release' }] })
+                .expect(201);
+            projectIds.push(created.body.id);
+            await api.post(`/api/projects/${created.body.id}/tasks`).send({ phase: 'ship', title: 'Sign artifacts' }).expect(201);
+
+            const byDefault = await api.get('/api/reports/portfolio?format=json').expect(200);
+            expect(byDefault.body.projectsWithOutstandingTasks.map(project => project.name)).not.toContain('Portfolio Custom');
+
+            const response = await api.get('/api/reports/portfolio?format=json&focusPhases=verification,release').expect(200);
+            expect(response.body.focusPhases).toEqual(['verification', 'release']);
+            const custom = response.body.projectsWithOutstandingTasks.find(project => project.name === 'Portfolio Custom');
+            expect(custom.phases.map(phase => [phase.name, phase.tasks])).toEqual([['Release', ['Sign artifacts']]]);
+
+            process.env.PORTFOLIO_FOCUS_PHASES = 'Release';
+            try {
+                const configured = await api.get('/api/reports/portfolio?format=json').expect(200);
+                expect(configured.body.focusPhases).toEqual(['Release']);
+                expect(configured.body.projectsWithOutstandingTasks.map(project => project.name)).toEqual(['Portfolio Custom']);
+            } finally {
+                delete process.env.PORTFOLIO_FOCUS_PHASES;
+            }
+        });
+
+        test('should download the portfolio as a PDF by default', async () => {
+            const response = await api
+                .get('/api/reports/portfolio')
+                .expect(200);
+
+            expect(response.headers['content-type']).toBe('application/pdf');
+            expect(response.headers['content-disposition']).toMatch(/SSDLC_Portfolio_Report_\d{4}-\d{2}-\d{2}\.pdf/);
+            expect(response.body.slice(0, 4).toString()).toBe('%PDF');
+            expect(response.body.toString('latin1')).toContain('Portfolio One');
+        });
+
+        test('should only offer PDF and JSON', async () => {
+            const response = await api.get('/api/reports/portfolio?format=csv').expect(400);
+            expect(response.body.error).toBe('format must be one of: pdf, json');
+
+            await api.get('/api/reports/portfolio').set('Accept', 'text/csv').expect(406);
+        });
+    });
+});
+
+describe('Report configuration', () => {
+    const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+    describe('normalizeReportConfig', () => {
+        test('should accept branding, a theme and sections', () => {
+            expect(normalizeReportConfig({
+                organisationName: '  Acme Assurance ',
+                logo: PNG,
+                theme: { primary: '#AA0000', accent: null },
+                sections: { auditTrail: true, notes: false }
+            })).toEqual({
+                organisationName: 'Acme Assurance',
+                logo: PNG,
+                theme: { primary: '#aa0000' },
+                sections: { auditTrail: true, notes: false }
+            });
+            expect(normalizeReportConfig({ organisationName: '', logo: null })).toEqual({});
+        });
+
+        test('should name what is wrong with a configuration', () => {
+            expect(() => normalizeReportConfig({ footer: 'x' })).toThrow('Unknown report setting: footer');
+            expect(() => normalizeReportConfig({ sections: { summary: true } })).toThrow('Unknown sections setting: summary');
+            expect(() => normalizeReportConfig({ sections: { notes: 'yes' } })).toThrow('sections.notes must be true or false');
+            expect(() => normalizeReportConfig({ theme: { primary: 'red' } })).toThrow('theme.primary must be a colour such as #1a2b3c');
+            expect(() => normalizeReportConfig({ organisationName: 'x'.repeat(101) })).toThrow('organisationName cannot be longer than 100 characters');
+            expect(() => normalizeReportConfig({ logo: `data:image/png;base64,${Buffer.from('<svg/>').toString('base64')}` }))
+                .toThrow('logo must be a PNG or JPEG image as a base64 data: URL');
+            expect(() => normalizeReportConfig({ logo: 'https://example.com/logo.png' }))
+                .toThrow('logo must be a PNG or JPEG image as a base64 data: URL');
+        });
+
+        test('should apply a project\'s settings over the server-wide ones and the defaults', () => {
+            const config = resolveReportConfig(
+                { organisationName: 'Acme', theme: { primary: '#111111' }, sections: { auditTrail: true } },
+                { theme: { accent: '#222222' }, sections: { notes: false } }
+            );
+
+            expect(config).toEqual({
+                organisationName: 'Acme',
+                logo: null,
+                theme: { primary: '#111111', accent: '#222222' },
+                sections: { outstandingTasks: true, notes: false, evidenceList: true, auditTrail: true }
+            });
+            expect(resolveReportConfig({}, undefined)).toEqual(DEFAULT_REPORT_CONFIG);
+        });
+
+        test('should describe the logo rather than copy it into the audit log', () => {
+            expect(summarizeReportConfig({ organisationName: 'Acme', logo: PNG })).toEqual({ organisationName: 'Acme', logo: 'image/png, 70B' });
+        });
+    });
+
+    describe('PDF', () => {
+        function reportData() {
+            const tasks = Task.getDefaultTasks();
+            tasks.planning[0].completed = true;
+            tasks.planning[0].notes = 'Completed task notes';
+            tasks.planning[0].evidenceFiles = [{ filename: 'a.txt', originalName: 'scan.txt', size: 10, sha256: 'a'.repeat(64) }];
+            tasks.design[0].notes = 'Outstanding task notes';
+            const project = new Project('Configured Report');
+            const data = buildReportData(project, Project.getPhaseList(project), tasks);
+            data.auditTrail = auditTrail([
+                { timestamp: '2026-01-02T03:04:05.000Z', actor: { username: 'auditor' }, action: 'task.update', target: { title: 'Threat model' }, after: { completed: true, notes: 'x' } }
+            ]);
+            return data;
+        }
+
+        test('should brand the report with the organisation\'s name and logo', () => {
+            const config = resolveReportConfig({ organisationName: 'Acme Assurance', logo: PNG, theme: { primary: '#aa0000' } });
+            const pdf = renderPdf(reportData(), config);
+            const lines = pdfLines(pdf);
+
+            expect(lines[0]).toBe('Acme Assurance');
+            expect(lines.filter(line => line === 'Acme Assurance').length).toBeGreaterThan(1);
+            expect(pdf.toString('latin1')).toContain('/Subtype /Image');
+            // Headings are drawn in the primary colour
+            expect(pdf.toString('latin1')).toContain('0.667 0. 0. rg');
+        });
+
+        test('should include the default sections and leave out the audit trail', () => {
+            const lines = pdfLines(renderPdf(reportData()));
+
+            expect(lines).toEqual(expect.arrayContaining([
+                'Outstanding Security Tasks',
+                'Notes: Completed task notes',
+                'Notes: Outstanding task notes',
+                'Appendix: Evidence Files'
+            ]));
+            expect(lines).not.toContain('Appendix: Audit Trail');
+        });
+
+        test('should leave out the sections turned off and add the audit trail', () => {
+            const config = resolveReportConfig({ sections: { outstandingTasks: false, notes: false, evidenceList: false, auditTrail: true } });
+            const lines = pdfLines(renderPdf(reportData(), config));
+
+            expect(lines).not.toContain('Outstanding Security Tasks');
+            expect(lines).not.toContain('Appendix: Evidence Files');
+            expect(lines.join(' ')).not.toContain('Notes:');
+            expect(lines).toContain('Evidence: 1 file(s)');
+            expect(lines).toEqual(expect.arrayContaining([
+                'Appendix: Audit Trail',
+                '2026-01-02 03:04 UTC  auditor',
+                'Updated a task: Threat model',
+                'Changed: completed, notes'
+            ]));
+        });
+    });
+
+    describe('API', () => {
+        let api;
+        let projectId;
+        let savedGlobalConfig;
+
+        beforeAll(async () => {
+            api = await loginAs(app, 'report-config-owner', { admin: true });
+            savedGlobalConfig = await Storage.getSetting('reportConfig');
+        });
+
+        beforeEach(async () => {
+            projectId = (await api.post('/api/projects').send({ name: 'Report Config Project' })).body.id;
+        });
+
+        afterEach(async () => {
+            await Storage.saveSetting('reportConfig', savedGlobalConfig === undefined ? null : savedGlobalConfig);
+            await api.delete(`/api/projects/${projectId}`);
+        });
+
+        test('should save a project\'s configuration, audit it and apply it to the PDF', async () => {
+            const response = await api
+                .put(`/api/projects/${projectId}/report/config`)
+                .send({ organisationName: 'Acme Assurance', logo: PNG, sections: { outstandingTasks: false, auditTrail: true } })
+                .expect(200);
+
+            expect(response.body.projectConfig).toEqual({ organisationName: 'Acme Assurance', logo: PNG, sections: { outstandingTasks: false, auditTrail: true } });
+            expect(response.body.config.sections).toEqual({ outstandingTasks: false, notes: true, evidenceList: true, auditTrail: true });
+
+            const history = await api.get(`/api/projects/${projectId}/audit`).expect(200);
+            expect(history.body[history.body.length - 1]).toMatchObject({
+                action: 'report.config',
+                before: { reportConfig: {} },
+                after: { reportConfig: { organisationName: 'Acme Assurance', logo: 'image/png, 70B' } }
+            });
+
+            const report = await api.get(`/api/projects/${projectId}/report`).expect(200);
+            const lines = pdfLines(report.body);
+            expect(lines[0]).toBe('Acme Assurance');
+            expect(lines).not.toContain('Outstanding Security Tasks');
+            expect(lines).toEqual(expect.arrayContaining(['Appendix: Audit Trail', 'Created the project', 'Changed the report settings']));
+
+            const data = await api.get(`/api/projects/${projectId}/report?format=json`).expect(200);
+            expect(data.body.auditTrail.map(entry => entry.action)).toEqual(['project.create', 'report.config']);
+        });
+
+        test('should leave the sections turned off out of every format', async () => {
+            await Storage.updateTasksForProject(projectId, async tasks => {
+                Object.assign(tasks.planning[0], {
+                    completed: true,
+                    notes: 'Private completed notes',
+                    evidenceFiles: [{ filename: 'a.txt', originalName: 'private-scan.txt', size: 10, sha256: 'a'.repeat(64) }]
+                });
+                Object.assign(tasks.design[0], { title: 'Private outstanding task', notes: 'Private outstanding notes' });
+            });
+            await api
+                .put(`/api/projects/${projectId}/report/config`)
+                .send({ sections: { outstandingTasks: false, notes: false, evidenceList: false } })
+                .expect(200);
+
+            const data = (await api.get(`/api/projects/${projectId}/report?format=json`).expect(200)).body;
+            expect(data.outstandingTasks).toEqual([]);
+            expect(data.completedTasks[0]).toMatchObject({ notes: '', evidence: [] });
+            expect(data.totals.outstanding).toBeGreaterThan(0);
+
+            for (const format of ['csv', 'html', 'markdown']) {
+                const report = await api.get(`/api/projects/${projectId}/report?format=${format}`).expect(200);
+                expect(report.text).toContain('Completed');
+                expect(report.text).not.toContain('Private');
+                expect(report.text).not.toContain('private-scan.txt');
+            }
+        });
+
+        test('should apply the server-wide configuration to projects without their own', async () => {
+            const saved = await api
+                .put('/api/reports/config')
+                .send({ organisationName: 'Server Org', theme: { accent: '#00aa00' } })
+                .expect(200);
+            expect(saved.body.globalConfig).toEqual({ organisationName: 'Server Org', theme: { accent: '#00aa00' } });
+            expect((await api.get('/api/reports/config').expect(200)).body.config).toMatchObject({
+                organisationName: 'Server Org',
+                theme: { primary: '#2c3e50', accent: '#00aa00' }
+            });
+
+            let config = (await api.get(`/api/projects/${projectId}/report/config`).expect(200)).body;
+            expect(config.projectConfig).toEqual({});
+            expect(config.config.organisationName).toBe('Server Org');
+
+            await api.put(`/api/projects/${projectId}/report/config`).send({ organisationName: 'Project Org' }).expect(200);
+            config = (await api.get(`/api/projects/${projectId}/report/config`).expect(200)).body;
+            expect(config.config).toMatchObject({ organisationName: 'Project Org', theme: { accent: '#00aa00' } });
+
+            // Clearing the project's settings returns it to the server-wide ones
+            await api.put(`/api/projects/${projectId}/report/config`).send({}).expect(200);
+            const report = await api.get(`/api/projects/${projectId}/report`).expect(200);
+            expect(pdfLines(report.body)[0]).toBe('Server Org');
+        });
+
+        test('should reject an invalid configuration', async () => {
+            const response = await api
+                .put(`/api/projects/${projectId}/report/config`)
+                .send({ theme: { primary: 'blue' } })
+                .expect(400);
+            expect(response.body.error).toBe('theme.primary must be a colour such as #1a2b3c');
+
+            await api.put('/api/reports/config').send({ sections: { appendix: true } }).expect(400);
+        });
+
+        test('should only let owners change a project\'s configuration', async () => {
+            const viewer = await loginAs(app, 'report-config-viewer');
+            await api.post(`/api/projects/${projectId}/members`).send({ username: 'report-config-viewer', role: 'viewer' }).expect(201);
+
+            await viewer.get(`/api/projects/${projectId}/report/config`).expect(200);
+            await viewer.put(`/api/projects/${projectId}/report/config`).send({ organisationName: 'Viewer Org' }).expect(403);
+        });
+
+        test('should only let administrators change the server-wide configuration, and audit it', async () => {
+            const member = await loginAs(app, 'report-config-member');
+            const response = await member
+                .put('/api/reports/config')
+                .send({ organisationName: 'Member Org' })
+                .expect(403);
+            expect(response.body.error).toBe('Only administrators can change the report settings for every project');
+            await member.get('/api/reports/config/audit').expect(403);
+
+            await api.put('/api/reports/config').send({ organisationName: 'Admin Org', logo: PNG }).expect(200);
+
+            const history = await api.get('/api/reports/config/audit').expect(200);
+            expect(history.body[history.body.length - 1]).toMatchObject({
+                action: 'report.config',
+                actor: { username: 'report-config-owner' },
+                target: { type: 'setting', id: 'reportConfig' },
+                after: { reportConfig: { organisationName: 'Admin Org', logo: 'image/png, 70B' } }
+            });
+        });
+    });
+});
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const app = require('../server');
+const Scanner = require('../utils/scanner');
+const EvidenceScanner = require('../utils/scanners/EvidenceScanner');
+const NoopScanner = require('../utils/scanners/NoopScanner');
+const ClamScanScanner = require('../utils/scanners/ClamScanScanner');
+const Storage = require('../utils/storage');
+const { downloadEvidence } = require('../api/evidence');
+const { loginAs } = require('./helpers/auth');
+
+const FAKE_CLAMSCAN = path.join(__dirname, 'helpers', 'fake-clamscan.js');
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// A scanner that cannot reach its engine
+class UnavailableScanner extends EvidenceScanner {
+    async scan() {
+        throw new Error('Scanner unavailable');
+    }
+}
+
+describe('ClamScanScanner', () => {
+    const scanner = new ClamScanScanner(FAKE_CLAMSCAN);
+
+    test('should report clean files', async () => {
+        await expect(scanner.scan(Readable.from(['scan output']))).resolves.toEqual({ status: 'clean', signature: null });
+    });
+
+    test('should report infected files with the matched signature', async () => {
+        await expect(scanner.scan(Readable.from([EICAR]))).resolves.toEqual({ status: 'infected', signature: 'Win.Test.EICAR_HDB-1' });
+    });
+
+    test('should fail when clamscan reports an error', async () => {
+        await expect(scanner.scan(Readable.from(['SCANNER-ERROR']))).rejects.toThrow('exit code 2');
+    });
+
+    // A file that is read up to its EICAR string and then never ends
+    const unfinishedFile = (content = '') => new Readable({
+        read() {
+            if (content) {
+                this.push(content);
+                content = '';
+            }
+        }
+    });
+
+    test('should close the file when clamscan exits before reading all of it', async () => {
+        const stream = unfinishedFile(EICAR);
+        await expect(scanner.scan(stream)).resolves.toMatchObject({ status: 'infected' });
+        expect(stream.destroyed).toBe(true);
+    });
+
+    test('should close the file when clamscan times out', async () => {
+        const stream = unfinishedFile('scan output');
+        await expect(new ClamScanScanner(FAKE_CLAMSCAN, 500).scan(stream)).rejects.toThrow('did not finish within 500ms');
+        expect(stream.destroyed).toBe(true);
+    });
+
+    test('should fail when clamscan is not installed', async () => {
+        const missing = new ClamScanScanner(path.join(__dirname, 'helpers', 'no-such-clamscan'));
+        await expect(missing.scan(Readable.from(['scan output']))).rejects.toThrow('Could not run');
+    });
+});
+
+describe('Evidence malware scanning', () => {
+    let api;
+    let projectId;
+    let taskId;
+
+    const evidencePath = () => `/api/projects/${projectId}/tasks/${taskId}/evidence`;
+
+    beforeAll(async () => {
+        api = await loginAs(app);
+    });
+
+    beforeEach(async () => {
+        const projectResponse = await api.post('/api/projects').send({ name: 'Scanned Project' });
+        projectId = projectResponse.body.id;
+        const details = await api.get(`/api/projects/${projectId}`);
+        taskId = details.body.tasks.planning[0].id;
+    });
+
+    afterEach(() => {
+        Scanner.setScanner(null);
+        fs.rmSync(path.join(__dirname, '..', 'uploads', projectId), { recursive: true, force: true });
+    });
+
+    test('should block downloads of infected files', async () => {
+        Scanner.setScanner(new ClamScanScanner(FAKE_CLAMSCAN));
+
+        const upload = await api
+            .post(evidencePath())
+            .attach('evidence', Buffer.from(EICAR), 'eicar.txt')
+            .expect(200);
+        const evidence = upload.body.uploadedFiles[0];
+        expect(evidence.scan).toMatchObject({ status: 'infected', scanner: 'clamscan', signature: 'Win.Test.EICAR_HDB-1' });
+
+        const open = jest.spyOn(Storage, 'openEvidenceFile');
+        const read = jest.spyOn(Storage, 'readEvidenceFile');
+        try {
+            const download = await api.get(`${evidencePath()}/${evidence.filename}`).expect(403);
+            expect(download.body.error).toBe('Evidence file failed the malware scan');
+
+            // The handler the Netlify function serves reads the whole file
+            const user = await Storage.getUserByUsername('tester');
+            await expect(downloadEvidence({ params: { id: projectId, taskId, filename: evidence.filename }, query: {}, user }))
+                .rejects.toThrow('Evidence file failed the malware scan');
+
+            expect(open).not.toHaveBeenCalled();
+            expect(read).not.toHaveBeenCalled();
+        } finally {
+            open.mockRestore();
+            read.mockRestore();
+        }
+    });
+
+    test('should keep files pending when the scan fails and allow a rescan', async () => {
+        Scanner.setScanner(new UnavailableScanner());
+
+        const upload = await api
+            .post(evidencePath())
+            .attach('evidence', Buffer.from('scan output'), 'scan.txt')
+            .expect(200);
+        const { filename, scan } = upload.body.uploadedFiles[0];
+        expect(scan).toMatchObject({ status: 'pending', error: 'Scanner unavailable' });
+
+        const blocked = await api.get(`${evidencePath()}/${filename}`).expect(409);
+        expect(blocked.body.error).toBe('Evidence file has not passed a malware scan yet');
+
+        Scanner.setScanner(new NoopScanner());
+        const rescan = await api.post(`${evidencePath()}/${filename}/scan`).expect(200);
+        expect(rescan.body.scan).toMatchObject({ status: 'clean', scanner: 'none' });
+
+        const download = await api.get(`${evidencePath()}/${filename}`).expect(200);
+        expect(download.text).toBe('scan output');
+
+        const audit = await api.get(`/api/projects/${projectId}/audit`);
+        expect(audit.body.map(entry => entry.action)).toContain('evidence.scan');
+    });
+
+    test('should treat evidence saved before scanning as pending', async () => {
+        const Storage = require('../utils/storage');
+        const filename = '2024-01-31T12-05-09-123Z_1a2b3c4d_legacy.txt';
+        const uploadDir = path.join(__dirname, '..', 'uploads', projectId, taskId);
+        fs.mkdirSync(uploadDir, { recursive: true });
+        fs.writeFileSync(path.join(uploadDir, filename), 'old evidence');
+
+        const tasks = await Storage.getTasksForProject(projectId);
+        tasks.planning.find(t => t.id === taskId).evidenceFiles.push(path.join(projectId, taskId, filename));
+        await Storage.saveTasksForProject(projectId, tasks);
+
+        await api.get(`${evidencePath()}/${filename}`).expect(409);
+        await api.post(`${evidencePath()}/${filename}/scan`).expect(200);
+        await api.get(`${evidencePath()}/${filename}`).expect(200);
+    });
+});
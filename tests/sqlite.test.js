@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SqliteAdapter = require('../utils/storageAdapters/SqliteAdapter');
+const JsonFileAdapter = require('../utils/storageAdapters/JsonFileAdapter');
+const { migrate } = require('../scripts/migrate-json-to-sqlite');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+
+describe('SQLite Storage Adapter', () => {
+    let tempDir;
+    let adapter;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssdlc-sqlite-'));
+        adapter = new SqliteAdapter(path.join(tempDir, 'ssdlc.db'));
+    });
+
+    afterEach(async () => {
+        await adapter.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should save, replace and remove settings', async () => {
+        expect(await adapter.getSetting('reportConfig')).toBeUndefined();
+
+        expect(await adapter.saveSetting('reportConfig', { organisationName: 'First' })).toBe(true);
+        expect(await adapter.saveSetting('reportConfig', { organisationName: 'Second' })).toBe(true);
+        expect(await adapter.getSetting('reportConfig')).toEqual({ organisationName: 'Second' });
+        expect(await adapter.readSettings()).toEqual({ reportConfig: { organisationName: 'Second' } });
+
+        expect(await adapter.saveSetting('reportConfig', null)).toBe(true);
+        expect(await adapter.readSettings()).toEqual({});
+    });
+
+    test('should start empty', async () => {
+        expect(await adapter.readProjects()).toEqual([]);
+        expect(await adapter.readTasks()).toEqual({});
+        expect(await adapter.getProjectById('nonexistent')).toBeUndefined();
+        expect(await adapter.getTasksForProject('nonexistent')).toEqual({});
+    });
+
+    test('should save and update projects in insertion order', async () => {
+        const project1 = new Project('Project 1');
+        const project2 = new Project('Project 2');
+
+        expect(await adapter.saveProject(project1)).toBe(true);
+        await adapter.saveProject(project2);
+
+        project1.name = 'Updated Name';
+        await adapter.saveProject(project1);
+
+        const projects = await adapter.readProjects();
+        expect(projects.map(project => project.name)).toEqual(['Updated Name', 'Project 2']);
+        expect(await adapter.getProjectById(project2.id)).toEqual(JSON.parse(JSON.stringify(project2)));
+    });
+
+    test('should save tasks per project and delete them with the project', async () => {
+        const project = new Project('Project 1');
+        const tasks = Task.getDefaultTasks();
+
+        await adapter.saveProject(project);
+        expect(await adapter.saveTasksForProject(project.id, tasks)).toBe(true);
+        expect(await adapter.getTasksForProject(project.id)).toEqual(JSON.parse(JSON.stringify(tasks)));
+
+        expect(await adapter.deleteProject(project.id)).toBe(true);
+        expect(await adapter.getProjectById(project.id)).toBeUndefined();
+        expect(await adapter.getTasksForProject(project.id)).toEqual({});
+        expect(await adapter.deleteProject(project.id)).toBe(false);
+    });
+
+    test('should serve built-in templates until templates are saved', async () => {
+        const builtIns = await adapter.readTemplates();
+        expect(builtIns.map(template => template.id)).toContain('web-app');
+
+        expect(await adapter.deleteTemplate('mobile')).toBe(true);
+
+        const templates = await adapter.readTemplates();
+        expect(templates).toHaveLength(builtIns.length - 1);
+        expect(await adapter.getTemplateById('mobile')).toBeUndefined();
+    });
+
+    test('should append audit entries and refuse to change them', async () => {
+        expect(await adapter.hasAuditEntries()).toBe(false);
+        expect(await adapter.appendAuditEntry({ projectId: 'p1', action: 'task.update' })).toBe(true);
+        await adapter.appendAuditEntry({ projectId: 'p1', action: 'task.delete' });
+
+        expect((await adapter.readAuditLog('p1')).map(entry => entry.action)).toEqual(['task.update', 'task.delete']);
+        expect(() => adapter.db.prepare('UPDATE audit SET data = ?').run('{}')).toThrow('append-only');
+        expect(() => adapter.db.prepare('DELETE FROM audit').run()).toThrow('append-only');
+    });
+
+    test('should persist data across connections', async () => {
+        const project = new Project('Persistent Project');
+        await adapter.saveProject(project);
+        await adapter.close();
+
+        adapter = new SqliteAdapter(path.join(tempDir, 'ssdlc.db'));
+        expect((await adapter.getProjectById(project.id)).name).toBe('Persistent Project');
+    });
+});
+
+describe('JSON to SQLite migration', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssdlc-migrate-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should import projects, tasks, saved templates and settings', async () => {
+        const source = new JsonFileAdapter(tempDir);
+        const project = new Project('Migrated Project');
+        await source.saveProject(project);
+        await source.saveTasksForProject(project.id, Task.getDefaultTasks());
+        await source.deleteTemplate('pci-scope');
+        await source.saveSetting('reportConfig', { organisationName: 'Example Ltd' });
+
+        const sqliteFile = path.join(tempDir, 'ssdlc.db');
+        const result = await migrate({ dataDir: tempDir, sqliteFile });
+
+        expect(result).toEqual({ projects: 1, taskLists: 1, templates: 3, users: 0, settings: 1, auditEntries: 0 });
+
+        const target = new SqliteAdapter(sqliteFile);
+        try {
+            expect(await target.readProjects()).toEqual(await source.readProjects());
+            expect(await target.readTasks()).toEqual(await source.readTasks());
+            expect(await target.readTemplates()).toEqual(await source.readTemplates());
+            expect(await target.getSetting('reportConfig')).toEqual({ organisationName: 'Example Ltd' });
+        } finally {
+            await target.close();
+        }
+    });
+
+    test('should import the audit log only into an empty one', async () => {
+        const source = new JsonFileAdapter(tempDir);
+        await source.appendAuditEntry({ projectId: 'p1', action: 'project.create' });
+        await source.appendAuditEntry({ projectId: 'p1', action: 'task.update' });
+
+        const sqliteFile = path.join(tempDir, 'ssdlc.db');
+        expect((await migrate({ dataDir: tempDir, sqliteFile })).auditEntries).toBe(2);
+        expect((await migrate({ dataDir: tempDir, sqliteFile })).auditEntries).toBe(0);
+
+        const target = new SqliteAdapter(sqliteFile);
+        try {
+            expect(await target.readAuditLog('p1')).toEqual(await source.readAuditLog('p1'));
+        } finally {
+            await target.close();
+        }
+    });
+
+    test('should leave built-in templates alone when none were saved', async () => {
+        const sqliteFile = path.join(tempDir, 'ssdlc.db');
+        const result = await migrate({ dataDir: tempDir, sqliteFile });
+
+        expect(result).toEqual({ projects: 0, taskLists: 0, templates: 0, users: 0, settings: 0, auditEntries: 0 });
+
+        const target = new SqliteAdapter(sqliteFile);
+        try {
+            expect(await target.hasSavedTemplates()).toBe(false);
+        } finally {
+            await target.close();
+        }
+    });
+});
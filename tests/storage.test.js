@@ -1,6 +1,8 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const Storage = require('../utils/storage');
+const JsonFileAdapter = require('../utils/storageAdapters/JsonFileAdapter');
 const Project = require('../models/Project');
 const Task = require('../models/Task');
 
@@ -32,12 +34,12 @@ describe('Storage Utility', () => {
     });
 
     describe('readProjects', () => {
-        test('should return empty array when no projects file exists', () => {
-            const projects = Storage.readProjects();
+        test('should return empty array when no projects file exists', async () => {
+            const projects = await Storage.readProjects();
             expect(projects).toEqual([]);
         });
 
-        test('should return projects from existing file', () => {
+        test('should return projects from existing file', async () => {
             const testProjects = [
                 { id: '1', name: 'Project 1' },
                 { id: '2', name: 'Project 2' }
@@ -45,26 +47,32 @@ describe('Storage Utility', () => {
 
             fs.writeFileSync(TEST_PROJECTS_FILE, JSON.stringify(testProjects));
 
-            const projects = Storage.readProjects();
+            const projects = await Storage.readProjects();
             expect(projects).toEqual(testProjects);
         });
 
-        test('should handle corrupted JSON file gracefully', () => {
+        test('should fail loudly on a corrupted JSON file', async () => {
             fs.writeFileSync(TEST_PROJECTS_FILE, 'invalid json');
 
-            const projects = Storage.readProjects();
-            expect(projects).toEqual([]);
+            await expect(Storage.readProjects()).rejects.toThrow('is corrupt');
+        });
+
+        test('should not overwrite a corrupted file when saving a project', async () => {
+            fs.writeFileSync(TEST_PROJECTS_FILE, 'invalid json');
+
+            await expect(Storage.saveProject(new Project('New Project'))).rejects.toThrow('is corrupt');
+            expect(fs.readFileSync(TEST_PROJECTS_FILE, 'utf8')).toBe('invalid json');
         });
     });
 
     describe('writeProjects', () => {
-        test('should write projects to file successfully', () => {
+        test('should write projects to file successfully', async () => {
             const testProjects = [
                 { id: '1', name: 'Project 1' },
                 { id: '2', name: 'Project 2' }
             ];
 
-            const result = Storage.writeProjects(testProjects);
+            const result = await Storage.writeProjects(testProjects);
             expect(result).toBe(true);
 
             // Verify file was written correctly
@@ -73,28 +81,42 @@ describe('Storage Utility', () => {
             expect(parsedContent).toEqual(testProjects);
         });
 
-        test('should return false on write error', () => {
-            // Mock fs.writeFileSync to throw an error
-            const originalWriteFileSync = fs.writeFileSync;
-            fs.writeFileSync = jest.fn(() => {
-                throw new Error('Write error');
-            });
+        test('should return false on write error', async () => {
+            // Mock fs.promises.writeFile to fail
+            const writeFileSpy = jest.spyOn(fs.promises, 'writeFile')
+                .mockRejectedValue(new Error('Write error'));
 
-            const result = Storage.writeProjects([]);
+            const result = await Storage.writeProjects([]);
             expect(result).toBe(false);
 
             // Restore original function
-            fs.writeFileSync = originalWriteFileSync;
+            writeFileSpy.mockRestore();
+        });
+
+        test('should keep the previous file and clean up when the rename fails', async () => {
+            const testProjects = [{ id: '1', name: 'Project 1' }];
+            await Storage.writeProjects(testProjects);
+
+            const renameSpy = jest.spyOn(fs.promises, 'rename')
+                .mockRejectedValue(new Error('Rename error'));
+
+            const result = await Storage.writeProjects([]);
+            expect(result).toBe(false);
+
+            renameSpy.mockRestore();
+
+            expect(JSON.parse(fs.readFileSync(TEST_PROJECTS_FILE, 'utf8'))).toEqual(testProjects);
+            expect(fs.readdirSync(TEST_DATA_DIR).filter(file => file.endsWith('.tmp'))).toEqual([]);
         });
     });
 
     describe('readTasks', () => {
-        test('should return empty object when no tasks file exists', () => {
-            const tasks = Storage.readTasks();
+        test('should return empty object when no tasks file exists', async () => {
+            const tasks = await Storage.readTasks();
             expect(tasks).toEqual({});
         });
 
-        test('should return tasks from existing file', () => {
+        test('should return tasks from existing file', async () => {
             const testTasks = {
                 'project1': { planning: [], design: [] },
                 'project2': { planning: [], design: [] }
@@ -102,25 +124,24 @@ describe('Storage Utility', () => {
 
             fs.writeFileSync(TEST_TASKS_FILE, JSON.stringify(testTasks));
 
-            const tasks = Storage.readTasks();
+            const tasks = await Storage.readTasks();
             expect(tasks).toEqual(testTasks);
         });
 
-        test('should handle corrupted JSON file gracefully', () => {
+        test('should fail loudly on a corrupted JSON file', async () => {
             fs.writeFileSync(TEST_TASKS_FILE, 'invalid json');
 
-            const tasks = Storage.readTasks();
-            expect(tasks).toEqual({});
+            await expect(Storage.readTasks()).rejects.toThrow('is corrupt');
         });
     });
 
     describe('writeTasks', () => {
-        test('should write tasks to file successfully', () => {
+        test('should write tasks to file successfully', async () => {
             const testTasks = {
                 'project1': { planning: [], design: [] }
             };
 
-            const result = Storage.writeTasks(testTasks);
+            const result = await Storage.writeTasks(testTasks);
             expect(result).toBe(true);
 
             // Verify file was written correctly
@@ -129,144 +150,258 @@ describe('Storage Utility', () => {
             expect(parsedContent).toEqual(testTasks);
         });
 
-        test('should return false on write error', () => {
-            // Mock fs.writeFileSync to throw an error
-            const originalWriteFileSync = fs.writeFileSync;
-            fs.writeFileSync = jest.fn(() => {
-                throw new Error('Write error');
-            });
+        test('should return false on write error', async () => {
+            // Mock fs.promises.writeFile to fail
+            const writeFileSpy = jest.spyOn(fs.promises, 'writeFile')
+                .mockRejectedValue(new Error('Write error'));
 
-            const result = Storage.writeTasks({});
+            const result = await Storage.writeTasks({});
             expect(result).toBe(false);
 
             // Restore original function
-            fs.writeFileSync = originalWriteFileSync;
+            writeFileSpy.mockRestore();
         });
     });
 
     describe('getProjectById', () => {
-        test('should return project when it exists', () => {
+        test('should return project when it exists', async () => {
             const testProjects = [
                 { id: 'project1', name: 'Project 1' },
                 { id: 'project2', name: 'Project 2' }
             ];
 
-            Storage.writeProjects(testProjects);
+            await Storage.writeProjects(testProjects);
 
-            const project = Storage.getProjectById('project1');
+            const project = await Storage.getProjectById('project1');
             expect(project).toEqual({ id: 'project1', name: 'Project 1' });
         });
 
-        test('should return undefined when project does not exist', () => {
+        test('should return undefined when project does not exist', async () => {
             const testProjects = [
                 { id: 'project1', name: 'Project 1' }
             ];
 
-            Storage.writeProjects(testProjects);
+            await Storage.writeProjects(testProjects);
 
-            const project = Storage.getProjectById('nonexistent');
+            const project = await Storage.getProjectById('nonexistent');
             expect(project).toBeUndefined();
         });
 
-        test('should return undefined when no projects exist', () => {
-            const project = Storage.getProjectById('project1');
+        test('should return undefined when no projects exist', async () => {
+            const project = await Storage.getProjectById('project1');
             expect(project).toBeUndefined();
         });
     });
 
     describe('saveProject', () => {
-        test('should add new project to storage', () => {
+        test('should add new project to storage', async () => {
             const project = new Project('New Project');
 
-            const result = Storage.saveProject(project);
+            const result = await Storage.saveProject(project);
             expect(result).toBe(true);
 
-            const projects = Storage.readProjects();
+            const projects = await Storage.readProjects();
             expect(projects).toHaveLength(1);
             expect(projects[0].id).toBe(project.id);
             expect(projects[0].name).toBe('New Project');
         });
 
-        test('should update existing project in storage', () => {
+        test('should update existing project in storage', async () => {
             const project = new Project('Original Name');
-            Storage.saveProject(project);
+            await Storage.saveProject(project);
 
             // Update project name
             project.name = 'Updated Name';
-            const result = Storage.saveProject(project);
+            const result = await Storage.saveProject(project);
             expect(result).toBe(true);
 
-            const projects = Storage.readProjects();
+            const projects = await Storage.readProjects();
             expect(projects).toHaveLength(1);
             expect(projects[0].name).toBe('Updated Name');
         });
 
-        test('should handle multiple projects', () => {
+        test('should not lose concurrent saves', async () => {
+            const projects = Array.from({ length: 10 }, (_, i) => new Project(`Project ${i}`));
+
+            const results = await Promise.all(projects.map(project => Storage.saveProject(project)));
+            expect(results.every(result => result === true)).toBe(true);
+
+            const savedProjects = await Storage.readProjects();
+            expect(savedProjects.map(project => project.id).sort())
+                .toEqual(projects.map(project => project.id).sort());
+        });
+
+        test('should handle multiple projects', async () => {
             const project1 = new Project('Project 1');
             const project2 = new Project('Project 2');
 
-            Storage.saveProject(project1);
-            Storage.saveProject(project2);
+            await Storage.saveProject(project1);
+            await Storage.saveProject(project2);
 
-            const projects = Storage.readProjects();
+            const projects = await Storage.readProjects();
             expect(projects).toHaveLength(2);
         });
     });
 
     describe('getTasksForProject', () => {
-        test('should return tasks for existing project', () => {
+        test('should return tasks for existing project', async () => {
             const projectId = 'test-project';
             const testTasks = {
                 [projectId]: { planning: [], design: [] }
             };
 
-            Storage.writeTasks(testTasks);
+            await Storage.writeTasks(testTasks);
 
-            const tasks = Storage.getTasksForProject(projectId);
+            const tasks = await Storage.getTasksForProject(projectId);
             expect(tasks).toEqual({ planning: [], design: [] });
         });
 
-        test('should return empty object for non-existent project', () => {
-            const tasks = Storage.getTasksForProject('nonexistent');
+        test('should return empty object for non-existent project', async () => {
+            const tasks = await Storage.getTasksForProject('nonexistent');
             expect(tasks).toEqual({});
         });
     });
 
     describe('saveTasksForProject', () => {
-        test('should save tasks for new project', () => {
+        test('should save tasks for new project', async () => {
             const projectId = 'test-project';
             const tasks = Task.getDefaultTasks();
 
-            const result = Storage.saveTasksForProject(projectId, tasks);
+            const result = await Storage.saveTasksForProject(projectId, tasks);
             expect(result).toBe(true);
 
-            const savedTasks = Storage.getTasksForProject(projectId);
+            const savedTasks = await Storage.getTasksForProject(projectId);
             expect(savedTasks).toEqual(tasks);
         });
 
-        test('should update tasks for existing project', () => {
+        test('should update tasks for existing project', async () => {
             const projectId = 'test-project';
             const initialTasks = { planning: [], design: [] };
             const updatedTasks = { planning: [{ id: '1', title: 'Task 1' }], design: [] };
 
-            Storage.saveTasksForProject(projectId, initialTasks);
-            Storage.saveTasksForProject(projectId, updatedTasks);
+            await Storage.saveTasksForProject(projectId, initialTasks);
+            await Storage.saveTasksForProject(projectId, updatedTasks);
 
-            const savedTasks = Storage.getTasksForProject(projectId);
+            const savedTasks = await Storage.getTasksForProject(projectId);
             expect(savedTasks).toEqual(updatedTasks);
         });
 
-        test('should handle multiple projects', () => {
+        test('should not lose concurrent saves for different projects', async () => {
+            const projectIds = Array.from({ length: 10 }, (_, i) => `project${i}`);
+
+            await Promise.all(projectIds.map(projectId =>
+                Storage.saveTasksForProject(projectId, { planning: [{ id: projectId, title: 'Task' }] })));
+
+            const allTasks = await Storage.readTasks();
+            expect(Object.keys(allTasks).sort()).toEqual([...projectIds].sort());
+        });
+
+        test('should handle multiple projects', async () => {
             const project1Id = 'project1';
             const project2Id = 'project2';
             const tasks1 = { planning: [{ id: '1', title: 'Task 1' }] };
             const tasks2 = { planning: [{ id: '2', title: 'Task 2' }] };
 
-            Storage.saveTasksForProject(project1Id, tasks1);
-            Storage.saveTasksForProject(project2Id, tasks2);
+            await Storage.saveTasksForProject(project1Id, tasks1);
+            await Storage.saveTasksForProject(project2Id, tasks2);
+
+            expect(await Storage.getTasksForProject(project1Id)).toEqual(tasks1);
+            expect(await Storage.getTasksForProject(project2Id)).toEqual(tasks2);
+        });
+    });
+
+    describe('deleteProject', () => {
+        test('should remove the project and its tasks', async () => {
+            const project1 = new Project('Project 1');
+            const project2 = new Project('Project 2');
+
+            await Storage.saveProject(project1);
+            await Storage.saveProject(project2);
+            await Storage.saveTasksForProject(project1.id, { planning: [{ id: '1', title: 'Task 1' }] });
+            await Storage.saveTasksForProject(project2.id, { planning: [{ id: '2', title: 'Task 2' }] });
+
+            const result = await Storage.deleteProject(project1.id);
+            expect(result).toBe(true);
+
+            expect(await Storage.getProjectById(project1.id)).toBeUndefined();
+            expect(await Storage.getTasksForProject(project1.id)).toEqual({});
+            expect(await Storage.getProjectById(project2.id)).toBeDefined();
+            expect(await Storage.getTasksForProject(project2.id)).toEqual({ planning: [{ id: '2', title: 'Task 2' }] });
+        });
+
+        test('should return false when project does not exist', async () => {
+            const result = await Storage.deleteProject('nonexistent');
+            expect(result).toBe(false);
+        });
+    });
+
+    describe('audit log', () => {
+        let tempDir;
+        let adapter;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssdlc-audit-'));
+            adapter = new JsonFileAdapter(tempDir);
+        });
+
+        afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        test('should append entries and read them back per project in order', async () => {
+            await Promise.all([1, 2, 3].map(n => adapter.appendAuditEntry({ projectId: 'p1', action: `a${n}` })));
+            await adapter.appendAuditEntry({ projectId: 'p2', action: 'other' });
+
+            const entries = await adapter.readAuditLog('p1');
+            expect(entries.map(entry => entry.action)).toEqual(['a1', 'a2', 'a3']);
+            expect(await adapter.readAuditLog('missing')).toEqual([]);
+        });
+
+        test('should only ever add lines to the log file', async () => {
+            await adapter.appendAuditEntry({ projectId: 'p1', action: 'first' });
+            const before = fs.readFileSync(adapter.auditFile, 'utf8');
+
+            await adapter.appendAuditEntry({ projectId: 'p1', action: 'second' });
+            const after = fs.readFileSync(adapter.auditFile, 'utf8');
+
+            expect(after.startsWith(before)).toBe(true);
+            expect(after.trim().split('\n')).toHaveLength(2);
+        });
+
+        test('should fail loudly on a corrupt entry', async () => {
+            fs.writeFileSync(adapter.auditFile, '{"projectId":"p1"}\nnot json\n');
+
+            await expect(adapter.readAuditLog('p1')).rejects.toThrow('is corrupt at entry 2');
+        });
+    });
+
+    describe('settings', () => {
+        let tempDir;
+        let adapter;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssdlc-settings-'));
+            adapter = new JsonFileAdapter(tempDir);
+        });
+
+        afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        test('should save settings by name and remove them with null', async () => {
+            expect(await adapter.getSetting('reportConfig')).toBeUndefined();
+
+            await Promise.all([
+                adapter.saveSetting('reportConfig', { organisationName: 'Example Ltd' }),
+                adapter.saveSetting('other', true)
+            ]);
+            expect(JSON.parse(fs.readFileSync(adapter.settingsFile, 'utf8'))).toEqual({
+                reportConfig: { organisationName: 'Example Ltd' },
+                other: true
+            });
 
-            expect(Storage.getTasksForProject(project1Id)).toEqual(tasks1);
-            expect(Storage.getTasksForProject(project2Id)).toEqual(tasks2);
+            await adapter.saveSetting('other', null);
+            expect(await adapter.readSettings()).toEqual({ reportConfig: { organisationName: 'Example Ltd' } });
         });
     });
-});
\ No newline at end of file
+});
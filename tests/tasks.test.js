@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const app = require('../server');
+const { loginAs } = require('./helpers/auth');
+
+// Test data directory
+const TEST_DATA_DIR = path.join(__dirname, '..', 'data');
+const TEST_PROJECTS_FILE = path.join(TEST_DATA_DIR, 'projects.json');
+const TEST_TASKS_FILE = path.join(TEST_DATA_DIR, 'tasks.json');
+
+describe('Custom Task API Endpoints', () => {
+    let api;
+
+    beforeAll(async () => {
+        api = await loginAs(app);
+    });
+
+    let projectId;
+
+    beforeEach(async () => {
+        // Ensure clean state for each test
+        if (fs.existsSync(TEST_PROJECTS_FILE)) {
+            fs.unlinkSync(TEST_PROJECTS_FILE);
+        }
+        if (fs.existsSync(TEST_TASKS_FILE)) {
+            fs.unlinkSync(TEST_TASKS_FILE);
+        }
+
+        const response = await api
+            .post('/api/projects')
+            .send({ name: 'Custom Task Project' });
+
+        projectId = response.body.id;
+    });
+
+    afterEach(() => {
+        const testUploadsDir = path.join(__dirname, '..', 'uploads', projectId);
+        if (fs.existsSync(testUploadsDir)) {
+            fs.rmSync(testUploadsDir, { recursive: true, force: true });
+        }
+    });
+
+    describe('POST /api/projects/:id/tasks', () => {
+        test('should add a custom task to a phase', async () => {
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks`)
+                .send({ phase: 'implementation', title: 'Secret Scanning', description: 'Scan the repository for committed secrets' })
+                .expect(201);
+
+            expect(response.body.task).toHaveProperty('id');
+            expect(response.body.task.phase).toBe('implementation');
+            expect(response.body.task.title).toBe('Secret Scanning');
+            expect(response.body.task.completed).toBe(false);
+
+            const detailsResponse = await api
+                .get(`/api/projects/${projectId}`);
+
+            const implementationTasks = detailsResponse.body.tasks.implementation;
+            expect(implementationTasks).toHaveLength(3);
+            expect(implementationTasks[2].title).toBe('Secret Scanning');
+        });
+
+        test('should reopen a completed phase when a task is added', async () => {
+            const detailsResponse = await api
+                .get(`/api/projects/${projectId}`);
+
+            for (const task of detailsResponse.body.tasks.deployment) {
+                await api
+                    .put(`/api/projects/${projectId}/tasks/${task.id}`)
+                    .send({ completed: true });
+            }
+
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks`)
+                .send({ phase: 'deployment', title: 'SBOM Generation' })
+                .expect(201);
+
+            expect(response.body.task.description).toBe('');
+            expect(response.body.project.phases.deployment.completed).toBe(false);
+        });
+
+        test('should return 400 error when title is missing', async () => {
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks`)
+                .send({ phase: 'planning', title: '  ' })
+                .expect(400);
+
+            expect(response.body.error).toContain('required');
+        });
+
+        test('should return 400 error for an unknown phase', async () => {
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks`)
+                .send({ phase: 'operations', title: 'Runtime Monitoring' })
+                .expect(400);
+
+            expect(response.body.error).toBe('Invalid phase: operations');
+        });
+
+        test('should return 404 error when project does not exist', async () => {
+            const response = await api
+                .post('/api/projects/nonexistent-id/tasks')
+                .send({ phase: 'planning', title: 'Task' })
+                .expect(404);
+
+            expect(response.body.error).toBe('Project not found');
+        });
+    });
+
+    describe('PUT /api/projects/:id/tasks/:taskId', () => {
+        test('should edit task title and description', async () => {
+            const detailsResponse = await api
+                .get(`/api/projects/${projectId}`);
+
+            const taskId = detailsResponse.body.tasks.planning[0].id;
+
+            const response = await api
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ title: 'STRIDE Threat Modeling', description: 'Run a STRIDE workshop' })
+                .expect(200);
+
+            expect(response.body.task.title).toBe('STRIDE Threat Modeling');
+            expect(response.body.task.description).toBe('Run a STRIDE workshop');
+            expect(response.body.task.completed).toBe(false);
+        });
+
+        test('should return 400 error when title is empty', async () => {
+            const detailsResponse = await api
+                .get(`/api/projects/${projectId}`);
+
+            const taskId = detailsResponse.body.tasks.planning[0].id;
+
+            const response = await api
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ title: '' })
+                .expect(400);
+
+            expect(response.body.error).toBe('Title field must be a non-empty string');
+        });
+    });
+
+    describe('POST /api/projects/:id/tasks/reorder', () => {
+        test('should reorder tasks within a phase', async () => {
+            const detailsResponse = await api
+                .get(`/api/projects/${projectId}`);
+
+            const [first, second] = detailsResponse.body.tasks.planning;
+
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks/reorder`)
+                .send({ phase: 'planning', taskIds: [second.id, first.id] })
+                .expect(200);
+
+            expect(response.body.tasks.map(task => task.id)).toEqual([second.id, first.id]);
+
+            const updatedResponse = await api
+                .get(`/api/projects/${projectId}`);
+
+            expect(updatedResponse.body.tasks.planning[0].id).toBe(second.id);
+        });
+
+        test('should return 400 error when task IDs do not match the phase', async () => {
+            const detailsResponse = await api
+                .get(`/api/projects/${projectId}`);
+
+            const [first] = detailsResponse.body.tasks.planning;
+            const [designTask] = detailsResponse.body.tasks.design;
+
+            const response = await api
+                .post(`/api/projects/${projectId}/tasks/reorder`)
+                .send({ phase: 'planning', taskIds: [first.id, designTask.id] })
+                .expect(400);
+
+            expect(response.body.error).toContain('every task in the phase');
+        });
+    });
+
+    describe('DELETE /api/projects/:id/tasks/:taskId', () => {
+        test('should delete a task and its evidence files', async () => {
+            const detailsResponse = await api
+                .get(`/api/projects/${projectId}`);
+
+            const taskId = detailsResponse.body.tasks.planning[0].id;
+            const testFilePath = path.join(__dirname, 'test-task-delete.txt');
+            fs.writeFileSync(testFilePath, 'Evidence for a deleted task');
+
+            await api
+                .post(`/api/projects/${projectId}/tasks/${taskId}/evidence`)
+                .attach('evidence', testFilePath)
+                .expect(200);
+
+            fs.unlinkSync(testFilePath);
+
+            const response = await api
+                .delete(`/api/projects/${projectId}/tasks/${taskId}`)
+                .expect(200);
+
+            expect(response.body.message).toBe('Task deleted successfully');
+            expect(fs.existsSync(path.join(__dirname, '..', 'uploads', projectId, taskId))).toBe(false);
+
+            const updatedResponse = await api
+                .get(`/api/projects/${projectId}`);
+
+            expect(updatedResponse.body.tasks.planning).toHaveLength(1);
+        });
+
+        test('should complete the phase when the last open task is deleted', async () => {
+            const detailsResponse = await api
+                .get(`/api/projects/${projectId}`);
+
+            const [first, second] = detailsResponse.body.tasks.testing;
+
+            await api
+                .put(`/api/projects/${projectId}/tasks/${first.id}`)
+                .send({ completed: true });
+
+            const response = await api
+                .delete(`/api/projects/${projectId}/tasks/${second.id}`)
+                .expect(200);
+
+            expect(response.body.project.phases.testing.completed).toBe(true);
+        });
+
+        test('should return 404 error when task does not exist', async () => {
+            const response = await api
+                .delete(`/api/projects/${projectId}/tasks/nonexistent-task-id`)
+                .expect(404);
+
+            expect(response.body.error).toBe('Task not found');
+        });
+    });
+
+    describe('Concurrent changes', () => {
+        test('should keep every update made to a project\'s tasks at the same time', async () => {
+            const detailsResponse = await api
+                .get(`/api/projects/${projectId}`);
+
+            const taskIds = Object.values(detailsResponse.body.tasks).flat().slice(0, 10).map(task => task.id);
+            expect(taskIds).toHaveLength(10);
+
+            await Promise.all(taskIds.map((taskId, index) => api
+                .put(`/api/projects/${projectId}/tasks/${taskId}`)
+                .send({ notes: `Note ${index}` })
+                .expect(200)));
+
+            const afterResponse = await api
+                .get(`/api/projects/${projectId}`);
+
+            const notes = Object.values(afterResponse.body.tasks).flat()
+                .filter(task => taskIds.includes(task.id))
+                .map(task => task.notes)
+                .sort();
+            expect(notes).toEqual(taskIds.map((taskId, index) => `Note ${index}`).sort());
+        });
+
+        test('should keep every task added to a phase at the same time', async () => {
+            const titles = Array.from({ length: 10 }, (value, index) => `Parallel task ${index}`);
+
+            await Promise.all(titles.map(title => api
+                .post(`/api/projects/${projectId}/tasks`)
+                .send({ phase: 'testing', title })
+                .expect(201)));
+
+            const detailsResponse = await api
+                .get(`/api/projects/${projectId}`);
+
+            const added = detailsResponse.body.tasks.testing.map(task => task.title).filter(title => titles.includes(title));
+            expect(added.sort()).toEqual([...titles].sort());
+        });
+    });
+});
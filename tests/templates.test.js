@@ -0,0 +1,313 @@
+const fs = require('fs');
+const path = require('path');
+const app = require('../server');
+const { loginAs } = require('./helpers/auth');
+
+// Test data directory
+const TEST_DATA_DIR = path.join(__dirname, '..', 'data');
+const TEST_PROJECTS_FILE = path.join(TEST_DATA_DIR, 'projects.json');
+const TEST_TASKS_FILE = path.join(TEST_DATA_DIR, 'tasks.json');
+const TEST_TEMPLATES_FILE = path.join(TEST_DATA_DIR, 'templates.json');
+
+const cleanUp = () => {
+    [TEST_PROJECTS_FILE, TEST_TASKS_FILE, TEST_TEMPLATES_FILE].forEach(file => {
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    });
+};
+
+const customTemplate = {
+    name: 'Data pipeline',
+    description: 'Checklist for batch data pipelines',
+    tasks: {
+        planning: [{ title: 'Data Classification', description: 'Classify every dataset the pipeline touches' }],
+        implementation: [
+            { title: 'Secret Scanning', description: 'Scan the repository for committed secrets' },
+            { title: 'SBOM Generation' }
+        ]
+    }
+};
+
+describe('Template API Endpoints', () => {
+    let api;
+    let member;
+
+    beforeAll(async () => {
+        api = await loginAs(app, 'template-admin', { admin: true });
+        member = await loginAs(app, 'template-member');
+    });
+
+    beforeEach(cleanUp);
+    afterAll(cleanUp);
+
+    describe('GET /api/templates', () => {
+        test('should return the built-in templates when none have been saved', async () => {
+            const response = await api
+                .get('/api/templates')
+                .expect(200);
+
+            const names = response.body.map(template => template.name);
+            expect(names).toEqual(['Web app', 'Mobile', 'Internal tool', 'PCI scope']);
+            response.body.forEach(template => {
+                expect(template.builtIn).toBe(true);
+                expect(template).toHaveProperty('tasks');
+            });
+        });
+
+        test('should return a single template by ID', async () => {
+            const response = await api
+                .get('/api/templates/pci-scope')
+                .expect(200);
+
+            expect(response.body.name).toBe('PCI scope');
+        });
+
+        test('should return 404 error when template does not exist', async () => {
+            const response = await api
+                .get('/api/templates/nonexistent-id')
+                .expect(404);
+
+            expect(response.body.error).toBe('Template not found');
+        });
+    });
+
+    describe('POST /api/templates', () => {
+        test('should create a template alongside the built-in ones', async () => {
+            const response = await api
+                .post('/api/templates')
+                .send(customTemplate)
+                .expect(201);
+
+            expect(response.body).toHaveProperty('id');
+            expect(response.body.name).toBe('Data pipeline');
+            expect(response.body.tasks.implementation[1]).toEqual({ title: 'SBOM Generation', description: '' });
+
+            const listResponse = await api
+                .get('/api/templates')
+                .expect(200);
+
+            expect(listResponse.body).toHaveLength(5);
+        });
+
+        test('should return 400 error when name is missing', async () => {
+            const response = await api
+                .post('/api/templates')
+                .send({ tasks: {} })
+                .expect(400);
+
+            expect(response.body.error).toContain('required');
+        });
+
+        test('should return 400 error for an unknown phase', async () => {
+            const response = await api
+                .post('/api/templates')
+                .send({ name: 'Broken', tasks: { operations: [{ title: 'Monitoring' }] } })
+                .expect(400);
+
+            expect(response.body.error).toBe('Invalid phase: operations');
+        });
+
+        test('should return 400 error for a task without a title', async () => {
+            const response = await api
+                .post('/api/templates')
+                .send({ name: 'Broken', tasks: { planning: [{ description: 'No title' }] } })
+                .expect(400);
+
+            expect(response.body.error).toContain('Task title is required');
+        });
+    });
+
+    describe('PUT /api/templates/:id', () => {
+        test('should update a template without touching existing projects', async () => {
+            const createResponse = await api
+                .post('/api/templates')
+                .send(customTemplate);
+
+            const templateId = createResponse.body.id;
+
+            const projectResponse = await api
+                .post('/api/projects')
+                .send({ name: 'Pipeline Project', templateId })
+                .expect(201);
+
+            const updateResponse = await api
+                .put(`/api/templates/${templateId}`)
+                .send({ name: 'Data pipeline v2', tasks: { planning: [{ title: 'Retention Review' }] } })
+                .expect(200);
+
+            expect(updateResponse.body.name).toBe('Data pipeline v2');
+            expect(updateResponse.body.tasks).toEqual({ planning: [{ title: 'Retention Review', description: '' }] });
+
+            const detailsResponse = await api
+                .get(`/api/projects/${projectResponse.body.id}`)
+                .expect(200);
+
+            expect(detailsResponse.body.tasks.planning[0].title).toBe('Data Classification');
+            expect(detailsResponse.body.tasks.implementation).toHaveLength(2);
+        });
+
+        test('should return 404 error when template does not exist', async () => {
+            const response = await api
+                .put('/api/templates/nonexistent-id')
+                .send(customTemplate)
+                .expect(404);
+
+            expect(response.body.error).toBe('Template not found');
+        });
+    });
+
+    describe('DELETE /api/templates/:id', () => {
+        test('should delete a template', async () => {
+            await api
+                .delete('/api/templates/mobile')
+                .expect(200);
+
+            const listResponse = await api
+                .get('/api/templates')
+                .expect(200);
+
+            expect(listResponse.body.map(template => template.id)).not.toContain('mobile');
+        });
+
+        test('should return 404 error when template does not exist', async () => {
+            const response = await api
+                .delete('/api/templates/nonexistent-id')
+                .expect(404);
+
+            expect(response.body.error).toBe('Template not found');
+        });
+    });
+
+    describe('Permissions and audit log', () => {
+        test('should only let administrators change templates', async () => {
+            await member.get('/api/templates/mobile').expect(200);
+
+            const createResponse = await member
+                .post('/api/templates')
+                .send(customTemplate)
+                .expect(403);
+            expect(createResponse.body.error).toBe('Only administrators can change templates');
+
+            await member
+                .put('/api/templates/mobile')
+                .send(customTemplate)
+                .expect(403);
+            await member
+                .delete('/api/templates/mobile')
+                .expect(403);
+
+            const listResponse = await member.get('/api/templates').expect(200);
+            expect(listResponse.body.map(template => template.id)).toContain('mobile');
+        });
+
+        test('should record who created, changed and deleted a template', async () => {
+            const createResponse = await api
+                .post('/api/templates')
+                .send(customTemplate)
+                .expect(201);
+            const templateId = createResponse.body.id;
+
+            await api
+                .put(`/api/templates/${templateId}`)
+                .send({ ...customTemplate, name: 'Data pipeline v2' })
+                .expect(200);
+            await api
+                .delete(`/api/templates/${templateId}`)
+                .expect(200);
+
+            const response = await api.get(`/api/templates/${templateId}/audit`).expect(200);
+            expect(response.body.map(entry => entry.action)).toEqual(['template.create', 'template.update', 'template.delete']);
+            expect(response.body[0].actor.username).toBe('template-admin');
+            expect(response.body[0].after.name).toBe('Data pipeline');
+            expect(response.body[1].before).toEqual({ name: 'Data pipeline' });
+            expect(response.body[1].after).toEqual({ name: 'Data pipeline v2' });
+            expect(response.body[2].before.name).toBe('Data pipeline v2');
+
+            await member.get(`/api/templates/${templateId}/audit`).expect(403);
+        });
+    });
+
+    describe('POST /api/projects with templateId', () => {
+        test('should create project tasks from the chosen template', async () => {
+            const response = await api
+                .post('/api/projects')
+                .send({ name: 'Card Payments', templateId: 'pci-scope' })
+                .expect(201);
+
+            expect(response.body.templateId).toBe('pci-scope');
+
+            const detailsResponse = await api
+                .get(`/api/projects/${response.body.id}`)
+                .expect(200);
+
+            const tasks = detailsResponse.body.tasks;
+            expect(tasks.planning.map(task => task.title)).toEqual(['Cardholder Data Flow Mapping', 'PCI DSS Scoping']);
+            expect(tasks.testing[1].title).toBe('ASV Vulnerability Scan');
+            tasks.testing.forEach(task => {
+                expect(task.phase).toBe('testing');
+                expect(task.completed).toBe(false);
+            });
+        });
+
+        test('should create empty task lists for phases the template leaves out', async () => {
+            const createResponse = await api
+                .post('/api/templates')
+                .send(customTemplate);
+
+            const response = await api
+                .post('/api/projects')
+                .send({ name: 'Pipeline Project', templateId: createResponse.body.id })
+                .expect(201);
+
+            const detailsResponse = await api
+                .get(`/api/projects/${response.body.id}`)
+                .expect(200);
+
+            expect(detailsResponse.body.tasks.design).toEqual([]);
+            expect(detailsResponse.body.tasks.implementation).toHaveLength(2);
+        });
+
+        test('should use the phases defined by the template', async () => {
+            const createResponse = await api
+                .post('/api/templates')
+                .send({
+                    name: 'Ops runbook',
+                    phases: [{ key: 'build', name: 'Build' }, { key: 'operate-monitor', name: 'Operate/Monitor' }],
+                    tasks: { 'operate-monitor': [{ title: 'Alerting Review' }] }
+                })
+                .expect(201);
+
+            const response = await api
+                .post('/api/projects')
+                .send({ name: 'Ops Project', templateId: createResponse.body.id })
+                .expect(201);
+
+            expect(Object.keys(response.body.phases)).toEqual(['build', 'operate-monitor']);
+
+            const detailsResponse = await api
+                .get(`/api/projects/${response.body.id}`)
+                .expect(200);
+
+            expect(detailsResponse.body.tasks['operate-monitor'][0].title).toBe('Alerting Review');
+        });
+
+        test('should return 400 error when template tasks do not fit the requested phases', async () => {
+            const response = await api
+                .post('/api/projects')
+                .send({ name: 'Card Payments', templateId: 'pci-scope', phases: [{ key: 'planning', name: 'Planning' }] })
+                .expect(400);
+
+            expect(response.body.error).toContain('have no matching project phase');
+        });
+
+        test('should return 400 error when template does not exist', async () => {
+            const response = await api
+                .post('/api/projects')
+                .send({ name: 'Project', templateId: 'nonexistent-id' })
+                .expect(400);
+
+            expect(response.body.error).toBe('Template not found');
+        });
+    });
+});
@@ -0,0 +1,18 @@
+const AuditEntry = require('../models/AuditEntry');
+const Storage = require('./storage');
+
+// Append an entry for a change a request made to a project. request needs the
+// signed-in user and the request ID. Called inside the Storage.updateProject
+// or updateTasksForProject callback that makes the change, so the entry is
+// written before the change is saved. Changes made another way record it just
+// before making them. Failing to record it fails the request and leaves the
+// change unmade.
+async function recordAudit({ user, requestId }, projectId, action, details = {}) {
+    const entry = new AuditEntry({ projectId, action, actor: user, requestId, ...details });
+    if (!(await Storage.appendAuditEntry(entry))) {
+        throw new Error(`Failed to write audit entry for ${action}`);
+    }
+    return entry;
+}
+
+module.exports = { recordAudit };
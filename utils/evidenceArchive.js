@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Readable, Transform, pipeline } = require('stream');
+const yazl = require('yazl');
+const Evidence = require('../models/Evidence');
+const Storage = require('./storage');
+const { sign, describeSigningKey } = require('./signing');
+
+const MANIFEST_NAME = 'manifest.json';
+const SIGNATURE_NAME = 'manifest.json.sig';
+
+// A name usable as one path segment on any platform: no separators, control
+// or reserved characters, and no leading or trailing dots and spaces
+function safeName(name, fallback) {
+    const cleaned = String(name || '')
+        .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]/g, '_')
+        .replace(/^[.\s]+|[.\s]+$/g, '')
+        .slice(0, 100);
+    return cleaned || fallback;
+}
+
+// Number folders so they sort in checklist order, e.g. "01 Planning"
+function numbered(index, name) {
+    return `${String(index + 1).padStart(2, '0')} ${name}`;
+}
+
+// A file name not yet used in a folder: "scan.pdf", then "scan (2).pdf"
+function uniqueName(name, used) {
+    const extension = path.extname(name);
+    const base = name.slice(0, name.length - extension.length);
+    let candidate = name;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = `${base} (${n})${extension}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+// Versions of an evidence item are told apart by name: "scan (v2).pdf"
+function versionedName(name, version) {
+    const extension = path.extname(name);
+    return `${name.slice(0, name.length - extension.length)} (v${version})${extension}`;
+}
+
+function modifiedTime(timestamp) {
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? new Date() : date;
+}
+
+// Stream a stored file into the archive, recording the SHA-256 of exactly the
+// bytes archived and whether it matches the hash recorded at upload
+function archivedFile(projectId, taskId, file) {
+    return callback => {
+        Storage.openEvidenceFile(projectId, taskId, file.filename).then(stored => {
+            if (!stored) {
+                return callback(new Error(`Evidence file ${file.filename} disappeared during export`));
+            }
+            const hash = crypto.createHash('sha256');
+            const hashing = new Transform({
+                transform(chunk, encoding, done) {
+                    hash.update(chunk);
+                    done(null, chunk);
+                },
+                flush(done) {
+                    file.sha256 = hash.digest('hex');
+                    if (!file.uploadSha256) {
+                        file.integrity = 'unhashed';
+                    } else {
+                        file.integrity = file.sha256 === file.uploadSha256 ? 'verified' : 'modified';
+                    }
+                    done();
+                }
+            });
+            callback(null, pipeline(stored.stream, hashing, () => {}));
+        }, callback);
+    };
+}
+
+// Build a ZIP of a project's evidence and return it as a stream. Files are
+// laid out as evidence/<phase>/<task>/<original name>, in checklist order,
+// with " (v<n>)" added to the names of versioned evidence.
+// manifest.json, written after the files, describes the project, every task
+// (status, notes, timestamps) and every evidence file with the SHA-256 of the
+// archived bytes. Files missing from storage or not scanned clean are listed
+// in the manifest but left out. With a signing key the manifest is signed
+// and the signature added as manifest.json.sig.
+//
+// phases is the project's [{ key, name }] list, tasks its stored tasks by
+// phase, stored the "<taskId>/<filename>" keys present in storage and
+// updatedAt the time each task was last changed, by task ID.
+function createEvidenceArchive({ project, phases, tasks, stored, updatedAt = {}, exportedBy, signingKey = null }) {
+    const zip = new yazl.ZipFile();
+    zip.on('error', error => zip.outputStream.destroy(error));
+
+    const manifest = {
+        format: 'ssdlc-evidence-export',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        exportedBy: exportedBy ? { userId: exportedBy.id, username: exportedBy.username } : null,
+        signing: null,
+        project: {
+            id: project.id,
+            name: project.name,
+            overallStatus: project.overallStatus,
+            createdDate: project.createdDate,
+            archived: Boolean(project.archived)
+        },
+        summary: { tasks: 0, completedTasks: 0, files: 0, archivedFiles: 0, excludedFiles: 0 },
+        phases: []
+    };
+    if (signingKey) {
+        const { keyType, digest, fingerprint } = describeSigningKey(signingKey);
+        manifest.signing = { signature: SIGNATURE_NAME, keyType, digest, fingerprint };
+    }
+
+    phases.forEach((phase, phaseIndex) => {
+        const phaseState = (project.phases && project.phases[phase.key]) || {};
+        const phaseFolder = numbered(phaseIndex, safeName(phase.name, phase.key));
+        const phaseEntry = {
+            key: phase.key,
+            name: phase.name,
+            completed: Boolean(phaseState.completed),
+            completedDate: phaseState.completedDate || null,
+            tasks: []
+        };
+
+        (tasks[phase.key] || []).forEach((task, taskIndex) => {
+            const taskFolder = `evidence/${phaseFolder}/${numbered(taskIndex, safeName(task.title, 'Task'))}`;
+            const usedNames = new Set();
+            const taskEntry = {
+                id: task.id,
+                title: task.title,
+                description: task.description || '',
+                status: task.completed ? 'completed' : 'open',
+                completedDate: task.completedDate || null,
+                updatedAt: updatedAt[task.id] || null,
+                notes: task.notes || '',
+                evidence: []
+            };
+
+            const evidenceFiles = (task.evidenceFiles || []).map(Evidence.normalize);
+            evidenceFiles.forEach(evidence => {
+                const scanStatus = Evidence.scanStatus(evidence);
+                const itemId = Evidence.itemId(evidence);
+                const versioned = Evidence.versions(evidenceFiles, itemId).length > 1;
+                const file = {
+                    path: null,
+                    filename: evidence.filename,
+                    originalName: evidence.originalName,
+                    itemId,
+                    version: Evidence.versionNumber(evidence),
+                    current: Evidence.isCurrent(evidence),
+                    size: evidence.size === undefined ? null : evidence.size,
+                    mimeType: evidence.mimeType || null,
+                    verifiedType: evidence.verifiedType || null,
+                    uploadedAt: evidence.uploadedAt || null,
+                    uploadedBy: evidence.uploadedBy || null,
+                    scan: scanStatus,
+                    uploadSha256: evidence.sha256 || null,
+                    sha256: null,
+                    integrity: null,
+                    excluded: null
+                };
+
+                if (!stored.has(`${task.id}/${evidence.filename}`)) {
+                    file.excluded = 'missing from storage';
+                } else if (scanStatus !== 'clean') {
+                    file.excluded = scanStatus === 'infected' ? 'failed the malware scan' : 'not scanned yet';
+                } else {
+                    const name = safeName(evidence.originalName, evidence.filename);
+                    file.path = `${taskFolder}/${uniqueName(versioned ? versionedName(name, file.version) : name, usedNames)}`;
+                    zip.addReadStreamLazy(file.path, { mtime: modifiedTime(evidence.uploadedAt) }, archivedFile(project.id, task.id, file));
+                }
+
+                manifest.summary.files++;
+                manifest.summary[file.excluded ? 'excludedFiles' : 'archivedFiles']++;
+                taskEntry.evidence.push(file);
+            });
+
+            manifest.summary.tasks++;
+            if (task.completed) {
+                manifest.summary.completedTasks++;
+            }
+            phaseEntry.tasks.push(taskEntry);
+        });
+
+        manifest.phases.push(phaseEntry);
+    });
+
+    // Entries are written in order, so by the time the manifest is read every
+    // file's hash has been recorded
+    let manifestData;
+    zip.addReadStreamLazy(MANIFEST_NAME, callback => {
+        manifestData = Buffer.from(JSON.stringify(manifest, null, 2));
+        callback(null, Readable.from([manifestData]));
+    });
+    if (signingKey) {
+        zip.addReadStreamLazy(SIGNATURE_NAME, callback => {
+            callback(null, Readable.from([sign(manifestData, signingKey)]));
+        });
+    }
+    zip.end();
+
+    return zip.outputStream;
+}
+
+module.exports = { MANIFEST_NAME, SIGNATURE_NAME, safeName, createEvidenceArchive };
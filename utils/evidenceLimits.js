@@ -0,0 +1,184 @@
+const { FILE_TYPES, DEFAULT_ALLOWED_TYPES, typesForExtension } = require('./fileTypes');
+
+const MB = 1024 * 1024;
+
+// Limits on evidence uploads. The server-wide limits are read from the
+// environment, falling back to these defaults. A project's owners can narrow
+// them for their project but never widen them. null means unlimited.
+const DEFAULT_LIMITS = {
+    maxFileSize: 10 * MB,
+    maxFilesPerUpload: 5,
+    maxFilesPerProject: null,
+    projectQuota: null,
+    allowedTypes: DEFAULT_ALLOWED_TYPES
+};
+
+const ENV_VARIABLES = {
+    maxFileSize: 'EVIDENCE_MAX_FILE_SIZE',
+    maxFilesPerUpload: 'EVIDENCE_MAX_FILES_PER_UPLOAD',
+    maxFilesPerProject: 'EVIDENCE_MAX_FILES_PER_PROJECT',
+    projectQuota: 'EVIDENCE_PROJECT_QUOTA',
+    allowedTypes: 'EVIDENCE_ALLOWED_TYPES'
+};
+
+const NUMERIC_LIMITS = ['maxFileSize', 'maxFilesPerUpload', 'maxFilesPerProject', 'projectQuota'];
+const SIZE_LIMITS = ['maxFileSize', 'projectQuota'];
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: MB, gb: 1024 * MB };
+
+// A byte count given as a number or as a string such as "500KB", "10MB" or "2GB"
+function parseSize(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+    if (!match) {
+        throw new Error(`Invalid size: ${value}`);
+    }
+    return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+// A byte count the way limits are written in messages, e.g. "10MB" or "1.5GB"
+function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${Math.round(value * 10) / 10}${units[unit]}`;
+}
+
+// MIME types for a list of MIME types and extensions, e.g. ['.har', 'application/zip']
+function resolveTypes(entries) {
+    if (!Array.isArray(entries)) {
+        throw new Error('allowedTypes must be a list of MIME types or file extensions');
+    }
+    const types = [];
+    for (const entry of entries) {
+        const value = String(entry).trim().toLowerCase();
+        const matches = value.startsWith('.') ? typesForExtension(value) : (FILE_TYPES[value] ? [value] : []);
+        if (matches.length === 0) {
+            throw new Error(`Unknown file type: ${entry}`);
+        }
+        matches.filter(type => !types.includes(type)).forEach(type => types.push(type));
+    }
+    if (types.length === 0) {
+        throw new Error('allowedTypes must allow at least one file type');
+    }
+    return types;
+}
+
+function allowedExtensions(types) {
+    return [...new Set(types.flatMap(type => FILE_TYPES[type].extensions))];
+}
+
+// A positive whole number, or null (or "unlimited") for no limit
+function parseLimit(name, value) {
+    if (value === null || value === 'unlimited') {
+        return null;
+    }
+    const number = SIZE_LIMITS.includes(name) ? parseSize(value) : Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new Error(`${name} must be a positive whole number, or null for no limit`);
+    }
+    return number;
+}
+
+// The tighter of two limits, where null is unlimited
+function tighter(a, b) {
+    if (a === null) {
+        return b;
+    }
+    return b === null ? a : Math.min(a, b);
+}
+
+// The server-wide limits: EVIDENCE_MAX_FILE_SIZE and EVIDENCE_PROJECT_QUOTA
+// (bytes, or sizes such as "50MB"), EVIDENCE_MAX_FILES_PER_UPLOAD and
+// EVIDENCE_MAX_FILES_PER_PROJECT, and EVIDENCE_ALLOWED_TYPES (a comma
+// separated list of MIME types and extensions). "unlimited" lifts a limit.
+function getGlobalLimits(env = process.env) {
+    const limits = { ...DEFAULT_LIMITS };
+    for (const name of Object.keys(ENV_VARIABLES)) {
+        const value = env[ENV_VARIABLES[name]];
+        if (value === undefined || value.trim() === '') {
+            continue;
+        }
+        try {
+            limits[name] = name === 'allowedTypes' ? resolveTypes(value.split(',')) : parseLimit(name, value.trim());
+        } catch (error) {
+            throw new Error(`${ENV_VARIABLES[name]}: ${error.message}`);
+        }
+    }
+    return limits;
+}
+
+// The limits that apply to a project: the server-wide limits, narrowed by
+// whatever the project's own evidenceLimits set
+function getProjectLimits(project, globalLimits = getGlobalLimits()) {
+    const own = (project && project.evidenceLimits) || {};
+    const limits = { ...globalLimits };
+    NUMERIC_LIMITS.forEach(name => {
+        if (own[name] !== undefined && own[name] !== null) {
+            limits[name] = tighter(globalLimits[name], own[name]);
+        }
+    });
+    if (own.allowedTypes) {
+        limits.allowedTypes = globalLimits.allowedTypes.filter(type => own.allowedTypes.includes(type));
+    }
+    return limits;
+}
+
+// Check the limits a project's owner asked for and return them as stored.
+// Limits left out or null follow the server-wide ones. Throws an Error naming
+// the problem, including any limit wider than the server allows.
+function normalizeProjectLimits(input, globalLimits = getGlobalLimits()) {
+    const unknown = Object.keys(input).filter(name => !Object.prototype.hasOwnProperty.call(DEFAULT_LIMITS, name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown evidence limit: ${unknown[0]}`);
+    }
+
+    const limits = {};
+    NUMERIC_LIMITS.forEach(name => {
+        if (input[name] === undefined || input[name] === null) {
+            return;
+        }
+        const value = parseLimit(name, input[name]);
+        if (value === null) {
+            return;
+        }
+        if (globalLimits[name] !== null && value > globalLimits[name]) {
+            const max = SIZE_LIMITS.includes(name) ? formatSize(globalLimits[name]) : globalLimits[name];
+            throw new Error(`${name} cannot be more than the server limit of ${max}`);
+        }
+        limits[name] = value;
+    });
+
+    if (input.allowedTypes !== undefined && input.allowedTypes !== null) {
+        const types = resolveTypes(input.allowedTypes);
+        const disallowed = types.find(type => !globalLimits.allowedTypes.includes(type));
+        if (disallowed) {
+            throw new Error(`File type ${disallowed} is not allowed on this server`);
+        }
+        limits.allowedTypes = types;
+    }
+    return limits;
+}
+
+// Limits as the API reports them, with the extensions of the allowed types
+function describeLimits(limits) {
+    return { ...limits, allowedExtensions: allowedExtensions(limits.allowedTypes) };
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    parseSize,
+    formatSize,
+    resolveTypes,
+    allowedExtensions,
+    getGlobalLimits,
+    getProjectLimits,
+    normalizeProjectLimits,
+    describeLimits
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const Storage = require('./storage');
+const { storedFilename } = require('./uploads');
+const { SNIFF_LENGTH } = require('./fileTypes');
+
+// Passes a file through unchanged while measuring it: its size, SHA-256 and
+// leading bytes for the file type check
+class FileInspector extends Transform {
+    constructor() {
+        super();
+        this.size = 0;
+        this.hash = crypto.createHash('sha256');
+        this.headerChunks = [];
+        this.headerLength = 0;
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.size += chunk.length;
+        this.hash.update(chunk);
+        if (this.headerLength < SNIFF_LENGTH) {
+            const part = chunk.subarray(0, SNIFF_LENGTH - this.headerLength);
+            this.headerChunks.push(part);
+            this.headerLength += part.length;
+        }
+        callback(null, chunk);
+    }
+
+    get header() {
+        return Buffer.concat(this.headerChunks);
+    }
+}
+
+// Multer storage engine that streams each uploaded file straight into the
+// evidence store of the request's project and task. Adds filename, size,
+// sha256 and header (its first SNIFF_LENGTH bytes) to the file.
+class EvidenceStorageEngine {
+    _handleFile(req, file, callback) {
+        const { projectId, taskId } = req.params;
+        const filename = storedFilename(file.originalname);
+        const inspector = new FileInspector();
+
+        // Errors in the upload stream reach the store through the inspector
+        pipeline(file.stream, inspector, () => {});
+
+        Storage.writeEvidenceFile(projectId, taskId, filename, inspector)
+            .then(() => callback(null, {
+                filename,
+                size: inspector.size,
+                sha256: inspector.hash.digest('hex'),
+                header: inspector.header
+            }))
+            .catch(callback);
+    }
+
+    _removeFile(req, file, callback) {
+        const { projectId, taskId } = req.params;
+        Storage.deleteEvidenceFile(projectId, taskId, file.filename)
+            .then(() => callback(null))
+            .catch(callback);
+    }
+}
+
+module.exports = EvidenceStorageEngine;
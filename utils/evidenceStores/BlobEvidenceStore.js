@@ -0,0 +1,74 @@
+const { Readable } = require('stream');
+const EvidenceStore = require('./EvidenceStore');
+
+const DEFAULT_STORE_NAME = 'ssdlc';
+
+// Keeps evidence in a Netlify Blobs store under
+// evidence/<projectId>/<taskId>/<filename>. The Blobs API takes whole values,
+// so writes collect the file first; Netlify Functions receive request bodies
+// in one piece anyway.
+class BlobEvidenceStore extends EvidenceStore {
+    // store is any object with the get/set/delete/list API of @netlify/blobs.
+    // Without one, a store is opened per call so each invocation uses fresh
+    // credentials.
+    constructor(store = null, storeName = DEFAULT_STORE_NAME) {
+        super();
+        this.store = store;
+        this.storeName = storeName || DEFAULT_STORE_NAME;
+    }
+
+    get name() {
+        return 'blobs';
+    }
+
+    getStore() {
+        if (this.store) {
+            return this.store;
+        }
+        const { getStore } = require('@netlify/blobs');
+        return getStore({ name: this.storeName, consistency: 'strong' });
+    }
+
+    key(...parts) {
+        return ['evidence', ...EvidenceStore.segments(...parts)].join('/');
+    }
+
+    async write(projectId, taskId, filename, source) {
+        const chunks = [];
+        for await (const chunk of EvidenceStore.toStream(source)) {
+            chunks.push(chunk);
+        }
+        const data = Buffer.concat(chunks);
+        await this.getStore().set(this.key(projectId, taskId, filename), data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+    }
+
+    async open(projectId, taskId, filename) {
+        const data = await this.getStore().get(this.key(projectId, taskId, filename), { type: 'arrayBuffer' });
+        if (!data) {
+            return null;
+        }
+        const buffer = Buffer.from(data);
+        return { stream: Readable.from([buffer]), size: buffer.length };
+    }
+
+    async list(projectId) {
+        const prefix = `${this.key(projectId)}/`;
+        const { blobs } = await this.getStore().list({ prefix });
+        return blobs.map(blob => {
+            const [taskId, ...rest] = blob.key.slice(prefix.length).split('/');
+            return { taskId, filename: rest.join('/') };
+        });
+    }
+
+    async remove(projectId, taskId, filename) {
+        await this.getStore().delete(this.key(projectId, taskId, filename));
+    }
+
+    async removeAll(projectId, taskId) {
+        const store = this.getStore();
+        const { blobs } = await store.list({ prefix: `${this.key(projectId, taskId)}/` });
+        await Promise.all(blobs.map(blob => store.delete(blob.key)));
+    }
+}
+
+module.exports = BlobEvidenceStore;
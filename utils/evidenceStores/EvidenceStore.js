@@ -0,0 +1,67 @@
+const path = require('path');
+const { Readable } = require('stream');
+
+// Base class for the places evidence file contents are kept. Files are
+// addressed by project ID, task ID and stored file name, and move through
+// streams so a store never has to hold a whole file in memory:
+//
+// - write(projectId, taskId, filename, source) stores a Buffer or Readable.
+//   It rejects if the source fails or the store cannot take the file,
+//   leaving nothing behind.
+// - open(projectId, taskId, filename) resolves to { stream, size }, or null
+//   when the file is not stored.
+// - list(projectId) resolves to every stored file of a project as
+//   { taskId, filename }.
+// - remove(projectId, taskId, filename) and removeAll(projectId, taskId?)
+//   delete one file, or every file of a project or one of its tasks.
+class EvidenceStore {
+    get name() {
+        return this.constructor.name;
+    }
+
+    async write() {
+        throw new Error(`${this.constructor.name} does not implement write`);
+    }
+
+    async open() {
+        throw new Error(`${this.constructor.name} does not implement open`);
+    }
+
+    async list() {
+        throw new Error(`${this.constructor.name} does not implement list`);
+    }
+
+    async remove() {
+        throw new Error(`${this.constructor.name} does not implement remove`);
+    }
+
+    async removeAll() {
+        throw new Error(`${this.constructor.name} does not implement removeAll`);
+    }
+
+    // A file's whole content as a Buffer, or null when it is not stored. For
+    // the callers that need it in one piece, such as the Netlify function.
+    async read(projectId, taskId, filename) {
+        const file = await this.open(projectId, taskId, filename);
+        if (!file) {
+            return null;
+        }
+        const chunks = [];
+        for await (const chunk of file.stream) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    // The path segments of a file. path.basename guards against traversal
+    // through the IDs and the file name.
+    static segments(...parts) {
+        return parts.filter(part => part !== undefined).map(part => path.basename(String(part)));
+    }
+
+    static toStream(source) {
+        return Buffer.isBuffer(source) ? Readable.from([source]) : source;
+    }
+}
+
+module.exports = EvidenceStore;
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const EvidenceStore = require('./EvidenceStore');
+
+// Keeps evidence on the local disk under <rootDir>/<projectId>/<taskId>/<filename>.
+// The default, for single-server deployments.
+class LocalEvidenceStore extends EvidenceStore {
+    constructor(rootDir) {
+        super();
+        this.rootDir = rootDir;
+    }
+
+    get name() {
+        return 'local';
+    }
+
+    filePath(projectId, taskId, filename) {
+        return path.join(this.rootDir, ...EvidenceStore.segments(projectId, taskId, filename));
+    }
+
+    async write(projectId, taskId, filename, source) {
+        const filePath = this.filePath(projectId, taskId, filename);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        try {
+            await pipeline(EvidenceStore.toStream(source), fs.createWriteStream(filePath));
+        } catch (error) {
+            await fs.promises.rm(filePath, { force: true });
+            throw error;
+        }
+    }
+
+    async open(projectId, taskId, filename) {
+        // Open the file before handing out a stream, so a stream destroyed
+        // unread has nothing left to open
+        let handle;
+        try {
+            handle = await fs.promises.open(this.filePath(projectId, taskId, filename), 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+        try {
+            const stats = await handle.stat();
+            return { stream: handle.createReadStream(), size: stats.size };
+        } catch (error) {
+            await handle.close();
+            throw error;
+        }
+    }
+
+    async list(projectId) {
+        const projectDir = path.join(this.rootDir, ...EvidenceStore.segments(projectId));
+        if (!fs.existsSync(projectDir)) {
+            return [];
+        }
+        return fs.readdirSync(projectDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .flatMap(taskDir => fs.readdirSync(path.join(projectDir, taskDir.name), { withFileTypes: true })
+                .filter(entry => entry.isFile())
+                .map(entry => ({ taskId: taskDir.name, filename: entry.name })));
+    }
+
+    async remove(projectId, taskId, filename) {
+        await fs.promises.rm(this.filePath(projectId, taskId, filename), { force: true });
+    }
+
+    async removeAll(projectId, taskId) {
+        const dir = path.join(this.rootDir, ...EvidenceStore.segments(projectId, taskId));
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = LocalEvidenceStore;
@@ -0,0 +1,107 @@
+const EvidenceStore = require('./EvidenceStore');
+
+function loadSdk() {
+    try {
+        return {
+            ...require('@aws-sdk/client-s3'),
+            ...require('@aws-sdk/lib-storage')
+        };
+    } catch (error) {
+        throw new Error('S3 evidence storage requires the @aws-sdk/client-s3 and @aws-sdk/lib-storage packages (npm install @aws-sdk/client-s3 @aws-sdk/lib-storage)');
+    }
+}
+
+function isNotFound(error) {
+    return error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+        (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+// Keeps evidence in a bucket of Amazon S3 or an S3-compatible service such as
+// MinIO, under <prefix><projectId>/<taskId>/<filename>. Uploads of any size
+// are streamed to the bucket in parts, and downloads stream the object body.
+//
+// options: bucket (required), prefix, and either a ready client or the
+// endpoint, region, credentials and forcePathStyle to create one with.
+// Credentials left out are looked up the SDK's usual way (AWS_* variables,
+// profiles, instance roles).
+class S3EvidenceStore extends EvidenceStore {
+    constructor({ bucket, prefix = 'evidence/', client = null, endpoint, region = 'us-east-1', credentials, forcePathStyle = false } = {}) {
+        super();
+        if (!bucket) {
+            throw new Error('S3 evidence storage needs a bucket (S3_BUCKET)');
+        }
+        this.sdk = loadSdk();
+        this.bucket = bucket;
+        this.prefix = prefix;
+        this.client = client || new this.sdk.S3Client({ endpoint, region, credentials, forcePathStyle });
+    }
+
+    get name() {
+        return 's3';
+    }
+
+    key(...parts) {
+        return this.prefix + EvidenceStore.segments(...parts).join('/');
+    }
+
+    async write(projectId, taskId, filename, source) {
+        const upload = new this.sdk.Upload({
+            client: this.client,
+            params: { Bucket: this.bucket, Key: this.key(projectId, taskId, filename), Body: EvidenceStore.toStream(source) }
+        });
+        // A failed multipart upload is aborted, so no partial object is left
+        await upload.done();
+    }
+
+    async open(projectId, taskId, filename) {
+        try {
+            const response = await this.client.send(new this.sdk.GetObjectCommand({
+                Bucket: this.bucket,
+                Key: this.key(projectId, taskId, filename)
+            }));
+            return { stream: response.Body, size: response.ContentLength };
+        } catch (error) {
+            if (isNotFound(error)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async listKeys(prefix) {
+        const keys = [];
+        let continuationToken;
+        do {
+            const response = await this.client.send(new this.sdk.ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: prefix,
+                ContinuationToken: continuationToken
+            }));
+            keys.push(...(response.Contents || []).map(object => object.Key));
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+        return keys;
+    }
+
+    async list(projectId) {
+        const prefix = `${this.key(projectId)}/`;
+        return (await this.listKeys(prefix)).map(key => {
+            const [taskId, ...rest] = key.slice(prefix.length).split('/');
+            return { taskId, filename: rest.join('/') };
+        });
+    }
+
+    async remove(projectId, taskId, filename) {
+        await this.client.send(new this.sdk.DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.key(projectId, taskId, filename)
+        }));
+    }
+
+    async removeAll(projectId, taskId) {
+        const keys = await this.listKeys(`${this.key(projectId, taskId)}/`);
+        await Promise.all(keys.map(key => this.client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: key }))));
+    }
+}
+
+module.exports = S3EvidenceStore;
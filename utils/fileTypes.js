@@ -0,0 +1,147 @@
+const path = require('path');
+
+// How many leading bytes of a file are inspected
+const SNIFF_LENGTH = 8192;
+
+// Each MIME type evidence may be uploaded as, the extensions it may be
+// uploaded with and the kind of content its files must actually contain.
+// `preview` says how the checklist can show a file of the type inline.
+// Which of them an upload accepts is configured (see utils/evidenceLimits.js).
+const FILE_TYPES = {
+    'image/jpeg': { extensions: ['.jpg', '.jpeg'], content: 'image/jpeg', preview: 'image' },
+    'image/png': { extensions: ['.png'], content: 'image/png', preview: 'image' },
+    'image/gif': { extensions: ['.gif'], content: 'image/gif', preview: 'image' },
+    'image/webp': { extensions: ['.webp'], content: 'image/webp', preview: 'image' },
+    'application/pdf': { extensions: ['.pdf'], content: 'application/pdf', preview: 'pdf' },
+    'text/plain': { extensions: ['.txt'], content: 'text', preview: 'text' },
+    'text/csv': { extensions: ['.csv'], content: 'text', preview: 'text' },
+    'application/msword': { extensions: ['.doc'], content: 'ole2' },
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { extensions: ['.docx'], content: 'zip' },
+    'application/vnd.ms-excel': { extensions: ['.xls'], content: 'ole2' },
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { extensions: ['.xlsx'], content: 'zip' },
+    'application/json': { extensions: ['.json'], content: 'text', preview: 'text' },
+    'application/har+json': { extensions: ['.har'], content: 'text', preview: 'text' },
+    'application/zip': { extensions: ['.zip'], content: 'zip' },
+    'application/x-zip-compressed': { extensions: ['.zip'], content: 'zip' }
+};
+
+// The types accepted unless configured otherwise: images, PDFs and office
+// documents
+const DEFAULT_ALLOWED_TYPES = [
+    'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf', 'text/plain', 'text/csv',
+    'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+// Browsers send no type, or a generic one, for extensions they do not know
+// (such as .har)
+const GENERIC_TYPES = ['', 'application/octet-stream'];
+
+const SIGNATURES = [
+    { content: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { content: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { content: 'image/gif', bytes: Buffer.from('GIF87a') },
+    { content: 'image/gif', bytes: Buffer.from('GIF89a') },
+    { content: 'application/pdf', bytes: Buffer.from('%PDF-') },
+    { content: 'ole2', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+    { content: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] }
+];
+
+// Markup a browser would render or run if the file were ever served inline
+const MARKUP = /^\s*<(?:!doctype|html|head|body|script|iframe|svg|\?xml)/i;
+
+function startsWith(header, bytes, offset = 0) {
+    return header.length >= offset + bytes.length &&
+        Array.from(bytes).every((byte, index) => header[offset + index] === byte);
+}
+
+function isText(header) {
+    if (header.includes(0)) {
+        return false;
+    }
+    // A multi-byte character may be cut off where the sniffed bytes end
+    const complete = header.length < SNIFF_LENGTH ? header : header.subarray(0, header.length - 3);
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(complete);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// What a file's leading bytes say it is: one of the signature kinds above,
+// 'image/webp', 'text', 'markup' or 'unknown'
+function sniffContent(header) {
+    const signature = SIGNATURES.find(candidate => startsWith(header, candidate.bytes));
+    if (signature) {
+        return signature.content;
+    }
+    if (startsWith(header, Buffer.from('RIFF')) && startsWith(header, Buffer.from('WEBP'), 8)) {
+        return 'image/webp';
+    }
+    if (isText(header)) {
+        const text = header.toString('utf8').replace(/^\uFEFF/, '');
+        return MARKUP.test(text) ? 'markup' : 'text';
+    }
+    return 'unknown';
+}
+
+// The MIME types a file extension may be uploaded as
+function typesForExtension(extension) {
+    return Object.keys(FILE_TYPES).filter(type => FILE_TYPES[type].extensions.includes(extension.toLowerCase()));
+}
+
+// The type a file is treated as: what the uploader declared, or for a
+// generic declaration the first type its extension belongs to
+function resolveDeclaredType(originalName, declaredType) {
+    if (!GENERIC_TYPES.includes(declaredType || '')) {
+        return declaredType;
+    }
+    return typesForExtension(path.extname(originalName))[0] || declaredType;
+}
+
+// Check that a file's extension, declared MIME type and content agree and
+// that the type is one of allowedTypes. header is at least the file's first
+// SNIFF_LENGTH bytes, or the whole file if it is shorter. Returns the
+// verified MIME type; throws an Error saying what disagrees otherwise.
+function verifyFileType(originalName, declaredType, header, allowedTypes = DEFAULT_ALLOWED_TYPES) {
+    declaredType = resolveDeclaredType(originalName, declaredType);
+    const fileType = allowedTypes.includes(declaredType) ? FILE_TYPES[declaredType] : null;
+    if (!fileType) {
+        throw new Error(`File type ${declaredType || 'unknown'} is not allowed`);
+    }
+
+    const extension = path.extname(originalName).toLowerCase();
+    if (!fileType.extensions.includes(extension)) {
+        throw new Error(`File extension ${extension || '(none)'} does not match file type ${declaredType}`);
+    }
+
+    const content = sniffContent(header.subarray(0, SNIFF_LENGTH));
+    if (content !== fileType.content) {
+        throw new Error(`File content does not match file type ${declaredType}`);
+    }
+
+    return declaredType;
+}
+
+// The Content-Type a file verified as this type is previewed with, or null
+// when it cannot be previewed. Text of every kind is served as plain text so
+// the browser interprets none of it.
+function previewType(verifiedType) {
+    const fileType = FILE_TYPES[verifiedType];
+    if (!fileType || !fileType.preview) {
+        return null;
+    }
+    return fileType.preview === 'text' ? 'text/plain; charset=utf-8' : verifiedType;
+}
+
+module.exports = {
+    SNIFF_LENGTH,
+    FILE_TYPES,
+    DEFAULT_ALLOWED_TYPES,
+    sniffContent,
+    typesForExtension,
+    resolveDeclaredType,
+    verifyFileType,
+    previewType
+};
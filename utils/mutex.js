@@ -0,0 +1,17 @@
+// Minimal promise-based mutex. Callers queue up and run one at a time, in the
+// order they asked for the lock. Not re-entrant: code holding the lock must not
+// try to take it again.
+class Mutex {
+    constructor() {
+        this.tail = Promise.resolve();
+    }
+
+    runExclusive(fn) {
+        const result = this.tail.then(() => fn());
+        // A failed holder must not block everyone queued behind it
+        this.tail = result.catch(() => {});
+        return result;
+    }
+}
+
+module.exports = Mutex;
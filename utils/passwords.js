@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+// Hash a password with a random salt. The result is "scrypt$<salt>$<hash>"
+// with both parts hex encoded.
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+    const [scheme, salt, expectedHex] = (passwordHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expectedHex) {
+        return false;
+    }
+
+    const expected = Buffer.from(expectedHex, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// API tokens are random, so a fast hash is enough to avoid storing them in clear
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = { hashPassword, verifyPassword, hashToken };
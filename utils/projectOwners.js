@@ -0,0 +1,39 @@
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Storage = require('./storage');
+const { recordAudit } = require('./audit');
+
+// Projects saved before memberships existed have no members, and a project
+// without members is open to nobody. Give each of them an owner: the first
+// administrator, normally the account created at setup. Does nothing while
+// there are no accounts. Returns the number of projects given an owner.
+async function assignProjectOwners() {
+    const users = await Storage.readUsers();
+    const owner = users.find(user => User.isAdministrator(user, users));
+    if (!owner) {
+        return 0;
+    }
+
+    let assigned = 0;
+    for (const { id } of await Storage.readProjects()) {
+        await Storage.updateProject(id, async projectData => {
+            if (!projectData || (projectData.members || []).length > 0) {
+                return {};
+            }
+
+            const project = Object.assign(new Project(), projectData);
+            project.setMember(owner.id, 'owner');
+
+            // Recorded without an actor, as the server made the change
+            await recordAudit({ user: null, requestId: null }, id, 'member.add', {
+                target: { type: 'member', id: owner.id, username: owner.username },
+                after: { role: 'owner' }
+            });
+            assigned++;
+            return { project };
+        });
+    }
+    return assigned;
+}
+
+module.exports = { assignProjectOwners };
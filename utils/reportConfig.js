@@ -0,0 +1,155 @@
+const { jsPDF } = require('jspdf');
+const { sniffContent } = require('./fileTypes');
+const { formatSize } = require('./evidenceLimits');
+
+// The setting the server-wide report configuration is saved under
+const SETTING_NAME = 'reportConfig';
+
+const MAX_LOGO_SIZE = 256 * 1024;
+const LOGO_TYPES = ['image/png', 'image/jpeg'];
+const MAX_ORGANISATION_NAME = 100;
+
+// How reports are branded and what they include. The server-wide
+// configuration overrides these defaults and a project's own configuration
+// overrides that; anything either leaves out follows the level below.
+const DEFAULT_REPORT_CONFIG = {
+    organisationName: null,
+    logo: null,
+    theme: { primary: '#2c3e50', accent: '#007bff' },
+    sections: { outstandingTasks: true, notes: true, evidenceList: true, auditTrail: false }
+};
+
+const COLOR = /^#[0-9a-f]{6}$/i;
+
+// A logo as a data: URL of a PNG or JPEG image, checked by its content
+function normalizeLogo(value) {
+    const match = typeof value === 'string' && value.match(/^data:(image\/[a-z]+);base64,([a-z0-9+/]+=*)$/i);
+    if (!match) {
+        throw new Error('logo must be a PNG or JPEG image as a base64 data: URL');
+    }
+    const data = Buffer.from(match[2], 'base64');
+    const type = sniffContent(data);
+    if (!LOGO_TYPES.includes(type)) {
+        throw new Error('logo must be a PNG or JPEG image as a base64 data: URL');
+    }
+    if (data.length > MAX_LOGO_SIZE) {
+        throw new Error(`logo cannot be larger than ${formatSize(MAX_LOGO_SIZE)}`);
+    }
+    const dataUrl = `data:${type};base64,${data.toString('base64')}`;
+    try {
+        new jsPDF().getImageProperties(dataUrl);
+    } catch (error) {
+        throw new Error('logo could not be read as an image');
+    }
+    return dataUrl;
+}
+
+// The keys of an object that a group of settings allows, checked
+function checkKeys(name, value, allowed) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`${name} must be an object`);
+    }
+    const unknown = Object.keys(value).find(key => !allowed.includes(key));
+    if (unknown) {
+        throw new Error(`Unknown ${name} setting: ${unknown}`);
+    }
+}
+
+// Check a report configuration as given to the API and return it as stored.
+// Settings left out or null follow the level below. Throws an Error naming
+// the problem.
+function normalizeReportConfig(input) {
+    checkKeys('report', input, Object.keys(DEFAULT_REPORT_CONFIG));
+    const config = {};
+
+    if (input.organisationName !== undefined && input.organisationName !== null) {
+        if (typeof input.organisationName !== 'string') {
+            throw new Error('organisationName must be text');
+        }
+        const name = input.organisationName.trim();
+        if (name.length > MAX_ORGANISATION_NAME) {
+            throw new Error(`organisationName cannot be longer than ${MAX_ORGANISATION_NAME} characters`);
+        }
+        if (name) {
+            config.organisationName = name;
+        }
+    }
+
+    if (input.logo !== undefined && input.logo !== null) {
+        config.logo = normalizeLogo(input.logo);
+    }
+
+    if (input.theme !== undefined && input.theme !== null) {
+        checkKeys('theme', input.theme, Object.keys(DEFAULT_REPORT_CONFIG.theme));
+        const theme = {};
+        Object.keys(input.theme).forEach(key => {
+            const value = input.theme[key];
+            if (value === null) {
+                return;
+            }
+            if (!COLOR.test(value)) {
+                throw new Error(`theme.${key} must be a colour such as #1a2b3c`);
+            }
+            theme[key] = value.toLowerCase();
+        });
+        if (Object.keys(theme).length > 0) {
+            config.theme = theme;
+        }
+    }
+
+    if (input.sections !== undefined && input.sections !== null) {
+        checkKeys('sections', input.sections, Object.keys(DEFAULT_REPORT_CONFIG.sections));
+        const sections = {};
+        Object.keys(input.sections).forEach(key => {
+            const value = input.sections[key];
+            if (value === null) {
+                return;
+            }
+            if (typeof value !== 'boolean') {
+                throw new Error(`sections.${key} must be true or false`);
+            }
+            sections[key] = value;
+        });
+        if (Object.keys(sections).length > 0) {
+            config.sections = sections;
+        }
+    }
+
+    return config;
+}
+
+// The configuration that applies: the defaults overridden by each stored
+// configuration in turn, e.g. resolveReportConfig(serverConfig, projectConfig)
+function resolveReportConfig(...layers) {
+    return layers.filter(Boolean).reduce((config, layer) => ({
+        organisationName: layer.organisationName || config.organisationName,
+        logo: layer.logo || config.logo,
+        theme: { ...config.theme, ...layer.theme },
+        sections: { ...config.sections, ...layer.sections }
+    }), DEFAULT_REPORT_CONFIG);
+}
+
+// A configuration as recorded in the audit log, with the logo described
+// rather than copied
+function summarizeReportConfig(config) {
+    if (!config.logo) {
+        return config;
+    }
+    const [, type, data] = config.logo.match(/^data:([^;]+);base64,(.*)$/);
+    return { ...config, logo: `${type}, ${formatSize(Buffer.from(data, 'base64').length)}` };
+}
+
+// A #rrggbb colour as the [r, g, b] jsPDF takes
+function colorComponents(color) {
+    return [1, 3, 5].map(offset => parseInt(color.slice(offset, offset + 2), 16));
+}
+
+module.exports = {
+    SETTING_NAME,
+    MAX_LOGO_SIZE,
+    DEFAULT_REPORT_CONFIG,
+    normalizeReportConfig,
+    resolveReportConfig,
+    summarizeReportConfig,
+    colorComponents
+};
@@ -0,0 +1,306 @@
+const Evidence = require('../models/Evidence');
+
+// The share of tasks completed, as a whole percentage. A project's security
+// score is this over all of its tasks.
+function percentage(completed, total) {
+    return total > 0 ? Math.round((completed / total) * 100) : 0;
+}
+
+// How far a phase has got: 'complete' once the project marked it so,
+// 'in-progress' when some of its tasks are done, otherwise 'not-started'
+function phaseStatus(project, phaseKey, completed) {
+    if (project.phases && project.phases[phaseKey] && project.phases[phaseKey].completed) {
+        return 'complete';
+    }
+    return completed > 0 ? 'in-progress' : 'not-started';
+}
+
+// Portfolio reports count projects by security score in these bands
+const SCORE_BANDS = [[0, 19], [20, 39], [40, 59], [60, 79], [80, 100]];
+
+// Phases whose outstanding tasks the portfolio report lists per project,
+// unless configured otherwise: the ones that gate a release
+const DEFAULT_PORTFOLIO_FOCUS_PHASES = ['testing', 'deployment'];
+
+// How many of the most commonly skipped tasks the portfolio report lists
+const MOST_SKIPPED_LIMIT = 10;
+
+const PHASE_STATUS_NAMES = {
+    complete: 'Complete',
+    'in-progress': 'In progress',
+    'not-started': 'Not started'
+};
+
+// What a report's audit trail calls each kind of change
+const AUDIT_ACTION_NAMES = {
+    'project.create': 'Created the project',
+    'project.update': 'Changed the project',
+    'project.archive': 'Archived the project',
+    'project.restore': 'Restored the project',
+    'member.add': 'Added a member',
+    'member.update': 'Changed a member\'s role',
+    'member.remove': 'Removed a member',
+    'task.create': 'Added a task',
+    'task.update': 'Updated a task',
+    'task.reorder': 'Reordered tasks',
+    'task.delete': 'Deleted a task',
+    'evidence.upload': 'Attached evidence',
+    'evidence.version': 'Uploaded a new evidence version',
+    'evidence.scan': 'Scanned evidence',
+    'evidence.delete': 'Removed evidence',
+    'evidence.limits': 'Changed evidence limits',
+    'report.config': 'Changed the report settings'
+};
+
+// A timestamp as the YYYY-MM-DD date text reports show, or '' without one
+function reportDate(timestamp) {
+    const date = new Date(timestamp);
+    return timestamp && !isNaN(date.getTime()) ? date.toISOString().split('T')[0] : '';
+}
+
+function describeEvidence(entry) {
+    const evidence = Evidence.normalize(entry);
+    return {
+        filename: evidence.filename,
+        originalName: evidence.originalName,
+        size: evidence.size === undefined ? null : evidence.size,
+        sha256: evidence.sha256 || null,
+        uploadedAt: evidence.uploadedAt || null,
+        version: Evidence.versionNumber(evidence),
+        current: Evidence.isCurrent(evidence)
+    };
+}
+
+// Everything a project report says, whatever format it is rendered in: the
+// security score, each phase's progress and the completed and outstanding
+// tasks. phases is the project's [{ key, name }] list and tasks its stored
+// tasks by phase.
+function buildReportData(project, phases, tasks) {
+    const data = {
+        project: {
+            id: project.id,
+            name: project.name,
+            overallStatus: project.overallStatus,
+            createdDate: project.createdDate,
+            archived: Boolean(project.archived)
+        },
+        generatedAt: new Date().toISOString(),
+        securityScore: 0,
+        totals: { tasks: 0, completed: 0, outstanding: 0 },
+        phases: [],
+        completedTasks: [],
+        outstandingTasks: []
+    };
+
+    phases.forEach(phase => {
+        const phaseTasks = tasks[phase.key] || [];
+        const completed = phaseTasks.filter(task => task.completed);
+
+        data.phases.push({
+            key: phase.key,
+            name: phase.name,
+            total: phaseTasks.length,
+            completed: completed.length,
+            percentage: percentage(completed.length, phaseTasks.length),
+            status: phaseStatus(project, phase.key, completed.length)
+        });
+
+        phaseTasks.forEach(task => {
+            const entry = {
+                id: task.id,
+                phase: phase.key,
+                phaseName: phase.name,
+                title: task.title,
+                description: task.description || '',
+                notes: task.notes || '',
+                evidence: (task.evidenceFiles || []).map(describeEvidence)
+            };
+            if (task.completed) {
+                data.completedTasks.push({ ...entry, completedDate: task.completedDate || null });
+            } else {
+                data.outstandingTasks.push(entry);
+            }
+        });
+
+        data.totals.tasks += phaseTasks.length;
+        data.totals.completed += completed.length;
+    });
+
+    data.totals.outstanding = data.totals.tasks - data.totals.completed;
+    data.securityScore = percentage(data.totals.completed, data.totals.tasks);
+    return data;
+}
+
+// Report data with only the sections a report configuration includes (see
+// utils/reportConfig.js), so every format, JSON included, leaves out the same
+// things: the outstanding tasks, task notes and evidence files. Totals and
+// phase progress still count every task.
+function applyReportSections(data, sections) {
+    const withSections = task => ({
+        ...task,
+        notes: sections.notes ? task.notes : '',
+        evidence: sections.evidenceList ? task.evidence : []
+    });
+    return {
+        ...data,
+        completedTasks: data.completedTasks.map(withSections),
+        outstandingTasks: sections.outstandingTasks ? data.outstandingTasks.map(withSections) : []
+    };
+}
+
+// A project's audit log entries as a report's audit trail, oldest first:
+// who made each change and when, what it was and the fields it changed
+function auditTrail(entries) {
+    return entries.map(entry => {
+        const target = entry.target || {};
+        const targetName = target.title || target.username || '';
+        const action = AUDIT_ACTION_NAMES[entry.action] || entry.action;
+        return {
+            timestamp: entry.timestamp,
+            actor: entry.actor ? entry.actor.username : null,
+            action: entry.action,
+            description: targetName ? `${action}: ${targetName}` : action,
+            fields: Object.keys(entry.after || entry.before || {})
+        };
+    });
+}
+
+// The report's tasks grouped by phase in phase order, completed ones first,
+// each with its status: [{ phase, tasks: [{ ...task, status }] }]
+function tasksByPhase(data) {
+    return data.phases.map(phase => ({
+        phase,
+        tasks: [
+            ...data.completedTasks
+                .filter(task => task.phase === phase.key)
+                .map(task => ({ ...task, status: 'completed' })),
+            ...data.outstandingTasks
+                .filter(task => task.phase === phase.key)
+                .map(task => ({ ...task, status: 'outstanding', completedDate: null }))
+        ]
+    }));
+}
+
+// A project's outstanding tasks that it has moved on from: those in phases
+// before the last phase with a completed task
+function skippedTasks(data) {
+    let lastStarted = -1;
+    data.phases.forEach((phase, index) => {
+        if (phase.completed > 0) {
+            lastStarted = index;
+        }
+    });
+    const earlierPhases = new Set(data.phases.slice(0, Math.max(lastStarted, 0)).map(phase => phase.key));
+    return data.outstandingTasks.filter(task => earlierPhases.has(task.phase));
+}
+
+// The portfolio report's focus phases from a comma-separated list of phase
+// keys or names, such as the PORTFOLIO_FOCUS_PHASES environment variable.
+// Falls back to the default phases when the list is empty.
+function portfolioFocusPhases(value = process.env.PORTFOLIO_FOCUS_PHASES) {
+    const phases = [].concat(value || []).join(',')
+        .split(',')
+        .map(phase => phase.trim())
+        .filter(phase => phase.length > 0);
+    return phases.length > 0 ? phases : DEFAULT_PORTFOLIO_FOCUS_PHASES;
+}
+
+// Whether a phase is one of the focus phases, matched by key or name
+// regardless of case, so projects with their own phases can be covered
+function isFocusPhase(phase, focusPhases) {
+    const names = [phase.key, phase.name].filter(Boolean).map(name => name.trim().toLowerCase());
+    return focusPhases.some(focus => names.includes(focus.toLowerCase()));
+}
+
+// The cross-project view of a list of project reports (see buildReportData):
+// how security scores are distributed, which projects still have tasks to do
+// in the focus phases (see portfolioFocusPhases), and which tasks projects
+// most often skip
+function buildPortfolioData(reports, focusPhases = portfolioFocusPhases()) {
+    const byScore = [...reports].sort((a, b) =>
+        a.securityScore - b.securityScore || a.project.name.localeCompare(b.project.name));
+
+    const projectsWithOutstandingTasks = [];
+    const skipped = new Map();
+    reports.forEach(data => {
+        const phases = data.phases
+            .filter(phase => isFocusPhase(phase, focusPhases) && phase.completed < phase.total)
+            .map(phase => ({
+                key: phase.key,
+                name: phase.name,
+                outstanding: phase.total - phase.completed,
+                total: phase.total,
+                tasks: data.outstandingTasks.filter(task => task.phase === phase.key).map(task => task.title)
+            }));
+        if (phases.length > 0) {
+            projectsWithOutstandingTasks.push({
+                id: data.project.id,
+                name: data.project.name,
+                securityScore: data.securityScore,
+                outstanding: phases.reduce((sum, phase) => sum + phase.outstanding, 0),
+                phases
+            });
+        }
+
+        // The same task in different projects is matched by phase and title
+        skippedTasks(data).forEach(task => {
+            const key = `${task.phase}\n${task.title.trim().toLowerCase()}`;
+            if (!skipped.has(key)) {
+                skipped.set(key, { phase: task.phase, phaseName: task.phaseName, title: task.title, skippedIn: 0, projects: [] });
+            }
+            const entry = skipped.get(key);
+            entry.skippedIn++;
+            entry.projects.push({ id: data.project.id, name: data.project.name });
+        });
+    });
+
+    const totals = reports.reduce((sum, data) => ({
+        projects: sum.projects + 1,
+        tasks: sum.tasks + data.totals.tasks,
+        completed: sum.completed + data.totals.completed,
+        outstanding: sum.outstanding + data.totals.outstanding
+    }), { projects: 0, tasks: 0, completed: 0, outstanding: 0 });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        totals,
+        averageScore: reports.length > 0
+            ? Math.round(reports.reduce((sum, data) => sum + data.securityScore, 0) / reports.length)
+            : 0,
+        scoreDistribution: SCORE_BANDS.map(([min, max]) => ({
+            label: `${min}-${max}%`,
+            min,
+            max,
+            projects: reports.filter(data => data.securityScore >= min && data.securityScore <= max).length
+        })),
+        projects: byScore.map(data => ({
+            id: data.project.id,
+            name: data.project.name,
+            overallStatus: data.project.overallStatus,
+            archived: data.project.archived,
+            securityScore: data.securityScore,
+            completed: data.totals.completed,
+            total: data.totals.tasks
+        })),
+        focusPhases,
+        projectsWithOutstandingTasks: projectsWithOutstandingTasks.sort((a, b) =>
+            b.outstanding - a.outstanding || a.name.localeCompare(b.name)),
+        mostSkippedTasks: [...skipped.values()]
+            .sort((a, b) => b.skippedIn - a.skippedIn || a.title.localeCompare(b.title))
+            .slice(0, MOST_SKIPPED_LIMIT)
+    };
+}
+
+module.exports = {
+    PHASE_STATUS_NAMES,
+    percentage,
+    phaseStatus,
+    reportDate,
+    buildReportData,
+    applyReportSections,
+    auditTrail,
+    tasksByPhase,
+    skippedTasks,
+    portfolioFocusPhases,
+    buildPortfolioData
+};
@@ -0,0 +1,78 @@
+const { tasksByPhase } = require('../reportData');
+
+const COLUMNS = [
+    'Record',
+    'Phase',
+    'Task',
+    'Status',
+    'Completed Tasks',
+    'Total Tasks',
+    'Percentage',
+    'Completed Date',
+    'Notes',
+    'Evidence Files'
+];
+
+// Spreadsheets run cells starting with these as formulas, so such text is
+// prefixed with a quote to keep it as text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function cell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function row(values) {
+    return COLUMNS.map(column => cell(values[column])).join(',');
+}
+
+// Render report data (see utils/reportData.js) as CSV: a row for the project
+// with its security score, one for each phase and one for each task
+function renderCsv(data) {
+    const rows = [COLUMNS.join(',')];
+
+    rows.push(row({
+        Record: 'project',
+        Task: data.project.name,
+        Status: data.project.overallStatus,
+        'Completed Tasks': data.totals.completed,
+        'Total Tasks': data.totals.tasks,
+        Percentage: data.securityScore
+    }));
+
+    data.phases.forEach(phase => {
+        rows.push(row({
+            Record: 'phase',
+            Phase: phase.name,
+            Status: phase.status,
+            'Completed Tasks': phase.completed,
+            'Total Tasks': phase.total,
+            Percentage: phase.percentage
+        }));
+    });
+
+    tasksByPhase(data).forEach(({ phase, tasks }) => {
+        tasks.forEach(task => {
+            rows.push(row({
+                Record: 'task',
+                Phase: phase.name,
+                Task: task.title,
+                Status: task.status,
+                'Completed Date': task.completedDate,
+                Notes: task.notes,
+                'Evidence Files': task.evidence.map(evidence => evidence.originalName).join('; ')
+            }));
+        });
+    });
+
+    // The byte order mark lets Excel read the file as UTF-8
+    return Buffer.from('\uFEFF' + rows.join('\r\n') + '\r\n', 'utf8');
+}
+
+module.exports = renderCsv;
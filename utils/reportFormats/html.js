@@ -0,0 +1,114 @@
+const { formatSize } = require('../evidenceLimits');
+const { PHASE_STATUS_NAMES, reportDate, tasksByPhase } = require('../reportData');
+
+// Everything the page needs is inline so the file can be attached to a wiki
+// page or opened offline
+const STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2933; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+h1 { margin-bottom: 0.25rem; }
+.meta { color: #52606d; margin-top: 0; }
+.score { font-size: 2rem; font-weight: bold; }
+table { border-collapse: collapse; width: 100%; margin: 1rem 0 2rem; }
+th, td { border: 1px solid #cbd2d9; padding: 0.5rem; text-align: left; vertical-align: top; }
+th { background: #f5f7fa; }
+td.number { text-align: right; }
+.status { font-weight: bold; white-space: nowrap; }
+.status-completed, .status-complete { color: #1e7e34; }
+.status-in-progress { color: #b7791f; }
+.status-outstanding, .status-not-started { color: #9b2c2c; }
+.notes { white-space: pre-wrap; }
+ul.evidence { margin: 0; padding-left: 1.2rem; }
+code { font-size: 0.8rem; word-break: break-all; }
+`;
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function statusHtml(status, label) {
+    return `<span class="status status-${escapeHtml(status)}">${escapeHtml(label)}</span>`;
+}
+
+function evidenceHtml(evidence) {
+    if (evidence.length === 0) {
+        return '';
+    }
+    const items = evidence.map(file => {
+        const details = [`v${file.version}${file.current ? '' : ', superseded'}`];
+        if (file.size !== null) {
+            details.push(formatSize(file.size));
+        }
+        return `<li>${escapeHtml(file.originalName)} (${escapeHtml(details.join(', '))})<br>` +
+            `<code>SHA-256: ${escapeHtml(file.sha256 || 'not recorded')}</code></li>`;
+    });
+    return `<ul class="evidence">${items.join('')}</ul>`;
+}
+
+function phaseTableHtml(data) {
+    const rows = data.phases.map(phase => `
+<tr>
+<td>${escapeHtml(phase.name)}</td>
+<td class="number">${phase.completed}</td>
+<td class="number">${phase.total}</td>
+<td class="number">${phase.percentage}%</td>
+<td>${statusHtml(phase.status, PHASE_STATUS_NAMES[phase.status])}</td>
+</tr>`);
+    return `<table>
+<thead><tr><th>Phase</th><th>Completed</th><th>Total</th><th>Percentage</th><th>Status</th></tr></thead>
+<tbody>${rows.join('')}
+</tbody>
+</table>`;
+}
+
+function phaseTasksHtml({ phase, tasks }) {
+    if (tasks.length === 0) {
+        return '';
+    }
+    const rows = tasks.map(task => `
+<tr>
+<td><strong>${escapeHtml(task.title)}</strong></td>
+<td>${statusHtml(task.status, task.status === 'completed' ? 'Completed' : 'Outstanding')}</td>
+<td>${escapeHtml(reportDate(task.completedDate))}</td>
+<td class="notes">${escapeHtml(task.notes.trim())}</td>
+<td>${evidenceHtml(task.evidence)}</td>
+</tr>`);
+    return `<h3>${escapeHtml(phase.name)}</h3>
+<table>
+<thead><tr><th>Task</th><th>Status</th><th>Completed</th><th>Notes</th><th>Evidence</th></tr></thead>
+<tbody>${rows.join('')}
+</tbody>
+</table>`;
+}
+
+// Render report data (see utils/reportData.js) as a self-contained HTML page
+function renderHtml(data) {
+    const title = `SSDLC Security Report: ${data.project.name}`;
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${escapeHtml(reportDate(data.generatedAt))} &middot; Status: ${escapeHtml(data.project.overallStatus)}</p>
+<h2>Overall Security Score</h2>
+<p><span class="score">${data.securityScore}%</span> (${data.totals.completed} of ${data.totals.tasks} tasks completed)</p>
+<h2>Phase Completion Status</h2>
+${phaseTableHtml(data)}
+<h2>Security Tasks</h2>
+${tasksByPhase(data).map(phaseTasksHtml).join('\n')}
+</body>
+</html>
+`;
+    return Buffer.from(html, 'utf8');
+}
+
+module.exports = renderHtml;
@@ -0,0 +1,69 @@
+const { formatSize } = require('../evidenceLimits');
+const { PHASE_STATUS_NAMES, reportDate, tasksByPhase } = require('../reportData');
+
+// Escape text so titles and notes cannot add formatting, links or HTML, and
+// keep it on one line so it cannot break out of a list item or table row
+function inline(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/[\\`*_{}[\]()<>#|!~]/g, '\\$&')
+        .replace(/\r?\n/g, '<br>');
+}
+
+function evidenceLines(evidence) {
+    return evidence.map(file => {
+        const details = [`v${file.version}${file.current ? '' : ', superseded'}`];
+        if (file.size !== null) {
+            details.push(formatSize(file.size));
+        }
+        return `    - ${inline(file.originalName)} (${details.join(', ')}), SHA-256 \`${file.sha256 || 'not recorded'}\``;
+    });
+}
+
+function taskLines(task) {
+    const completed = task.status === 'completed';
+    const lines = [
+        `- [${completed ? 'x' : ' '}] **${inline(task.title)}**: ${completed ? 'Completed' : 'Outstanding'}` +
+            (task.completedDate ? ` ${reportDate(task.completedDate)}` : '')
+    ];
+    if (task.notes.trim()) {
+        lines.push(`  - Notes: ${inline(task.notes.trim())}`);
+    }
+    if (task.evidence.length > 0) {
+        lines.push(`  - Evidence (${task.evidence.length} file${task.evidence.length === 1 ? '' : 's'}):`);
+        lines.push(...evidenceLines(task.evidence));
+    }
+    return lines;
+}
+
+// Render report data (see utils/reportData.js) as Markdown, e.g. for a pull
+// request description
+function renderMarkdown(data) {
+    const lines = [
+        `# SSDLC Security Report: ${inline(data.project.name)}`,
+        '',
+        `**Overall security score: ${data.securityScore}%** (${data.totals.completed} of ${data.totals.tasks} tasks completed)`,
+        '',
+        `Generated ${reportDate(data.generatedAt)}. Status: ${inline(data.project.overallStatus)}`,
+        '',
+        '## Phase Completion Status',
+        '',
+        '| Phase | Completed | Total | Percentage | Status |',
+        '| --- | ---: | ---: | ---: | --- |',
+        ...data.phases.map(phase =>
+            `| ${inline(phase.name)} | ${phase.completed} | ${phase.total} | ${phase.percentage}% | ${PHASE_STATUS_NAMES[phase.status]} |`),
+        '',
+        '## Security Tasks'
+    ];
+
+    tasksByPhase(data).forEach(({ phase, tasks }) => {
+        if (tasks.length === 0) {
+            return;
+        }
+        lines.push('', `### ${inline(phase.name)}`, '');
+        tasks.forEach(task => lines.push(...taskLines(task)));
+    });
+
+    return Buffer.from(lines.join('\n') + '\n', 'utf8');
+}
+
+module.exports = renderMarkdown;
@@ -0,0 +1,199 @@
+const { formatSize } = require('../evidenceLimits');
+const { PHASE_STATUS_NAMES, reportDate } = require('../reportData');
+const { DEFAULT_REPORT_CONFIG, colorComponents } = require('../reportConfig');
+const { PdfLayout, pdfText } = require('./pdfLayout');
+
+const STATUS_COLORS = {
+    complete: [40, 167, 69],
+    'in-progress': [255, 193, 7],
+    'not-started': [173, 181, 189]
+};
+
+// The tasks of a list grouped by phase, in phase order, leaving out phases
+// without any
+function byPhase(data, tasks) {
+    return data.phases
+        .map(phase => ({ phase, tasks: tasks.filter(task => task.phase === phase.key) }))
+        .filter(group => group.tasks.length > 0);
+}
+
+// A timestamp as "YYYY-MM-DD HH:MM UTC"
+function reportTime(timestamp) {
+    return `${new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function coverPage(layout, data, config) {
+    if (config.logo) {
+        layout.space(20);
+        layout.image(config.logo, 60, 30);
+        layout.space(10);
+    } else {
+        layout.space(60);
+    }
+    if (config.organisationName) {
+        layout.text(config.organisationName, { size: 14, color: PdfLayout.MUTED_COLOR });
+        layout.space(4);
+    }
+    layout.text('SSDLC Security Report', { size: 26, style: 'bold', color: layout.headingColor });
+    layout.space(6);
+    layout.text(data.project.name, { size: 20 });
+    layout.space(4);
+    layout.text(`Report date: ${reportDate(data.generatedAt)}`, { size: 12, color: PdfLayout.MUTED_COLOR });
+    layout.space(30);
+    layout.text(`Overall Security Score: ${data.securityScore}%`, { size: 16, style: 'bold', color: colorComponents(config.theme.accent) });
+    layout.space(2);
+    layout.text(`${data.totals.completed} of ${data.totals.tasks} security tasks completed`, { size: 12 });
+    layout.text(`Project status: ${data.project.overallStatus || 'unknown'}${data.project.archived ? ' (archived)' : ''}`, { size: 12 });
+}
+
+// One row per phase: its name, a bar filled to its percentage complete, the
+// task counts and its status
+function phaseChart(layout, data) {
+    const { doc } = layout;
+    const left = PdfLayout.MARGIN;
+    const right = left + layout.width;
+    layout.heading('Phase Progress');
+
+    data.phases.forEach(phase => {
+        layout.ensureSpace(9);
+        const baseline = layout.y + 4;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.setTextColor(...PdfLayout.TEXT_COLOR);
+        doc.text(doc.splitTextToSize(pdfText(phase.name), 45)[0] || '', left, baseline);
+        layout.bar(left + 48, layout.y, 70, 5, phase.percentage / 100, STATUS_COLORS[phase.status]);
+        doc.text(`${phase.completed}/${phase.total} (${phase.percentage}%)`, left + 122, baseline);
+        doc.setTextColor(...PdfLayout.MUTED_COLOR);
+        doc.text(PHASE_STATUS_NAMES[phase.status], right, baseline, { align: 'right' });
+        layout.space(9);
+    });
+}
+
+function taskSection(layout, title, groups, emptyText, taskDetails) {
+    layout.heading(title);
+    if (groups.length === 0) {
+        layout.text(emptyText, { indent: 5 });
+        return;
+    }
+    groups.forEach(group => {
+        layout.heading(`${group.phase.name} Phase`, { size: 12, keepWith: 12 });
+        group.tasks.forEach(task => {
+            layout.text(`- ${task.title}`, { style: 'bold', indent: 5 });
+            taskDetails(task);
+            layout.space(2);
+        });
+    });
+}
+
+// Every change recorded for the project, oldest first
+function auditTrailAppendix(layout, data) {
+    layout.addPage();
+    layout.heading('Appendix: Audit Trail');
+    layout.text('Every change recorded for the project, oldest first, with who made it and the fields it changed.', { size: 9, color: PdfLayout.MUTED_COLOR });
+    layout.space(3);
+
+    if (data.auditTrail.length === 0) {
+        layout.text('No changes have been recorded.');
+        return;
+    }
+    data.auditTrail.forEach(entry => {
+        layout.ensureSpace(10);
+        layout.text(`${reportTime(entry.timestamp)}  ${entry.actor || 'unknown user'}`, { size: 8, color: PdfLayout.MUTED_COLOR });
+        layout.text(entry.description, { size: 9, indent: 5 });
+        if (entry.fields.length > 0) {
+            layout.text(`Changed: ${entry.fields.join(', ')}`, { size: 8, color: PdfLayout.MUTED_COLOR, indent: 5 });
+        }
+        layout.space(1.5);
+    });
+}
+
+// Every evidence file of the listed tasks with the SHA-256 recorded at
+// upload, so the report can be checked against the files later
+function evidenceAppendix(layout, listedTasks) {
+    layout.addPage();
+    layout.heading('Appendix: Evidence Files');
+    layout.text('Each evidence file attached to a task in this report, with the SHA-256 recorded when it was uploaded. Compare the hashes with the files, for example those in an evidence export, to check they have not changed since.', { size: 9, color: PdfLayout.MUTED_COLOR });
+    layout.space(3);
+
+    const tasks = listedTasks.filter(task => task.evidence.length > 0);
+    if (tasks.length === 0) {
+        layout.text('No evidence files are attached to the tasks in this report.');
+        return;
+    }
+    tasks.forEach(task => {
+        layout.heading(`${task.phaseName}: ${task.title}`, { size: 11, keepWith: 12 });
+        task.evidence.forEach(evidence => {
+            const details = [`version ${evidence.version}${evidence.current ? '' : ' (superseded)'}`];
+            if (evidence.size !== null) {
+                details.push(formatSize(evidence.size));
+            }
+            if (evidence.uploadedAt) {
+                details.push(`uploaded ${reportDate(evidence.uploadedAt)}`);
+            }
+            layout.ensureSpace(14);
+            layout.text(`- ${evidence.originalName}`, { size: 9, indent: 5 });
+            layout.text(details.join(', '), { size: 8, color: PdfLayout.MUTED_COLOR, indent: 8 });
+            layout.text(`SHA-256: ${evidence.sha256 || 'not recorded'}`, { size: 8, font: 'courier', indent: 8 });
+            layout.space(1.5);
+        });
+    });
+}
+
+// Render report data (see utils/reportData.js) as the PDF compliance report:
+// a cover page, the phase progress chart, the completed and outstanding
+// tasks with their notes, and appendices of evidence files and hashes and of
+// the audit trail. config (see utils/reportConfig.js) brands the report and
+// picks which of the outstanding tasks, notes, evidence list and audit trail
+// it includes; the audit trail also needs data.auditTrail.
+function renderPdf(data, config = DEFAULT_REPORT_CONFIG) {
+    const { sections } = config;
+    const layout = new PdfLayout({
+        headingColor: colorComponents(config.theme.primary),
+        ruleColor: colorComponents(config.theme.accent)
+    });
+
+    coverPage(layout, data, config);
+    layout.addPage();
+
+    phaseChart(layout, data);
+    layout.space(4);
+
+    const evidenceLine = task => {
+        if (task.evidence.length > 0) {
+            layout.text(`Evidence: ${task.evidence.length} file(s)${sections.evidenceList ? ', listed in the appendix' : ''}`, { size: 9, indent: 9 });
+        }
+    };
+
+    const listedTasks = byPhase(data, data.completedTasks).flatMap(group => group.tasks);
+    taskSection(layout, 'Completed Security Tasks', byPhase(data, data.completedTasks), 'No security tasks have been completed yet.', task => {
+        if (task.completedDate) {
+            layout.text(`Completed: ${reportDate(task.completedDate)}`, { size: 9, color: PdfLayout.MUTED_COLOR, indent: 9 });
+        }
+        if (sections.notes && task.notes.trim()) {
+            layout.text(`Notes: ${task.notes.trim()}`, { size: 9, indent: 9 });
+        }
+        evidenceLine(task);
+    });
+
+    if (sections.outstandingTasks) {
+        listedTasks.push(...byPhase(data, data.outstandingTasks).flatMap(group => group.tasks));
+        taskSection(layout, 'Outstanding Security Tasks', byPhase(data, data.outstandingTasks), 'Every security task has been completed.', task => {
+            if (sections.notes && task.notes.trim()) {
+                layout.text(`Notes: ${task.notes.trim()}`, { size: 9, indent: 9 });
+            }
+            evidenceLine(task);
+        });
+    }
+
+    if (sections.evidenceList) {
+        evidenceAppendix(layout, listedTasks);
+    }
+    if (sections.auditTrail && data.auditTrail) {
+        auditTrailAppendix(layout, data);
+    }
+
+    layout.decoratePages(`SSDLC Security Report: ${data.project.name} (${reportDate(data.generatedAt)})`, 2, config.organisationName || '');
+    return layout.toBuffer();
+}
+
+module.exports = renderPdf;
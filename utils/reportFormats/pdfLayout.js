@@ -0,0 +1,146 @@
+const { jsPDF } = require('jspdf');
+
+const MARGIN = 20;
+const TOP = 25;
+const BOTTOM = 272;
+const MM_PER_POINT = 0.3528;
+
+const TEXT_COLOR = [33, 37, 41];
+const MUTED_COLOR = [108, 117, 125];
+const RULE_COLOR = [206, 212, 218];
+
+// Characters outside Latin-1 that have a plain equivalent
+const REPLACEMENTS = {
+    ' ': ' ',
+    '‘': "'",
+    '’': "'",
+    '“': '"',
+    '”': '"',
+    '–': '-',
+    '—': '-',
+    '•': '-',
+    '…': '...',
+    '✓': 'x',
+    '✔': 'x',
+    '⚠': '!'
+};
+
+// Text jsPDF's built-in fonts can draw. They only cover Latin-1, and a single
+// character outside it turns the whole line into unreadable glyphs, so other
+// characters are replaced.
+function pdfText(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/\r\n?/g, '\n')
+        .replace(/[^\n\x20-\x7e\xa1-\xff]/g, char => REPLACEMENTS[char] || (char === '\t' ? ' ' : '?'));
+}
+
+// Lays out a PDF from the top of each page down, wrapping text to the page
+// width and starting a new page whenever the next line would not fit.
+// Headings are drawn in headingColor and the header and footer rules in
+// ruleColor.
+class PdfLayout {
+    constructor({ headingColor = TEXT_COLOR, ruleColor = RULE_COLOR } = {}) {
+        this.doc = new jsPDF();
+        this.y = TOP;
+        this.headingColor = headingColor;
+        this.ruleColor = ruleColor;
+    }
+
+    get width() {
+        return this.doc.internal.pageSize.getWidth() - 2 * MARGIN;
+    }
+
+    addPage() {
+        this.doc.addPage();
+        this.y = TOP;
+    }
+
+    ensureSpace(height) {
+        if (this.y + height > BOTTOM) {
+            this.addPage();
+        }
+    }
+
+    space(height) {
+        this.y += height;
+    }
+
+    // Draw wrapped text at the current position. indent is in mm from the
+    // left margin.
+    text(value, { size = 10, style = 'normal', font = 'helvetica', color = TEXT_COLOR, indent = 0 } = {}) {
+        const lineHeight = size * MM_PER_POINT * 1.3;
+        this.doc.setFont(font, style);
+        this.doc.setFontSize(size);
+        this.doc.setTextColor(...color);
+        this.doc.splitTextToSize(pdfText(value), this.width - indent).forEach(line => {
+            this.ensureSpace(lineHeight);
+            this.doc.text(line, MARGIN + indent, this.y + size * MM_PER_POINT);
+            this.y += lineHeight;
+        });
+    }
+
+    // A section heading, kept on the same page as the first lines after it
+    heading(value, { size = 14, keepWith = 20 } = {}) {
+        this.ensureSpace(keepWith + size * MM_PER_POINT * 2);
+        this.space(3);
+        this.text(value, { size, style: 'bold', color: this.headingColor });
+        this.space(2);
+    }
+
+    // Draw an image (a PNG or JPEG data: URL) at the left margin, scaled down
+    // to fit within maxWidth by maxHeight mm
+    image(dataUrl, maxWidth, maxHeight) {
+        const { width, height } = this.doc.getImageProperties(dataUrl);
+        const scale = Math.min(maxWidth / width, maxHeight / height);
+        this.ensureSpace(height * scale);
+        this.doc.addImage(dataUrl, MARGIN, this.y, width * scale, height * scale);
+        this.y += height * scale;
+    }
+
+    // A horizontal bar filled to fraction (0 to 1) with color
+    bar(x, y, width, height, fraction, color) {
+        this.doc.setFillColor(233, 236, 239);
+        this.doc.rect(x, y, width, height, 'F');
+        if (fraction > 0) {
+            this.doc.setFillColor(...color);
+            this.doc.rect(x, y, width * Math.min(fraction, 1), height, 'F');
+        }
+    }
+
+    // Add the running header and a footer of footerText and "Page n of m" to
+    // every page from firstPage on. Call once all content has been laid out.
+    decoratePages(header, firstPage = 1, footerText = '') {
+        const pages = this.doc.getNumberOfPages();
+        const pageWidth = this.doc.internal.pageSize.getWidth();
+        const pageHeight = this.doc.internal.pageSize.getHeight();
+        const title = this.doc.splitTextToSize(pdfText(header), this.width - 40)[0];
+        const footer = this.doc.splitTextToSize(pdfText(footerText), this.width - 40)[0] || '';
+
+        for (let page = firstPage; page <= pages; page++) {
+            this.doc.setPage(page);
+            this.doc.setFont('helvetica', 'normal');
+            this.doc.setFontSize(8);
+            this.doc.setTextColor(...MUTED_COLOR);
+            this.doc.setDrawColor(...this.ruleColor);
+
+            this.doc.text(title, MARGIN, 12);
+            this.doc.line(MARGIN, 15, pageWidth - MARGIN, 15);
+
+            this.doc.line(MARGIN, pageHeight - 17, pageWidth - MARGIN, pageHeight - 17);
+            if (footer) {
+                this.doc.text(footer, MARGIN, pageHeight - 11);
+            }
+            this.doc.text(`Page ${page} of ${pages}`, pageWidth - MARGIN, pageHeight - 11, { align: 'right' });
+        }
+    }
+
+    toBuffer() {
+        return Buffer.from(this.doc.output('arraybuffer'));
+    }
+}
+
+PdfLayout.MARGIN = MARGIN;
+PdfLayout.TEXT_COLOR = TEXT_COLOR;
+PdfLayout.MUTED_COLOR = MUTED_COLOR;
+
+module.exports = { PdfLayout, pdfText };
@@ -0,0 +1,73 @@
+const { reportDate } = require('../reportData');
+const { PdfLayout } = require('./pdfLayout');
+
+const BAR_COLOR = [0, 123, 255];
+
+// Render portfolio data (see buildPortfolioData in utils/reportData.js) as the
+// cross-project PDF report
+function renderPortfolioPdf(data) {
+    const layout = new PdfLayout();
+    const { doc } = layout;
+    const left = PdfLayout.MARGIN;
+    const right = left + layout.width;
+
+    layout.text('SSDLC Portfolio Security Report', { size: 20, style: 'bold' });
+    layout.space(3);
+    layout.text(`Report date: ${reportDate(data.generatedAt)}`, { size: 12, color: PdfLayout.MUTED_COLOR });
+    layout.space(3);
+    layout.text(`Projects: ${data.totals.projects}`, { size: 12 });
+    layout.text(`Average Security Score: ${data.averageScore}%`, { size: 12 });
+    layout.text(`Tasks completed: ${data.totals.completed} of ${data.totals.tasks}`, { size: 12 });
+
+    // Score distribution, with a bar per band scaled to the largest
+    layout.heading('Security Score Distribution');
+    const largest = Math.max(1, ...data.scoreDistribution.map(band => band.projects));
+    data.scoreDistribution.forEach(band => {
+        layout.ensureSpace(8);
+        const baseline = layout.y + 4;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.setTextColor(...PdfLayout.TEXT_COLOR);
+        doc.text(band.label, left, baseline);
+        layout.bar(left + 25, layout.y, 110, 5, band.projects / largest, BAR_COLOR);
+        doc.text(`${band.projects} project(s)`, right, baseline, { align: 'right' });
+        layout.space(8);
+    });
+
+    layout.heading('Project Scores');
+    if (data.projects.length === 0) {
+        layout.text('No projects to report on.', { indent: 5 });
+    }
+    data.projects.forEach(project => {
+        layout.text(`- ${project.name}${project.archived ? ' (archived)' : ''}: ${project.securityScore}% (${project.completed}/${project.total} tasks)`, { indent: 5 });
+    });
+
+    // Projects that still have work to do in the phases that gate a release
+    layout.heading('Outstanding Tasks in Focus Phases');
+    layout.text(`Focus phases: ${data.focusPhases.join(', ')}`, { size: 9, indent: 5 });
+    if (data.projectsWithOutstandingTasks.length === 0) {
+        layout.text('No project has outstanding tasks in these phases.', { indent: 5 });
+    }
+    data.projectsWithOutstandingTasks.forEach(project => {
+        layout.heading(`${project.name} (${project.securityScore}%)`, { size: 12, keepWith: 12 });
+        project.phases.forEach(phase => {
+            layout.text(`${phase.name}: ${phase.outstanding} of ${phase.total} task(s) outstanding`, { indent: 5 });
+            phase.tasks.forEach(title => {
+                layout.text(`- ${title}`, { size: 9, indent: 10 });
+            });
+        });
+    });
+
+    layout.heading('Most Commonly Skipped Tasks');
+    if (data.mostSkippedTasks.length === 0) {
+        layout.text('No project has skipped a task.', { indent: 5 });
+    }
+    data.mostSkippedTasks.forEach(task => {
+        layout.text(`- ${task.title} (${task.phaseName}): skipped in ${task.skippedIn} project(s)`, { indent: 5 });
+    });
+
+    layout.decoratePages(`SSDLC Portfolio Security Report (${reportDate(data.generatedAt)})`);
+    return layout.toBuffer();
+}
+
+module.exports = renderPortfolioPdf;
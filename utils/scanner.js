@@ -0,0 +1,58 @@
+const Storage = require('./storage');
+
+let scanner = null;
+
+// Scanner delegates to the malware scanner selected by EVIDENCE_SCANNER
+// ("none", the default, or "clamscan").
+class Scanner {
+    static createScanner(name = process.env.EVIDENCE_SCANNER || 'none') {
+        switch (name) {
+            case 'none': {
+                const NoopScanner = require('./scanners/NoopScanner');
+                return new NoopScanner();
+            }
+            case 'clamscan': {
+                const ClamScanScanner = require('./scanners/ClamScanScanner');
+                return new ClamScanScanner(process.env.CLAMSCAN_PATH || 'clamscan');
+            }
+            default:
+                throw new Error(`Unknown evidence scanner: ${name}`);
+        }
+    }
+
+    static getScanner() {
+        if (!scanner) {
+            scanner = Scanner.createScanner();
+        }
+        return scanner;
+    }
+
+    static setScanner(newScanner) {
+        scanner = newScanner;
+    }
+
+    // Scan a stored evidence file. Resolves to the evidence's new scan
+    // record; a file that is missing or could not be scanned stays pending.
+    static async scanEvidenceFile(projectId, taskId, filename) {
+        const activeScanner = this.getScanner();
+        const scannedAt = new Date().toISOString();
+
+        let file = null;
+        try {
+            file = await Storage.openEvidenceFile(projectId, taskId, filename);
+            if (!file) {
+                return { status: 'pending', scanner: activeScanner.name, scannedAt, error: 'File not found' };
+            }
+            const result = await activeScanner.scan(file.stream);
+            return { status: result.status, scanner: activeScanner.name, scannedAt, signature: result.signature || null };
+        } catch (error) {
+            if (file) {
+                file.stream.destroy();
+            }
+            console.error(`Error scanning evidence ${filename}:`, error);
+            return { status: 'pending', scanner: activeScanner.name, scannedAt, error: error.message };
+        }
+    }
+}
+
+module.exports = Scanner;
@@ -0,0 +1,73 @@
+const { spawn } = require('child_process');
+const EvidenceScanner = require('./EvidenceScanner');
+
+const DEFAULT_TIMEOUT = 5 * 60 * 1000;
+
+// Pipes each file into a local ClamAV `clamscan` binary. clamscan exits with
+// 0 when nothing was found, 1 when a signature matched and 2 on errors.
+class ClamScanScanner extends EvidenceScanner {
+    constructor(command = 'clamscan', timeout = DEFAULT_TIMEOUT) {
+        super();
+        this.command = command;
+        this.timeout = timeout;
+    }
+
+    get name() {
+        return 'clamscan';
+    }
+
+    scan(stream) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.command, ['--no-summary', '--stdout', '-']);
+            let output = '';
+            let settled = false;
+
+            const finish = (error, result) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                clearTimeout(timer);
+                // clamscan may have stopped before reading all of the file;
+                // close it rather than leave it open
+                stream.unpipe(child.stdin);
+                stream.destroy();
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+
+            const timer = setTimeout(() => {
+                child.kill();
+                finish(new Error(`clamscan did not finish within ${this.timeout}ms`));
+            }, this.timeout);
+
+            child.stdout.on('data', chunk => {
+                output += chunk;
+            });
+            child.on('error', error => finish(new Error(`Could not run ${this.command}: ${error.message}`)));
+            child.on('close', code => {
+                if (code === 0) {
+                    finish(null, { status: 'clean', signature: null });
+                } else if (code === 1) {
+                    const match = output.match(/: (.+) FOUND/);
+                    finish(null, { status: 'infected', signature: match ? match[1] : 'unknown' });
+                } else {
+                    finish(new Error(`clamscan failed with exit code ${code}: ${output.trim()}`));
+                }
+            });
+
+            // clamscan may stop reading once it has found something
+            child.stdin.on('error', () => {});
+            stream.on('error', error => {
+                child.kill();
+                finish(error);
+            });
+            stream.pipe(child.stdin);
+        });
+    }
+}
+
+module.exports = ClamScanScanner;
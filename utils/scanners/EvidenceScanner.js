@@ -0,0 +1,15 @@
+// Base class for malware scanners. scan(stream) reads an evidence file from a
+// Readable stream and resolves to { status, signature }, where status is
+// 'clean' or 'infected' and signature names what was found. It rejects when
+// the file could not be scanned, which leaves the evidence pending.
+class EvidenceScanner {
+    get name() {
+        return this.constructor.name;
+    }
+
+    async scan() {
+        throw new Error(`${this.constructor.name} does not implement scan`);
+    }
+}
+
+module.exports = EvidenceScanner;
@@ -0,0 +1,16 @@
+const EvidenceScanner = require('./EvidenceScanner');
+
+// Reports every file clean without looking at it. The default, for tests and
+// deployments without a scanner installed.
+class NoopScanner extends EvidenceScanner {
+    get name() {
+        return 'none';
+    }
+
+    async scan(stream) {
+        stream.resume();
+        return { status: 'clean', signature: null };
+    }
+}
+
+module.exports = NoopScanner;
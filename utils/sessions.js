@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'ssdlc_session';
+const SESSION_MAX_AGE_SECONDS = 8 * 60 * 60;
+
+let generatedSecret = null;
+
+// Sessions are signed rather than stored, so every server or function instance
+// must share SESSION_SECRET. Without it, a per-process secret is generated and
+// sessions end when the process restarts.
+function getSecret() {
+    if (process.env.SESSION_SECRET) {
+        return process.env.SESSION_SECRET;
+    }
+    if (!generatedSecret) {
+        generatedSecret = crypto.randomBytes(32).toString('hex');
+        if (process.env.NODE_ENV !== 'test') {
+            console.warn('SESSION_SECRET is not set; sessions will not survive a restart');
+        }
+    }
+    return generatedSecret;
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+// version is the user's session version when the session starts; raising it
+// later ends the session before it expires
+function createSessionToken(userId, version = 0, now = Date.now()) {
+    const payload = Buffer.from(JSON.stringify({
+        sub: userId,
+        ver: version,
+        exp: now + SESSION_MAX_AGE_SECONDS * 1000
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+// Returns { userId, version } for a valid, unexpired session token, otherwise null
+function verifySessionToken(token, now = Date.now()) {
+    if (typeof token !== 'string') {
+        return null;
+    }
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return session.exp > now ? { userId: session.sub, version: session.ver || 0 } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Cookies whose value cannot be decoded are left out, so one malformed cookie
+// set by another application on the same host cannot break every request
+function parseCookies(cookieHeader) {
+    const cookies = {};
+    (cookieHeader || '').split(';').forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            try {
+                cookies[part.slice(0, separator).trim()] = decodeURIComponent(part.slice(separator + 1).trim());
+            } catch (error) {
+                // Not valid percent-encoding
+            }
+        }
+    });
+    return cookies;
+}
+
+// Secure is only set behind HTTPS so the cookie still works on http://localhost
+function sessionCookie(token, secure) {
+    const attributes = [`${SESSION_COOKIE}=${token}`, 'Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${SESSION_MAX_AGE_SECONDS}`];
+    if (secure) {
+        attributes.push('Secure');
+    }
+    return attributes.join('; ');
+}
+
+function clearedSessionCookie() {
+    return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    createSessionToken,
+    verifySessionToken,
+    parseCookies,
+    sessionCookie,
+    clearedSessionCookie
+};
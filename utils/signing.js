@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+// Evidence exports are signed with the private key in EVIDENCE_SIGNING_KEY,
+// PEM encoded. Ed25519, RSA and EC keys work; Ed25519 signs the data itself,
+// the others a SHA-256 digest of it. Escaped newlines ("\n") are accepted so
+// the key fits in a single-line environment variable.
+function getSigningKey(env = process.env) {
+    const pem = env.EVIDENCE_SIGNING_KEY;
+    if (!pem || pem.trim() === '') {
+        return null;
+    }
+    try {
+        return crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    } catch (error) {
+        throw new Error(`EVIDENCE_SIGNING_KEY: ${error.message}`);
+    }
+}
+
+function digestFor(key) {
+    return ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+}
+
+function sign(data, key) {
+    return crypto.sign(digestFor(key), data, key);
+}
+
+// What a verifier needs to know about a signing key: its type, the digest
+// signed (null when the data is signed directly), the public key and its
+// SHA-256 fingerprint
+function describeSigningKey(key) {
+    const publicKey = crypto.createPublicKey(key);
+    return {
+        keyType: key.asymmetricKeyType,
+        digest: digestFor(key),
+        fingerprint: crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex'),
+        publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+    };
+}
+
+module.exports = { getSigningKey, sign, describeSigningKey };
@@ -1,90 +1,223 @@
-const fs = require('fs');
 const path = require('path');
+const JsonFileAdapter = require('./storageAdapters/JsonFileAdapter');
+const LocalEvidenceStore = require('./evidenceStores/LocalEvidenceStore');
+const { UPLOADS_DIR } = require('./uploads');
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
-const PROJECTS_FILE = path.join(DATA_DIR, 'projects.json');
-const TASKS_FILE = path.join(DATA_DIR, 'tasks.json');
+const DEFAULT_SQLITE_FILE = path.join(DATA_DIR, 'ssdlc.db');
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+let adapter = null;
+let evidenceStore = null;
 
+// Storage delegates to the backend selected by STORAGE_BACKEND ("json", the
+// default, "sqlite" or "blobs"), and evidence file contents to the store
+// selected by EVIDENCE_STORE ("local", "s3" or "blobs"; by default where the
+// backend keeps them). All methods return Promises.
 class Storage {
-    static readProjects() {
-        try {
-            if (!fs.existsSync(PROJECTS_FILE)) {
-                return [];
+    static createAdapter(backend = process.env.STORAGE_BACKEND || 'json') {
+        switch (backend) {
+            case 'json':
+                return new JsonFileAdapter(process.env.DATA_DIR || DATA_DIR);
+            case 'sqlite': {
+                const SqliteAdapter = require('./storageAdapters/SqliteAdapter');
+                return new SqliteAdapter(process.env.SQLITE_FILE || DEFAULT_SQLITE_FILE);
+            }
+            case 'blobs': {
+                const BlobStoreAdapter = require('./storageAdapters/BlobStoreAdapter');
+                return new BlobStoreAdapter(null, process.env.BLOB_STORE_NAME);
             }
-            const data = fs.readFileSync(PROJECTS_FILE, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            console.error('Error reading projects:', error);
-            return [];
+            default:
+                throw new Error(`Unknown storage backend: ${backend}`);
         }
     }
 
-    static writeProjects(projects) {
-        try {
-            fs.writeFileSync(PROJECTS_FILE, JSON.stringify(projects, null, 2));
-            return true;
-        } catch (error) {
-            console.error('Error writing projects:', error);
-            return false;
+    static getAdapter() {
+        if (!adapter) {
+            adapter = Storage.createAdapter();
         }
+        return adapter;
+    }
+
+    static setAdapter(newAdapter) {
+        adapter = newAdapter;
+    }
+
+    static readProjects() {
+        return this.getAdapter().readProjects();
+    }
+
+    static writeProjects(projects) {
+        return this.getAdapter().writeProjects(projects);
     }
 
     static readTasks() {
-        try {
-            if (!fs.existsSync(TASKS_FILE)) {
-                return {};
-            }
-            const data = fs.readFileSync(TASKS_FILE, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            console.error('Error reading tasks:', error);
-            return {};
-        }
+        return this.getAdapter().readTasks();
     }
 
     static writeTasks(tasks) {
-        try {
-            fs.writeFileSync(TASKS_FILE, JSON.stringify(tasks, null, 2));
-            return true;
-        } catch (error) {
-            console.error('Error writing tasks:', error);
-            return false;
-        }
+        return this.getAdapter().writeTasks(tasks);
     }
 
     static getProjectById(projectId) {
-        const projects = this.readProjects();
-        return projects.find(project => project.id === projectId);
+        return this.getAdapter().getProjectById(projectId);
     }
 
     static saveProject(project) {
-        const projects = this.readProjects();
-        const existingIndex = projects.findIndex(p => p.id === project.id);
-        
-        if (existingIndex >= 0) {
-            projects[existingIndex] = project;
-        } else {
-            projects.push(project);
-        }
-        
-        return this.writeProjects(projects);
+        return this.getAdapter().saveProject(project);
+    }
+
+    static updateProject(projectId, fn) {
+        return this.getAdapter().updateProject(projectId, fn);
+    }
+
+    static deleteProject(projectId) {
+        return this.getAdapter().deleteProject(projectId);
     }
 
     static getTasksForProject(projectId) {
-        const allTasks = this.readTasks();
-        return allTasks[projectId] || {};
+        return this.getAdapter().getTasksForProject(projectId);
     }
 
     static saveTasksForProject(projectId, tasks) {
-        const allTasks = this.readTasks();
-        allTasks[projectId] = tasks;
-        return this.writeTasks(allTasks);
+        return this.getAdapter().saveTasksForProject(projectId, tasks);
+    }
+
+    static updateTasksForProject(projectId, fn) {
+        return this.getAdapter().updateTasksForProject(projectId, fn);
+    }
+
+    static readTemplates() {
+        return this.getAdapter().readTemplates();
+    }
+
+    static writeTemplates(templates) {
+        return this.getAdapter().writeTemplates(templates);
+    }
+
+    static getTemplateById(templateId) {
+        return this.getAdapter().getTemplateById(templateId);
+    }
+
+    static saveTemplate(template) {
+        return this.getAdapter().saveTemplate(template);
+    }
+
+    static deleteTemplate(templateId) {
+        return this.getAdapter().deleteTemplate(templateId);
+    }
+
+    static readUsers() {
+        return this.getAdapter().readUsers();
+    }
+
+    static writeUsers(users) {
+        return this.getAdapter().writeUsers(users);
+    }
+
+    static getUserById(userId) {
+        return this.getAdapter().getUserById(userId);
+    }
+
+    static getUserByUsername(username) {
+        return this.getAdapter().getUserByUsername(username);
+    }
+
+    static getUserByTokenHash(tokenHash) {
+        return this.getAdapter().getUserByTokenHash(tokenHash);
+    }
+
+    static saveUser(user) {
+        return this.getAdapter().saveUser(user);
+    }
+
+    static createUser(user, fn) {
+        return this.getAdapter().createUser(user, fn);
+    }
+
+    static getSetting(name) {
+        return this.getAdapter().getSetting(name);
+    }
+
+    static saveSetting(name, value) {
+        return this.getAdapter().saveSetting(name, value);
+    }
+
+    static appendAuditEntry(entry) {
+        return this.getAdapter().appendAuditEntry(entry);
+    }
+
+    static readAuditLog(projectId) {
+        return this.getAdapter().readAuditLog(projectId);
+    }
+
+    static createEvidenceStore(name) {
+        switch (name) {
+            case 'local':
+                return new LocalEvidenceStore(UPLOADS_DIR);
+            case 'blobs': {
+                const BlobEvidenceStore = require('./evidenceStores/BlobEvidenceStore');
+                return new BlobEvidenceStore(null, process.env.BLOB_STORE_NAME);
+            }
+            case 's3': {
+                const S3EvidenceStore = require('./evidenceStores/S3EvidenceStore');
+                return new S3EvidenceStore({
+                    bucket: process.env.S3_BUCKET,
+                    prefix: process.env.S3_PREFIX,
+                    endpoint: process.env.S3_ENDPOINT,
+                    region: process.env.S3_REGION,
+                    credentials: process.env.S3_ACCESS_KEY_ID ? {
+                        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+                    } : undefined,
+                    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+                });
+            }
+            default:
+                throw new Error(`Unknown evidence store: ${name}`);
+        }
+    }
+
+    // The store selected by EVIDENCE_STORE, or else the storage backend's own
+    static getEvidenceStore() {
+        if (!evidenceStore && process.env.EVIDENCE_STORE) {
+            evidenceStore = Storage.createEvidenceStore(process.env.EVIDENCE_STORE);
+        }
+        return evidenceStore || this.getAdapter().getEvidenceStore();
+    }
+
+    static setEvidenceStore(newStore) {
+        evidenceStore = newStore;
+    }
+
+    // source is a Buffer or a Readable stream
+    static writeEvidenceFile(projectId, taskId, filename, source) {
+        return this.getEvidenceStore().write(projectId, taskId, filename, source);
+    }
+
+    // { stream, size }, or null when the file is not stored
+    static openEvidenceFile(projectId, taskId, filename) {
+        return this.getEvidenceStore().open(projectId, taskId, filename);
+    }
+
+    // The whole file as a Buffer, or null when it is not stored
+    static readEvidenceFile(projectId, taskId, filename) {
+        return this.getEvidenceStore().read(projectId, taskId, filename);
+    }
+
+    static listEvidenceFiles(projectId) {
+        return this.getEvidenceStore().list(projectId);
+    }
+
+    static deleteEvidenceFile(projectId, taskId, filename) {
+        return this.getEvidenceStore().remove(projectId, taskId, filename);
+    }
+
+    static deleteEvidence(projectId, taskId) {
+        return this.getEvidenceStore().removeAll(projectId, taskId);
     }
 }
 
-module.exports = Storage;
\ No newline at end of file
+Storage.DATA_DIR = DATA_DIR;
+Storage.DEFAULT_SQLITE_FILE = DEFAULT_SQLITE_FILE;
+
+module.exports = Storage;
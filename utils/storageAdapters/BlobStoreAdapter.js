@@ -0,0 +1,111 @@
+const StorageAdapter = require('./StorageAdapter');
+const BlobEvidenceStore = require('../evidenceStores/BlobEvidenceStore');
+const Template = require('../../models/Template');
+
+const DEFAULT_STORE_NAME = 'ssdlc';
+
+// Keeps projects, tasks, templates, users and settings as one JSON blob each in a Netlify Blobs
+// store, for deployments where function instances share no filesystem. Each
+// project's audit log is a blob of its own under audit/<projectId>, and
+// evidence files are kept in the same store by BlobEvidenceStore.
+// The mutex only serialises writes within one instance; concurrent instances
+// still race on read-modify-write.
+class BlobStoreAdapter extends StorageAdapter {
+    // store is any object with the get/set/setJSON/delete/list API of @netlify/blobs. Without
+    // one, a store is opened per call so each invocation uses fresh credentials.
+    constructor(store = null, storeName = DEFAULT_STORE_NAME) {
+        super();
+        this.store = store;
+        this.storeName = storeName;
+    }
+
+    getStore() {
+        if (this.store) {
+            return this.store;
+        }
+        const { getStore } = require('@netlify/blobs');
+        return getStore({ name: this.storeName, consistency: 'strong' });
+    }
+
+    async readBlob(key, emptyValue) {
+        const value = await this.getStore().get(key, { type: 'json' });
+        return value === null || value === undefined ? emptyValue : value;
+    }
+
+    async writeBlob(key, value) {
+        try {
+            await this.getStore().setJSON(key, value);
+            return true;
+        } catch (error) {
+            console.error(`Error writing ${key}:`, error);
+            return false;
+        }
+    }
+
+    async readProjects() {
+        return this.readBlob('projects', []);
+    }
+
+    async writeProjects(projects) {
+        return this.writeBlob('projects', projects);
+    }
+
+    async readTasks() {
+        return this.readBlob('tasks', {});
+    }
+
+    async writeTasks(tasks) {
+        return this.writeBlob('tasks', tasks);
+    }
+
+    // Until templates have been saved once, the built-in templates are served
+    async readTemplates() {
+        return this.readBlob('templates', Template.getBuiltInTemplates());
+    }
+
+    async writeTemplates(templates) {
+        return this.writeBlob('templates', templates);
+    }
+
+    async readUsers() {
+        return this.readBlob('users', []);
+    }
+
+    async writeUsers(users) {
+        return this.writeBlob('users', users);
+    }
+
+    async readSettings() {
+        return this.readBlob('settings', {});
+    }
+
+    async writeSettings(settings) {
+        return this.writeBlob('settings', settings);
+    }
+
+    // Blobs cannot be appended to, so the project's log is rewritten with the
+    // new entry added; no other method writes to audit/ keys
+    appendAuditEntry(entry) {
+        return this.auditLock.runExclusive(async () => {
+            const key = `audit/${entry.projectId}`;
+            const entries = await this.readBlob(key, []);
+            entries.push(entry);
+            return this.writeBlob(key, entries);
+        });
+    }
+
+    async readAuditLog(projectId) {
+        return this.readBlob(`audit/${projectId}`, []);
+    }
+
+    // Function instances share no disk, so evidence goes to the same store
+    createEvidenceStore() {
+        return new BlobEvidenceStore(this.store, this.storeName);
+    }
+
+    async hasSavedTemplates() {
+        return (await this.getStore().get('templates')) !== null;
+    }
+}
+
+module.exports = BlobStoreAdapter;
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const Template = require('../../models/Template');
+
+// A missing file means "nothing saved yet". A file that exists but cannot be
+// read or parsed is an error: treating it as empty would wipe every record on
+// the next save.
+async function readJsonFile(file, emptyValue) {
+    if (!fs.existsSync(file)) {
+        return emptyValue;
+    }
+
+    const data = await fs.promises.readFile(file, 'utf8');
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        throw new Error(`Data file ${file} is corrupt and was not loaded: ${error.message}`);
+    }
+}
+
+let tempFileCounter = 0;
+
+// Write to a temporary file next to the target and rename it into place, so
+// a crash mid-write leaves the previous version intact
+async function writeJsonFile(file, value) {
+    const tempFile = `${file}.${process.pid}.${++tempFileCounter}.tmp`;
+    try {
+        await fs.promises.writeFile(tempFile, JSON.stringify(value, null, 2), { flush: true });
+        await fs.promises.rename(tempFile, file);
+    } catch (error) {
+        await fs.promises.rm(tempFile, { force: true });
+        throw error;
+    }
+}
+
+// Keeps projects, tasks, templates, users and settings in one JSON file each under
+// dataDir. The audit log is a JSON Lines file that is only ever appended to.
+class JsonFileAdapter extends StorageAdapter {
+    constructor(dataDir) {
+        super();
+        this.dataDir = dataDir;
+        this.projectsFile = path.join(dataDir, 'projects.json');
+        this.tasksFile = path.join(dataDir, 'tasks.json');
+        this.templatesFile = path.join(dataDir, 'templates.json');
+        this.usersFile = path.join(dataDir, 'users.json');
+        this.settingsFile = path.join(dataDir, 'settings.json');
+        this.auditFile = path.join(dataDir, 'audit.jsonl');
+
+        // Ensure data directory exists
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+    }
+
+    async readProjects() {
+        try {
+            return await readJsonFile(this.projectsFile, []);
+        } catch (error) {
+            console.error('Error reading projects:', error);
+            throw error;
+        }
+    }
+
+    async writeProjects(projects) {
+        try {
+            await writeJsonFile(this.projectsFile, projects);
+            return true;
+        } catch (error) {
+            console.error('Error writing projects:', error);
+            return false;
+        }
+    }
+
+    async readTasks() {
+        try {
+            return await readJsonFile(this.tasksFile, {});
+        } catch (error) {
+            console.error('Error reading tasks:', error);
+            throw error;
+        }
+    }
+
+    async writeTasks(tasks) {
+        try {
+            await writeJsonFile(this.tasksFile, tasks);
+            return true;
+        } catch (error) {
+            console.error('Error writing tasks:', error);
+            return false;
+        }
+    }
+
+    // Until templates have been saved once, the built-in templates are served
+    async readTemplates() {
+        try {
+            return await readJsonFile(this.templatesFile, Template.getBuiltInTemplates());
+        } catch (error) {
+            console.error('Error reading templates:', error);
+            throw error;
+        }
+    }
+
+    async writeTemplates(templates) {
+        try {
+            await writeJsonFile(this.templatesFile, templates);
+            return true;
+        } catch (error) {
+            console.error('Error writing templates:', error);
+            return false;
+        }
+    }
+
+    async readUsers() {
+        try {
+            return await readJsonFile(this.usersFile, []);
+        } catch (error) {
+            console.error('Error reading users:', error);
+            throw error;
+        }
+    }
+
+    async writeUsers(users) {
+        try {
+            await writeJsonFile(this.usersFile, users);
+            return true;
+        } catch (error) {
+            console.error('Error writing users:', error);
+            return false;
+        }
+    }
+
+    async readSettings() {
+        try {
+            return await readJsonFile(this.settingsFile, {});
+        } catch (error) {
+            console.error('Error reading settings:', error);
+            throw error;
+        }
+    }
+
+    async writeSettings(settings) {
+        try {
+            await writeJsonFile(this.settingsFile, settings);
+            return true;
+        } catch (error) {
+            console.error('Error writing settings:', error);
+            return false;
+        }
+    }
+
+    appendAuditEntry(entry) {
+        return this.auditLock.runExclusive(async () => {
+            try {
+                await fs.promises.appendFile(this.auditFile, `${JSON.stringify(entry)}\n`, { flush: true });
+                return true;
+            } catch (error) {
+                console.error('Error writing audit entry:', error);
+                return false;
+            }
+        });
+    }
+
+    // Every entry in the log, oldest first
+    async readAllAuditEntries() {
+        if (!fs.existsSync(this.auditFile)) {
+            return [];
+        }
+
+        const lines = (await fs.promises.readFile(this.auditFile, 'utf8')).split('\n');
+        return lines.filter(line => line.trim()).map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Audit log ${this.auditFile} is corrupt at entry ${index + 1}: ${error.message}`);
+            }
+        });
+    }
+
+    async readAuditLog(projectId) {
+        const entries = await this.readAllAuditEntries();
+        return entries.filter(entry => entry.projectId === projectId);
+    }
+
+    async hasSavedTemplates() {
+        return fs.existsSync(this.templatesFile);
+    }
+}
+
+module.exports = JsonFileAdapter;
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const Template = require('../../models/Template');
+
+// Each record is stored as a JSON document keyed by its ID, so the models stay
+// the single source of truth for the shape of projects, tasks and templates.
+// Rows keep their insertion order through SQLite's rowid. Triggers reject any
+// UPDATE or DELETE on the audit table.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS projects (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS tasks (project_id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS templates (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS users (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS settings (name TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS audit (seq INTEGER PRIMARY KEY AUTOINCREMENT, project_id TEXT NOT NULL, data TEXT NOT NULL);
+    CREATE INDEX IF NOT EXISTS audit_project ON audit (project_id, seq);
+    CREATE TRIGGER IF NOT EXISTS audit_no_update BEFORE UPDATE ON audit
+        BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END;
+    CREATE TRIGGER IF NOT EXISTS audit_no_delete BEFORE DELETE ON audit
+        BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END;
+`;
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+}
+
+class SqliteAdapter extends StorageAdapter {
+    constructor(filename) {
+        super();
+        const Database = loadDriver();
+
+        if (filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(filename), { recursive: true });
+        }
+
+        this.filename = filename;
+        this.db = new Database(filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            allProjects: this.db.prepare('SELECT data FROM projects ORDER BY rowid'),
+            getProject: this.db.prepare('SELECT data FROM projects WHERE id = ?'),
+            upsertProject: this.db.prepare('INSERT INTO projects (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data'),
+            deleteProject: this.db.prepare('DELETE FROM projects WHERE id = ?'),
+            clearProjects: this.db.prepare('DELETE FROM projects'),
+            allTasks: this.db.prepare('SELECT project_id, data FROM tasks ORDER BY rowid'),
+            getTasks: this.db.prepare('SELECT data FROM tasks WHERE project_id = ?'),
+            upsertTasks: this.db.prepare('INSERT INTO tasks (project_id, data) VALUES (?, ?) ON CONFLICT(project_id) DO UPDATE SET data = excluded.data'),
+            deleteTasks: this.db.prepare('DELETE FROM tasks WHERE project_id = ?'),
+            clearTasks: this.db.prepare('DELETE FROM tasks'),
+            allTemplates: this.db.prepare('SELECT data FROM templates ORDER BY rowid'),
+            insertTemplate: this.db.prepare('INSERT INTO templates (id, data) VALUES (?, ?)'),
+            clearTemplates: this.db.prepare('DELETE FROM templates'),
+            allUsers: this.db.prepare('SELECT data FROM users ORDER BY rowid'),
+            getUser: this.db.prepare('SELECT data FROM users WHERE id = ?'),
+            upsertUser: this.db.prepare('INSERT INTO users (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data'),
+            clearUsers: this.db.prepare('DELETE FROM users'),
+            insertAudit: this.db.prepare('INSERT INTO audit (project_id, data) VALUES (?, ?)'),
+            projectAudit: this.db.prepare('SELECT data FROM audit WHERE project_id = ? ORDER BY seq'),
+            anyAudit: this.db.prepare('SELECT 1 FROM audit LIMIT 1'),
+            allSettings: this.db.prepare('SELECT name, data FROM settings'),
+            getSetting: this.db.prepare('SELECT data FROM settings WHERE name = ?'),
+            upsertSetting: this.db.prepare('INSERT INTO settings (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data'),
+            deleteSetting: this.db.prepare('DELETE FROM settings WHERE name = ?'),
+            clearSettings: this.db.prepare('DELETE FROM settings'),
+            getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+            setMeta: this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+        };
+    }
+
+    // Run fn in a transaction, reporting failures the way the JSON adapter does
+    write(description, fn) {
+        try {
+            this.db.transaction(fn)();
+            return true;
+        } catch (error) {
+            console.error(`Error writing ${description}:`, error);
+            return false;
+        }
+    }
+
+    async readProjects() {
+        return this.statements.allProjects.all().map(row => JSON.parse(row.data));
+    }
+
+    async writeProjects(projects) {
+        return this.write('projects', () => {
+            this.statements.clearProjects.run();
+            projects.forEach(project => {
+                this.statements.upsertProject.run(project.id, JSON.stringify(project));
+            });
+        });
+    }
+
+    async readTasks() {
+        const allTasks = {};
+        this.statements.allTasks.all().forEach(row => {
+            allTasks[row.project_id] = JSON.parse(row.data);
+        });
+        return allTasks;
+    }
+
+    async writeTasks(allTasks) {
+        return this.write('tasks', () => {
+            this.statements.clearTasks.run();
+            Object.keys(allTasks).forEach(projectId => {
+                this.statements.upsertTasks.run(projectId, JSON.stringify(allTasks[projectId]));
+            });
+        });
+    }
+
+    // Until templates have been saved once, the built-in templates are served
+    async readTemplates() {
+        if (!(await this.hasSavedTemplates())) {
+            return Template.getBuiltInTemplates();
+        }
+        return this.statements.allTemplates.all().map(row => JSON.parse(row.data));
+    }
+
+    async writeTemplates(templates) {
+        return this.write('templates', () => {
+            this.statements.clearTemplates.run();
+            templates.forEach(template => {
+                this.statements.insertTemplate.run(template.id, JSON.stringify(template));
+            });
+            this.statements.setMeta.run('templatesSaved', 'true');
+        });
+    }
+
+    async readUsers() {
+        return this.statements.allUsers.all().map(row => JSON.parse(row.data));
+    }
+
+    async writeUsers(users) {
+        return this.write('users', () => {
+            this.statements.clearUsers.run();
+            users.forEach(user => {
+                this.statements.upsertUser.run(user.id, JSON.stringify(user));
+            });
+        });
+    }
+
+    async readSettings() {
+        const settings = {};
+        this.statements.allSettings.all().forEach(row => {
+            settings[row.name] = JSON.parse(row.data);
+        });
+        return settings;
+    }
+
+    async writeSettings(settings) {
+        return this.write('settings', () => {
+            this.statements.clearSettings.run();
+            Object.keys(settings).forEach(name => {
+                this.statements.upsertSetting.run(name, JSON.stringify(settings[name]));
+            });
+        });
+    }
+
+    async appendAuditEntry(entry) {
+        return this.write('audit entry', () => {
+            this.statements.insertAudit.run(entry.projectId, JSON.stringify(entry));
+        });
+    }
+
+    async readAuditLog(projectId) {
+        return this.statements.projectAudit.all(projectId).map(row => JSON.parse(row.data));
+    }
+
+    async hasAuditEntries() {
+        return Boolean(this.statements.anyAudit.get());
+    }
+
+    async hasSavedTemplates() {
+        return Boolean(this.statements.getMeta.get('templatesSaved'));
+    }
+
+    async getProjectById(projectId) {
+        const row = this.statements.getProject.get(projectId);
+        return row ? JSON.parse(row.data) : undefined;
+    }
+
+    async putProject(project) {
+        return this.write('projects', () => {
+            this.statements.upsertProject.run(project.id, JSON.stringify(project));
+        });
+    }
+
+    // Under the lock, so a project cannot be deleted while it is being updated
+    deleteProject(projectId) {
+        return this.lock.runExclusive(async () => {
+            if (!this.statements.getProject.get(projectId)) {
+                return false;
+            }
+            return this.write('projects', () => {
+                this.statements.deleteProject.run(projectId);
+                this.statements.deleteTasks.run(projectId);
+            });
+        });
+    }
+
+    async getUserById(userId) {
+        const row = this.statements.getUser.get(userId);
+        return row ? JSON.parse(row.data) : undefined;
+    }
+
+    async putUser(user) {
+        return this.write('users', () => {
+            this.statements.upsertUser.run(user.id, JSON.stringify(user));
+        });
+    }
+
+    async getTasksForProject(projectId) {
+        const row = this.statements.getTasks.get(projectId);
+        return row ? JSON.parse(row.data) : {};
+    }
+
+    async putTasksForProject(projectId, tasks) {
+        return this.write('tasks', () => {
+            this.statements.upsertTasks.run(projectId, JSON.stringify(tasks));
+        });
+    }
+
+    async getSetting(name) {
+        const row = this.statements.getSetting.get(name);
+        return row ? JSON.parse(row.data) : undefined;
+    }
+
+    async saveSetting(name, value) {
+        return this.write('settings', () => {
+            if (value === null) {
+                this.statements.deleteSetting.run(name);
+            } else {
+                this.statements.upsertSetting.run(name, JSON.stringify(value));
+            }
+        });
+    }
+
+    async close() {
+        if (this.db.open) {
+            this.db.close();
+        }
+    }
+}
+
+module.exports = SqliteAdapter;
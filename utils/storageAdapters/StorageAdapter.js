@@ -0,0 +1,282 @@
+const Mutex = require('../mutex');
+const { UPLOADS_DIR } = require('../uploads');
+const LocalEvidenceStore = require('../evidenceStores/LocalEvidenceStore');
+
+// Base class for storage backends. Every method returns a Promise.
+//
+// An adapter must implement readProjects, writeProjects, readTasks, writeTasks,
+// readTemplates, writeTemplates, readUsers, writeUsers, readSettings and
+// writeSettings. Settings are server-wide values kept by name. The record-level
+// helpers below are built on top of those and can be overridden when a backend
+// can do better than rewriting the whole collection. They hold this.lock for
+// the whole read-modify-write so concurrent saves cannot drop each other's
+// changes. putProject and putTasksForProject write without taking the lock,
+// for the helpers that already hold it.
+//
+// A request that reads a project or its tasks, changes them and saves them
+// again must do so through updateProject or updateTasksForProject, which hold
+// the lock from the read to the write. Reading and saving separately loses
+// changes made by overlapping requests in between.
+//
+// The audit log is append-only, so it has no write-the-whole-collection
+// method: adapters implement appendAuditEntry and readAuditLog directly and
+// offer no way to change or remove an entry. appendAuditEntry must not take
+// this.lock; adapters that need to serialise appends use this.auditLock.
+//
+// Evidence file contents are not kept by the adapter but by an evidence store
+// (see utils/evidenceStores/). createEvidenceStore picks the one a backend
+// uses by default.
+class StorageAdapter {
+    constructor() {
+        this.lock = new Mutex();
+        // Audit entries are written while this.lock is held for the change
+        // they record, so appending takes a lock of its own
+        this.auditLock = new Mutex();
+        this.evidenceStore = null;
+    }
+
+    async readProjects() {
+        throw new Error(`${this.constructor.name} does not implement readProjects`);
+    }
+
+    async writeProjects() {
+        throw new Error(`${this.constructor.name} does not implement writeProjects`);
+    }
+
+    async readTasks() {
+        throw new Error(`${this.constructor.name} does not implement readTasks`);
+    }
+
+    async writeTasks() {
+        throw new Error(`${this.constructor.name} does not implement writeTasks`);
+    }
+
+    async readTemplates() {
+        throw new Error(`${this.constructor.name} does not implement readTemplates`);
+    }
+
+    async writeTemplates() {
+        throw new Error(`${this.constructor.name} does not implement writeTemplates`);
+    }
+
+    async readUsers() {
+        throw new Error(`${this.constructor.name} does not implement readUsers`);
+    }
+
+    async writeUsers() {
+        throw new Error(`${this.constructor.name} does not implement writeUsers`);
+    }
+
+    async readSettings() {
+        throw new Error(`${this.constructor.name} does not implement readSettings`);
+    }
+
+    async writeSettings() {
+        throw new Error(`${this.constructor.name} does not implement writeSettings`);
+    }
+
+    async appendAuditEntry() {
+        throw new Error(`${this.constructor.name} does not implement appendAuditEntry`);
+    }
+
+    // A project's audit entries, oldest first
+    async readAuditLog() {
+        throw new Error(`${this.constructor.name} does not implement readAuditLog`);
+    }
+
+    async getProjectById(projectId) {
+        const projects = await this.readProjects();
+        return projects.find(project => project.id === projectId);
+    }
+
+    // Save a project; callers must hold this.lock
+    async putProject(project) {
+        const projects = await this.readProjects();
+        const existingIndex = projects.findIndex(p => p.id === project.id);
+
+        if (existingIndex >= 0) {
+            projects[existingIndex] = project;
+        } else {
+            projects.push(project);
+        }
+
+        return this.writeProjects(projects);
+    }
+
+    saveProject(project) {
+        return this.lock.runExclusive(() => this.putProject(project));
+    }
+
+    // Read, change and save a project and its tasks as one step. fn gets the
+    // stored project (undefined when there is none) and its tasks by phase,
+    // and resolves to { project, tasks, result }: the project and the tasks to
+    // save, either left out to keep it as stored, and the value updateProject
+    // resolves to. Nothing is saved when fn throws, and a failed save rejects.
+    updateProject(projectId, fn) {
+        return this.lock.runExclusive(async () => {
+            const stored = await this.getProjectById(projectId);
+            const storedTasks = await this.getTasksForProject(projectId);
+            const { project, tasks, result } = (await fn(stored, storedTasks)) || {};
+
+            if (tasks && !(await this.putTasksForProject(projectId, tasks))) {
+                throw new Error(`Failed to save tasks of project ${projectId}`);
+            }
+            if (project && !(await this.putProject(project))) {
+                throw new Error(`Failed to save project ${projectId}`);
+            }
+            return result;
+        });
+    }
+
+    deleteProject(projectId) {
+        return this.lock.runExclusive(async () => {
+            const projects = await this.readProjects();
+            const remaining = projects.filter(p => p.id !== projectId);
+            if (remaining.length === projects.length) {
+                return false;
+            }
+
+            const allTasks = await this.readTasks();
+            delete allTasks[projectId];
+
+            return (await this.writeProjects(remaining)) && this.writeTasks(allTasks);
+        });
+    }
+
+    async getTasksForProject(projectId) {
+        const allTasks = await this.readTasks();
+        return allTasks[projectId] || {};
+    }
+
+    // Save a project's tasks; callers must hold this.lock
+    async putTasksForProject(projectId, tasks) {
+        const allTasks = await this.readTasks();
+        allTasks[projectId] = tasks;
+        return this.writeTasks(allTasks);
+    }
+
+    saveTasksForProject(projectId, tasks) {
+        return this.lock.runExclusive(() => this.putTasksForProject(projectId, tasks));
+    }
+
+    // Read, change and save a project's tasks as one step. fn changes the
+    // tasks by phase in place and resolves to the value updateTasksForProject
+    // resolves to.
+    updateTasksForProject(projectId, fn) {
+        return this.updateProject(projectId, async (project, tasks) => ({ tasks, result: await fn(tasks) }));
+    }
+
+    async getTemplateById(templateId) {
+        const templates = await this.readTemplates();
+        return templates.find(template => template.id === templateId);
+    }
+
+    saveTemplate(template) {
+        return this.lock.runExclusive(async () => {
+            const templates = await this.readTemplates();
+            const existingIndex = templates.findIndex(t => t.id === template.id);
+
+            if (existingIndex >= 0) {
+                templates[existingIndex] = template;
+            } else {
+                templates.push(template);
+            }
+
+            return this.writeTemplates(templates);
+        });
+    }
+
+    deleteTemplate(templateId) {
+        return this.lock.runExclusive(async () => {
+            const templates = await this.readTemplates();
+            const remaining = templates.filter(t => t.id !== templateId);
+            if (remaining.length === templates.length) {
+                return false;
+            }
+            return this.writeTemplates(remaining);
+        });
+    }
+
+    async getUserById(userId) {
+        const users = await this.readUsers();
+        return users.find(user => user.id === userId);
+    }
+
+    // Usernames are unique regardless of case
+    async getUserByUsername(username) {
+        const users = await this.readUsers();
+        const wanted = String(username).toLowerCase();
+        return users.find(user => user.username.toLowerCase() === wanted);
+    }
+
+    async getUserByTokenHash(tokenHash) {
+        const users = await this.readUsers();
+        return users.find(user => (user.apiTokens || []).some(token => token.tokenHash === tokenHash));
+    }
+
+    // Save a user; callers must hold this.lock
+    async putUser(user) {
+        const users = await this.readUsers();
+        const existingIndex = users.findIndex(u => u.id === user.id);
+
+        if (existingIndex >= 0) {
+            users[existingIndex] = user;
+        } else {
+            users.push(user);
+        }
+
+        return this.writeUsers(users);
+    }
+
+    saveUser(user) {
+        return this.lock.runExclusive(() => this.putUser(user));
+    }
+
+    // Check the stored users and save a new one as one step, so two requests
+    // cannot both pass the check. fn gets the stored users and throws to
+    // refuse the new user, e.g. when its username is taken. Resolves to
+    // whether the user was saved.
+    createUser(user, fn) {
+        return this.lock.runExclusive(async () => {
+            await fn(await this.readUsers());
+            return this.putUser(user);
+        });
+    }
+
+    // A setting's saved value, or undefined if it was never saved
+    async getSetting(name) {
+        const settings = await this.readSettings();
+        return Object.prototype.hasOwnProperty.call(settings, name) ? settings[name] : undefined;
+    }
+
+    // Save a setting; null removes it
+    saveSetting(name, value) {
+        return this.lock.runExclusive(async () => {
+            const settings = await this.readSettings();
+            if (value === null) {
+                delete settings[name];
+            } else {
+                settings[name] = value;
+            }
+            return this.writeSettings(settings);
+        });
+    }
+
+    // Where this backend keeps evidence file contents unless EVIDENCE_STORE
+    // says otherwise: on the local disk, in uploads/
+    createEvidenceStore() {
+        return new LocalEvidenceStore(UPLOADS_DIR);
+    }
+
+    getEvidenceStore() {
+        if (!this.evidenceStore) {
+            this.evidenceStore = this.createEvidenceStore();
+        }
+        return this.evidenceStore;
+    }
+
+    // Release any handles held by the backend
+    async close() {}
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// Generate secure filename with timestamp and UUID
+function storedFilename(originalName) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const uniqueId = uuidv4().substring(0, 8);
+    const extension = path.extname(originalName);
+    const baseName = path.basename(originalName, extension).replace(/[^a-zA-Z0-9]/g, '_');
+
+    return `${timestamp}_${uniqueId}_${baseName}${extension}`;
+}
+
+// SHA-256 of a Buffer as hex
+function hashData(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// SHA-256 of a stream's content as hex, hashed as it is read so large files
+// stay out of memory
+async function hashStream(stream) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of stream) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    storedFilename,
+    hashData,
+    hashStream
+};